@@ -13,6 +13,7 @@
 // db.courses.createIndex({ "universityId": 1 })
 // db.courses.createIndex({ "inviteOnly": 1 })
 // db.courses.createIndex({ "createdAt": -1 })
+// db.courses.createIndex({ "versionOf": 1 }, { unique: true, partialFilterExpression: { "versionOf": { $type: "objectId" } } }) // One open draft per course
 
 // ==================== Playlist Model ====================
 // db.playlists.createIndex({ "courseId": 1, "order": 1 })
@@ -33,6 +34,7 @@
 // db.courseinvites.createIndex({ "token": 1 })
 // db.courseinvites.createIndex({ "email": 1 })
 // db.courseinvites.createIndex({ "used": 1 })
+// db.courseinvites.createIndex({ "courseId": 1, "email": 1 }) // Bulk invite duplicate checks
 
 // ==================== UserVideoProgress Model ====================
 // CRITICAL: UNIQUE compound index for userId + videoId (hot table)
@@ -58,12 +60,99 @@
 // db.analyticevents.createIndex({ "userId": 1, "createdAt": -1 })
 // db.analyticevents.createIndex({ "eventType": 1, "createdAt": -1 })
 // db.analyticevents.createIndex({ "createdAt": 1 }, { expireAfterSeconds: 7776000 }) // 90 days TTL
+// Deduplicates video events re-sent from client offline buffers
+// db.analyticsevents.createIndex({ "userId": 1, "clientEventId": 1 }, { unique: true, partialFilterExpression: { "clientEventId": { $type: "string" } } })
 
 // ==================== CourseReview Model ====================
 // db.coursereviews.createIndex({ "courseId": 1, "userId": 1 }, { unique: true })
 // db.coursereviews.createIndex({ "courseId": 1, "rating": 1 })
 // db.coursereviews.createIndex({ "userId": 1 })
 
+// ==================== TokenTransaction Model ====================
+// The completion index became partial when DEBIT rows (no enrollmentId) were added.
+// Drop the old full index first on existing databases:
+// db.tokentransactions.dropIndex("userId_1_source_1_enrollmentId_1")
+// db.tokentransactions.createIndex({ "userId": 1, "source": 1, "enrollmentId": 1 }, { unique: true, partialFilterExpression: { "source": "COURSE_COMPLETION" } })
+// db.tokentransactions.createIndex({ "orderId": 1, "source": 1 }, { unique: true, partialFilterExpression: { "source": "ORDER_REDEMPTION" } })
+// db.tokentransactions.createIndex({ "transferId": 1, "type": 1 }, { unique: true, partialFilterExpression: { "source": "PEER_TRANSFER" } })
+
+// ==================== Product Model ====================
+// Search indexes; { isActive: 1 } is covered by the compound indexes below:
+// db.products.dropIndex("isActive_1")
+// db.products.createIndex({ "title": "text", "description": "text" }, { weights: { "title": 10, "description": 2 }, name: "product_text_search" })
+// db.products.createIndex({ "isActive": 1, "createdAt": -1 })
+// db.products.createIndex({ "isActive": 1, "price": 1 })
+// db.products.createIndex({ "isActive": 1, "avgRating": -1 })
+// db.products.createIndex({ "isActive": 1, "sellerId": 1, "createdAt": -1 })
+// db.products.createIndex({ "isActive": 1, "categoryPath": 1, "createdAt": -1 })
+// db.products.createIndex({ "sellerId": 1, "sku": 1 }, { unique: true, partialFilterExpression: { "sku": { "$type": "string" } } })
+
+// ==================== Category Model ====================
+// db.categories.createIndex({ "slug": 1 }, { unique: true })
+// db.categories.createIndex({ "parentId": 1, "sortOrder": 1 })
+// db.categories.createIndex({ "ancestors": 1 })
+
+// ==================== Inventory Model ====================
+// One row per product variant; replaces the old (productId, sellerId) unique index:
+// db.inventories.dropIndex("productId_1_sellerId_1")
+// db.inventories.createIndex({ "productId": 1, "sellerId": 1, "variantId": 1 }, { unique: true })
+
+// ==================== Coupon Models ====================
+// db.coupons.createIndex({ "code": 1 }, { unique: true })
+// db.coupons.createIndex({ "scope": 1, "sellerId": 1, "createdAt": -1 })
+// db.coupons.createIndex({ "isActive": 1, "expiresAt": 1 })
+// db.couponusages.createIndex({ "couponId": 1, "userId": 1 }, { unique: true })
+
+// ==================== ProductReview Models ====================
+// Listing excludes hidden reviews; replaces { productId: 1, createdAt: -1 }:
+// db.productreviews.dropIndex("productId_1_createdAt_-1")
+// db.productreviews.createIndex({ "productId": 1, "isHidden": 1, "createdAt": -1 })
+// db.productreviews.createIndex({ "productId": 1, "isHidden": 1, "helpfulCount": -1 })
+// db.productreviews.createIndex({ "moderation.reportCount": -1, "updatedAt": -1 })
+// db.productreviewvotes.createIndex({ "reviewId": 1, "userId": 1 }, { unique: true })
+
+// ==================== CourseEnrollment Model ====================
+// Expiry sweeper and deadline reminders (jobs/course/enrollmentExpiryJob)
+// db.courseenrollments.createIndex({ "status": 1, "expiresAt": 1 })
+
+// ==================== Certificate Model ====================
+// db.certificates.createIndex({ "code": 1 }, { unique: true })
+// db.certificates.createIndex({ "enrollmentId": 1 }, { unique: true })
+// db.certificates.createIndex({ "userId": 1, "createdAt": -1 })
+// db.certificates.createIndex({ "courseId": 1, "userId": 1 })
+
+// ==================== QuestionAttempt Model ====================
+// db.questionattempts.createIndex({ "userId": 1, "questionId": 1 }, { unique: true })
+// db.questionattempts.createIndex({ "userId": 1, "videoId": 1 })
+// db.questionattempts.createIndex({ "courseId": 1, "userId": 1 })
+
+// ==================== LearningPath Model ====================
+// db.learningpaths.createIndex({ "universityId": 1, "createdAt": -1 })
+// db.learningpaths.createIndex({ "status": 1, "createdAt": -1 })
+// db.learningpaths.createIndex({ "courseIds": 1 })
+
+// ==================== CourseVersion Model ====================
+// db.courseversions.createIndex({ "courseId": 1, "version": -1 }, { unique: true })
+
+// ==================== Like Model ====================
+// db.likes.createIndex({ "content": 1, "contentId": 1 }, { unique: true })
+// db.reactionlogs.createIndex({ "userId": 1, "content": 1, "contentId": 1 }, { unique: true })
+// db.reactionlogs.createIndex({ "userId": 1, "updatedAt": -1 })  // recent reactions for feed author affinity
+
+// ==================== Follow Model ====================
+// db.follows.createIndex({ "follower": 1, "following": 1 }, { unique: true })
+// db.follows.createIndex({ "following": 1, "createdAt": -1 })  // follower lists
+// db.follows.createIndex({ "follower": 1, "createdAt": -1 })   // following lists
+
+// ==================== Hashtag Model ====================
+// db.hashtags.createIndex({ "tag": 1 }, { unique: true })
+
+// ==================== Post / Reel hashtags ====================
+// db.posts.createIndex({ "hashtags": 1, "createdAt": -1 })  // hashtag search and trending
+// db.reels.createIndex({ "hashtags": 1, "createdAt": -1 })
+// db.posts.createIndex({ "createdAt": -1 })  // caption search is limited to recent content (searchService)
+// db.reels.createIndex({ "createdAt": -1 })
+
 /**
  * To run all indexes at once, you can use:
  * 
@@ -0,0 +1,110 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Post = require('../src/models/social/Post');
+const { Reel } = require('../src/models/social/Reel');
+const Hashtag = require('../src/models/social/Hashtag');
+const { parseCaption } = require('../src/utils/captionParser');
+
+// One-off: parse hashtags and searchable caption text for posts/reels created
+// before caption parsing existed, then rebuild the Hashtag counts from scratch.
+// Safe to re-run. Mentions are not backfilled (no notifications for old content).
+
+const BATCH_SIZE = 500;
+
+async function backfillCollection(Model, label) {
+    const cursor = Model.find({ captionText: { $exists: false } })
+        .select('_id caption')
+        .lean()
+        .cursor();
+
+    let bulkOps = [];
+    let updated = 0;
+
+    for await (const doc of cursor) {
+        const { hashtags, captionText } = parseCaption(doc.caption || '');
+        bulkOps.push({
+            updateOne: {
+                filter: { _id: doc._id },
+                update: { $set: { hashtags, captionText } }
+            }
+        });
+
+        if (bulkOps.length >= BATCH_SIZE) {
+            await Model.bulkWrite(bulkOps, { ordered: false });
+            updated += bulkOps.length;
+            bulkOps = [];
+            console.log(`Backfilled ${updated} ${label}...`);
+        }
+    }
+
+    if (bulkOps.length > 0) {
+        await Model.bulkWrite(bulkOps, { ordered: false });
+        updated += bulkOps.length;
+    }
+
+    console.log(`Backfilled ${updated} ${label}`);
+}
+
+async function countTags(Model) {
+    return Model.aggregate([
+        { $match: { 'hashtags.0': { $exists: true } } },
+        { $project: { hashtags: 1, createdAt: 1 } },
+        { $unwind: '$hashtags' },
+        { $group: { _id: '$hashtags', count: { $sum: 1 }, lastUsedAt: { $max: '$createdAt' } } }
+    ]);
+}
+
+async function rebuildHashtagCounts() {
+    const [postTags, reelTags] = await Promise.all([countTags(Post), countTags(Reel)]);
+
+    const counts = new Map();
+    for (const [field, rows] of [['postCount', postTags], ['reelCount', reelTags]]) {
+        for (const row of rows) {
+            const entry = counts.get(row._id) || { postCount: 0, reelCount: 0, lastUsedAt: row.lastUsedAt };
+            entry[field] = row.count;
+            if (row.lastUsedAt > entry.lastUsedAt) {
+                entry.lastUsedAt = row.lastUsedAt;
+            }
+            counts.set(row._id, entry);
+        }
+    }
+
+    // Tags no longer used by any post/reel drop to zero (search skips them)
+    await Hashtag.updateMany(
+        { tag: { $nin: [...counts.keys()] } },
+        { $set: { postCount: 0, reelCount: 0 } }
+    );
+
+    const bulkOps = [...counts.entries()].map(([tag, entry]) => ({
+        updateOne: {
+            filter: { tag },
+            update: { $set: entry },
+            upsert: true
+        }
+    }));
+    for (let i = 0; i < bulkOps.length; i += BATCH_SIZE) {
+        await Hashtag.bulkWrite(bulkOps.slice(i, i + BATCH_SIZE), { ordered: false });
+    }
+
+    console.log(`Rebuilt counts for ${counts.size} hashtags`);
+}
+
+async function backfillHashtags() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('Connected to MongoDB');
+
+        await backfillCollection(Post, 'posts');
+        await backfillCollection(Reel, 'reels');
+        await rebuildHashtagCounts();
+
+        console.log('Hashtag backfill completed successfully');
+    } catch (error) {
+        console.error('Backfill error:', error);
+    } finally {
+        await mongoose.disconnect();
+        process.exit(0);
+    }
+}
+
+backfillHashtags();
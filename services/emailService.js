@@ -284,6 +284,72 @@ class EmailService {
             return false;
         }
     }
+
+    async sendCourseInviteEmail(to, { courseName, universityName, link, expiresAt }) {
+        const fromEmail = process.env.EMAIL_USER || 'noreply@sanora.com';
+        const appName = process.env.APP_NAME || 'Sanora';
+        const escape = (value) => String(value || '').replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+        const host = universityName ? ` by ${universityName}` : '';
+        const expiry = expiresAt ? new Date(expiresAt).toDateString() : null;
+
+        const mailOptions = {
+            from: `${appName} <${fromEmail}>`,
+            to: to,
+            subject: `You're invited to ${courseName} on ${appName}`,
+            html: `
+                <!DOCTYPE html>
+                <html>
+                <head>
+                    <meta charset="UTF-8">
+                    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                    <title>Course Invitation</title>
+                    <style>
+                        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+                        .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; text-align: center; border-radius: 10px 10px 0 0; }
+                        .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+                        .button { display: inline-block; margin: 20px 0; padding: 12px 24px; background: #667eea; color: white; text-decoration: none; border-radius: 6px; }
+                        .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+                    </style>
+                </head>
+                <body>
+                    <div class="header">
+                        <h1>${appName}</h1>
+                        <h2>Course Invitation</h2>
+                    </div>
+                    <div class="content">
+                        <p>Hello,</p>
+                        <p>You have been invited to join <strong>${escape(courseName)}</strong>${escape(host)}.</p>
+                        <p style="text-align: center;"><a class="button" href="${escape(link)}">Accept Invitation</a></p>
+                        ${expiry ? `<p>This invitation expires on ${expiry}.</p>` : ''}
+                        <p>If you weren't expecting this invitation, you can ignore this email.</p>
+                        <div class="footer">
+                            <p>Best regards,<br>The ${appName} Team</p>
+                            <p><small>This is an automated message, please do not reply to this email.</small></p>
+                        </div>
+                    </div>
+                </body>
+                </html>
+            `,
+            text: `You have been invited to join ${courseName}${host} on ${appName}. Accept the invitation: ${link}${expiry ? ` (expires on ${expiry})` : ''}`
+        };
+
+        try {
+            // Callers send invites in bulk, so don't retry initialization per email
+            if (!this.transporter) {
+                console.error('📧 ❌ Cannot send course invite: email service is not configured');
+                return false;
+            }
+
+            const info = await this.transporter.sendMail(mailOptions);
+            console.log('📧 ✅ Course invite sent to:', to, 'Message ID:', info.messageId);
+            return true;
+        } catch (error) {
+            console.error('📧 ❌ Error sending course invite email:', error.message);
+            return false;
+        }
+    }
 }
 
 // Export emailService with error handling to prevent module loading crashes
@@ -299,6 +365,10 @@ try {
         sendOTPEmail: async () => {
             console.warn('⚠️  Email service not available');
             return false;
+        },
+        sendCourseInviteEmail: async () => {
+            console.warn('⚠️  Email service not available');
+            return false;
         }
     };
 }
@@ -1,21 +1,90 @@
 /**
  * Feature Flags Configuration
  * Centralized feature toggles for system capabilities
+ *
+ * Each flag has an environment default (e.g. TOKEN_REDEMPTION_ENABLED=true)
+ * which can be overridden per deployment by a FeatureFlag document with the
+ * same key. DB overrides are cached in memory for FLAG_CACHE_TTL_SECONDS.
  */
 
+const memoryCache = require('../utils/memoryCache');
+
+const FLAG_CACHE_TTL_SECONDS = 60;
+
+const parseBoolean = (value, fallback) => {
+    if (value === undefined || value === null || value === '') {
+        return fallback;
+    }
+    return ['true', '1', 'yes', 'on'].includes(String(value).toLowerCase());
+};
+
 /**
  * Token Redemption Feature Flag
- * 
- * ⚠️ IMPORTANT: Token redemption is currently DISABLED.
- * Tokens are EARN-ONLY. Redemption functionality is intentionally disabled
- * until payment integration is implemented.
- * 
- * When enabled, this flag will allow token redemption for purchases.
- * Until then, tokens can only be earned through course completion.
+ *
+ * When enabled, wallet tokens can be redeemed against marketplace orders at
+ * checkout. Disabled by default: tokens stay EARN-ONLY unless the deployment
+ * opts in through the environment or a FeatureFlag document.
  */
-const TOKEN_REDEMPTION_ENABLED = false;
+const TOKEN_REDEMPTION_ENABLED = parseBoolean(process.env.TOKEN_REDEMPTION_ENABLED, false);
 
-module.exports = {
-    TOKEN_REDEMPTION_ENABLED
+/**
+ * Verified-Purchase Reviews Feature Flag
+ *
+ * When enabled, only buyers with a delivered order for a product can review it.
+ * When disabled (default), anyone can review and purchasers' reviews are
+ * flagged as verified purchases.
+ */
+const REVIEWS_REQUIRE_PURCHASE = parseBoolean(process.env.REVIEWS_REQUIRE_PURCHASE, false);
+
+/**
+ * Course Video HLS Feature Flag
+ *
+ * When enabled, course uploads are also transcoded to an adaptive-bitrate HLS
+ * ladder (240p/480p/720p) next to the MP4. Disabled by default because it
+ * multiplies transcoding time; the MP4 remains the fallback either way.
+ */
+const COURSE_VIDEO_HLS_ENABLED = parseBoolean(process.env.COURSE_VIDEO_HLS_ENABLED, false);
+
+// Environment defaults, keyed by flag name
+const FLAG_DEFAULTS = {
+    TOKEN_REDEMPTION_ENABLED,
+    REVIEWS_REQUIRE_PURCHASE,
+    COURSE_VIDEO_HLS_ENABLED
 };
 
+/**
+ * Resolve a flag: DB override first, environment default otherwise
+ *
+ * @param {String} key - Flag name (e.g. 'TOKEN_REDEMPTION_ENABLED')
+ * @returns {Promise<boolean>}
+ */
+const isFeatureEnabled = async (key) => {
+    const cacheKey = `feature-flag:${key}`;
+    const cached = memoryCache.get(cacheKey);
+    if (cached !== null) {
+        return cached;
+    }
+
+    let enabled = FLAG_DEFAULTS[key] === true;
+    try {
+        // Required lazily so this config file can be loaded before mongoose models
+        const FeatureFlag = require('../models/system/FeatureFlag');
+        const override = await FeatureFlag.findOne({ key }).select('enabled').lean();
+        if (override) {
+            enabled = override.enabled === true;
+        }
+    } catch (error) {
+        // Fall back to the environment default if the DB is unavailable
+        console.error('Feature flag lookup error:', { key, error: error.message });
+    }
+
+    memoryCache.set(cacheKey, enabled, FLAG_CACHE_TTL_SECONDS);
+    return enabled;
+};
+
+module.exports = {
+    TOKEN_REDEMPTION_ENABLED,
+    REVIEWS_REQUIRE_PURCHASE,
+    COURSE_VIDEO_HLS_ENABLED,
+    isFeatureEnabled
+};
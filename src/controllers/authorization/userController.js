@@ -3,6 +3,7 @@ const Media = require('../../models/Media');
 const Company = require('../../models/authorization/Company');
 const Institution = require('../../models/authorization/Institution');
 const { formatEducation, formatWorkplace, formatUserProfile } = require('../../utils/formatters');
+const { searchUsers: searchUserDocs } = require('../../services/social/searchService');
 const NodeCache = require('node-cache');
 
 // Initialize caches with 1-hour TTL (time-to-live)
@@ -176,6 +177,7 @@ const jwt = require('jsonwebtoken');
 const twilio = require('twilio');
 const StorageService = require('../../services/storage.service');
 const { isVideo } = require('../../services/videoTranscoder');
+const { getBlockedUserIds, isUserBlocked } = require('../../utils/blockedUsers');
 
 // Helper function to check if two users are friends
 const areFriends = async (userId1, userId2) => {
@@ -194,32 +196,6 @@ const areFriends = async (userId1, userId2) => {
     }
 };
 
-// Helper function to get all blocked user IDs
-const getBlockedUserIds = async (userId) => {
-    try {
-        const user = await User.findById(userId).select('social.blockedUsers');
-        if (!user) return [];
-        
-        // Get blocked users from social.blockedUsers
-        const blockedUsers = user.social?.blockedUsers || [];
-        return blockedUsers.map(id => id.toString());
-    } catch (error) {
-        console.error('Error getting blocked users:', error);
-        return [];
-    }
-};
-
-// Helper function to check if a user is blocked
-const isUserBlocked = async (blockerId, blockedId) => {
-    try {
-        const blockedUserIds = await getBlockedUserIds(blockerId);
-        return blockedUserIds.includes(blockedId.toString());
-    } catch (error) {
-        console.error('Error checking if user is blocked:', error);
-        return false;
-    }
-};
-
 // Helper function to get limited profile data for non-friends viewing private profiles
 const getLimitedProfileData = (user) => {
     return {
@@ -2668,45 +2644,9 @@ const searchUsers = async (req, res) => {
             });
         }
 
-        const searchTerm = query.trim();
-
-        // Get current user's blocked users
-        const blockedUserIds = await getBlockedUserIds(user._id);
-
-        // Get users who have blocked the current user
-        const usersWhoBlockedMe = await User.find({
-            'social.blockedUsers': user._id
-        }).select('_id').lean();
-        const blockedByUserIds = usersWhoBlockedMe.map(u => u._id);
-
-        // Combine all users to exclude (current user + users I blocked + users who blocked me)
-        const excludedUserIds = [
-            user._id,
-            ...blockedUserIds,
-            ...blockedByUserIds
-        ];
-
-        // Search for users that match the query (case-insensitive)
-        // Returns ALL users except: current user, users I blocked, and users who blocked me
-        // Search across firstName, lastName, and full name fields
-        const searchQuery = {
-            _id: { $nin: excludedUserIds }, // Exclude current user, blocked users, and users who blocked me
-            $or: [
-                { 'profile.name.first': { $regex: searchTerm, $options: 'i' } },
-                { 'profile.name.last': { $regex: searchTerm, $options: 'i' } },
-                { 'profile.name.full': { $regex: searchTerm, $options: 'i' } }
-            ]
-        };
-
-        // Get total count for pagination
-        const totalUsers = await User.countDocuments(searchQuery);
-
-        // Search for users that match the query
-        const users = await User.find(searchQuery)
-            .select('-auth -profile.email') // Exclude sensitive data
-            .sort({ 'profile.name.full': 1 }) // Sort alphabetically
-            .skip(skip)
-            .limit(limit);
+        // Matches first, last and full name; excludes the current user, users I blocked
+        // and users who blocked me (shared with the unified /api/search endpoint)
+        const { users, total: totalUsers } = await searchUserDocs(user._id, query, { skip, limit });
 
         // If no matches found
         if (users.length === 0) {
@@ -3041,7 +2981,7 @@ const blockUser = async (req, res) => {
         }).lean();
 
         // Cancel any pending friend requests between them
-        const FriendRequest = require('../models/social/FriendRequest');
+        const FriendRequest = require('../../models/social/FriendRequest');
         await FriendRequest.deleteMany({
             $or: [
                 { sender: userId, receiver: blockedUserId },
@@ -3049,6 +2989,15 @@ const blockUser = async (req, res) => {
             ]
         });
 
+        // Remove follows in both directions
+        const Follow = require('../../models/social/Follow');
+        await Follow.deleteMany({
+            $or: [
+                { follower: userId, following: blockedUserId },
+                { follower: blockedUserId, following: userId }
+            ]
+        });
+
         // Get updated user with blocked user details
         const updatedUser = await User.findById(userId)
             .populate('social.blockedUsers', 'profile.name.first profile.name.last profile.name.full profile.profileImage profile.email')
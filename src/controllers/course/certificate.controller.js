@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const Certificate = require('../../models/course/Certificate');
+const CourseEnrollment = require('../../models/course/CourseEnrollment');
+const {
+    getVerificationUrl,
+    issueCertificate,
+    verifyCertificate
+} = require('../../services/course/certificateService');
+
+const formatCertificate = (certificate) => ({
+    id: certificate._id,
+    code: certificate.code,
+    courseId: certificate.courseId,
+    learnerName: certificate.learnerName,
+    courseName: certificate.courseName,
+    universityName: certificate.universityName,
+    completedAt: certificate.completedAt,
+    issuedAt: certificate.createdAt,
+    pdfUrl: certificate.pdf?.url || null,
+    verifyUrl: getVerificationUrl(certificate.code)
+});
+
+/**
+ * Verify a certificate by its code (Public)
+ * GET /api/certificates/verify/:code
+ */
+const verifyCertificateByCode = async (req, res) => {
+    try {
+        const certificate = await verifyCertificate(req.params.code);
+
+        if (!certificate) {
+            return res.status(404).json({
+                success: false,
+                message: 'Certificate not found',
+                data: { valid: false }
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Certificate is valid',
+            data: {
+                valid: true,
+                certificate
+            }
+        });
+    } catch (error) {
+        console.error('Verify certificate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error verifying certificate',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * List the current user's certificates
+ * GET /api/certificates/mine
+ */
+const getMyCertificates = async (req, res) => {
+    try {
+        const certificates = await Certificate.find({ userId: req.userId })
+            .sort({ createdAt: -1 })
+            .lean();
+
+        res.status(200).json({
+            success: true,
+            message: 'Certificates retrieved successfully',
+            data: { certificates: certificates.map(formatCertificate) }
+        });
+    } catch (error) {
+        console.error('Get my certificates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving certificates',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Get (issuing if needed) the current user's certificate for a completed course
+ * GET /api/certificates/course/:courseId
+ *
+ * Also covers courses completed before certificates existed, and retries
+ * PDF generation if it failed at completion time.
+ */
+const getMyCourseCertificate = async (req, res) => {
+    try {
+        const { courseId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(courseId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid course ID'
+            });
+        }
+
+        const enrollment = await CourseEnrollment.findOne({
+            userId: req.userId,
+            courseId,
+            status: 'COMPLETED'
+        }).select('_id').lean();
+
+        if (!enrollment) {
+            return res.status(404).json({
+                success: false,
+                message: 'No completed enrollment found for this course'
+            });
+        }
+
+        const certificate = await issueCertificate(enrollment._id);
+        if (!certificate) {
+            return res.status(404).json({
+                success: false,
+                message: 'Certificate could not be issued for this course'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Certificate retrieved successfully',
+            data: { certificate: formatCertificate(certificate) }
+        });
+    } catch (error) {
+        console.error('Get course certificate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving certificate',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    verifyCertificateByCode,
+    getMyCertificates,
+    getMyCourseCertificate
+};
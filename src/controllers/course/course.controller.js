@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const Course = require('../../models/course/Course');
 const Playlist = require('../../models/course/Playlist');
 const Video = require('../../models/course/Video');
@@ -7,6 +8,23 @@ const UserCourseProgress = require('../../models/progress/UserCourseProgress');
 const TokenTransaction = require('../../models/wallet/TokenTransaction');
 const videoService = require('../../services/video/videoService');
 const { emitNotification } = require('../../services/notification/notificationEmitter');
+const {
+    getMissingPrerequisites,
+    validatePrerequisites
+} = require('../../services/course/learningPathService');
+const { getDripPolicy, getCourseVideoLocks, withLockState } = require('../../services/course/dripService');
+const { approveEnrollmentRecord } = require('../../services/course/enrollmentService');
+const {
+    QUESTION_DIFFICULTIES,
+    validateQuestionGenerationSettings,
+    getQuestionGenerationSettings
+} = require('../../services/ai/questionGenerationService');
+const { getProviderNames: getQuestionProviderNames } = require('../../services/ai/questionProviders');
+const {
+    publishDraftVersion,
+    recordInitialVersion
+} = require('../../services/course/courseVersionService');
+const { findOwnedCourse } = require('../../services/course/courseService');
 
 /**
  * Create a new course
@@ -157,12 +175,18 @@ const getCourseById = async (req, res) => {
             // If enrollment exists and status allows video access
             if (enrollment && ['APPROVED', 'IN_PROGRESS', 'COMPLETED'].includes(enrollment.status)) {
                 // Fetch videos with status READY
-                videos = await Video.find({
-                    courseId: course._id,
-                    status: 'READY'
-                })
-                .select('_id title videoUrl status attachedProductId')
-                .lean();
+                const [readyVideos, locks] = await Promise.all([
+                    Video.find({
+                        courseId: course._id,
+                        status: 'READY'
+                    })
+                    .select('_id title videoUrl status attachedProductId')
+                    .lean(),
+                    getCourseVideoLocks(req.user._id, course)
+                ]);
+
+                // Drip scheduling: locked videos are listed without their URL
+                videos = readyVideos.map(video => withLockState(video, locks.get(video._id.toString())));
             }
         }
 
@@ -414,6 +438,16 @@ const requestEnrollment = async (req, res, next) => {
             });
         }
 
+        // Prerequisite courses must be COMPLETED first
+        const missingPrerequisites = await getMissingPrerequisites(userId, course);
+        if (missingPrerequisites.length > 0) {
+            return res.status(403).json({
+                success: false,
+                message: 'Complete the prerequisite courses before enrolling',
+                data: { missingPrerequisites }
+            });
+        }
+
         // Determine if course is invite-only
         const isInviteOnly = course.isInviteOnly !== undefined ? course.isInviteOnly : course.inviteOnly;
 
@@ -608,60 +642,13 @@ const approveEnrollment = async (req, res) => {
             });
         }
 
-        // Safety rule: Check completion limit
-        if (course.maxCompletions !== null && course.maxCompletions !== undefined) {
-            if (course.completedCount >= course.maxCompletions) {
-                // Update course status to FULL
-                course.status = 'FULL';
-                await course.save();
-
-                return res.status(400).json({
-                    success: false,
-                    message: 'Course enrollment limit reached',
-                    data: {
-                        maxCompletions: course.maxCompletions,
-                        completedCount: course.completedCount,
-                        courseStatus: 'FULL'
-                    }
-                });
-            }
-        }
-
-        // Update enrollment status
-        enrollment.status = 'APPROVED';
-        enrollment.approvedAt = new Date();
-        
-        // Set expiration date if course has completion deadline
-        if (course.completionDeadline) {
-            enrollment.expiresAt = course.completionDeadline;
-        }
-
-        // Pre-save hook will check expiry automatically
-        await enrollment.save();
-
-        // Emit notification to student about enrollment approval
-        try {
-            await emitNotification({
-                recipientType: 'USER',
-                recipientId: enrollment.userId,
-                category: 'COURSE',
-                type: 'COURSE_ENROLLMENT_APPROVED',
-                title: 'Enrollment Approved',
-                message: `Your enrollment request for "${course.name}" has been approved`,
-                channels: ['IN_APP', 'PUSH'],
-                entity: {
-                    type: 'COURSE',
-                    id: courseId
-                },
-                payload: {
-                    courseId: courseId.toString(),
-                    courseName: course.name,
-                    enrollmentId: enrollment._id.toString()
-                }
+        const result = await approveEnrollmentRecord(course, enrollment);
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                message: result.message,
+                data: result.data
             });
-        } catch (notifError) {
-            // Don't break the API if notification fails
-            console.error('Failed to emit enrollment approved notification:', notifError);
         }
 
         res.status(200).json({
@@ -870,6 +857,8 @@ const getCourseAnalytics = async (req, res) => {
 /**
  * Publish a course (DRAFT → LIVE)
  * POST /api/university/courses/:courseId/publish
+ *
+ * Publishing a draft version (versionOf set) applies it to the live course instead.
  */
 const publishCourse = async (req, res) => {
     try {
@@ -903,6 +892,29 @@ const publishCourse = async (req, res) => {
             });
         }
 
+        // A draft version updates its live course instead of going live itself
+        if (course.versionOf) {
+            const result = await publishDraftVersion(course);
+            if (!result.success) {
+                return res.status(400).json({
+                    success: false,
+                    message: result.message
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: `Course updated to version ${result.course.version}`,
+                data: {
+                    courseId: result.course._id.toString(),
+                    status: result.course.status,
+                    publishedAt: result.course.publishedAt,
+                    version: result.course.version,
+                    changes: result.version.changes
+                }
+            });
+        }
+
         // Validate publishing conditions
         // 1. Course must be in DRAFT status
         if (course.status !== 'DRAFT') {
@@ -934,13 +946,21 @@ const publishCourse = async (req, res) => {
         course.publishedAt = new Date();
         await course.save();
 
+        try {
+            await recordInitialVersion(course);
+        } catch (versionError) {
+            // Version history must not block publishing
+            console.error('Failed to record course version:', versionError);
+        }
+
         res.status(200).json({
             success: true,
             message: 'Course is now live',
             data: {
                 courseId: course._id.toString(),
                 status: course.status,
-                publishedAt: course.publishedAt
+                publishedAt: course.publishedAt,
+                version: course.version
             }
         });
     } catch (error) {
@@ -953,6 +973,236 @@ const publishCourse = async (req, res) => {
     }
 };
 
+/**
+ * Set prerequisite courses (University only)
+ * PUT /api/courses/:courseId/prerequisites
+ * Body: { prerequisites: [courseId] } (empty array clears them)
+ */
+const updateCoursePrerequisites = async (req, res) => {
+    try {
+        const { courseId } = req.params;
+        const universityId = req.universityId; // From protectUniversity middleware
+
+        // Verify ownership
+        const { course, status, message } = await findOwnedCourse(courseId, universityId, 'update this course');
+        if (!course) {
+            return res.status(status).json({
+                success: false,
+                message
+            });
+        }
+
+        const result = await validatePrerequisites(course, req.body.prerequisites);
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        course.prerequisites = result.prerequisiteIds;
+        await course.save();
+        await course.populate('prerequisites', 'name thumbnail status');
+
+        res.status(200).json({
+            success: true,
+            message: 'Prerequisites updated successfully',
+            data: { prerequisites: course.prerequisites }
+        });
+    } catch (error) {
+        console.error('Update course prerequisites error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating prerequisites',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Set drip scheduling of course videos (University only)
+ * PUT /api/courses/:courseId/drip-policy
+ * Body: { sequential?: Boolean, scheduled?: Boolean, playlists?: [{ playlistId, unlockAfterDays }] }
+ */
+const updateDripPolicy = async (req, res) => {
+    try {
+        const { courseId } = req.params;
+        const { sequential, scheduled, playlists } = req.body;
+        const universityId = req.universityId; // From protectUniversity middleware
+
+        if ((sequential !== undefined && typeof sequential !== 'boolean') ||
+            (scheduled !== undefined && typeof scheduled !== 'boolean')) {
+            return res.status(400).json({
+                success: false,
+                message: 'sequential and scheduled must be booleans'
+            });
+        }
+
+        if (playlists !== undefined && (!Array.isArray(playlists) || playlists.some(p =>
+            !p || !mongoose.Types.ObjectId.isValid(p.playlistId) || !Number.isInteger(p.unlockAfterDays) || p.unlockAfterDays < 0))) {
+            return res.status(400).json({
+                success: false,
+                message: 'playlists must be an array of { playlistId, unlockAfterDays } with non-negative integer days'
+            });
+        }
+
+        // Verify ownership
+        const { course, status, message } = await findOwnedCourse(courseId, universityId, 'update this course');
+        if (!course) {
+            return res.status(status).json({
+                success: false,
+                message
+            });
+        }
+
+        if (playlists && playlists.length > 0) {
+            const playlistIds = playlists.map(p => String(p.playlistId));
+            const count = await Playlist.countDocuments({ _id: { $in: playlistIds }, courseId: course._id });
+            if (count !== new Set(playlistIds).size) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'One or more playlists do not belong to this course'
+                });
+            }
+
+            await Playlist.bulkWrite(playlists.map(p => ({
+                updateOne: {
+                    filter: { _id: p.playlistId, courseId: course._id },
+                    update: { $set: { unlockAfterDays: p.unlockAfterDays } }
+                }
+            })));
+        }
+
+        if (sequential !== undefined) course.dripPolicy.sequential = sequential;
+        if (scheduled !== undefined) course.dripPolicy.scheduled = scheduled;
+        await course.save();
+
+        const schedule = await Playlist.find({ courseId: course._id })
+            .sort({ order: 1, createdAt: 1 })
+            .select('_id name order unlockAfterDays')
+            .lean();
+
+        res.status(200).json({
+            success: true,
+            message: 'Drip policy updated successfully',
+            data: {
+                dripPolicy: getDripPolicy(course),
+                playlists: schedule
+            }
+        });
+    } catch (error) {
+        console.error('Update drip policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating drip policy',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Get AI question generation settings of a course (University only)
+ * GET /api/courses/:courseId/question-generation
+ */
+const getQuestionGeneration = async (req, res) => {
+    try {
+        const { courseId } = req.params;
+        const universityId = req.universityId; // From protectUniversity middleware
+
+        const course = await Course.findById(courseId).select('universityId questionGeneration');
+        if (!course) {
+            return res.status(404).json({
+                success: false,
+                message: 'Course not found'
+            });
+        }
+
+        // Verify ownership
+        if (course.universityId.toString() !== universityId.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to view this course'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Question generation settings retrieved successfully',
+            data: {
+                questionGeneration: getQuestionGenerationSettings(course),
+                providers: getQuestionProviderNames(),
+                difficulties: QUESTION_DIFFICULTIES
+            }
+        });
+    } catch (error) {
+        console.error('Get question generation settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving question generation settings',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Update AI question generation settings of a course (University only)
+ * PUT /api/courses/:courseId/question-generation
+ * Body: { provider?, questionCount?, difficulty? } (provider null = server default)
+ *
+ * Applies to videos uploaded afterwards and to regenerations.
+ */
+const updateQuestionGeneration = async (req, res) => {
+    try {
+        const { courseId } = req.params;
+        const { provider, questionCount, difficulty } = req.body;
+        const universityId = req.universityId; // From protectUniversity middleware
+
+        const settingsError = validateQuestionGenerationSettings({ provider, questionCount, difficulty });
+        if (settingsError) {
+            return res.status(400).json({
+                success: false,
+                message: settingsError
+            });
+        }
+
+        const course = await Course.findById(courseId);
+        if (!course) {
+            return res.status(404).json({
+                success: false,
+                message: 'Course not found'
+            });
+        }
+
+        // Verify ownership
+        if (course.universityId.toString() !== universityId.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to update this course'
+            });
+        }
+
+        if (provider !== undefined) course.questionGeneration.provider = provider;
+        if (questionCount !== undefined) course.questionGeneration.questionCount = questionCount;
+        if (difficulty !== undefined) course.questionGeneration.difficulty = difficulty;
+        await course.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Question generation settings updated successfully',
+            data: {
+                questionGeneration: getQuestionGenerationSettings(course)
+            }
+        });
+    } catch (error) {
+        console.error('Update question generation settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating question generation settings',
+            error: error.message
+        });
+    }
+};
+
 module.exports = {
     createCourse,
     getCourses,
@@ -965,6 +1215,10 @@ module.exports = {
     approveEnrollment,
     rejectEnrollment,
     getCourseAnalytics,
-    publishCourse
+    publishCourse,
+    updateCoursePrerequisites,
+    updateDripPolicy,
+    getQuestionGeneration,
+    updateQuestionGeneration
 };
 
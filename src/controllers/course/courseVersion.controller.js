@@ -0,0 +1,131 @@
+const Course = require('../../models/course/Course');
+const CourseVersion = require('../../models/course/CourseVersion');
+const {
+    cloneCourse: cloneCourseWithContent,
+    createDraftVersion
+} = require('../../services/course/courseVersionService');
+const { findOwnedCourse } = require('../../services/course/courseService');
+
+/**
+ * Clone a course into a new DRAFT course (University only)
+ * POST /api/courses/:courseId/clone
+ * Body: { name? } (defaults to "<name> (Copy)")
+ */
+const cloneCourse = async (req, res) => {
+    try {
+        const { courseId } = req.params;
+        const { name } = req.body;
+
+        if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+            return res.status(400).json({
+                success: false,
+                message: 'name must be a non-empty string'
+            });
+        }
+
+        const { course, status, message } = await findOwnedCourse(courseId, req.universityId);
+        if (!course) {
+            return res.status(status).json({ success: false, message });
+        }
+
+        const result = await cloneCourseWithContent(course, { name: name ? name.trim() : undefined });
+
+        res.status(201).json({
+            success: true,
+            message: 'Course cloned successfully',
+            data: {
+                course: result.course,
+                copied: result.copied
+            }
+        });
+    } catch (error) {
+        console.error('Clone course error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error cloning course',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Get or create the draft version of a published course (University only)
+ * POST /api/courses/:courseId/draft
+ *
+ * Edit the returned draft course (playlists, videos, questions) and publish it
+ * with POST /api/university/courses/:draftId/publish to update the live course.
+ */
+const createCourseDraft = async (req, res) => {
+    try {
+        const { courseId } = req.params;
+
+        const { course, status, message } = await findOwnedCourse(courseId, req.universityId);
+        if (!course) {
+            return res.status(status).json({ success: false, message });
+        }
+
+        const result = await createDraftVersion(course);
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        res.status(result.created ? 201 : 200).json({
+            success: true,
+            message: result.created ? 'Draft version created successfully' : 'Draft version already exists',
+            data: { draft: result.draft }
+        });
+    } catch (error) {
+        console.error('Create course draft error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error creating draft version',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Published version history and open draft of a course (University only)
+ * GET /api/courses/:courseId/versions
+ */
+const getCourseVersions = async (req, res) => {
+    try {
+        const { courseId } = req.params;
+
+        const { course, status, message } = await findOwnedCourse(courseId, req.universityId);
+        if (!course) {
+            return res.status(status).json({ success: false, message });
+        }
+
+        const [versions, draft] = await Promise.all([
+            CourseVersion.find({ courseId: course._id }).sort({ version: -1 }).lean(),
+            Course.findOne({ versionOf: course._id }).select('_id name version updatedAt').lean()
+        ]);
+
+        res.status(200).json({
+            success: true,
+            message: 'Course versions retrieved successfully',
+            data: {
+                currentVersion: course.version || 1,
+                versions,
+                draft
+            }
+        });
+    } catch (error) {
+        console.error('Get course versions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving course versions',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    cloneCourse,
+    createCourseDraft,
+    getCourseVersions
+};
@@ -0,0 +1,258 @@
+const mongoose = require('mongoose');
+const CourseEnrollment = require('../../models/course/CourseEnrollment');
+const UserCourseProgress = require('../../models/progress/UserCourseProgress');
+const {
+    approveEnrollmentRecord,
+    findRequestedEnrollments
+} = require('../../services/course/enrollmentService');
+const { findOwnedCourse } = require('../../services/course/courseService');
+const { toCsv } = require('../../utils/csv');
+
+const MAX_BULK_ENROLLMENTS = 200;
+const ENROLLMENT_STATUSES = ['REQUESTED', 'APPROVED', 'REJECTED', 'IN_PROGRESS', 'COMPLETED', 'EXPIRED'];
+
+/**
+ * Validate a bulk selection body: { enrollmentIds: [id] } or { all: true }
+ * Returns an error message, or null when valid
+ */
+const validateSelection = ({ enrollmentIds, all }) => {
+    if (all === true) {
+        return null;
+    }
+    if (!Array.isArray(enrollmentIds) || enrollmentIds.length === 0) {
+        return 'Provide enrollmentIds (non-empty array) or all: true';
+    }
+    if (enrollmentIds.length > MAX_BULK_ENROLLMENTS) {
+        return `At most ${MAX_BULK_ENROLLMENTS} enrollments can be processed at once`;
+    }
+    if (enrollmentIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        return 'Invalid enrollment ID in enrollmentIds';
+    }
+    return null;
+};
+
+/**
+ * Summarize per-enrollment results by status
+ */
+const summarize = (results) => results.reduce((counts, result) => {
+    counts[result.status] = (counts[result.status] || 0) + 1;
+    return counts;
+}, { total: results.length });
+
+/**
+ * Bulk approve REQUESTED enrollments (University only)
+ * POST /api/courses/:courseId/enrollments/bulk-approve
+ * Body: { enrollmentIds: [id] } or { all: true } (all REQUESTED, oldest first, up to the bulk limit)
+ *
+ * Each enrollment is approved independently (limit and prerequisite checks as
+ * for single approval); enrollments that are not REQUESTED are reported as SKIPPED.
+ */
+const bulkApproveEnrollments = async (req, res) => {
+    try {
+        const { courseId } = req.params;
+
+        const selectionError = validateSelection(req.body);
+        if (selectionError) {
+            return res.status(400).json({
+                success: false,
+                message: selectionError
+            });
+        }
+
+        const { course, status, message } = await findOwnedCourse(courseId, req.universityId, 'manage enrollments for this course');
+        if (!course) {
+            return res.status(status).json({ success: false, message });
+        }
+
+        const { enrollments, missingIds } = await findRequestedEnrollments(course, req.body, MAX_BULK_ENROLLMENTS);
+
+        const results = missingIds.map(id => ({
+            enrollmentId: id,
+            status: 'SKIPPED',
+            message: 'Enrollment not found or not awaiting approval'
+        }));
+
+        for (const enrollment of enrollments) {
+            try {
+                const result = await approveEnrollmentRecord(course, enrollment);
+                results.push(result.success
+                    ? { enrollmentId: enrollment._id, userId: enrollment.userId, status: 'APPROVED' }
+                    : { enrollmentId: enrollment._id, userId: enrollment.userId, status: 'FAILED', message: result.message });
+            } catch (error) {
+                results.push({ enrollmentId: enrollment._id, userId: enrollment.userId, status: 'FAILED', message: error.message });
+            }
+        }
+
+        const summary = summarize(results);
+
+        res.status(200).json({
+            success: true,
+            message: `Approved ${summary.APPROVED || 0} enrollment(s)`,
+            data: { summary, results }
+        });
+    } catch (error) {
+        console.error('Bulk approve enrollments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error approving enrollments',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Bulk reject REQUESTED enrollments (University only)
+ * POST /api/courses/:courseId/enrollments/bulk-reject
+ * Body: { enrollmentIds: [id] } or { all: true }
+ */
+const bulkRejectEnrollments = async (req, res) => {
+    try {
+        const { courseId } = req.params;
+
+        const selectionError = validateSelection(req.body);
+        if (selectionError) {
+            return res.status(400).json({
+                success: false,
+                message: selectionError
+            });
+        }
+
+        const { course, status, message } = await findOwnedCourse(courseId, req.universityId, 'manage enrollments for this course');
+        if (!course) {
+            return res.status(status).json({ success: false, message });
+        }
+
+        const { enrollments, missingIds } = await findRequestedEnrollments(course, req.body, MAX_BULK_ENROLLMENTS);
+        const targetIds = enrollments.map(e => e._id);
+
+        // Only reject enrollments still REQUESTED (a concurrent approval wins)
+        await CourseEnrollment.updateMany(
+            { _id: { $in: targetIds }, courseId: course._id, status: 'REQUESTED' },
+            { $set: { status: 'REJECTED' } }
+        );
+        const rejected = await CourseEnrollment.find({ _id: { $in: targetIds }, status: 'REJECTED' })
+            .select('_id')
+            .lean();
+        const rejectedIds = new Set(rejected.map(e => e._id.toString()));
+
+        const results = [
+            ...missingIds.map(id => ({
+                enrollmentId: id,
+                status: 'SKIPPED',
+                message: 'Enrollment not found or not awaiting approval'
+            })),
+            ...targetIds.map(id => (rejectedIds.has(id.toString())
+                ? { enrollmentId: id, status: 'REJECTED' }
+                : { enrollmentId: id, status: 'SKIPPED', message: 'Enrollment is no longer awaiting approval' }))
+        ];
+
+        const summary = summarize(results);
+
+        res.status(200).json({
+            success: true,
+            message: `Rejected ${summary.REJECTED || 0} enrollment(s)`,
+            data: { summary, results }
+        });
+    } catch (error) {
+        console.error('Bulk reject enrollments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error rejecting enrollments',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Export the enrollment roster as CSV (University only)
+ * GET /api/courses/:courseId/enrollments/export?status=
+ */
+const exportEnrollmentRoster = async (req, res) => {
+    try {
+        const { courseId } = req.params;
+        const { status: statusFilter } = req.query;
+
+        if (statusFilter && !ENROLLMENT_STATUSES.includes(statusFilter)) {
+            return res.status(400).json({
+                success: false,
+                message: `status must be one of: ${ENROLLMENT_STATUSES.join(', ')}`
+            });
+        }
+
+        const { course, status, message } = await findOwnedCourse(courseId, req.universityId, 'manage enrollments for this course');
+        if (!course) {
+            return res.status(status).json({ success: false, message });
+        }
+
+        const filter = { courseId: course._id };
+        if (statusFilter) {
+            filter.status = statusFilter;
+        }
+
+        const [enrollments, progressList] = await Promise.all([
+            CourseEnrollment.find(filter)
+                .populate('userId', 'profile.name.first profile.name.last profile.name.full profile.email')
+                .sort({ createdAt: 1 })
+                .lean(),
+            UserCourseProgress.find({ courseId: course._id })
+                .select('userId completedVideos completionPercent lastAccessedAt')
+                .lean()
+        ]);
+        const progressMap = new Map(progressList.map(p => [p.userId.toString(), p]));
+
+        const rows = enrollments.map(enrollment => {
+            const user = enrollment.userId || {};
+            const name = user.profile?.name?.full ||
+                [user.profile?.name?.first, user.profile?.name?.last].filter(Boolean).join(' ');
+            const progress = user._id ? progressMap.get(user._id.toString()) : null;
+
+            return [
+                enrollment._id,
+                user._id || '',
+                name,
+                user.profile?.email || '',
+                enrollment.status,
+                enrollment.createdAt,
+                enrollment.approvedAt,
+                enrollment.expiresAt,
+                enrollment.completedAt,
+                progress ? progress.completedVideos : 0,
+                progress ? progress.completionPercent : 0,
+                progress ? progress.lastAccessedAt : null
+            ];
+        });
+
+        const csv = toCsv([
+            'enrollment_id',
+            'user_id',
+            'name',
+            'email',
+            'status',
+            'requested_at',
+            'approved_at',
+            'expires_at',
+            'completed_at',
+            'completed_videos',
+            'completion_percent',
+            'last_accessed_at'
+        ], rows);
+
+        const date = new Date().toISOString().slice(0, 10);
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="roster-${course._id}-${date}.csv"`);
+        res.status(200).send(csv);
+    } catch (error) {
+        console.error('Export enrollment roster error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error exporting enrollment roster',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    bulkApproveEnrollments,
+    bulkRejectEnrollments,
+    exportEnrollmentRoster
+};
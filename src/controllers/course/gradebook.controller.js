@@ -0,0 +1,179 @@
+const Video = require('../../models/course/Video');
+const CourseEnrollment = require('../../models/course/CourseEnrollment');
+const QuestionAttempt = require('../../models/progress/QuestionAttempt');
+const {
+    getCheckpointPolicy,
+    getGradedQuestions,
+    scoreQuestions
+} = require('../../services/video/checkpointService');
+const { findOwnedCourse } = require('../../services/course/courseService');
+
+/**
+ * Set checkpoint quiz gating for a course (University only)
+ * PUT /api/courses/:courseId/checkpoint-policy
+ * Body: { passThreshold: 0-100 | null, maxAttempts: >= 1 | null }
+ */
+const updateCheckpointPolicy = async (req, res) => {
+    try {
+        const { courseId } = req.params;
+        const { passThreshold, maxAttempts } = req.body;
+
+        if (passThreshold !== undefined && passThreshold !== null &&
+            (typeof passThreshold !== 'number' || passThreshold < 0 || passThreshold > 100)) {
+            return res.status(400).json({
+                success: false,
+                message: 'passThreshold must be a number between 0 and 100, or null to disable gating'
+            });
+        }
+
+        if (maxAttempts !== undefined && maxAttempts !== null &&
+            (!Number.isInteger(maxAttempts) || maxAttempts < 1)) {
+            return res.status(400).json({
+                success: false,
+                message: 'maxAttempts must be a positive integer, or null for unlimited attempts'
+            });
+        }
+
+        const { course, status, message } = await findOwnedCourse(courseId, req.universityId);
+        if (!course) {
+            return res.status(status).json({ success: false, message });
+        }
+
+        if (passThreshold !== undefined) course.checkpointPolicy.passThreshold = passThreshold;
+        if (maxAttempts !== undefined) course.checkpointPolicy.maxAttempts = maxAttempts;
+        await course.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Checkpoint policy updated successfully',
+            data: { checkpointPolicy: getCheckpointPolicy(course) }
+        });
+    } catch (error) {
+        console.error('Update checkpoint policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating checkpoint policy',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Per-learner checkpoint scores for a course (University only)
+ * GET /api/courses/:courseId/gradebook?page=&limit=
+ */
+const getCourseGradebook = async (req, res) => {
+    try {
+        const { courseId } = req.params;
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+        const skip = (page - 1) * limit;
+
+        const { course, status, message } = await findOwnedCourse(courseId, req.universityId);
+        if (!course) {
+            return res.status(status).json({ success: false, message });
+        }
+
+        const policy = getCheckpointPolicy(course);
+        const videos = await Video.find({ courseId }).select('_id title').lean();
+        const questions = await getGradedQuestions(videos.map(v => v._id));
+        const questionsByVideo = new Map();
+        for (const question of questions) {
+            const key = question.videoId.toString();
+            if (!questionsByVideo.has(key)) {
+                questionsByVideo.set(key, []);
+            }
+            questionsByVideo.get(key).push(question);
+        }
+        const gradedVideos = videos.filter(v => questionsByVideo.has(v._id.toString()));
+
+        const enrollmentQuery = {
+            courseId,
+            status: { $in: ['APPROVED', 'IN_PROGRESS', 'COMPLETED', 'EXPIRED'] }
+        };
+        const [enrollments, total] = await Promise.all([
+            CourseEnrollment.find(enrollmentQuery)
+                .populate('userId', 'profile.name.full profile.email')
+                .sort({ createdAt: 1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            CourseEnrollment.countDocuments(enrollmentQuery)
+        ]);
+
+        const userIds = enrollments.map(e => e.userId?._id || e.userId);
+        const attempts = await QuestionAttempt.find({ courseId, userId: { $in: userIds } })
+            .select('userId videoId questionId correct attemptCount')
+            .lean();
+
+        // Only count attempts on questions that are still graded
+        const gradedIds = new Set(questions.map(q => q.questionId.toString()));
+        const attemptsByUser = new Map();
+        for (const attempt of attempts) {
+            if (!gradedIds.has(attempt.questionId.toString())) {
+                continue;
+            }
+            const key = attempt.userId.toString();
+            if (!attemptsByUser.has(key)) {
+                attemptsByUser.set(key, []);
+            }
+            attemptsByUser.get(key).push(attempt);
+        }
+
+        const learners = enrollments.map(enrollment => {
+            const user = enrollment.userId;
+            const userAttempts = attemptsByUser.get((user?._id || user).toString()) || [];
+            const correctIds = new Set(userAttempts.filter(a => a.correct).map(a => a.questionId.toString()));
+
+            // Same scoring as the learner's own checkpoint status (checkpointService)
+            const { correctAnswers, scorePercent } = scoreQuestions(questions, correctIds, policy);
+            const videoScores = gradedVideos.map(video => {
+                const videoScore = scoreQuestions(questionsByVideo.get(video._id.toString()), correctIds, policy);
+                return {
+                    videoId: video._id,
+                    title: video.title,
+                    totalQuestions: videoScore.totalQuestions,
+                    correctAnswers: videoScore.correctAnswers,
+                    scorePercent: videoScore.scorePercent,
+                    passed: videoScore.passed
+                };
+            });
+
+            return {
+                userId: user?._id || user,
+                name: user?.profile?.name?.full || null,
+                email: user?.profile?.email || null,
+                enrollmentStatus: enrollment.status,
+                questionsAttempted: userAttempts.length,
+                totalAttempts: userAttempts.reduce((sum, a) => sum + a.attemptCount, 0),
+                correctAnswers,
+                scorePercent,
+                passed: videoScores.every(v => v.passed),
+                videos: videoScores
+            };
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Gradebook retrieved successfully',
+            data: {
+                checkpointPolicy: policy,
+                totalQuestions: questions.length,
+                learners
+            },
+            pagination: { page, limit, total }
+        });
+    } catch (error) {
+        console.error('Get course gradebook error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving gradebook',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    updateCheckpointPolicy,
+    getCourseGradebook
+};
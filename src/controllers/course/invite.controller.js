@@ -2,7 +2,28 @@ const CourseInvite = require('../../models/course/CourseInvite');
 const Course = require('../../models/course/Course');
 const User = require('../../models/authorization/User');
 const UserCourseProgress = require('../../models/progress/UserCourseProgress');
+const mongoose = require('mongoose');
 const crypto = require('crypto');
+const {
+    buildInviteLink,
+    deliverInvite,
+    bulkInviteFromCsv,
+    resendInvite: resendCourseInvite
+} = require('../../services/course/inviteService');
+const { findOwnedCourse } = require('../../services/course/courseService');
+
+const MAX_INVITE_DAYS = 90;
+
+/**
+ * Parse optional expiresInDays (defaults to 7); returns null when invalid
+ */
+const parseExpiresInDays = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return 7;
+    }
+    const days = Number(value);
+    return Number.isInteger(days) && days >= 1 && days <= MAX_INVITE_DAYS ? days : null;
+};
 
 /**
  * Generate invite (university creates invite, returns shareable link/code)
@@ -14,18 +35,11 @@ const generateInvite = async (req, res) => {
         const universityId = req.universityId; // From middleware
 
         // Verify course ownership
-        const course = await Course.findById(courseId);
+        const { course, status, message } = await findOwnedCourse(courseId, universityId, 'create invites for this course');
         if (!course) {
-            return res.status(404).json({
+            return res.status(status).json({
                 success: false,
-                message: 'Course not found'
-            });
-        }
-
-        if (course.universityId.toString() !== universityId.toString()) {
-            return res.status(403).json({
-                success: false,
-                message: 'You do not have permission to create invites for this course'
+                message
             });
         }
 
@@ -45,9 +59,11 @@ const generateInvite = async (req, res) => {
             expiresAt
         });
 
-        // Generate shareable link
-        const shareableLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/invite/${randomToken}`;
-        const inviteCode = randomToken.substring(0, 8).toUpperCase(); // Short code for manual entry
+        // Generate shareable link and short code for manual entry
+        const { shareableLink, inviteCode } = buildInviteLink(randomToken);
+
+        // Email-specific invites are also delivered by email / in-app notification
+        const emailSent = invite.email ? await deliverInvite(course, invite, randomToken) : false;
 
         res.status(201).json({
             success: true,
@@ -60,6 +76,7 @@ const generateInvite = async (req, res) => {
                 },
                 shareableLink,
                 inviteCode,
+                emailSent,
                 token: randomToken // Only return plain token once
             }
         });
@@ -93,6 +110,7 @@ const validateInvite = async (req, res) => {
         const invite = await CourseInvite.findOne({
             token: hashedToken,
             used: false,
+            revoked: { $ne: true },
             expiresAt: { $gt: new Date() }
         }).populate('courseId', 'name description thumbnail');
 
@@ -146,6 +164,7 @@ const acceptInvite = async (req, res) => {
         const invite = await CourseInvite.findOne({
             token: hashedToken,
             used: false,
+            revoked: { $ne: true },
             expiresAt: { $gt: new Date() }
         });
 
@@ -232,6 +251,7 @@ const getMyInvites = async (req, res) => {
         const invites = await CourseInvite.find({
             email: user.profile.email,
             used: false,
+            revoked: { $ne: true },
             expiresAt: { $gt: new Date() }
         })
             .populate('courseId', 'name description thumbnail')
@@ -262,18 +282,11 @@ const getInvitesSent = async (req, res) => {
         const universityId = req.universityId; // From middleware
 
         // Verify course ownership
-        const course = await Course.findById(courseId);
+        const { course, status, message } = await findOwnedCourse(courseId, universityId, 'view invites for this course');
         if (!course) {
-            return res.status(404).json({
-                success: false,
-                message: 'Course not found'
-            });
-        }
-
-        if (course.universityId.toString() !== universityId.toString()) {
-            return res.status(403).json({
+            return res.status(status).json({
                 success: false,
-                message: 'You do not have permission to view invites for this course'
+                message
             });
         }
 
@@ -297,11 +310,199 @@ const getInvitesSent = async (req, res) => {
     }
 };
 
+/**
+ * Bulk invite from a CSV of emails (University only)
+ * POST /api/invites/courses/:courseId/bulk (multipart, field "file"; optional expiresInDays)
+ *
+ * See inviteService.bulkInviteFromCsv for the per-row statuses.
+ */
+const bulkInvite = async (req, res) => {
+    try {
+        const { courseId } = req.params;
+        const universityId = req.universityId; // From middleware
+
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'CSV file is required (field name: file)'
+            });
+        }
+
+        const expiresInDays = parseExpiresInDays(req.body.expiresInDays);
+        if (expiresInDays === null) {
+            return res.status(400).json({
+                success: false,
+                message: `expiresInDays must be an integer between 1 and ${MAX_INVITE_DAYS}`
+            });
+        }
+
+        const { course, status, message } = await findOwnedCourse(courseId, universityId, 'create invites for this course');
+        if (!course) {
+            return res.status(status).json({ success: false, message });
+        }
+
+        const result = await bulkInviteFromCsv(course, req.file.buffer.toString('utf8'), { expiresInDays });
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        console.log('📨 Bulk course invite', {
+            courseId: course._id.toString(),
+            ...result.summary
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Invited ${result.summary.INVITED || 0} of ${result.summary.total} email(s)`,
+            data: {
+                summary: result.summary,
+                results: result.results
+            }
+        });
+    } catch (error) {
+        console.error('Bulk invite error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error importing invites',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Load an invite and verify the requesting university owns its course
+ * Returns { invite, course } or { status, message }
+ */
+const findOwnedInvite = async (inviteId, universityId) => {
+    if (!mongoose.Types.ObjectId.isValid(inviteId)) {
+        return { status: 400, message: 'Invalid invite ID' };
+    }
+
+    const invite = await CourseInvite.findById(inviteId);
+    if (!invite) {
+        return { status: 404, message: 'Invite not found' };
+    }
+
+    const { course, status, message } = await findOwnedCourse(invite.courseId, universityId, 'manage invites for this course');
+    if (!course) {
+        return { status, message };
+    }
+
+    return { invite, course };
+};
+
+/**
+ * Revoke an unused invite (University only)
+ * DELETE /api/invites/:id
+ */
+const revokeInvite = async (req, res) => {
+    try {
+        const { invite, status, message } = await findOwnedInvite(req.params.id, req.universityId);
+        if (!invite) {
+            return res.status(status).json({ success: false, message });
+        }
+
+        if (invite.used) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invite has already been accepted'
+            });
+        }
+
+        if (!invite.revoked) {
+            invite.revoked = true;
+            invite.revokedAt = new Date();
+            await invite.save();
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Invite revoked successfully',
+            data: {
+                invite: {
+                    id: invite._id,
+                    email: invite.email,
+                    revokedAt: invite.revokedAt
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Revoke invite error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error revoking invite',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Resend an invite with a new link and expiry (University only)
+ * POST /api/invites/:id/resend
+ * Body: { expiresInDays? }
+ */
+const resendInvite = async (req, res) => {
+    try {
+        const expiresInDays = parseExpiresInDays(req.body.expiresInDays);
+        if (expiresInDays === null) {
+            return res.status(400).json({
+                success: false,
+                message: `expiresInDays must be an integer between 1 and ${MAX_INVITE_DAYS}`
+            });
+        }
+
+        const { invite, course, status, message } = await findOwnedInvite(req.params.id, req.universityId);
+        if (!invite) {
+            return res.status(status).json({ success: false, message });
+        }
+
+        if (invite.used || invite.revoked) {
+            return res.status(400).json({
+                success: false,
+                message: invite.used ? 'Invite has already been accepted' : 'Invite has been revoked'
+            });
+        }
+
+        const { plainToken, emailSent } = await resendCourseInvite(course, invite, { expiresInDays });
+        const { shareableLink, inviteCode } = buildInviteLink(plainToken);
+
+        res.status(200).json({
+            success: true,
+            message: 'Invite resent successfully',
+            data: {
+                invite: {
+                    id: invite._id,
+                    email: invite.email,
+                    expiresAt: invite.expiresAt,
+                    sendCount: invite.sendCount
+                },
+                shareableLink,
+                inviteCode,
+                emailSent,
+                token: plainToken // Only return plain token once
+            }
+        });
+    } catch (error) {
+        console.error('Resend invite error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error resending invite',
+            error: error.message
+        });
+    }
+};
+
 module.exports = {
     generateInvite,
     validateInvite,
     acceptInvite,
     getMyInvites,
-    getInvitesSent
+    getInvitesSent,
+    bulkInvite,
+    revokeInvite,
+    resendInvite
 };
 
@@ -0,0 +1,313 @@
+const mongoose = require('mongoose');
+const LearningPath = require('../../models/course/LearningPath');
+const {
+    validatePathCourses,
+    getPathProgress
+} = require('../../services/course/learningPathService');
+
+const PATH_STATUSES = ['DRAFT', 'PUBLISHED'];
+
+/**
+ * Load a learning path owned by the requesting university
+ * Returns { path } or { status, message }
+ */
+const findOwnedPath = async (pathId, universityId) => {
+    if (!mongoose.Types.ObjectId.isValid(pathId)) {
+        return { status: 400, message: 'Invalid learning path ID' };
+    }
+
+    const path = await LearningPath.findById(pathId);
+    if (!path) {
+        return { status: 404, message: 'Learning path not found' };
+    }
+
+    if (path.universityId.toString() !== universityId.toString()) {
+        return { status: 403, message: 'You do not have permission to manage this learning path' };
+    }
+
+    return { path };
+};
+
+/**
+ * Create a learning path (University only)
+ * POST /api/learning-paths
+ */
+const createLearningPath = async (req, res) => {
+    try {
+        const { name, description, thumbnail, courseIds, status } = req.body;
+        const universityId = req.universityId; // From protectUniversity middleware
+
+        if (!name || typeof name !== 'string' || !name.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Learning path name is required'
+            });
+        }
+
+        if (status !== undefined && !PATH_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `status must be one of: ${PATH_STATUSES.join(', ')}`
+            });
+        }
+
+        const courses = await validatePathCourses(universityId, courseIds);
+        if (!courses.success) {
+            return res.status(400).json({
+                success: false,
+                message: courses.message
+            });
+        }
+
+        const path = await LearningPath.create({
+            universityId,
+            name: name.trim(),
+            description: description || '',
+            thumbnail: thumbnail || null,
+            courseIds: courses.courseIds,
+            status: status || 'DRAFT'
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Learning path created successfully',
+            data: { learningPath: path }
+        });
+    } catch (error) {
+        console.error('Create learning path error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error creating learning path',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Update a learning path (University only)
+ * PUT /api/learning-paths/:pathId
+ */
+const updateLearningPath = async (req, res) => {
+    try {
+        const { pathId } = req.params;
+        const { name, description, thumbnail, courseIds, status } = req.body;
+
+        const { path, status: errorStatus, message } = await findOwnedPath(pathId, req.universityId);
+        if (!path) {
+            return res.status(errorStatus).json({ success: false, message });
+        }
+
+        if (name !== undefined) {
+            if (typeof name !== 'string' || !name.trim()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Learning path name cannot be empty'
+                });
+            }
+            path.name = name.trim();
+        }
+
+        if (status !== undefined) {
+            if (!PATH_STATUSES.includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `status must be one of: ${PATH_STATUSES.join(', ')}`
+                });
+            }
+            path.status = status;
+        }
+
+        if (courseIds !== undefined) {
+            const courses = await validatePathCourses(req.universityId, courseIds);
+            if (!courses.success) {
+                return res.status(400).json({
+                    success: false,
+                    message: courses.message
+                });
+            }
+            path.courseIds = courses.courseIds;
+        }
+
+        if (description !== undefined) path.description = description || '';
+        if (thumbnail !== undefined) path.thumbnail = thumbnail || null;
+
+        await path.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Learning path updated successfully',
+            data: { learningPath: path }
+        });
+    } catch (error) {
+        console.error('Update learning path error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating learning path',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Delete a learning path (University only)
+ * DELETE /api/learning-paths/:pathId
+ */
+const deleteLearningPath = async (req, res) => {
+    try {
+        const { path, status, message } = await findOwnedPath(req.params.pathId, req.universityId);
+        if (!path) {
+            return res.status(status).json({ success: false, message });
+        }
+
+        await LearningPath.findByIdAndDelete(path._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Learning path deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete learning path error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting learning path',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * List learning paths
+ * GET /api/learning-paths
+ * - UNIVERSITY token: all of its paths (DRAFT and PUBLISHED)
+ * - USER token: PUBLISHED paths only
+ */
+const getLearningPaths = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+        const skip = (page - 1) * limit;
+
+        const query = req.universityId
+            ? { universityId: req.universityId }
+            : { status: 'PUBLISHED' };
+
+        const [paths, total] = await Promise.all([
+            LearningPath.find(query)
+                .populate('courseIds', 'name thumbnail status')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            LearningPath.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            message: 'Learning paths retrieved successfully',
+            data: { learningPaths: paths },
+            pagination: { page, limit, total }
+        });
+    } catch (error) {
+        console.error('Get learning paths error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving learning paths',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Get a single learning path
+ * GET /api/learning-paths/:pathId
+ */
+const getLearningPathById = async (req, res) => {
+    try {
+        const { pathId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(pathId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid learning path ID'
+            });
+        }
+
+        const path = await LearningPath.findById(pathId)
+            .populate('courseIds', 'name description thumbnail status prerequisites')
+            .lean();
+
+        const isOwner = path && req.universityId && path.universityId.toString() === req.universityId.toString();
+        if (!path || (path.status !== 'PUBLISHED' && !isOwner)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Learning path not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Learning path retrieved successfully',
+            data: { learningPath: path }
+        });
+    } catch (error) {
+        console.error('Get learning path error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving learning path',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Current user's progress across a learning path
+ * GET /api/learning-paths/:pathId/progress
+ */
+const getLearningPathProgress = async (req, res) => {
+    try {
+        const { pathId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(pathId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid learning path ID'
+            });
+        }
+
+        const path = await LearningPath.findOne({ _id: pathId, status: 'PUBLISHED' }).lean();
+        if (!path) {
+            return res.status(404).json({
+                success: false,
+                message: 'Learning path not found'
+            });
+        }
+
+        const progress = await getPathProgress(req.userId, path);
+
+        res.status(200).json({
+            success: true,
+            message: 'Learning path progress retrieved successfully',
+            data: {
+                learningPathId: path._id,
+                name: path.name,
+                ...progress
+            }
+        });
+    } catch (error) {
+        console.error('Get learning path progress error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving learning path progress',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    createLearningPath,
+    updateLearningPath,
+    deleteLearningPath,
+    getLearningPaths,
+    getLearningPathById,
+    getLearningPathProgress
+};
@@ -2,15 +2,24 @@ const Playlist = require('../../models/course/Playlist');
 const Video = require('../../models/course/Video');
 const Course = require('../../models/course/Course');
 
+const isValidUnlockAfterDays = (value) => Number.isInteger(value) && value >= 0;
+
 /**
  * Create playlist (course owner only)
  */
 const createPlaylist = async (req, res) => {
     try {
         const { courseId } = req.params;
-        const { name, description, thumbnail, order } = req.body;
+        const { name, description, thumbnail, order, unlockAfterDays } = req.body;
         const universityId = req.universityId; // From middleware
 
+        if (unlockAfterDays !== undefined && !isValidUnlockAfterDays(unlockAfterDays)) {
+            return res.status(400).json({
+                success: false,
+                message: 'unlockAfterDays must be a non-negative integer'
+            });
+        }
+
         // Verify course ownership
         const course = await Course.findById(courseId);
         if (!course) {
@@ -32,7 +41,8 @@ const createPlaylist = async (req, res) => {
             name,
             description: description || '',
             thumbnail: thumbnail || null,
-            order: order || 0
+            order: order || 0,
+            unlockAfterDays: unlockAfterDays || 0
         });
 
         res.status(201).json({
@@ -82,7 +92,7 @@ const getPlaylists = async (req, res) => {
 const updatePlaylist = async (req, res) => {
     try {
         const { id } = req.params;
-        const { name, description, thumbnail, order } = req.body;
+        const { name, description, thumbnail, order, unlockAfterDays } = req.body;
         const universityId = req.universityId; // From middleware
 
         const playlist = await Playlist.findById(id).populate('courseId');
@@ -108,6 +118,15 @@ const updatePlaylist = async (req, res) => {
         if (description !== undefined) playlist.description = description;
         if (thumbnail !== undefined) playlist.thumbnail = thumbnail;
         if (order !== undefined) playlist.order = order;
+        if (unlockAfterDays !== undefined) {
+            if (!isValidUnlockAfterDays(unlockAfterDays)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'unlockAfterDays must be a non-negative integer'
+                });
+            }
+            playlist.unlockAfterDays = unlockAfterDays;
+        }
 
         await playlist.save();
 
@@ -2,11 +2,22 @@ const Cart = require('../../models/marketplace/Cart');
 const Product = require('../../models/marketplace/Product');
 const Inventory = require('../../models/marketplace/Inventory');
 const mongoose = require('mongoose');
+const Coupon = require('../../models/marketplace/Coupon');
+const productService = require('../../services/marketplace/productService');
+const couponService = require('../../services/marketplace/couponService');
+
+// Cart lines are unique per product + variant
+const isSameLine = (item, productId, variantId) =>
+    item.productId.toString() === productId.toString() &&
+    (item.variantId ? item.variantId.toString() : null) === (variantId ? variantId.toString() : null);
+
+const isValidVariantId = (variantId) =>
+    variantId === undefined || variantId === null || mongoose.Types.ObjectId.isValid(variantId);
 
 const addToCart = async (req, res) => {
     try {
         const userId = req.user._id;
-        const { productId, quantity } = req.body;
+        const { productId, variantId, quantity } = req.body;
 
         if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
             return res.status(400).json({
@@ -15,6 +26,13 @@ const addToCart = async (req, res) => {
             });
         }
 
+        if (!isValidVariantId(variantId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid variant ID'
+            });
+        }
+
         if (!quantity || typeof quantity !== 'number' || quantity < 1) {
             return res.status(400).json({
                 success: false,
@@ -37,6 +55,16 @@ const addToCart = async (req, res) => {
             });
         }
 
+        // Products with variants are added as a specific variant at its price
+        const purchasable = productService.resolvePurchasable(product, variantId);
+        if (purchasable.error) {
+            return res.status(400).json({
+                success: false,
+                message: purchasable.error
+            });
+        }
+        const lineVariantId = purchasable.variant ? purchasable.variant._id : null;
+
         // Inventory availability check commented out - simplified flow
         // const inventory = await Inventory.findOne({ productId });
         // const available = inventory ? inventory.available : 0;
@@ -58,7 +86,7 @@ const addToCart = async (req, res) => {
         }
 
         const existingItemIndex = cart.items.findIndex(
-            item => item.productId.toString() === productId.toString()
+            item => isSameLine(item, productId, lineVariantId)
         );
 
         if (existingItemIndex !== -1) {
@@ -75,8 +103,9 @@ const addToCart = async (req, res) => {
             cart.items.push({
                 productId,
                 sellerId: product.sellerId,
+                variantId: lineVariantId,
                 quantity,
-                priceSnapshot: product.price,
+                priceSnapshot: purchasable.price,
                 addedAt: new Date()
             });
         }
@@ -102,7 +131,7 @@ const addToCart = async (req, res) => {
 const updateCartItem = async (req, res) => {
     try {
         const userId = req.user._id;
-        const { productId, quantity } = req.body;
+        const { productId, variantId, quantity } = req.body;
 
         if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
             return res.status(400).json({
@@ -111,6 +140,13 @@ const updateCartItem = async (req, res) => {
             });
         }
 
+        if (!isValidVariantId(variantId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid variant ID'
+            });
+        }
+
         if (!quantity || typeof quantity !== 'number' || quantity < 1) {
             return res.status(400).json({
                 success: false,
@@ -127,7 +163,7 @@ const updateCartItem = async (req, res) => {
         }
 
         const itemIndex = cart.items.findIndex(
-            item => item.productId.toString() === productId.toString()
+            item => isSameLine(item, productId, variantId)
         );
 
         if (itemIndex === -1) {
@@ -137,7 +173,7 @@ const updateCartItem = async (req, res) => {
             });
         }
 
-        const inventory = await Inventory.findOne({ productId });
+        const inventory = await Inventory.findOne({ productId, variantId: variantId || null });
         const available = inventory ? inventory.available : 0;
 
         if (available < quantity) {
@@ -170,6 +206,7 @@ const removeCartItem = async (req, res) => {
     try {
         const userId = req.user._id;
         const { productId } = req.params;
+        const { variantId } = req.query;
 
         if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
             return res.status(400).json({
@@ -178,6 +215,13 @@ const removeCartItem = async (req, res) => {
             });
         }
 
+        if (!isValidVariantId(variantId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid variant ID'
+            });
+        }
+
         const cart = await Cart.findOne({ userId });
         if (!cart) {
             return res.status(404).json({
@@ -187,7 +231,7 @@ const removeCartItem = async (req, res) => {
         }
 
         const itemIndex = cart.items.findIndex(
-            item => item.productId.toString() === productId.toString()
+            item => isSameLine(item, productId, variantId)
         );
 
         if (itemIndex === -1) {
@@ -230,13 +274,24 @@ const getCart = async (req, res) => {
                     items: [],
                     createdAt: new Date(),
                     updatedAt: new Date()
+                },
+                pricing: {
+                    lines: [],
+                    subtotal: 0,
+                    discountTotal: 0,
+                    total: 0,
+                    coupon: null,
+                    couponError: null
                 }
             });
         }
 
+        const pricing = await couponService.priceCart(cart, userId);
+
         return res.status(200).json({
             success: true,
-            cart
+            cart,
+            pricing
         });
     } catch (error) {
         console.error('Get cart error:', error);
@@ -248,10 +303,124 @@ const getCart = async (req, res) => {
     }
 };
 
+/**
+ * Apply a coupon code to the cart
+ * POST /api/marketplace/cart/coupon
+ *
+ * Body: { code }
+ * Replaces any coupon already applied (one coupon per cart).
+ */
+const applyCoupon = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const code = couponService.normalizeCode(req.body.code);
+
+        if (!code) {
+            return res.status(400).json({
+                success: false,
+                message: 'Coupon code is required'
+            });
+        }
+
+        const cart = await Cart.findOne({ userId });
+        if (!cart || cart.items.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cart is empty'
+            });
+        }
+
+        const coupon = await Coupon.findOne({ code }).lean();
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found'
+            });
+        }
+
+        const lines = cart.items.map(item => ({
+            productId: item.productId,
+            sellerId: item.sellerId,
+            lineTotal: Math.round(item.priceSnapshot * item.quantity * 100) / 100
+        }));
+        const evaluation = await couponService.evaluateCoupon(coupon, userId, lines);
+        if (!evaluation.success) {
+            return res.status(400).json({
+                success: false,
+                message: evaluation.message
+            });
+        }
+
+        cart.coupon = {
+            couponId: coupon._id,
+            code: coupon.code,
+            appliedAt: new Date()
+        };
+        await cart.save();
+
+        await cart.populate('items.productId', 'title images price');
+        const pricing = await couponService.priceCart(cart, userId);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Coupon applied',
+            cart,
+            pricing
+        });
+    } catch (error) {
+        console.error('Apply coupon error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to apply coupon',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Remove the coupon from the cart
+ * DELETE /api/marketplace/cart/coupon
+ */
+const removeCoupon = async (req, res) => {
+    try {
+        const userId = req.user._id;
+
+        const cart = await Cart.findOne({ userId });
+        if (!cart || !cart.coupon || !cart.coupon.couponId) {
+            return res.status(404).json({
+                success: false,
+                message: 'No coupon applied'
+            });
+        }
+
+        cart.coupon = { couponId: null, code: null, appliedAt: null };
+        await cart.save();
+
+        await cart.populate('items.productId', 'title images price');
+        const pricing = await couponService.priceCart(cart, userId);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Coupon removed',
+            cart,
+            pricing
+        });
+    } catch (error) {
+        console.error('Remove coupon error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to remove coupon',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
 module.exports = {
     addToCart,
     updateCartItem,
     removeCartItem,
-    getCart
+    getCart,
+    applyCoupon,
+    removeCoupon
 };
 
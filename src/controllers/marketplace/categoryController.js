@@ -0,0 +1,269 @@
+const Category = require('../../models/marketplace/Category');
+const Product = require('../../models/marketplace/Product');
+const mongoose = require('mongoose');
+
+const slugify = (value) => value
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+/**
+ * Nest a flat category list under its parents
+ */
+const buildTree = (categories) => {
+    const nodes = new Map(categories.map(category => [category._id.toString(), { ...category, children: [] }]));
+    const roots = [];
+
+    for (const node of nodes.values()) {
+        const parent = node.parentId ? nodes.get(node.parentId.toString()) : null;
+        if (parent) {
+            parent.children.push(node);
+        } else {
+            roots.push(node);
+        }
+    }
+
+    return roots;
+};
+
+/**
+ * List active categories as a tree
+ * GET /api/marketplace/categories
+ */
+const listCategories = async (req, res) => {
+    try {
+        const categories = await Category.find({ isActive: true })
+            .select('name slug parentId sortOrder')
+            .sort({ sortOrder: 1, name: 1 })
+            .lean();
+
+        return res.status(200).json({
+            success: true,
+            categories: buildTree(categories)
+        });
+    } catch (error) {
+        console.error('List categories error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve categories',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Create a category (admin)
+ * POST /api/marketplace/categories
+ *
+ * Body: { name, slug?, parentId?, sortOrder? }
+ */
+const createCategory = async (req, res) => {
+    try {
+        const { name, parentId, sortOrder } = req.body;
+
+        if (!name || typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+            return res.status(400).json({
+                success: false,
+                message: 'Category name is required and must be 100 characters or less'
+            });
+        }
+
+        const slug = slugify(req.body.slug || name);
+        if (!slug) {
+            return res.status(400).json({
+                success: false,
+                message: 'Category slug must contain letters or numbers'
+            });
+        }
+
+        if (sortOrder !== undefined && !Number.isInteger(sortOrder)) {
+            return res.status(400).json({
+                success: false,
+                message: 'sortOrder must be a whole number'
+            });
+        }
+
+        let ancestors = [];
+        if (parentId) {
+            if (!mongoose.Types.ObjectId.isValid(parentId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid parent category ID'
+                });
+            }
+            const parent = await Category.findById(parentId).select('ancestors').lean();
+            if (!parent) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Parent category not found'
+                });
+            }
+            ancestors = [...parent.ancestors, parent._id];
+        }
+
+        const existing = await Category.exists({ slug });
+        if (existing) {
+            return res.status(409).json({
+                success: false,
+                message: 'A category with this slug already exists'
+            });
+        }
+
+        const category = await Category.create({
+            name: name.trim(),
+            slug,
+            parentId: parentId || null,
+            ancestors,
+            sortOrder: sortOrder || 0
+        });
+
+        return res.status(201).json({
+            success: true,
+            category
+        });
+    } catch (error) {
+        console.error('Create category error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to create category',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Rename, reorder or (de)activate a category (admin)
+ * PATCH /api/marketplace/categories/:id
+ *
+ * Body: { name?, sortOrder?, isActive? }
+ * Categories are not moved between parents: product paths would go stale.
+ */
+const updateCategory = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, sortOrder, isActive } = req.body;
+
+        if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid category ID'
+            });
+        }
+
+        const updates = {};
+
+        if (name !== undefined) {
+            if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Category name must be a non-empty string of 100 characters or less'
+                });
+            }
+            updates.name = name.trim();
+        }
+
+        if (sortOrder !== undefined) {
+            if (!Number.isInteger(sortOrder)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'sortOrder must be a whole number'
+                });
+            }
+            updates.sortOrder = sortOrder;
+        }
+
+        if (isActive !== undefined) {
+            if (typeof isActive !== 'boolean') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'isActive must be a boolean'
+                });
+            }
+            updates.isActive = isActive;
+        }
+
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nothing to update'
+            });
+        }
+
+        const category = await Category.findByIdAndUpdate(id, { $set: updates }, { new: true });
+        if (!category) {
+            return res.status(404).json({
+                success: false,
+                message: 'Category not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            category
+        });
+    } catch (error) {
+        console.error('Update category error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to update category',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Delete an unused leaf category (admin)
+ * DELETE /api/marketplace/categories/:id
+ */
+const deleteCategory = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid category ID'
+            });
+        }
+
+        const [hasChildren, hasProducts] = await Promise.all([
+            Category.exists({ parentId: id }),
+            Product.exists({ categoryPath: id })
+        ]);
+
+        if (hasChildren || hasProducts) {
+            return res.status(409).json({
+                success: false,
+                message: 'Category has subcategories or products. Deactivate it instead.'
+            });
+        }
+
+        const deleted = await Category.findByIdAndDelete(id);
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                message: 'Category not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Category deleted'
+        });
+    } catch (error) {
+        console.error('Delete category error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to delete category',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+module.exports = {
+    listCategories,
+    createCategory,
+    updateCategory,
+    deleteCategory
+};
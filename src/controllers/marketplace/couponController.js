@@ -0,0 +1,393 @@
+const Coupon = require('../../models/marketplace/Coupon');
+const Product = require('../../models/marketplace/Product');
+const couponService = require('../../services/marketplace/couponService');
+const mongoose = require('mongoose');
+
+// Products can be sold by users (approved sellers) or universities
+const getSellerId = (req) => req.user?._id || req.universityId;
+
+const isValidIdList = (ids) => Array.isArray(ids) && ids.every(id => mongoose.Types.ObjectId.isValid(id));
+
+const parseDate = (value) => {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Validate the limit/date fields shared by create and update
+ *
+ * @param {Object} body - Request body
+ * @param {Object} current - Existing coupon values (for cross-field checks on update)
+ * @returns {{error?: String, updates?: Object}}
+ */
+const validateCommonFields = (body, current = {}) => {
+    const updates = {};
+
+    if (body.description !== undefined) {
+        if (body.description !== null && (typeof body.description !== 'string' || body.description.length > 500)) {
+            return { error: 'Description must be 500 characters or less' };
+        }
+        updates.description = body.description ? body.description.trim() : null;
+    }
+
+    if (body.startsAt !== undefined) {
+        const startsAt = parseDate(body.startsAt);
+        if (!startsAt) {
+            return { error: 'startsAt must be a valid date' };
+        }
+        updates.startsAt = startsAt;
+    }
+
+    if (body.expiresAt !== undefined) {
+        const expiresAt = parseDate(body.expiresAt);
+        if (!expiresAt) {
+            return { error: 'expiresAt must be a valid date' };
+        }
+        updates.expiresAt = expiresAt;
+    }
+
+    const startsAt = updates.startsAt || current.startsAt || new Date();
+    const expiresAt = updates.expiresAt || current.expiresAt;
+    if (expiresAt && expiresAt <= startsAt) {
+        return { error: 'expiresAt must be after startsAt' };
+    }
+
+    if (body.minCartValue !== undefined) {
+        if (typeof body.minCartValue !== 'number' || body.minCartValue < 0) {
+            return { error: 'minCartValue must be a non-negative number' };
+        }
+        updates.minCartValue = body.minCartValue;
+    }
+
+    if (body.maxDiscount !== undefined) {
+        if (body.maxDiscount !== null && (typeof body.maxDiscount !== 'number' || body.maxDiscount <= 0)) {
+            return { error: 'maxDiscount must be a positive number or null' };
+        }
+        updates.maxDiscount = body.maxDiscount;
+    }
+
+    if (body.usageLimit !== undefined) {
+        if (body.usageLimit !== null && (!Number.isInteger(body.usageLimit) || body.usageLimit < 1)) {
+            return { error: 'usageLimit must be a positive whole number or null' };
+        }
+        updates.usageLimit = body.usageLimit;
+    }
+
+    if (body.perUserLimit !== undefined) {
+        if (!Number.isInteger(body.perUserLimit) || body.perUserLimit < 1) {
+            return { error: 'perUserLimit must be a positive whole number' };
+        }
+        updates.perUserLimit = body.perUserLimit;
+    }
+
+    if (body.isActive !== undefined) {
+        if (typeof body.isActive !== 'boolean') {
+            return { error: 'isActive must be a boolean' };
+        }
+        updates.isActive = body.isActive;
+    }
+
+    return { updates };
+};
+
+/**
+ * Validate a new coupon
+ *
+ * @returns {{error?: String, data?: Object}}
+ */
+const validateNewCoupon = (body) => {
+    const code = couponService.normalizeCode(body.code);
+    if (!code || !/^[A-Z0-9_-]{3,32}$/.test(code)) {
+        return { error: 'Code must be 3-32 letters, numbers, dashes or underscores' };
+    }
+
+    if (!['PERCENTAGE', 'FLAT'].includes(body.discountType)) {
+        return { error: 'discountType must be one of: PERCENTAGE, FLAT' };
+    }
+
+    if (typeof body.value !== 'number' || body.value <= 0 ||
+        (body.discountType === 'PERCENTAGE' && body.value > 100)) {
+        return {
+            error: body.discountType === 'PERCENTAGE'
+                ? 'value must be a percentage between 0 and 100'
+                : 'value must be a positive amount'
+        };
+    }
+
+    if (body.expiresAt === undefined) {
+        return { error: 'expiresAt is required' };
+    }
+
+    if (body.productIds !== undefined && !isValidIdList(body.productIds)) {
+        return { error: 'productIds must be an array of product IDs' };
+    }
+
+    const { error, updates } = validateCommonFields(body);
+    if (error) {
+        return { error };
+    }
+
+    return {
+        data: {
+            ...updates,
+            code,
+            discountType: body.discountType,
+            value: body.value,
+            productIds: body.productIds || []
+        }
+    };
+};
+
+const respondCreated = async (res, data) => {
+    const existing = await Coupon.exists({ code: data.code });
+    if (existing) {
+        return res.status(409).json({
+            success: false,
+            message: 'A coupon with this code already exists'
+        });
+    }
+
+    try {
+        const coupon = await Coupon.create(data);
+        return res.status(201).json({
+            success: true,
+            coupon
+        });
+    } catch (error) {
+        // Same code created concurrently
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'A coupon with this code already exists'
+            });
+        }
+        throw error;
+    }
+};
+
+const listCoupons = async (req, res, query) => {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const skip = (page - 1) * limit;
+
+    const [coupons, total] = await Promise.all([
+        Coupon.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+        Coupon.countDocuments(query)
+    ]);
+
+    return res.status(200).json({
+        success: true,
+        data: coupons,
+        pagination: {
+            page,
+            limit,
+            total
+        }
+    });
+};
+
+const applyUpdates = async (req, res, query) => {
+    const { id } = req.params;
+    if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid coupon ID'
+        });
+    }
+
+    const coupon = await Coupon.findOne({ _id: id, ...query });
+    if (!coupon) {
+        return res.status(404).json({
+            success: false,
+            message: 'Coupon not found'
+        });
+    }
+
+    const { error, updates } = validateCommonFields(req.body, coupon);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            message: error
+        });
+    }
+
+    if (Object.keys(updates).length === 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Nothing to update'
+        });
+    }
+
+    coupon.set(updates);
+    await coupon.save();
+
+    return res.status(200).json({
+        success: true,
+        coupon
+    });
+};
+
+/**
+ * Create a coupon for the seller's own products
+ * POST /api/marketplace/coupons
+ *
+ * Body: { code, discountType, value, expiresAt, description?, startsAt?, maxDiscount?,
+ *         minCartValue?, usageLimit?, perUserLimit?, productIds? }
+ */
+const createSellerCoupon = async (req, res) => {
+    try {
+        const sellerId = getSellerId(req);
+        const { error, data } = validateNewCoupon(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        if (data.productIds.length > 0) {
+            const owned = await Product.countDocuments({ _id: { $in: data.productIds }, sellerId });
+            if (owned !== new Set(data.productIds.map(String)).size) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Coupons can only be scoped to your own products'
+                });
+            }
+        }
+
+        return await respondCreated(res, {
+            ...data,
+            scope: 'SELLER',
+            sellerId,
+            createdById: sellerId,
+            createdByType: req.universityId ? 'UNIVERSITY' : 'USER'
+        });
+    } catch (error) {
+        console.error('Create seller coupon error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to create coupon',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * List the seller's coupons
+ * GET /api/marketplace/coupons/mine
+ */
+const getMyCoupons = async (req, res) => {
+    try {
+        return await listCoupons(req, res, { scope: 'SELLER', sellerId: getSellerId(req) });
+    } catch (error) {
+        console.error('Get seller coupons error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve coupons',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Update limits, dates or status of a seller coupon
+ * PATCH /api/marketplace/coupons/:id
+ *
+ * Code, discount type and value are fixed once created.
+ */
+const updateSellerCoupon = async (req, res) => {
+    try {
+        return await applyUpdates(req, res, { scope: 'SELLER', sellerId: getSellerId(req) });
+    } catch (error) {
+        console.error('Update seller coupon error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to update coupon',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Create a platform-wide coupon (admin)
+ * POST /api/marketplace/coupons/platform
+ *
+ * Same body as createSellerCoupon, plus optional sellerIds to limit it to some sellers.
+ */
+const createPlatformCoupon = async (req, res) => {
+    try {
+        const { error, data } = validateNewCoupon(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const { sellerIds } = req.body;
+        if (sellerIds !== undefined && !isValidIdList(sellerIds)) {
+            return res.status(400).json({
+                success: false,
+                message: 'sellerIds must be an array of seller IDs'
+            });
+        }
+
+        return await respondCreated(res, {
+            ...data,
+            scope: 'PLATFORM',
+            sellerIds: sellerIds || [],
+            createdById: req.user?._id || null,
+            createdByType: req.isSystem ? 'SYSTEM' : 'ADMIN'
+        });
+    } catch (error) {
+        console.error('Create platform coupon error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to create coupon',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * List platform coupons (admin)
+ * GET /api/marketplace/coupons/platform
+ */
+const getPlatformCoupons = async (req, res) => {
+    try {
+        return await listCoupons(req, res, { scope: 'PLATFORM' });
+    } catch (error) {
+        console.error('Get platform coupons error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve coupons',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Update a platform coupon (admin)
+ * PATCH /api/marketplace/coupons/platform/:id
+ */
+const updatePlatformCoupon = async (req, res) => {
+    try {
+        return await applyUpdates(req, res, { scope: 'PLATFORM' });
+    } catch (error) {
+        console.error('Update platform coupon error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to update coupon',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+module.exports = {
+    createSellerCoupon,
+    getMyCoupons,
+    updateSellerCoupon,
+    createPlatformCoupon,
+    getPlatformCoupons,
+    updatePlatformCoupon
+};
@@ -5,7 +5,7 @@ const mongoose = require('mongoose');
 const createOrUpdateInventory = async (req, res) => {
     try {
         const sellerId = req.user._id;
-        const { productId, available } = req.body;
+        const { productId, variantId, available } = req.body;
 
         if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
             return res.status(400).json({
@@ -43,8 +43,20 @@ const createOrUpdateInventory = async (req, res) => {
             });
         }
 
+        // Products with variants keep one Inventory row per variant
+        if (product.variants.length > 0 || variantId) {
+            if (!variantId || !mongoose.Types.ObjectId.isValid(variantId) || !product.variants.id(variantId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: product.variants.length > 0
+                        ? 'A valid variant ID of this product is required'
+                        : 'This product has no variants'
+                });
+            }
+        }
+
         const inventory = await Inventory.findOneAndUpdate(
-            { productId, sellerId },
+            { productId, sellerId, variantId: variantId || null },
             { available },
             { new: true, upsert: true }
         );
@@ -74,24 +86,24 @@ const getInventoryByProduct = async (req, res) => {
             });
         }
 
-        const inventory = await Inventory.findOne({ productId });
-
-        if (!inventory) {
-            return res.status(200).json({
-                success: true,
-                inventory: {
-                    available: 0,
-                    reserved: 0
-                }
-            });
-        }
+        const rows = await Inventory.find({ productId }).select('variantId available reserved').lean();
+        const inventory = rows.find(row => !row.variantId);
+        const variants = rows
+            .filter(row => row.variantId)
+            .map(row => ({
+                variantId: row.variantId,
+                available: row.available,
+                reserved: row.reserved
+            }));
 
         return res.status(200).json({
             success: true,
             inventory: {
-                available: inventory.available,
-                reserved: inventory.reserved
-            }
+                available: inventory ? inventory.available : 0,
+                reserved: inventory ? inventory.reserved : 0
+            },
+            // Per-variant stock for products with variants
+            variants
         });
     } catch (error) {
         console.error('Get inventory by product error:', error);
@@ -0,0 +1,697 @@
+const Order = require('../../models/marketplace/Order');
+const Cart = require('../../models/marketplace/Cart');
+const Product = require('../../models/marketplace/Product');
+const Address = require('../../models/authorization/Address');
+const Coupon = require('../../models/marketplace/Coupon');
+const orderService = require('../../services/marketplace/orderService');
+const couponService = require('../../services/marketplace/couponService');
+const productService = require('../../services/marketplace/productService');
+const tokenService = require('../../services/wallet/tokenService');
+const { isRedemptionEnabled } = require('../../utils/tokenGuards');
+const mongoose = require('mongoose');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// A checkout that crashed mid-way stops blocking the cart after this long
+const CHECKOUT_CLAIM_TTL_MS = 5 * 60 * 1000;
+
+// Products can be sold by users (approved sellers) or universities
+const getSellerId = (req) => req.user?._id || req.universityId;
+
+/**
+ * Convert the user's cart into an order
+ * POST /api/marketplace/orders/checkout
+ *
+ * Body: { addressId, redeemTokens? }
+ * The cart's coupon (if any) is re-validated and its use counted here.
+ * redeemTokens deducts wallet tokens from the discounted subtotal when TOKEN_REDEMPTION_ENABLED is on.
+ * The cart is claimed while the order is placed; a concurrent checkout of the same cart gets 409.
+ */
+const checkout = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const { addressId, redeemTokens } = req.body;
+
+        if (!addressId || !mongoose.Types.ObjectId.isValid(addressId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Valid address ID is required'
+            });
+        }
+
+        const tokensToRedeem = redeemTokens === undefined || redeemTokens === null ? 0 : redeemTokens;
+        if (!Number.isInteger(tokensToRedeem) || tokensToRedeem < 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'redeemTokens must be a non-negative whole number'
+            });
+        }
+
+        if (tokensToRedeem > 0 && !(await isRedemptionEnabled())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Token redemption is not available'
+            });
+        }
+
+        const address = await Address.findOne({ _id: addressId, userId });
+        if (!address) {
+            return res.status(404).json({
+                success: false,
+                message: 'Address not found'
+            });
+        }
+
+        // Claim the cart so concurrent checkouts can't turn the same items into two orders
+        const claimedAt = new Date();
+        const cart = await Cart.findOneAndUpdate(
+            {
+                userId,
+                'items.0': { $exists: true },
+                $or: [
+                    { checkoutStartedAt: null },
+                    { checkoutStartedAt: { $lt: new Date(claimedAt.getTime() - CHECKOUT_CLAIM_TTL_MS) } }
+                ]
+            },
+            { $set: { checkoutStartedAt: claimedAt } },
+            { new: true }
+        );
+        if (!cart) {
+            const hasItems = await Cart.exists({ userId, 'items.0': { $exists: true } });
+            return res.status(hasItems ? 409 : 400).json({
+                success: false,
+                message: hasItems ? 'Checkout is already in progress for this cart' : 'Cart is empty'
+            });
+        }
+
+        let orderPlaced = false;
+        try {
+            const productIds = cart.items.map(item => item.productId);
+            const products = await Product.find({ _id: { $in: productIds } })
+                .select('title images isActive createdByType price sku variants')
+                .lean();
+            const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+            const items = [];
+            for (const cartItem of cart.items) {
+                const product = productMap.get(cartItem.productId.toString());
+                const purchasable = product && product.isActive
+                    ? productService.resolvePurchasable(product, cartItem.variantId)
+                    : null;
+                if (!purchasable || purchasable.error) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Some products in your cart are no longer available',
+                        productId: cartItem.productId,
+                        variantId: cartItem.variantId || null
+                    });
+                }
+                const { variant } = purchasable;
+
+                items.push({
+                    productId: cartItem.productId,
+                    sellerId: cartItem.sellerId,
+                    sellerType: product.createdByType === 'UNIVERSITY' ? 'UNIVERSITY' : 'USER',
+                    title: product.title,
+                    variantId: variant ? variant._id : null,
+                    variantLabel: productService.getVariantLabel(variant),
+                    sku: (variant && variant.sku) || product.sku || null,
+                    image: product.images && product.images.length > 0 ? product.images[0] : null,
+                    quantity: cartItem.quantity,
+                    unitPrice: cartItem.priceSnapshot,
+                    lineTotal: roundAmount(cartItem.priceSnapshot * cartItem.quantity)
+                });
+            }
+
+            const subtotal = roundAmount(items.reduce((sum, item) => sum + item.lineTotal, 0));
+
+            // Re-validate the cart coupon against the final lines
+            let coupon = null;
+            let discountTotal = 0;
+            if (cart.coupon && cart.coupon.couponId) {
+                coupon = await Coupon.findById(cart.coupon.couponId).lean();
+                const evaluation = await couponService.evaluateCoupon(coupon, userId, items);
+                if (!evaluation.success) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `Coupon ${cart.coupon.code} cannot be applied: ${evaluation.message}`
+                    });
+                }
+                evaluation.lineDiscounts.forEach((discount, index) => {
+                    items[index].discount = discount;
+                });
+                discountTotal = evaluation.discountTotal;
+            }
+
+            const discountedSubtotal = roundAmount(subtotal - discountTotal);
+
+            const redemptionAmount = tokenService.tokensToAmount(tokensToRedeem);
+            if (redemptionAmount > discountedSubtotal) {
+                return res.status(400).json({
+                    success: false,
+                    message: `You can redeem at most ${Math.floor(discountedSubtotal / tokenService.getTokenRate())} token(s) on this order`
+                });
+            }
+
+            const reservation = await orderService.reserveStock(items);
+            if (!reservation.success) {
+                return res.status(409).json({
+                    success: false,
+                    message: `Insufficient stock. Available: ${reservation.available}`,
+                    productId: reservation.productId,
+                    variantId: reservation.variantId
+                });
+            }
+
+            if (coupon) {
+                let claim;
+                try {
+                    claim = await couponService.claimCoupon(coupon, userId);
+                } catch (claimError) {
+                    await orderService.releaseStock(items);
+                    throw claimError;
+                }
+
+                if (!claim.success) {
+                    await orderService.releaseStock(items);
+                    return res.status(409).json({
+                        success: false,
+                        message: claim.message
+                    });
+                }
+            }
+
+            // The order ID is needed for the ledger row before the order exists
+            const orderId = new mongoose.Types.ObjectId();
+
+            let redemptionTransaction = null;
+            if (tokensToRedeem > 0) {
+                let redemption;
+                try {
+                    redemption = await tokenService.redeemForOrder(userId, orderId, tokensToRedeem);
+                } catch (redeemError) {
+                    await orderService.releaseStock(items);
+                    if (coupon) await couponService.releaseCoupon(coupon._id, userId);
+                    throw redeemError;
+                }
+
+                if (!redemption.success) {
+                    await orderService.releaseStock(items);
+                    if (coupon) await couponService.releaseCoupon(coupon._id, userId);
+                    return res.status(400).json({
+                        success: false,
+                        message: redemption.message
+                    });
+                }
+                redemptionTransaction = redemption.transaction;
+            }
+
+            const totalAmount = roundAmount(discountedSubtotal - redemptionAmount);
+
+            let order;
+            try {
+                order = await Order.create({
+                    _id: orderId,
+                    orderNumber: orderService.generateOrderNumber(),
+                    userId,
+                    items,
+                    shippingAddress: {
+                        addressId: address._id,
+                        fullName: address.fullName,
+                        phoneNumber: address.phoneNumber,
+                        addressLine1: address.addressLine1,
+                        addressLine2: address.addressLine2,
+                        city: address.city,
+                        state: address.state,
+                        zipCode: address.zipCode,
+                        country: address.country
+                    },
+                    subtotal,
+                    coupon: coupon
+                        ? {
+                            couponId: coupon._id,
+                            code: coupon.code,
+                            scope: coupon.scope,
+                            discountType: coupon.discountType,
+                            value: coupon.value
+                        }
+                        : undefined,
+                    discountTotal,
+                    tokenRedemption: {
+                        tokens: tokensToRedeem,
+                        amount: redemptionAmount,
+                        transactionId: redemptionTransaction ? redemptionTransaction._id : null
+                    },
+                    totalAmount,
+                    // Nothing left to collect when discounts and tokens cover the whole order
+                    paymentStatus: totalAmount === 0 ? 'PAID' : 'PENDING'
+                });
+            } catch (createError) {
+                // Order was not persisted - give the stock, coupon and tokens back
+                await orderService.releaseStock(items);
+                if (coupon) {
+                    await couponService.releaseCoupon(coupon._id, userId);
+                }
+                if (redemptionTransaction) {
+                    await tokenService.creditWallet(userId, tokensToRedeem);
+                    await redemptionTransaction.deleteOne();
+                }
+                throw createError;
+            }
+
+            // Empty the cart and release the claim in one write
+            await Cart.updateOne(
+                { _id: cart._id },
+                {
+                    $set: {
+                        items: [],
+                        coupon: { couponId: null, code: null, appliedAt: null },
+                        checkoutStartedAt: null
+                    }
+                }
+            );
+            orderPlaced = true;
+
+            await orderService.notifyOrderPlaced(order);
+
+            return res.status(201).json({
+                success: true,
+                order
+            });
+        } finally {
+            if (!orderPlaced) {
+                await Cart.updateOne(
+                    { _id: cart._id, checkoutStartedAt: claimedAt },
+                    { $set: { checkoutStartedAt: null } }
+                );
+            }
+        }
+    } catch (error) {
+        console.error('Checkout error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to place order',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * List the authenticated buyer's orders
+ * GET /api/marketplace/orders
+ */
+const getMyOrders = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+        const skip = (page - 1) * limit;
+
+        const query = { userId };
+        if (req.query.status) {
+            query.status = req.query.status;
+        }
+
+        const [orders, total] = await Promise.all([
+            Order.find(query)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            Order.countDocuments(query)
+        ]);
+
+        return res.status(200).json({
+            success: true,
+            data: orders,
+            pagination: { page, limit, total }
+        });
+    } catch (error) {
+        console.error('Get my orders error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve orders',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Get one of the authenticated buyer's orders
+ * GET /api/marketplace/orders/:id
+ */
+const getMyOrderById = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const { id } = req.params;
+
+        if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid order ID'
+            });
+        }
+
+        const order = await Order.findOne({ _id: id, userId })
+            .populate('items.productId', 'title images price isActive');
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            order
+        });
+    } catch (error) {
+        console.error('Get order by ID error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve order',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Cancel one of the authenticated buyer's orders (only before anything has shipped)
+ * POST /api/marketplace/orders/:id/cancel
+ */
+const cancelMyOrder = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const { id } = req.params;
+        const { reason } = req.body;
+
+        if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid order ID'
+            });
+        }
+
+        const order = await Order.findOne({ _id: id, userId });
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const cancellable = order.items.filter(item => orderService.canTransition(item.status, 'CANCELLED'));
+        const alreadyShipped = order.items.some(item => ['SHIPPED', 'DELIVERED', 'RETURNED'].includes(item.status));
+
+        if (alreadyShipped || cancellable.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot cancel order with status: ${order.status}`
+            });
+        }
+
+        const cancellationReason = typeof reason === 'string' ? reason.trim().slice(0, 500) : null;
+
+        // Each item transition is conditional, so concurrent cancels release stock only once
+        const cancelled = [];
+        for (const item of cancellable) {
+            const applied = await orderService.transitionItem(order._id, item, 'CANCELLED', { reason: cancellationReason });
+            if (applied) {
+                cancelled.push(item);
+            }
+        }
+
+        const updatedOrder = await orderService.refreshOrderStatus(order._id);
+
+        if (cancelled.length > 0) {
+            await orderService.compensateItems(updatedOrder, cancelled, cancellationReason || 'Cancelled by buyer');
+        }
+        if (updatedOrder.status === 'CANCELLED' && cancellationReason) {
+            updatedOrder.cancellationReason = cancellationReason;
+            await updatedOrder.save();
+        }
+
+        // Nothing transitioned means a concurrent cancel already won and notified
+        if (cancelled.length > 0) {
+            await orderService.notifyOrderCancelled(updatedOrder, cancelled);
+        }
+
+        return res.status(200).json({
+            success: true,
+            order: updatedOrder
+        });
+    } catch (error) {
+        console.error('Cancel order error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to cancel order',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Strip an order down to the line items that belong to one seller
+ */
+const toSellerView = (order, sellerId) => {
+    const sellerIdStr = sellerId.toString();
+    const items = order.items.filter(item => item.sellerId.toString() === sellerIdStr);
+
+    return {
+        _id: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        sellerStatus: orderService.deriveOrderStatus(items),
+        buyer: order.userId,
+        shippingAddress: order.shippingAddress,
+        items,
+        sellerSubtotal: roundAmount(items.reduce((sum, item) => sum + item.lineTotal, 0)),
+        sellerDiscount: roundAmount(items.reduce((sum, item) => sum + (item.discount || 0), 0)),
+        couponCode: order.coupon ? order.coupon.code : null,
+        placedAt: order.placedAt,
+        cancelledAt: order.cancelledAt,
+        createdAt: order.createdAt,
+        updatedAt: order.updatedAt
+    };
+};
+
+/**
+ * List orders containing the seller's products
+ * GET /api/marketplace/orders/seller
+ */
+const getSellerOrders = async (req, res) => {
+    try {
+        const sellerId = getSellerId(req);
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+        const skip = (page - 1) * limit;
+
+        // Status filter applies to the seller's own line items, not the whole order
+        const query = req.query.status
+            ? { items: { $elemMatch: { sellerId, status: req.query.status } } }
+            : { 'items.sellerId': sellerId };
+
+        const [orders, total] = await Promise.all([
+            Order.find(query)
+                .populate('userId', 'profile.name.full profile.profileImage')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            Order.countDocuments(query)
+        ]);
+
+        return res.status(200).json({
+            success: true,
+            data: orders.map(order => toSellerView(order, sellerId)),
+            pagination: { page, limit, total }
+        });
+    } catch (error) {
+        console.error('Get seller orders error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve seller orders',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Get a single order as seen by the seller (own line items only)
+ * GET /api/marketplace/orders/seller/:id
+ */
+const getSellerOrderById = async (req, res) => {
+    try {
+        const sellerId = getSellerId(req);
+        const { id } = req.params;
+
+        if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid order ID'
+            });
+        }
+
+        const order = await Order.findOne({ _id: id, 'items.sellerId': sellerId })
+            .populate('userId', 'profile.name.full profile.profileImage')
+            .lean();
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            order: toSellerView(order, sellerId)
+        });
+    } catch (error) {
+        console.error('Get seller order by ID error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve order',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Move the seller's line items in an order to the next fulfilment status
+ * PATCH /api/marketplace/orders/seller/:id/status
+ *
+ * Body: { status, itemIds?, carrier?, trackingNumber?, reason? }
+ * When itemIds is omitted, every line item of this seller in the order is updated.
+ */
+const updateSellerOrderStatus = async (req, res) => {
+    try {
+        const sellerId = getSellerId(req);
+        const { id } = req.params;
+        const { status, itemIds, carrier, trackingNumber, reason } = req.body;
+
+        if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid order ID'
+            });
+        }
+
+        if (!status || !Object.keys(orderService.ITEM_TRANSITIONS).includes(status) || status === 'PLACED') {
+            return res.status(400).json({
+                success: false,
+                message: 'Status must be one of: CONFIRMED, SHIPPED, DELIVERED, CANCELLED, RETURNED'
+            });
+        }
+
+        if (status === 'SHIPPED') {
+            if (!carrier || typeof carrier !== 'string' || !carrier.trim() ||
+                !trackingNumber || typeof trackingNumber !== 'string' || !trackingNumber.trim()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Carrier and tracking number are required to ship an item'
+                });
+            }
+        }
+
+        if (itemIds !== undefined &&
+            (!Array.isArray(itemIds) || itemIds.length === 0 || !itemIds.every(itemId => mongoose.Types.ObjectId.isValid(itemId)))) {
+            return res.status(400).json({
+                success: false,
+                message: 'itemIds must be a non-empty array of valid item IDs'
+            });
+        }
+
+        const order = await Order.findOne({ _id: id, 'items.sellerId': sellerId });
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        // A seller can only ever touch line items for their own products
+        const sellerItems = order.items.filter(item => item.sellerId.toString() === sellerId.toString());
+        let targetItems = sellerItems;
+
+        if (itemIds) {
+            const requested = new Set(itemIds.map(itemId => itemId.toString()));
+            targetItems = sellerItems.filter(item => requested.has(item._id.toString()));
+
+            if (targetItems.length !== requested.size) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'One or more items were not found in your part of this order'
+                });
+            }
+        }
+
+        const invalidItem = targetItems.find(item => !orderService.canTransition(item.status, status));
+        if (invalidItem) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot move item from ${invalidItem.status} to ${status}`,
+                itemId: invalidItem._id
+            });
+        }
+
+        const details = {
+            carrier: carrier ? carrier.trim() : undefined,
+            trackingNumber: trackingNumber ? trackingNumber.trim() : undefined,
+            reason: typeof reason === 'string' ? reason.trim().slice(0, 500) : undefined
+        };
+
+        const transitioned = [];
+        for (const item of targetItems) {
+            const applied = await orderService.transitionItem(order._id, item, status, details);
+            if (applied) {
+                transitioned.push(item);
+            }
+        }
+
+        if (transitioned.length === 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Order was updated by another request. Please refresh and try again.'
+            });
+        }
+
+        const updatedOrder = await orderService.refreshOrderStatus(order._id);
+
+        // Money and tokens paid for cancelled or returned items go back to the buyer
+        if (status === 'CANCELLED' || status === 'RETURNED') {
+            await orderService.compensateItems(
+                updatedOrder,
+                transitioned,
+                details.reason || (status === 'CANCELLED' ? 'Cancelled by seller' : 'Item returned')
+            );
+        }
+
+        await orderService.notifyFulfilmentUpdate(updatedOrder, transitioned, status, details);
+
+        await updatedOrder.populate('userId', 'profile.name.full profile.profileImage');
+
+        return res.status(200).json({
+            success: true,
+            order: toSellerView(updatedOrder, sellerId)
+        });
+    } catch (error) {
+        console.error('Update seller order status error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to update order status',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+module.exports = {
+    checkout,
+    getMyOrders,
+    getMyOrderById,
+    cancelMyOrder,
+    getSellerOrders,
+    getSellerOrderById,
+    updateSellerOrderStatus
+};
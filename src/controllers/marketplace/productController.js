@@ -1,30 +1,110 @@
 const Product = require('../../models/marketplace/Product');
 const mongoose = require('mongoose');
+const { SORT_OPTIONS, searchProducts } = require('../../services/marketplace/productSearchService');
+const productService = require('../../services/marketplace/productService');
+
+const MAX_SEARCH_QUERY_LENGTH = 100;
+const MAX_VARIANTS = 50;
+
+/**
+ * Who is selling: approved users and universities can both list products
+ *
+ * @returns {{sellerId, createdById, createdByType}|null}
+ */
+const getSellerContext = (req) => {
+    if (req.user && req.user._id) {
+        // sellerId kept equal to createdById for backward compatibility
+        return { sellerId: req.user._id, createdById: req.user._id, createdByType: 'USER' };
+    }
+    if (req.universityId) {
+        return { sellerId: req.universityId, createdById: req.universityId, createdByType: 'UNIVERSITY' };
+    }
+    return null;
+};
+
+/**
+ * Validate the optional sku field
+ *
+ * @returns {String|null} Error message
+ */
+const validateSku = (sku) => {
+    if (sku === undefined || sku === null) {
+        return null;
+    }
+    if (typeof sku !== 'string' || !sku.trim() || sku.trim().length > 64) {
+        return 'SKU must be a non-empty string of 64 characters or less';
+    }
+    return null;
+};
+
+/**
+ * Validate a variants array from the request body
+ *
+ * @returns {{error?: String, variants?: Array}}
+ */
+const validateVariants = (variants) => {
+    if (!Array.isArray(variants)) {
+        return { error: 'Variants must be an array' };
+    }
+    if (variants.length > MAX_VARIANTS) {
+        return { error: `A product can have at most ${MAX_VARIANTS} variants` };
+    }
+
+    const normalized = [];
+    for (const input of variants) {
+        const { error, variant } = productService.normalizeVariant(input);
+        if (error) {
+            return { error };
+        }
+        normalized.push(variant);
+    }
+
+    const duplicate = productService.findDuplicateVariant(normalized);
+    if (duplicate) {
+        return { error: duplicate };
+    }
+
+    return { variants: normalized };
+};
+
+/**
+ * Load a product owned by the requesting seller
+ *
+ * @returns {Promise<{status?: Number, message?: String, product?: Object}>}
+ */
+const findOwnProduct = async (req, id) => {
+    const seller = getSellerContext(req);
+    if (!seller) {
+        return { status: 401, message: 'Authentication required' };
+    }
+
+    if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+        return { status: 400, message: 'Invalid product ID' };
+    }
+
+    const product = await Product.findById(id);
+    if (!product) {
+        return { status: 404, message: 'Product not found' };
+    }
+
+    if (product.sellerId.toString() !== seller.sellerId.toString()) {
+        return { status: 403, message: 'You can only manage your own products' };
+    }
+
+    return { product };
+};
 
 const createProduct = async (req, res) => {
     try {
-        // STEP 2: Detect creator type
-        let createdById, createdByType, sellerId;
-
-        if (req.user && req.user._id) {
-            // Creator is USER
-            createdById = req.user._id;
-            createdByType = 'USER';
-            sellerId = req.user._id; // Keep sellerId for backward compatibility
-        } else if (req.universityId) {
-            // Creator is UNIVERSITY
-            createdById = req.universityId;
-            createdByType = 'UNIVERSITY';
-            sellerId = req.universityId; // Use universityId as sellerId
-        } else {
-            // No valid authentication
+        const seller = getSellerContext(req);
+        if (!seller) {
             return res.status(401).json({
                 success: false,
                 message: 'Authentication required'
             });
         }
 
-        const { title, description, price, images } = req.body;
+        const { title, description, price, images, sku, categoryId, variants } = req.body;
 
         if (!title || !title.trim()) {
             return res.status(400).json({
@@ -40,14 +120,27 @@ const createProduct = async (req, res) => {
             });
         }
 
-        if (price === undefined || price === null) {
+        let normalizedVariants = [];
+        if (variants !== undefined) {
+            const result = validateVariants(variants);
+            if (result.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: result.error
+                });
+            }
+            normalizedVariants = result.variants;
+        }
+
+        // Products with variants are priced per variant
+        if ((price === undefined || price === null) && normalizedVariants.length === 0) {
             return res.status(400).json({
                 success: false,
                 message: 'Product price is required'
             });
         }
 
-        if (typeof price !== 'number' || price < 0) {
+        if (price !== undefined && price !== null && (typeof price !== 'number' || price < 0)) {
             return res.status(400).json({
                 success: false,
                 message: 'Product price must be a non-negative number'
@@ -61,15 +154,53 @@ const createProduct = async (req, res) => {
             });
         }
 
-        const product = await Product.create({
-            sellerId,
+        const skuError = validateSku(sku);
+        if (skuError) {
+            return res.status(400).json({
+                success: false,
+                message: skuError
+            });
+        }
+
+        let category = null;
+        if (categoryId) {
+            if (!mongoose.Types.ObjectId.isValid(categoryId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid category ID'
+                });
+            }
+            category = await productService.resolveCategory(categoryId);
+            if (!category) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Category not found'
+                });
+            }
+        }
+
+        if (sku && await Product.exists({ sellerId: seller.sellerId, sku: sku.trim() })) {
+            return res.status(409).json({
+                success: false,
+                message: 'You already have a product with this SKU'
+            });
+        }
+
+        const product = new Product({
+            sellerId: seller.sellerId,
             title: title.trim(),
             description: description ? description.trim() : undefined,
-            price,
+            price: price !== undefined && price !== null ? price : 0,
+            sku: sku ? sku.trim() : null,
+            categoryId: category ? category.categoryId : null,
+            categoryPath: category ? category.categoryPath : [],
+            variants: normalizedVariants,
             images: images && Array.isArray(images) ? images : [],
-            createdById,
-            createdByType
+            createdById: seller.createdById,
+            createdByType: seller.createdByType
         });
+        product.price = productService.getDisplayPrice(product);
+        await product.save();
 
         return res.status(201).json({
             success: true,
@@ -85,24 +216,103 @@ const createProduct = async (req, res) => {
     }
 };
 
+/**
+ * List / search active products
+ * GET /api/marketplace/products
+ *
+ * Query: q, minPrice, maxPrice, minRating, sellerId, categoryId,
+ *        sort (relevance | price_asc | price_desc | rating | newest), page, limit
+ */
 const listProducts = async (req, res) => {
     try {
-        const page = parseInt(req.query.page) || 1;
-        const limit = Math.min(parseInt(req.query.limit) || 10, 50);
-        const skip = (page - 1) * limit;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+        const { q, minPrice, maxPrice, minRating, sellerId, categoryId } = req.query;
+
+        const filters = {};
+
+        if (q !== undefined) {
+            if (typeof q !== 'string' || q.trim().length > MAX_SEARCH_QUERY_LENGTH) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Search query must be ${MAX_SEARCH_QUERY_LENGTH} characters or less`
+                });
+            }
+            if (q.trim()) {
+                filters.q = q.trim();
+            }
+        }
 
-        const products = await Product.find({ isActive: true })
-            .populate('sellerId', 'profile.name.full profile.profileImage')
-            .sort({ createdAt: -1 })
-            .skip(skip)
-            .limit(limit);
+        for (const [key, value] of [['minPrice', minPrice], ['maxPrice', maxPrice]]) {
+            if (value === undefined) continue;
+            const parsed = Number(value);
+            if (value === '' || !Number.isFinite(parsed) || parsed < 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${key} must be a non-negative number`
+                });
+            }
+            filters[key] = parsed;
+        }
+
+        if (filters.minPrice !== undefined && filters.maxPrice !== undefined &&
+            filters.minPrice > filters.maxPrice) {
+            return res.status(400).json({
+                success: false,
+                message: 'minPrice cannot be greater than maxPrice'
+            });
+        }
+
+        if (minRating !== undefined) {
+            const parsed = Number(minRating);
+            if (minRating === '' || !Number.isFinite(parsed) || parsed < 0 || parsed > 5) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'minRating must be a number between 0 and 5'
+                });
+            }
+            filters.minRating = parsed;
+        }
+
+        if (sellerId !== undefined) {
+            if (!mongoose.Types.ObjectId.isValid(sellerId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid seller ID'
+                });
+            }
+            filters.sellerId = new mongoose.Types.ObjectId(sellerId);
+        }
+
+        if (categoryId !== undefined) {
+            if (!mongoose.Types.ObjectId.isValid(categoryId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid category ID'
+                });
+            }
+            filters.categoryId = new mongoose.Types.ObjectId(categoryId);
+        }
+
+        const sort = req.query.sort || (filters.q ? 'relevance' : 'newest');
+        if (!SORT_OPTIONS[sort]) {
+            return res.status(400).json({
+                success: false,
+                message: `Sort must be one of: ${Object.keys(SORT_OPTIONS).join(', ')}`
+            });
+        }
+
+        const { products, total, facets, sort: appliedSort } = await searchProducts(filters, { sort, page, limit });
 
         return res.status(200).json({
             success: true,
             data: products,
+            facets,
+            sort: appliedSort,
             pagination: {
                 page,
-                limit
+                limit,
+                total
             }
         });
     } catch (error) {
@@ -150,9 +360,445 @@ const getProductById = async (req, res) => {
     }
 };
 
+/**
+ * List the seller's own products, including archived ones
+ * GET /api/marketplace/products/seller/mine
+ *
+ * Query: status (active | archived), page, limit
+ */
+const getMyProducts = async (req, res) => {
+    try {
+        const seller = getSellerContext(req);
+        if (!seller) {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required'
+            });
+        }
+
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+        const skip = (page - 1) * limit;
+
+        const query = { sellerId: seller.sellerId };
+        if (req.query.status === 'active') {
+            query.isActive = true;
+        } else if (req.query.status === 'archived') {
+            query.isActive = false;
+        } else if (req.query.status !== undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'Status must be one of: active, archived'
+            });
+        }
+
+        const [products, total] = await Promise.all([
+            Product.find(query)
+                .populate('categoryId', 'name slug')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            Product.countDocuments(query)
+        ]);
+
+        return res.status(200).json({
+            success: true,
+            data: products,
+            pagination: {
+                page,
+                limit,
+                total
+            }
+        });
+    } catch (error) {
+        console.error('Get my products error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve products',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Edit a product
+ * PATCH /api/marketplace/products/:id
+ *
+ * Body: { title?, description?, price?, images?, sku?, categoryId? }
+ * price can only be set on products without variants; use the variant routes otherwise.
+ */
+const updateProduct = async (req, res) => {
+    try {
+        const { product, status, message } = await findOwnProduct(req, req.params.id);
+        if (!product) {
+            return res.status(status).json({
+                success: false,
+                message
+            });
+        }
+
+        const { title, description, price, images, sku, categoryId } = req.body;
+
+        if (title !== undefined) {
+            if (typeof title !== 'string' || !title.trim() || title.trim().length > 200) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Product title must be a non-empty string of 200 characters or less'
+                });
+            }
+            product.title = title.trim();
+        }
+
+        if (description !== undefined) {
+            if (description !== null && (typeof description !== 'string' || description.length > 5000)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Product description must be 5000 characters or less'
+                });
+            }
+            product.description = description ? description.trim() : undefined;
+        }
+
+        if (price !== undefined) {
+            if (productService.hasActiveVariants(product)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'This product is priced per variant. Update the variant prices instead.'
+                });
+            }
+            if (typeof price !== 'number' || price < 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Product price must be a non-negative number'
+                });
+            }
+            product.price = price;
+        }
+
+        if (images !== undefined) {
+            if (!Array.isArray(images) || images.some(image => typeof image !== 'string')) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Images must be an array of URLs'
+                });
+            }
+            product.images = images;
+        }
+
+        if (sku !== undefined) {
+            const skuError = validateSku(sku);
+            if (skuError) {
+                return res.status(400).json({
+                    success: false,
+                    message: skuError
+                });
+            }
+            const nextSku = sku ? sku.trim() : null;
+            if (nextSku && nextSku !== product.sku &&
+                await Product.exists({ sellerId: product.sellerId, sku: nextSku })) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'You already have a product with this SKU'
+                });
+            }
+            product.sku = nextSku;
+        }
+
+        if (categoryId !== undefined) {
+            if (categoryId === null) {
+                product.categoryId = null;
+                product.categoryPath = [];
+            } else {
+                if (!mongoose.Types.ObjectId.isValid(categoryId)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Invalid category ID'
+                    });
+                }
+                const category = await productService.resolveCategory(categoryId);
+                if (!category) {
+                    return res.status(404).json({
+                        success: false,
+                        message: 'Category not found'
+                    });
+                }
+                product.categoryId = category.categoryId;
+                product.categoryPath = category.categoryPath;
+            }
+        }
+
+        await product.save();
+
+        return res.status(200).json({
+            success: true,
+            product
+        });
+    } catch (error) {
+        console.error('Update product error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to update product',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Archive (hide from buyers) or restore a product
+ * POST /api/marketplace/products/:id/archive
+ * POST /api/marketplace/products/:id/restore
+ */
+const setArchived = (archived) => async (req, res) => {
+    try {
+        const { product, status, message } = await findOwnProduct(req, req.params.id);
+        if (!product) {
+            return res.status(status).json({
+                success: false,
+                message
+            });
+        }
+
+        // Conditional update so concurrent archive/restore calls can't both succeed
+        const updated = await Product.findOneAndUpdate(
+            { _id: product._id, isActive: archived },
+            { $set: { isActive: !archived, archivedAt: archived ? new Date() : null } },
+            { new: true }
+        );
+
+        if (!updated) {
+            return res.status(409).json({
+                success: false,
+                message: archived ? 'Product is already archived' : 'Product is not archived'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: archived ? 'Product archived' : 'Product restored',
+            product: updated
+        });
+    } catch (error) {
+        console.error(`${archived ? 'Archive' : 'Restore'} product error:`, error);
+        return res.status(500).json({
+            success: false,
+            message: archived ? 'Failed to archive product' : 'Failed to restore product',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+const archiveProduct = setArchived(true);
+const restoreProduct = setArchived(false);
+
+/**
+ * Add a variant
+ * POST /api/marketplace/products/:id/variants
+ *
+ * Body: { size?, color?, price, sku?, stock? }
+ */
+const addVariant = async (req, res) => {
+    try {
+        const { product, status, message } = await findOwnProduct(req, req.params.id);
+        if (!product) {
+            return res.status(status).json({
+                success: false,
+                message
+            });
+        }
+
+        if (product.variants.length >= MAX_VARIANTS) {
+            return res.status(400).json({
+                success: false,
+                message: `A product can have at most ${MAX_VARIANTS} variants`
+            });
+        }
+
+        const { error, variant } = productService.normalizeVariant(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const { stock } = req.body;
+        if (stock !== undefined && (!Number.isInteger(stock) || stock < 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Stock must be a non-negative whole number'
+            });
+        }
+
+        const duplicate = productService.findDuplicateVariant([...product.variants, variant]);
+        if (duplicate) {
+            return res.status(409).json({
+                success: false,
+                message: duplicate
+            });
+        }
+
+        product.variants.push(variant);
+        product.price = productService.getDisplayPrice(product);
+        await product.save();
+
+        const added = product.variants[product.variants.length - 1];
+        if (stock !== undefined) {
+            await productService.setStock(product, added._id, stock);
+        }
+
+        return res.status(201).json({
+            success: true,
+            variant: added,
+            product
+        });
+    } catch (error) {
+        console.error('Add variant error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to add variant',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Edit or (de)activate a variant
+ * PATCH /api/marketplace/products/:id/variants/:variantId
+ *
+ * Body: { size?, color?, price?, sku?, isActive? }
+ */
+const updateVariant = async (req, res) => {
+    try {
+        const { product, status, message } = await findOwnProduct(req, req.params.id);
+        if (!product) {
+            return res.status(status).json({
+                success: false,
+                message
+            });
+        }
+
+        const { variantId } = req.params;
+        const variant = mongoose.Types.ObjectId.isValid(variantId) ? product.variants.id(variantId) : null;
+        if (!variant) {
+            return res.status(404).json({
+                success: false,
+                message: 'Variant not found'
+            });
+        }
+
+        const { isActive } = req.body;
+        if (isActive !== undefined && typeof isActive !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'isActive must be a boolean'
+            });
+        }
+
+        // Validate the merged variant so partial updates keep it consistent
+        const { error, variant: merged } = productService.normalizeVariant({
+            sku: req.body.sku !== undefined ? req.body.sku : variant.sku,
+            size: req.body.size !== undefined ? req.body.size : variant.attributes.size,
+            color: req.body.color !== undefined ? req.body.color : variant.attributes.color,
+            price: req.body.price !== undefined ? req.body.price : variant.price,
+            isActive: isActive !== undefined ? isActive : variant.isActive
+        });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const others = product.variants.filter(v => v._id.toString() !== variant._id.toString());
+        const duplicate = productService.findDuplicateVariant([...others, merged]);
+        if (duplicate) {
+            return res.status(409).json({
+                success: false,
+                message: duplicate
+            });
+        }
+
+        variant.sku = merged.sku;
+        variant.attributes = merged.attributes;
+        variant.price = merged.price;
+        variant.isActive = merged.isActive;
+        product.price = productService.getDisplayPrice(product);
+        await product.save();
+
+        return res.status(200).json({
+            success: true,
+            variant,
+            product
+        });
+    } catch (error) {
+        console.error('Update variant error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to update variant',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Bulk create/update products from a CSV file
+ * POST /api/marketplace/products/import (multipart, field "file")
+ *
+ * See productService.importProductsFromCsv for the column format.
+ */
+const importProducts = async (req, res) => {
+    try {
+        const seller = getSellerContext(req);
+        if (!seller) {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required'
+            });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'CSV file is required (field name: file)'
+            });
+        }
+
+        const result = await productService.importProductsFromCsv(seller, req.file.buffer.toString('utf8'));
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: `Imported ${result.created + result.updated} product(s)`,
+            created: result.created,
+            updated: result.updated,
+            errors: result.errors
+        });
+    } catch (error) {
+        console.error('Import products error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to import products',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
 module.exports = {
     createProduct,
     listProducts,
-    getProductById
+    getProductById,
+    getMyProducts,
+    updateProduct,
+    archiveProduct,
+    restoreProduct,
+    addVariant,
+    updateVariant,
+    importProducts
 };
 
@@ -1,10 +1,48 @@
 const mongoose = require('mongoose');
 const Product = require('../../models/marketplace/Product');
 const ProductReview = require('../../models/marketplace/ProductReview');
+const ProductReviewVote = require('../../models/marketplace/ProductReviewVote');
+const Order = require('../../models/marketplace/Order');
+const { Report, REPORT_REASONS } = require('../../models/social/Report');
+const { isFeatureEnabled } = require('../../config/features');
+const { emitNotification } = require('../../services/notification/notificationEmitter');
+
+// Reports with the same reason that hide a review automatically (same rule as posts)
+const AUTO_HIDE_REPORT_THRESHOLD = 2;
+
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  helpful: { helpfulCount: -1, createdAt: -1 },
+  rating_desc: { rating: -1, createdAt: -1 },
+  rating_asc: { rating: 1, createdAt: -1 }
+};
+
+// Products can be sold by users (approved sellers) or universities
+const getSellerId = (req) => req.user?._id || req.universityId;
+
+// Most recent delivered order of this product by the user, if any
+const findDeliveredOrder = (userId, productId) =>
+  Order.findOne({
+    userId,
+    items: { $elemMatch: { productId, status: 'DELIVERED' } }
+  })
+    .select('_id')
+    .sort({ createdAt: -1 })
+    .lean();
+
+// Load a review and make sure it belongs to the product in the URL
+async function findProductReview(productId, reviewId) {
+  if (!productId || !mongoose.Types.ObjectId.isValid(productId) ||
+      !reviewId || !mongoose.Types.ObjectId.isValid(reviewId)) {
+    return null;
+  }
+  return ProductReview.findOne({ _id: reviewId, productId });
+}
 
 async function recalcProductRating(productId) {
   const stats = await ProductReview.aggregate([
-    { $match: { productId: new mongoose.Types.ObjectId(productId) } },
+    // Hidden (moderated) reviews don't count towards the rating
+    { $match: { productId: new mongoose.Types.ObjectId(productId), isHidden: { $ne: true } } },
     {
       $group: {
         _id: '$productId',
@@ -73,13 +111,23 @@ const upsertMyProductReview = async (req, res) => {
         .slice(0, 10); // Limit to 10 images per review
     }
 
+    const deliveredOrder = await findDeliveredOrder(userId, productId);
+    if (!deliveredOrder && await isFeatureEnabled('REVIEWS_REQUIRE_PURCHASE')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only buyers who received this product can review it'
+      });
+    }
+
     const review = await ProductReview.findOneAndUpdate(
       { productId, userId },
       {
         $set: {
           rating: ratingNum,
           reviewText: reviewTextSafe,
-          images: imageUrls
+          images: imageUrls,
+          isVerifiedPurchase: !!deliveredOrder,
+          orderId: deliveredOrder ? deliveredOrder._id : null
         }
       },
       { new: true, upsert: true, setDefaultsOnInsert: true }
@@ -108,6 +156,7 @@ const upsertMyProductReview = async (req, res) => {
   }
 };
 
+// Query: page, limit, sort (newest | helpful | rating_desc | rating_asc), verifiedOnly, withImages
 const getProductReviews = async (req, res) => {
   try {
     const { productId } = req.params;
@@ -124,14 +173,31 @@ const getProductReviews = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Product not found' });
     }
 
+    const sort = req.query.sort || 'newest';
+    if (!REVIEW_SORTS[sort]) {
+      return res.status(400).json({
+        success: false,
+        message: `Sort must be one of: ${Object.keys(REVIEW_SORTS).join(', ')}`
+      });
+    }
+
+    const query = { productId, isHidden: { $ne: true } };
+    if (req.query.verifiedOnly === 'true') {
+      query.isVerifiedPurchase = true;
+    }
+    if (req.query.withImages === 'true') {
+      query['images.0'] = { $exists: true };
+    }
+
     const [reviews, total] = await Promise.all([
-      ProductReview.find({ productId })
+      ProductReview.find(query)
+        .select('-moderation')
         .populate('userId', 'profile.name.full profile.profileImage')
-        .sort({ createdAt: -1 })
+        .sort(REVIEW_SORTS[sort])
         .skip(skip)
         .limit(limit)
         .lean(),
-      ProductReview.countDocuments({ productId })
+      ProductReview.countDocuments(query)
     ]);
 
     return res.status(200).json({
@@ -168,6 +234,8 @@ const deleteMyProductReview = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Review not found' });
     }
 
+    await ProductReviewVote.deleteMany({ reviewId: deleted._id });
+
     await recalcProductRating(productId);
 
     return res.status(200).json({ success: true, message: 'Review deleted' });
@@ -177,9 +245,348 @@ const deleteMyProductReview = async (req, res) => {
   }
 };
 
+// Mark a review as helpful (one vote per user)
+const voteReviewHelpful = async (req, res) => {
+  try {
+    const { productId, reviewId } = req.params;
+    const userId = req.user?._id;
+
+    const review = await findProductReview(productId, reviewId);
+    if (!review || review.isHidden) {
+      return res.status(404).json({ success: false, message: 'Review not found' });
+    }
+
+    if (review.userId.toString() === userId.toString()) {
+      return res.status(400).json({ success: false, message: 'You cannot vote on your own review' });
+    }
+
+    try {
+      await ProductReviewVote.create({ reviewId: review._id, userId });
+    } catch (error) {
+      if (error?.code === 11000) {
+        return res.status(409).json({ success: false, message: 'You already marked this review as helpful' });
+      }
+      throw error;
+    }
+
+    const updated = await ProductReview.findByIdAndUpdate(
+      review._id,
+      { $inc: { helpfulCount: 1 } },
+      { new: true }
+    ).select('helpfulCount');
+
+    return res.status(200).json({
+      success: true,
+      data: { helpfulCount: updated ? updated.helpfulCount : review.helpfulCount + 1 }
+    });
+  } catch (error) {
+    console.error('Vote review helpful error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to vote on review' });
+  }
+};
+
+// Take back a helpful vote
+const removeHelpfulVote = async (req, res) => {
+  try {
+    const { productId, reviewId } = req.params;
+    const userId = req.user?._id;
+
+    const review = await findProductReview(productId, reviewId);
+    if (!review) {
+      return res.status(404).json({ success: false, message: 'Review not found' });
+    }
+
+    const deleted = await ProductReviewVote.findOneAndDelete({ reviewId: review._id, userId });
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Vote not found' });
+    }
+
+    const updated = await ProductReview.findOneAndUpdate(
+      { _id: review._id, helpfulCount: { $gt: 0 } },
+      { $inc: { helpfulCount: -1 } },
+      { new: true }
+    ).select('helpfulCount');
+
+    return res.status(200).json({
+      success: true,
+      data: { helpfulCount: updated ? updated.helpfulCount : 0 }
+    });
+  } catch (error) {
+    console.error('Remove helpful vote error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to remove vote' });
+  }
+};
+
+// Report an abusive review; matching reports hide it automatically
+const reportReview = async (req, res) => {
+  try {
+    const { productId, reviewId } = req.params;
+    const userId = req.user?._id;
+    const { reason } = req.body;
+
+    if (!reason || !REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid reason. Must be one of: ${REPORT_REASONS.join(', ')}`
+      });
+    }
+
+    const review = await findProductReview(productId, reviewId);
+    if (!review) {
+      return res.status(404).json({ success: false, message: 'Review not found' });
+    }
+
+    if (review.userId.toString() === userId.toString()) {
+      return res.status(400).json({ success: false, message: 'You cannot report your own review' });
+    }
+
+    try {
+      await Report.create({
+        userId,
+        contentId: review._id,
+        contentType: 'product_review',
+        reason
+      });
+    } catch (error) {
+      if (error?.code === 11000) {
+        return res.status(400).json({ success: false, message: 'You have already reported this review' });
+      }
+      throw error;
+    }
+
+    await ProductReview.updateOne({ _id: review._id }, { $inc: { 'moderation.reportCount': 1 } });
+
+    const reportsWithSameReason = await Report.countDocuments({
+      contentId: review._id,
+      contentType: 'product_review',
+      reason
+    });
+
+    let reviewHidden = false;
+    if (reportsWithSameReason >= AUTO_HIDE_REPORT_THRESHOLD) {
+      const hidden = await ProductReview.updateOne(
+        { _id: review._id, isHidden: { $ne: true } },
+        {
+          $set: {
+            isHidden: true,
+            'moderation.hiddenAt': new Date(),
+            'moderation.hiddenBy': 'AUTO',
+            'moderation.hiddenReason': reason
+          }
+        }
+      );
+      if (hidden.modifiedCount === 1) {
+        reviewHidden = true;
+        await recalcProductRating(productId);
+        console.log(`Product review ${review._id} hidden due to ${reportsWithSameReason} reports with reason: ${reason}`);
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: reviewHidden
+        ? 'Review reported and hidden due to multiple reports with the same reason'
+        : 'Review reported successfully',
+      data: { reviewHidden }
+    });
+  } catch (error) {
+    console.error('Report review error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to report review' });
+  }
+};
+
+// Seller: add or edit the public reply on a review of their product
+const replyToReview = async (req, res) => {
+  try {
+    const { productId, reviewId } = req.params;
+    const sellerId = getSellerId(req);
+    const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+
+    if (!text || text.length > 2000) {
+      return res.status(400).json({ success: false, message: 'Reply is required and must be 2000 characters or less' });
+    }
+
+    const review = await findProductReview(productId, reviewId);
+    if (!review) {
+      return res.status(404).json({ success: false, message: 'Review not found' });
+    }
+
+    const product = await Product.findById(productId).select('sellerId title');
+    if (!product || product.sellerId.toString() !== sellerId.toString()) {
+      return res.status(403).json({ success: false, message: 'You can only reply to reviews of your own products' });
+    }
+
+    const isFirstReply = !review.sellerReply?.text;
+    review.sellerReply = { text, repliedAt: new Date() };
+    await review.save();
+
+    if (isFirstReply) {
+      try {
+        await emitNotification({
+          recipientType: 'USER',
+          recipientId: review.userId,
+          category: 'MARKETPLACE',
+          type: 'PRODUCT_REVIEW_REPLIED',
+          title: 'Seller Replied to Your Review',
+          message: `The seller replied to your review of ${product.title}`,
+          channels: ['IN_APP', 'PUSH'],
+          entity: {
+            type: 'PRODUCT',
+            id: product._id
+          },
+          payload: {
+            productId: product._id.toString(),
+            reviewId: review._id.toString()
+          }
+        });
+      } catch (notifError) {
+        console.error('Failed to emit review reply notification:', notifError);
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    console.error('Reply to review error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to reply to review' });
+  }
+};
+
+// Seller: remove their reply
+const deleteReviewReply = async (req, res) => {
+  try {
+    const { productId, reviewId } = req.params;
+    const sellerId = getSellerId(req);
+
+    const review = await findProductReview(productId, reviewId);
+    if (!review || !review.sellerReply?.text) {
+      return res.status(404).json({ success: false, message: 'Reply not found' });
+    }
+
+    const product = await Product.findById(productId).select('sellerId');
+    if (!product || product.sellerId.toString() !== sellerId.toString()) {
+      return res.status(403).json({ success: false, message: 'You can only manage replies on your own products' });
+    }
+
+    review.sellerReply = { text: null, repliedAt: null };
+    await review.save();
+
+    return res.status(200).json({ success: true, message: 'Reply deleted' });
+  } catch (error) {
+    console.error('Delete review reply error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to delete reply' });
+  }
+};
+
+// Admin: reviews needing moderation (status=reported, default) or already hidden (status=hidden)
+const getModerationQueue = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const skip = (page - 1) * limit;
+    const status = req.query.status || 'reported';
+
+    let query;
+    if (status === 'reported') {
+      query = { isHidden: { $ne: true }, 'moderation.reportCount': { $gt: 0 } };
+    } else if (status === 'hidden') {
+      query = { isHidden: true };
+    } else {
+      return res.status(400).json({ success: false, message: 'Status must be one of: reported, hidden' });
+    }
+
+    const [reviews, total] = await Promise.all([
+      ProductReview.find(query)
+        .populate('userId', 'profile.name.full profile.profileImage')
+        .populate('productId', 'title sellerId')
+        .sort({ 'moderation.reportCount': -1, updatedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      ProductReview.countDocuments(query)
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: reviews,
+      pagination: { page, limit, total }
+    });
+  } catch (error) {
+    console.error('Get review moderation queue error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to fetch reviews' });
+  }
+};
+
+// Admin: hide or restore a review
+const setReviewHidden = (hidden) => async (req, res) => {
+  try {
+    const { reviewId } = req.params;
+
+    if (!reviewId || !mongoose.Types.ObjectId.isValid(reviewId)) {
+      return res.status(400).json({ success: false, message: 'Invalid review ID' });
+    }
+
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+    if (hidden && (!reason || reason.length > 500)) {
+      return res.status(400).json({ success: false, message: 'Reason is required and must be 500 characters or less' });
+    }
+
+    const update = hidden
+      ? {
+        isHidden: true,
+        'moderation.hiddenAt': new Date(),
+        'moderation.hiddenBy': 'ADMIN',
+        'moderation.hiddenReason': reason
+      }
+      : {
+        isHidden: false,
+        'moderation.hiddenAt': null,
+        'moderation.hiddenBy': null,
+        'moderation.hiddenReason': null
+      };
+
+    const review = await ProductReview.findOneAndUpdate(
+      { _id: reviewId, isHidden: hidden ? { $ne: true } : true },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!review) {
+      const exists = await ProductReview.exists({ _id: reviewId });
+      return exists
+        ? res.status(409).json({ success: false, message: hidden ? 'Review is already hidden' : 'Review is not hidden' })
+        : res.status(404).json({ success: false, message: 'Review not found' });
+    }
+
+    await recalcProductRating(review.productId);
+
+    return res.status(200).json({
+      success: true,
+      message: hidden ? 'Review hidden' : 'Review restored',
+      data: review
+    });
+  } catch (error) {
+    console.error(`${hidden ? 'Hide' : 'Restore'} review error:`, error);
+    return res.status(500).json({ success: false, message: hidden ? 'Failed to hide review' : 'Failed to restore review' });
+  }
+};
+
+const hideReview = setReviewHidden(true);
+const unhideReview = setReviewHidden(false);
+
 module.exports = {
   upsertMyProductReview,
   getProductReviews,
-  deleteMyProductReview
+  deleteMyProductReview,
+  voteReviewHelpful,
+  removeHelpfulVote,
+  reportReview,
+  replyToReview,
+  deleteReviewReply,
+  getModerationQueue,
+  hideReview,
+  unhideReview
 };
 
@@ -0,0 +1,318 @@
+const PaymentIntent = require('../../models/payment/PaymentIntent');
+const Order = require('../../models/marketplace/Order');
+const paymentService = require('../../services/payment/paymentService');
+const mockProvider = require('../../services/payment/providers/mockProvider');
+const { getDefaultProviderName } = require('../../services/payment/providers');
+const mongoose = require('mongoose');
+
+// Fields safe to return to the buyer
+const serializeIntent = (intent) => ({
+    _id: intent._id,
+    orderId: intent.orderId,
+    provider: intent.provider,
+    providerIntentId: intent.providerIntentId,
+    clientSecret: intent.clientSecret,
+    amount: intent.amount,
+    currency: intent.currency,
+    status: intent.status,
+    amountRefunded: intent.amountRefunded,
+    failureReason: intent.failureReason,
+    paidAt: intent.paidAt,
+    createdAt: intent.createdAt
+});
+
+/**
+ * Create a payment intent for one of the buyer's orders
+ * POST /api/payments/intents
+ *
+ * Send an `Idempotency-Key` header to make retries safe: the same key always
+ * returns the intent created by the first request. An order has at most one
+ * unsettled intent; while it exists every request for the order returns it.
+ */
+const createIntent = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const { orderId } = req.body;
+        const idempotencyKey = req.get('Idempotency-Key') || null;
+
+        if (!orderId || !mongoose.Types.ObjectId.isValid(orderId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Valid order ID is required'
+            });
+        }
+
+        if (idempotencyKey && idempotencyKey.length > 255) {
+            return res.status(400).json({
+                success: false,
+                message: 'Idempotency-Key must be 255 characters or less'
+            });
+        }
+
+        const existing = await paymentService.findByIdempotencyKey(userId, idempotencyKey);
+        if (existing) {
+            if (existing.orderId.toString() !== orderId.toString()) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Idempotency-Key was already used for a different order'
+                });
+            }
+            return res.status(200).json({
+                success: true,
+                paymentIntent: serializeIntent(existing)
+            });
+        }
+
+        const order = await Order.findOne({ _id: orderId, userId });
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        if (order.status === 'CANCELLED') {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot pay for a cancelled order'
+            });
+        }
+
+        if (order.paymentStatus !== 'PENDING' && order.paymentStatus !== 'FAILED') {
+            return res.status(400).json({
+                success: false,
+                message: `Order payment is already ${order.paymentStatus.toLowerCase()}`
+            });
+        }
+
+        // One open intent per order: retries without a key get the same one
+        const openIntent = await paymentService.findOpenIntent(order._id);
+        if (openIntent) {
+            return res.status(200).json({
+                success: true,
+                paymentIntent: serializeIntent(openIntent)
+            });
+        }
+
+        if (!getDefaultProviderName()) {
+            return res.status(503).json({
+                success: false,
+                message: 'Online payments are not available'
+            });
+        }
+
+        const intent = await paymentService.createPaymentIntent(order, { idempotencyKey });
+
+        return res.status(201).json({
+            success: true,
+            paymentIntent: serializeIntent(intent)
+        });
+    } catch (error) {
+        console.error('Create payment intent error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to create payment intent',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Get one of the buyer's payment intents
+ * GET /api/payments/intents/:id
+ */
+const getIntent = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const { id } = req.params;
+
+        if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid payment intent ID'
+            });
+        }
+
+        const intent = await PaymentIntent.findOne({ _id: id, userId });
+        if (!intent) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment intent not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            paymentIntent: serializeIntent(intent)
+        });
+    } catch (error) {
+        console.error('Get payment intent error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve payment intent',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Receive a provider webhook (HMAC verified against the raw request body)
+ * POST /api/payments/webhooks/:provider
+ */
+const handleWebhook = async (req, res) => {
+    try {
+        const { provider } = req.params;
+        const result = await paymentService.processWebhook(provider, req.rawBody, req.headers);
+
+        if (result.status === 'unknown_provider') {
+            return res.status(404).json({
+                success: false,
+                message: 'Unknown payment provider'
+            });
+        }
+
+        if (result.status === 'invalid_signature') {
+            console.warn('⚠️  Rejected payment webhook with invalid signature', { provider });
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid webhook signature'
+            });
+        }
+
+        // Always 200 for verified events so the provider stops retrying
+        return res.status(200).json({
+            success: true,
+            received: true,
+            status: result.status
+        });
+    } catch (error) {
+        console.error('Payment webhook error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to process webhook',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Refund part or all of a payment (admin/system only)
+ * POST /api/payments/intents/:id/refund
+ */
+const refundIntent = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { amount, reason } = req.body;
+
+        if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid payment intent ID'
+            });
+        }
+
+        const intent = await PaymentIntent.findById(id);
+        if (!intent) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment intent not found'
+            });
+        }
+
+        // Default to refunding whatever is left
+        const refundAmount = amount === undefined ? intent.amount - intent.amountRefunded : amount;
+        if (typeof refundAmount !== 'number' || refundAmount <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Refund amount must be a positive number'
+            });
+        }
+
+        const result = await paymentService.refundPayment(
+            intent,
+            refundAmount,
+            typeof reason === 'string' ? reason.trim().slice(0, 500) : null
+        );
+
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            paymentIntent: serializeIntent(result.intent)
+        });
+    } catch (error) {
+        console.error('Refund payment error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to refund payment',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Simulate the customer completing (or failing) a mock-gateway payment
+ * POST /api/payments/mock/intents/:id/complete
+ *
+ * Body: { outcome: 'success' | 'failure' }
+ * Goes through the same signed webhook path as a real provider. Not available in production.
+ */
+const completeMockPayment = async (req, res) => {
+    try {
+        if (process.env.NODE_ENV === 'production') {
+            return res.status(404).json({
+                success: false,
+                message: 'Route not found'
+            });
+        }
+
+        const userId = req.user._id;
+        const { id } = req.params;
+        const outcome = req.body.outcome === 'failure' ? 'failure' : 'success';
+
+        if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid payment intent ID'
+            });
+        }
+
+        const intent = await PaymentIntent.findOne({ _id: id, userId, provider: mockProvider.name });
+        if (!intent) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment intent not found'
+            });
+        }
+
+        const { rawBody, headers } = mockProvider.buildWebhook(intent.providerIntentId, outcome);
+        await paymentService.processWebhook(mockProvider.name, rawBody, headers);
+
+        const updated = await PaymentIntent.findById(intent._id);
+
+        return res.status(200).json({
+            success: true,
+            paymentIntent: serializeIntent(updated)
+        });
+    } catch (error) {
+        console.error('Complete mock payment error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to complete mock payment',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+module.exports = {
+    createIntent,
+    getIntent,
+    handleWebhook,
+    refundIntent,
+    completeMockPayment
+};
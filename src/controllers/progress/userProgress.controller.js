@@ -1,6 +1,8 @@
 const UserVideoProgress = require('../../models/progress/UserVideoProgress');
 const Video = require('../../models/course/Video');
 const { updateCourseProgress } = require('../../services/progress/progressService');
+const { getVideoCheckpointStatus } = require('../../services/video/checkpointService');
+const { getVideoLock, getLockMessage } = require('../../services/course/dripService');
 
 // Throttle progress updates (10 seconds)
 const progressUpdateCache = new Map();
@@ -29,16 +31,8 @@ const updateVideoProgress = async (req, res) => {
             });
         }
 
-        // Verify video exists
-        const video = await Video.findById(videoId);
-        if (!video) {
-            return res.status(404).json({
-                success: false,
-                message: 'Video not found'
-            });
-        }
-
-        // Throttle: Check if update was made recently (10 seconds)
+        // Throttle: Check if update was made recently (10 seconds), before the
+        // video and drip lock lookups so frequent pings stay cheap
         const cacheKey = `${userId}:${videoId}`;
         const lastUpdate = progressUpdateCache.get(cacheKey);
         const now = Date.now();
@@ -54,6 +48,25 @@ const updateVideoProgress = async (req, res) => {
         // Update cache
         progressUpdateCache.set(cacheKey, now);
 
+        // Verify video exists
+        const video = await Video.findById(videoId);
+        if (!video) {
+            return res.status(404).json({
+                success: false,
+                message: 'Video not found'
+            });
+        }
+
+        // Drip scheduling: no progress on locked videos
+        const lock = await getVideoLock(userId, video);
+        if (lock.locked) {
+            return res.status(403).json({
+                success: false,
+                message: getLockMessage(lock),
+                data: { lock }
+            });
+        }
+
         // Get existing progress to check if already completed (for idempotency)
         const existingProgress = await UserVideoProgress.findOne({ userId, videoId });
         const wasAlreadyCompleted = existingProgress && existingProgress.completed;
@@ -75,10 +88,15 @@ const updateVideoProgress = async (req, res) => {
 
         // 3️⃣ COMPLETION LOGIC: Mark as completed if progressPercent >= 100
         // Only mark as completed if not already completed (idempotent)
+        // and the checkpoint pass threshold (if any) is met
+        let checkpoints = null;
         if (progressPercent !== undefined && progressPercent !== null && progressPercent >= 100) {
             if (!wasAlreadyCompleted) {
-                updateData.completed = true;
-                updateData.completedAt = new Date();
+                checkpoints = await getVideoCheckpointStatus(userId, video);
+                if (checkpoints.passed) {
+                    updateData.completed = true;
+                    updateData.completedAt = new Date();
+                }
             }
         }
 
@@ -102,8 +120,10 @@ const updateVideoProgress = async (req, res) => {
 
         res.status(200).json({
             success: true,
-            message: 'Progress updated successfully',
-            data: { progress }
+            message: checkpoints && !checkpoints.passed
+                ? 'Progress updated. Pass the checkpoint questions to complete this video'
+                : 'Progress updated successfully',
+            data: { progress, checkpoints }
         });
     } catch (error) {
         console.error('Update video progress error:', error);
@@ -225,6 +245,26 @@ const markVideoComplete = async (req, res) => {
             });
         }
 
+        // Drip scheduling: locked videos cannot be completed
+        const lock = await getVideoLock(userId, video);
+        if (lock.locked) {
+            return res.status(403).json({
+                success: false,
+                message: getLockMessage(lock),
+                data: { lock }
+            });
+        }
+
+        // Checkpoint gating: the course pass threshold must be met first
+        const checkpoints = await getVideoCheckpointStatus(userId, video);
+        if (!checkpoints.passed) {
+            return res.status(403).json({
+                success: false,
+                message: 'Pass the checkpoint questions to complete this video',
+                data: { checkpoints }
+            });
+        }
+
         // Update progress
         const progress = await UserVideoProgress.findOneAndUpdate(
             { userId, videoId },
@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const Video = require('../../models/course/Video');
+const CourseEnrollment = require('../../models/course/CourseEnrollment');
+const UserCourseProgress = require('../../models/progress/UserCourseProgress');
+const { getCourseVideoLocks, getLockMessage } = require('../../services/course/dripService');
+const { enqueueVideoEvents } = require('../../queues/videoAnalytics.queue');
+const { processAnalyticsEvents } = require('../../services/progress/analyticsService');
+
+const EVENT_TYPES = ['play', 'pause', 'seek', 'complete', 'replay_segment'];
+const MAX_BATCH_SIZE = 100;
+const MAX_EVENT_ID_LENGTH = 64;
+const MAX_METADATA_LENGTH = 2000;
+// Device clocks may run slightly ahead of the server
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const ACCESS_STATUSES = ['APPROVED', 'IN_PROGRESS', 'COMPLETED'];
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validate one raw event from the client
+ * Returns an error message, or null if the event is valid
+ */
+const validateEvent = (event) => {
+    if (!isPlainObject(event)) {
+        return 'Event must be an object';
+    }
+
+    if (typeof event.eventId !== 'string' || !event.eventId.trim() || event.eventId.length > MAX_EVENT_ID_LENGTH) {
+        return `eventId is required (max ${MAX_EVENT_ID_LENGTH} characters)`;
+    }
+
+    if (!event.videoId || !mongoose.Types.ObjectId.isValid(event.videoId)) {
+        return 'Valid videoId is required';
+    }
+
+    if (!EVENT_TYPES.includes(event.eventType)) {
+        return `eventType must be one of: ${EVENT_TYPES.join(', ')}`;
+    }
+
+    if (event.timestamp !== undefined && (typeof event.timestamp !== 'number' || !Number.isFinite(event.timestamp) || event.timestamp < 0)) {
+        return 'timestamp must be a non-negative number of seconds';
+    }
+
+    if (event.occurredAt !== undefined) {
+        const occurredAt = new Date(event.occurredAt);
+        if (isNaN(occurredAt.getTime()) || occurredAt.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+            return 'occurredAt must be a valid date that is not in the future';
+        }
+    }
+
+    if (event.metadata !== undefined) {
+        if (!isPlainObject(event.metadata)) {
+            return 'metadata must be an object';
+        }
+        if (JSON.stringify(event.metadata).length > MAX_METADATA_LENGTH) {
+            return `metadata must be ${MAX_METADATA_LENGTH} characters or less`;
+        }
+    }
+
+    if (event.eventType === 'replay_segment') {
+        const { from, to } = event.metadata || {};
+        if (typeof from !== 'number' || typeof to !== 'number' || from < 0 || to <= from) {
+            return 'replay_segment requires metadata.from and metadata.to (seconds, from < to)';
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Ingest a batch of video player events
+ * 
+ * Clients buffer events while offline and send them in batches. Valid events
+ * are queued for the video-analytics worker; invalid ones are returned in
+ * `rejected` so the client can drop them from its buffer. Each event carries
+ * a client-generated eventId, so re-sending a batch is safe. Events for
+ * courses the user isn't enrolled in, or for locked videos, are rejected.
+ */
+const ingestVideoEvents = async (req, res) => {
+    try {
+        const userId = req.userId; // From user auth middleware
+        const { events } = req.body;
+
+        if (!Array.isArray(events) || events.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'events must be a non-empty array'
+            });
+        }
+
+        if (events.length > MAX_BATCH_SIZE) {
+            return res.status(400).json({
+                success: false,
+                message: `A batch can contain at most ${MAX_BATCH_SIZE} events`
+            });
+        }
+
+        const rejected = [];
+        const candidates = [];
+        events.forEach((event, index) => {
+            const error = validateEvent(event);
+            if (error) {
+                rejected.push({ index, eventId: event?.eventId || null, message: error });
+            } else {
+                candidates.push({ index, event });
+            }
+        });
+
+        // Resolve courses from the videos rather than trusting the client
+        const videoIds = [...new Set(candidates.map(c => c.event.videoId.toString()))];
+        const videos = videoIds.length > 0
+            ? await Video.find({ _id: { $in: videoIds } }).select('courseId').lean()
+            : [];
+        const courseByVideo = new Map(videos.map(v => [v._id.toString(), v.courseId]));
+
+        // Only learners with access to the course may report events, and not for
+        // videos still locked by drip scheduling (same rules as progress updates)
+        const courseIds = [...new Set(videos.map(v => v.courseId.toString()))];
+        const [enrollments, courseProgress, locksByCourse] = await Promise.all([
+            CourseEnrollment.find({ userId, courseId: { $in: courseIds }, status: { $in: ACCESS_STATUSES } })
+                .select('courseId').lean(),
+            // Courses joined before enrollments existed only have a progress record
+            UserCourseProgress.find({ userId, courseId: { $in: courseIds } }).select('courseId').lean(),
+            Promise.all(courseIds.map(courseId => getCourseVideoLocks(userId, courseId)))
+        ]);
+        const accessibleCourses = new Set([
+            ...enrollments.map(e => e.courseId.toString()),
+            ...courseProgress.map(p => p.courseId.toString())
+        ]);
+        const locks = new Map(courseIds.map((courseId, i) => [courseId, locksByCourse[i]]));
+
+        const accepted = [];
+        for (const { index, event } of candidates) {
+            const courseId = courseByVideo.get(event.videoId.toString());
+            if (!courseId) {
+                rejected.push({ index, eventId: event.eventId, message: 'Video not found' });
+                continue;
+            }
+
+            if (!accessibleCourses.has(courseId.toString())) {
+                rejected.push({ index, eventId: event.eventId, message: 'You must be enrolled in this course to access it' });
+                continue;
+            }
+
+            const lock = locks.get(courseId.toString()).get(event.videoId.toString());
+            if (lock && lock.locked) {
+                rejected.push({ index, eventId: event.eventId, message: getLockMessage(lock) });
+                continue;
+            }
+
+            accepted.push({
+                clientEventId: event.eventId.trim(),
+                courseId: courseId.toString(),
+                videoId: event.videoId.toString(),
+                eventType: event.eventType,
+                timestamp: event.timestamp || 0,
+                occurredAt: event.occurredAt ? new Date(event.occurredAt).toISOString() : new Date().toISOString(),
+                metadata: event.metadata || {}
+            });
+        }
+
+        if (accepted.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No valid events in batch',
+                data: { accepted: 0, rejected }
+            });
+        }
+
+        const jobId = await enqueueVideoEvents({ userId: userId.toString(), events: accepted });
+
+        if (!jobId) {
+            // Queue not available - process immediately (fallback)
+            const result = await processAnalyticsEvents(userId, accepted);
+            return res.status(200).json({
+                success: true,
+                message: 'Events processed',
+                data: {
+                    accepted: accepted.length,
+                    duplicates: result.duplicates,
+                    rejected
+                }
+            });
+        }
+
+        res.status(202).json({
+            success: true,
+            message: 'Events queued for processing',
+            data: {
+                accepted: accepted.length,
+                rejected
+            }
+        });
+    } catch (error) {
+        console.error('Ingest video events error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error ingesting video events',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    ingestVideoEvents
+};
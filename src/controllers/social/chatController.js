@@ -6,38 +6,8 @@ const mongoose = require('mongoose');
 const StorageService = require('../../services/storage.service');
 const { getIO } = require('../../socket/socketServer');
 const { isUserOnline, getUserLastSeen } = require('../../config/redisStub');
-
-// Helper function to get all blocked user IDs (checks both root and social.blockedUsers)
-const getBlockedUserIds = async (userId) => {
-    try {
-        const user = await User.findById(userId).select('blockedUsers social.blockedUsers');
-        if (!user) return [];
-        
-        // Get blocked users from both locations
-        const rootBlocked = user.blockedUsers || [];
-        const socialBlocked = user.social?.blockedUsers || [];
-        
-        // Combine and deduplicate
-        const allBlocked = [...rootBlocked, ...socialBlocked];
-        const uniqueBlocked = [...new Set(allBlocked.map(id => id.toString()))];
-        
-        return uniqueBlocked.map(id => new mongoose.Types.ObjectId(id));
-    } catch (error) {
-        console.error('Error getting blocked users:', error);
-        return [];
-    }
-};
-
-// Helper function to check if a user is blocked (checks both locations)
-const isUserBlocked = async (blockerId, blockedId) => {
-    try {
-        const blockedUserIds = await getBlockedUserIds(blockerId);
-        return blockedUserIds.some(id => id.toString() === blockedId.toString());
-    } catch (error) {
-        console.error('Error checking if user is blocked:', error);
-        return false;
-    }
-};
+const { parsePagination, cursorSort, withCursor, buildPage } = require('../../utils/pagination');
+const { getBlockedUserIds, isUserBlocked } = require('../../utils/blockedUsers');
 
 // Get all conversations for a user
 const getConversations = async (req, res) => {
@@ -269,11 +239,19 @@ const getOrCreateConversation = async (req, res) => {
 };
 
 // Get messages for a conversation
+// Pages go back in time: nextCursor loads the messages before the oldest one returned
 const getMessages = async (req, res) => {
     try {
         const userId = req.user._id;
         const { conversationId } = req.params;
-        const { page = 1, limit = 50 } = req.query;
+        const { page, limit, skip, cursor, invalidCursor } = parsePagination(req.query, { defaultLimit: 50 });
+
+        if (invalidCursor) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor'
+            });
+        }
 
         // Verify user is a participant
         const conversation = await Conversation.findById(conversationId);
@@ -295,16 +273,16 @@ const getMessages = async (req, res) => {
             });
         }
 
-        // Get messages
-        const skip = (parseInt(page) - 1) * parseInt(limit);
-        const messages = await Message.find({
+        // Get messages (one extra to know whether there are older ones)
+        const messageQuery = {
             conversationId,
             deletedAt: null,
             $or: [
                 { deletedFor: { $ne: userId } },
                 { deletedFor: { $exists: false } }
             ]
-        })
+        };
+        const messageDocs = await Message.find(withCursor(messageQuery, cursor))
         .populate('senderId', 'profile.name.first profile.name.last profile.name.full profile.profileImage firstName lastName name profileImage')
         .populate({
             path: 'replyTo',
@@ -313,9 +291,10 @@ const getMessages = async (req, res) => {
                 select: 'profile.name.first profile.name.last profile.name.full profile.profileImage firstName lastName name profileImage'
             }
         })
-        .sort({ createdAt: -1 })
-        .limit(parseInt(limit))
-        .skip(skip);
+        .sort(cursorSort())
+        .skip(skip)
+        .limit(limit + 1);
+        const { items: messages, nextCursor } = buildPage(messageDocs, limit);
 
         // Reverse to get chronological order
         messages.reverse();
@@ -409,17 +388,16 @@ const getMessages = async (req, res) => {
         res.json({
             success: true,
             data: transformedMessages,
-            pagination: {
-                page: parseInt(page),
-                limit: parseInt(limit),
-                total: await Message.countDocuments({
-                    conversationId,
-                    deletedAt: null,
-                    $or: [
-                        { deletedFor: { $ne: userId } },
-                        { deletedFor: { $exists: false } }
-                    ]
-                })
+            pagination: cursor ? {
+                limit,
+                nextCursor,
+                hasNextPage: Boolean(nextCursor)
+            } : {
+                page,
+                limit,
+                total: await Message.countDocuments(messageQuery),
+                nextCursor,
+                hasNextPage: Boolean(nextCursor)
             }
         });
     } catch (error) {
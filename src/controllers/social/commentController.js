@@ -2,6 +2,15 @@ const Comment = require('../../models/social/Comment');
 const Post = require('../../models/social/Post');
 const { Reel } = require('../../models/social/Reel');
 const mongoose = require('mongoose');
+const { parsePagination, buildPage, encodeCursor } = require('../../utils/pagination');
+const { canViewContent } = require('../../services/social/followService');
+
+// The post/reel if it exists and the viewer may see it (visibility), otherwise null
+const findVisibleContent = async (contentType, contentId, viewerId) => {
+    const Model = contentType === 'post' ? Post : Reel;
+    const content = await Model.findById(contentId).select('userId visibility');
+    return content && await canViewContent(viewerId, content) ? content : null;
+};
 
 // Add a comment to a post or reel
 const addComment = async (req, res) => {
@@ -42,15 +51,8 @@ const addComment = async (req, res) => {
             });
         }
 
-        // Verify that the post/reel exists
-        let content;
-        const contentObjectId = new mongoose.Types.ObjectId(contentId);
-        
-        if (contentType === 'post') {
-            content = await Post.findById(contentObjectId);
-        } else {
-            content = await Reel.findById(contentObjectId);
-        }
+        // Verify that the post/reel exists and is visible to the commenter
+        const content = await findVisibleContent(contentType, contentId, user._id);
 
         if (!content) {
             console.error(`[Comment Controller] ${contentType} not found:`, {
@@ -154,6 +156,15 @@ const addReply = async (req, res) => {
             });
         }
 
+        // Verify that the post/reel exists and is visible to the replier
+        const content = await findVisibleContent(contentType, contentId, user._id);
+        if (!content) {
+            return res.status(404).json({
+                success: false,
+                message: `${contentType.charAt(0).toUpperCase() + contentType.slice(1)} not found`
+            });
+        }
+
         // Get comment document for this post/reel
         const commentDoc = await Comment.getOrCreateCommentDoc(contentId, contentType);
 
@@ -207,7 +218,8 @@ const addReply = async (req, res) => {
 const getComments = async (req, res) => {
     try {
         const { contentId, contentType } = req.params;
-        const { page = 1, limit = 15, sortBy = 'createdAt', sortOrder = -1 } = req.query;
+        const { sortBy = 'createdAt', sortOrder = -1 } = req.query;
+        const { page, limit, cursor, invalidCursor } = parsePagination(req.query, { defaultLimit: 15 });
 
         // Validate contentId
         if (!contentId || !mongoose.Types.ObjectId.isValid(contentId)) {
@@ -225,14 +237,16 @@ const getComments = async (req, res) => {
             });
         }
 
-        // Verify that the post/reel exists
-        let content;
-        if (contentType === 'post') {
-            content = await Post.findById(contentId);
-        } else {
-            content = await Reel.findById(contentId);
+        if (invalidCursor) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor'
+            });
         }
 
+        // Verify that the post/reel exists and is visible to the viewer
+        const content = await findVisibleContent(contentType, contentId, req.user?._id);
+
         if (!content) {
             return res.status(404).json({
                 success: false,
@@ -241,12 +255,23 @@ const getComments = async (req, res) => {
         }
 
         // Get comments using the static method
-        const comments = await Comment.getCommentsByContent(contentId, contentType, {
-            page: parseInt(page),
-            limit: parseInt(limit),
-            sortBy: sortBy,
-            sortOrder: parseInt(sortOrder)
-        });
+        // Cursor pages are ordered by createdAt and fetch one extra comment to detect the next page
+        const order = parseInt(sortOrder) === 1 ? 1 : -1;
+        const commentPage = cursor
+            ? buildPage(await Comment.getCommentsByContent(contentId, contentType, {
+                limit: limit + 1,
+                sortOrder: order,
+                cursor
+            }), limit)
+            : null;
+        const comments = commentPage
+            ? commentPage.items
+            : await Comment.getCommentsByContent(contentId, contentType, {
+                page,
+                limit,
+                sortBy: sortBy,
+                sortOrder: order
+            });
 
         // Format comments for response
         const formattedComments = comments.map(comment => {
@@ -292,16 +317,24 @@ const getComments = async (req, res) => {
         const commentDoc = await Comment.findOne({ contentId, contentType }).lean();
         const totalComments = commentDoc && commentDoc.comments ? commentDoc.comments.length : 0;
 
+        // Page requests hand out a cursor too so clients can switch over (createdAt order only)
+        const hasNextPage = commentPage ? commentPage.hasNextPage : page * limit < totalComments;
+        const nextCursor = commentPage
+            ? commentPage.nextCursor
+            : (hasNextPage && sortBy === 'createdAt' ? encodeCursor(comments[comments.length - 1]) : null);
+
         return res.status(200).json({
             success: true,
             message: 'Comments retrieved successfully',
             data: {
                 comments: formattedComments,
                 pagination: {
-                    page: parseInt(page),
-                    limit: parseInt(limit),
+                    page: cursor ? null : page,
+                    limit,
                     total: totalComments,
-                    pages: Math.ceil(totalComments / parseInt(limit))
+                    pages: Math.ceil(totalComments / limit),
+                    nextCursor,
+                    hasNextPage
                 }
             }
         });
@@ -319,7 +352,8 @@ const getComments = async (req, res) => {
 // Get comments for a post or reel (using query parameters - separate API endpoint)
 const getCommentsByQuery = async (req, res) => {
     try {
-        const { contentId, contentType, page = 1, limit = 15, sortBy = 'createdAt', sortOrder = -1 } = req.query;
+        const { contentId, contentType, sortBy = 'createdAt', sortOrder = -1 } = req.query;
+        const { page, limit, cursor, invalidCursor } = parsePagination(req.query, { defaultLimit: 15 });
 
         // Validate contentId
         if (!contentId || !mongoose.Types.ObjectId.isValid(contentId)) {
@@ -337,14 +371,16 @@ const getCommentsByQuery = async (req, res) => {
             });
         }
 
-        // Verify that the post/reel exists
-        let content;
-        if (contentType === 'post') {
-            content = await Post.findById(contentId);
-        } else {
-            content = await Reel.findById(contentId);
+        if (invalidCursor) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor'
+            });
         }
 
+        // Verify that the post/reel exists and is visible to the viewer
+        const content = await findVisibleContent(contentType, contentId, req.user?._id);
+
         if (!content) {
             return res.status(404).json({
                 success: false,
@@ -353,12 +389,23 @@ const getCommentsByQuery = async (req, res) => {
         }
 
         // Get comments using the static method
-        const comments = await Comment.getCommentsByContent(contentId, contentType, {
-            page: parseInt(page),
-            limit: parseInt(limit),
-            sortBy: sortBy,
-            sortOrder: parseInt(sortOrder)
-        });
+        // Cursor pages are ordered by createdAt and fetch one extra comment to detect the next page
+        const order = parseInt(sortOrder) === 1 ? 1 : -1;
+        const commentPage = cursor
+            ? buildPage(await Comment.getCommentsByContent(contentId, contentType, {
+                limit: limit + 1,
+                sortOrder: order,
+                cursor
+            }), limit)
+            : null;
+        const comments = commentPage
+            ? commentPage.items
+            : await Comment.getCommentsByContent(contentId, contentType, {
+                page,
+                limit,
+                sortBy: sortBy,
+                sortOrder: order
+            });
 
         // Format comments for response
         const formattedComments = comments.map(comment => {
@@ -404,6 +451,12 @@ const getCommentsByQuery = async (req, res) => {
         const commentDoc = await Comment.findOne({ contentId, contentType }).lean();
         const totalComments = commentDoc && commentDoc.comments ? commentDoc.comments.length : 0;
 
+        // Page requests hand out a cursor too so clients can switch over (createdAt order only)
+        const hasNextPage = commentPage ? commentPage.hasNextPage : page * limit < totalComments;
+        const nextCursor = commentPage
+            ? commentPage.nextCursor
+            : (hasNextPage && sortBy === 'createdAt' ? encodeCursor(comments[comments.length - 1]) : null);
+
         return res.status(200).json({
             success: true,
             message: 'Comments retrieved successfully',
@@ -412,10 +465,12 @@ const getCommentsByQuery = async (req, res) => {
                 contentType: contentType,
                 comments: formattedComments,
                 pagination: {
-                    page: parseInt(page),
-                    limit: parseInt(limit),
+                    page: cursor ? null : page,
+                    limit,
                     total: totalComments,
-                    pages: Math.ceil(totalComments / parseInt(limit))
+                    pages: Math.ceil(totalComments / limit),
+                    nextCursor,
+                    hasNextPage
                 }
             }
         });
@@ -458,6 +513,14 @@ const getReplies = async (req, res) => {
             });
         }
 
+        const content = await findVisibleContent(contentType, contentId, req.user?._id);
+        if (!content) {
+            return res.status(404).json({
+                success: false,
+                message: `${contentType.charAt(0).toUpperCase() + contentType.slice(1)} not found`
+            });
+        }
+
         // Get replies using the static method
         const replies = await Comment.getRepliesByComment(contentId, contentType, commentId, {
             page: parseInt(page),
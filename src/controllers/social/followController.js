@@ -0,0 +1,395 @@
+const User = require('../../models/authorization/User');
+const Follow = require('../../models/social/Follow');
+const mongoose = require('mongoose');
+const { getBlockedUserIds, isUserBlocked } = require('../../utils/blockedUsers');
+const { parsePagination, cursorSort, withCursor, buildPage } = require('../../utils/pagination');
+const { isFollowing, getFollowCounts } = require('../../services/social/followService');
+const { invalidateFeed } = require('../../services/social/feedRankingService');
+const { emitNotification } = require('../../services/notification/notificationEmitter');
+const { NEW_FOLLOWER } = require('../../services/notification/notificationTypes');
+
+// Helper function to format a user for follower/following lists
+// Handles both nested profile structure and old flat structure for backward compatibility
+const formatFollowUser = (user, followedAt) => {
+    const userObj = user.toObject ? user.toObject() : user;
+    const name = userObj.profile?.name?.full ||
+                (userObj.profile?.name?.first && userObj.profile?.name?.last
+                    ? `${userObj.profile.name.first} ${userObj.profile.name.last}`.trim()
+                    : userObj.profile?.name?.first || userObj.profile?.name?.last || userObj.name || '');
+
+    return {
+        _id: userObj._id,
+        name: name,
+        profileImage: userObj.profile?.profileImage || userObj.profileImage || '',
+        bio: userObj.profile?.bio || userObj.bio || '',
+        followedAt: followedAt
+    };
+};
+
+// Helper function to check whether the viewer may see a user's follower/following lists
+// Returns an error response ({ status, message }) or null when allowed
+const checkListAccess = async (targetUser, viewerId) => {
+    if (targetUser._id.toString() === viewerId.toString()) {
+        return null;
+    }
+
+    if (await isUserBlocked(viewerId, targetUser._id)) {
+        return { status: 403, message: 'You cannot view the connections of a blocked user' };
+    }
+    if (await isUserBlocked(targetUser._id, viewerId)) {
+        return { status: 403, message: 'Content not available' };
+    }
+
+    // Private profiles only show their connections to friends
+    if (targetUser.profile?.visibility === 'private') {
+        const isFriend = (targetUser.social?.friends || []).some(friendId =>
+            friendId.toString() === viewerId.toString()
+        );
+        if (!isFriend) {
+            return { status: 403, message: 'This user has a private profile. Only friends can view their connections.' };
+        }
+    }
+
+    return null;
+};
+
+// Follow a user
+const followUser = async (req, res) => {
+    try {
+        const followerId = req.user._id;
+        const { userId } = req.params;
+
+        // Validate userId
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid user ID'
+            });
+        }
+
+        // Check if user is trying to follow themselves
+        if (followerId.toString() === userId) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot follow yourself'
+            });
+        }
+
+        // Check if the user to follow exists
+        const userToFollow = await User.findById(userId).select('profile.name');
+        if (!userToFollow) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        // Check blocking in both directions
+        if (await isUserBlocked(followerId, userId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot follow a blocked user'
+            });
+        }
+        if (await isUserBlocked(userId, followerId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Action not available'
+            });
+        }
+
+        if (await isFollowing(followerId, userId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'You are already following this user'
+            });
+        }
+
+        const follow = await Follow.create({
+            follower: followerId,
+            following: userId
+        });
+
+        // The follower's feed now includes this user's followers-only content
+        invalidateFeed(followerId).catch(err => console.error('Failed to invalidate feed:', err.message));
+
+        // Emit notification to the followed user
+        try {
+            await emitNotification({
+                recipientType: 'USER',
+                recipientId: userId,
+                category: 'SOCIAL',
+                type: NEW_FOLLOWER,
+                title: 'New Follower',
+                message: `${req.user.profile?.name?.full || 'Someone'} started following you`,
+                channels: ['IN_APP', 'PUSH'],
+                entity: {
+                    type: 'USER',
+                    id: followerId
+                },
+                payload: {
+                    followerId: followerId.toString(),
+                    followerName: req.user.profile?.name?.full || 'Unknown'
+                }
+            });
+        } catch (notifError) {
+            // Don't break the API if notification fails
+            console.error('Failed to emit follow notification:', notifError);
+        }
+
+        const counts = await getFollowCounts(userId);
+
+        res.status(201).json({
+            success: true,
+            message: 'User followed successfully',
+            data: {
+                follow: follow,
+                followerCount: counts.followers
+            }
+        });
+    } catch (error) {
+        console.error('Follow user error:', error);
+
+        // Handle duplicate key error (concurrent follow requests)
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'You are already following this user'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to follow user',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+// Unfollow a user
+const unfollowUser = async (req, res) => {
+    try {
+        const followerId = req.user._id;
+        const { userId } = req.params;
+
+        // Validate userId
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid user ID'
+            });
+        }
+
+        const result = await Follow.deleteOne({ follower: followerId, following: userId });
+        if (result.deletedCount === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'You are not following this user'
+            });
+        }
+
+        invalidateFeed(followerId).catch(err => console.error('Failed to invalidate feed:', err.message));
+
+        const counts = await getFollowCounts(userId);
+
+        res.json({
+            success: true,
+            message: 'User unfollowed successfully',
+            data: {
+                followerCount: counts.followers
+            }
+        });
+    } catch (error) {
+        console.error('Unfollow user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to unfollow user',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+// Remove one of your followers (they stop seeing your followers-only content)
+const removeFollower = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const { followerId } = req.params;
+
+        // Validate followerId
+        if (!mongoose.Types.ObjectId.isValid(followerId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid follower ID'
+            });
+        }
+
+        const result = await Follow.deleteOne({ follower: followerId, following: userId });
+        if (result.deletedCount === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'This user is not following you'
+            });
+        }
+
+        invalidateFeed(followerId).catch(err => console.error('Failed to invalidate feed:', err.message));
+
+        res.json({
+            success: true,
+            message: 'Follower removed successfully'
+        });
+    } catch (error) {
+        console.error('Remove follower error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove follower',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+// Shared implementation of the follower and following lists (cursor pagination over follow date)
+const listConnections = (direction) => async (req, res) => {
+    try {
+        const viewerId = req.user._id;
+        const { userId } = req.params;
+        const { page, limit, skip, cursor, invalidCursor } = parsePagination(req.query, { defaultLimit: 20 });
+
+        // Validate userId
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid user ID'
+            });
+        }
+
+        if (invalidCursor) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor'
+            });
+        }
+
+        const targetUser = await User.findById(userId).select('profile.visibility social.friends');
+        if (!targetUser) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const accessError = await checkListAccess(targetUser, viewerId);
+        if (accessError) {
+            return res.status(accessError.status).json({
+                success: false,
+                message: accessError.message
+            });
+        }
+
+        // followers: documents following the user; following: documents the user created
+        const ownField = direction === 'followers' ? 'following' : 'follower';
+        const otherField = direction === 'followers' ? 'follower' : 'following';
+
+        // Leave out users the viewer has blocked
+        const blockedUserIds = await getBlockedUserIds(viewerId);
+        const query = { [ownField]: userId };
+        if (blockedUserIds.length > 0) {
+            query[otherField] = { $nin: blockedUserIds };
+        }
+
+        const followDocs = await Follow.find(withCursor(query, cursor))
+            .populate(otherField, 'profile.name.first profile.name.last profile.name.full profile.profileImage profile.bio')
+            .sort(cursorSort())
+            .skip(skip)
+            .limit(limit + 1);
+        const { items, nextCursor, hasNextPage } = buildPage(followDocs, limit);
+
+        const users = items
+            .filter(follow => follow[otherField])
+            .map(follow => formatFollowUser(follow[otherField], follow.createdAt));
+
+        res.json({
+            success: true,
+            message: direction === 'followers' ? 'Followers retrieved successfully' : 'Following retrieved successfully',
+            data: {
+                [direction]: users,
+                count: await Follow.countDocuments({ [ownField]: userId }),
+                pagination: {
+                    page: cursor ? null : page,
+                    limit,
+                    nextCursor,
+                    hasNextPage
+                }
+            }
+        });
+    } catch (error) {
+        console.error(`List ${direction} error:`, error);
+        res.status(500).json({
+            success: false,
+            message: `Failed to retrieve ${direction}`,
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+// List a user's followers
+const listFollowers = listConnections('followers');
+
+// List the users a user follows
+const listFollowing = listConnections('following');
+
+// Follower/following counts of a user and the viewer's relationship to them
+const getFollowStatus = async (req, res) => {
+    try {
+        const viewerId = req.user._id;
+        const { userId } = req.params;
+
+        // Validate userId
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid user ID'
+            });
+        }
+
+        const userExists = await User.exists({ _id: userId });
+        if (!userExists) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const [counts, viewerFollows, followsViewer] = await Promise.all([
+            getFollowCounts(userId),
+            isFollowing(viewerId, userId),
+            isFollowing(userId, viewerId)
+        ]);
+
+        res.json({
+            success: true,
+            message: 'Follow status retrieved successfully',
+            data: {
+                followerCount: counts.followers,
+                followingCount: counts.following,
+                isFollowing: viewerFollows,
+                followsYou: followsViewer
+            }
+        });
+    } catch (error) {
+        console.error('Get follow status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve follow status',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+module.exports = {
+    followUser,
+    unfollowUser,
+    removeFollower,
+    listFollowers,
+    listFollowing,
+    getFollowStatus
+};
@@ -1,39 +1,9 @@
 const User = require('../../models/authorization/User');
 const FriendRequest = require('../../models/social/FriendRequest');
 const mongoose = require('mongoose');
+const { parsePagination, cursorSort, withCursor, buildPage } = require('../../utils/pagination');
 const { emitNotification } = require('../../services/notification/notificationEmitter');
-
-// Helper function to get all blocked user IDs (checks both root and social.blockedUsers)
-const getBlockedUserIds = async (userId) => {
-    try {
-        const user = await User.findById(userId).select('blockedUsers social.blockedUsers');
-        if (!user) return [];
-        
-        // Get blocked users from both locations
-        const rootBlocked = user.blockedUsers || [];
-        const socialBlocked = user.social?.blockedUsers || [];
-        
-        // Combine and deduplicate
-        const allBlocked = [...rootBlocked, ...socialBlocked];
-        const uniqueBlocked = [...new Set(allBlocked.map(id => id.toString()))];
-        
-        return uniqueBlocked.map(id => mongoose.Types.ObjectId(id));
-    } catch (error) {
-        console.error('Error getting blocked users:', error);
-        return [];
-    }
-};
-
-// Helper function to check if a user is blocked (checks both locations)
-const isUserBlocked = async (blockerId, blockedId) => {
-    try {
-        const blockedUserIds = await getBlockedUserIds(blockerId);
-        return blockedUserIds.some(id => id.toString() === blockedId.toString());
-    } catch (error) {
-        console.error('Error checking if user is blocked:', error);
-        return false;
-    }
-};
+const { getBlockedUserIds, isUserBlocked } = require('../../utils/blockedUsers');
 
 // Send friend request
 const sendFriendRequest = async (req, res) => {
@@ -380,16 +350,23 @@ const rejectFriendRequest = async (req, res) => {
     }
 };
 
-// List all friends
+// List friends
+// Paginated with ?cursor= / ?page= / ?limit= (newest accounts first); without any of them
+// the whole list is returned, as older clients expect
 const listFriends = async (req, res) => {
     try {
         const userId = req.user._id;
+        const paginated = Boolean(req.query.cursor || req.query.page || req.query.limit);
+        const { page, limit, skip, cursor, invalidCursor } = parsePagination(req.query, { defaultLimit: 20 });
 
-        // Get user with populated friends
-        // Include both nested profile structure and old flat fields for backward compatibility
-        const user = await User.findById(userId)
-            .populate('social.friends', 'profile.name.first profile.name.last profile.name.full profile.profileImage profile.bio')
-            .select('social.friends');
+        if (invalidCursor) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor'
+            });
+        }
+
+        const user = await User.findById(userId).select('social.friends');
         
         if (!user) {
             return res.status(404).json({
@@ -401,10 +378,29 @@ const listFriends = async (req, res) => {
         // Filter out blocked users from friends list (get from both locations)
         const blockedUserIds = await getBlockedUserIds(userId);
         const blockedUserIdsStrings = blockedUserIds.map(id => id.toString());
-        const filteredFriends = (user.social?.friends || []).filter(friend => 
-            !blockedUserIdsStrings.includes(friend._id.toString())
+        const friendIds = (user.social?.friends || []).filter(friendId => 
+            !blockedUserIdsStrings.includes(friendId.toString())
         );
 
+        // Include both nested profile structure and old flat fields for backward compatibility
+        const friendFields = 'profile.name.first profile.name.last profile.name.full profile.profileImage profile.bio createdAt';
+        let filteredFriends, nextCursor = null, hasNextPage = false;
+        if (paginated) {
+            const friends = await User.find(withCursor({ _id: { $in: friendIds } }, cursor))
+                .select(friendFields)
+                .sort(cursorSort())
+                .skip(skip)
+                .limit(limit + 1);
+            ({ items: filteredFriends, nextCursor, hasNextPage } = buildPage(friends, limit));
+        } else {
+            // Unpaginated clients get the stored friends order
+            const friends = await User.find({ _id: { $in: friendIds } }).select(friendFields);
+            const friendsById = new Map(friends.map(friend => [friend._id.toString(), friend]));
+            filteredFriends = friendIds
+                .map(friendId => friendsById.get(friendId.toString()))
+                .filter(Boolean);
+        }
+
         // Map friends to include name, profileImage, bio, and _id
         // Handle both nested profile structure and old flat structure for backward compatibility
         const friendsList = filteredFriends.map(friend => {
@@ -436,7 +432,13 @@ const listFriends = async (req, res) => {
             message: 'Friends retrieved successfully',
             data: {
                 friends: friendsList,
-                count: friendsList.length
+                count: paginated ? await User.countDocuments({ _id: { $in: friendIds } }) : friendsList.length,
+                pagination: {
+                    page: paginated && !cursor ? page : null,
+                    limit: paginated ? limit : null,
+                    nextCursor,
+                    hasNextPage
+                }
             }
         });
     } catch (error) {
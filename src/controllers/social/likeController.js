@@ -1,7 +1,9 @@
 const Like = require('../../models/social/Like');
+const ReactionLog = require('../../models/social/ReactionLog');
 const Post = require('../../models/social/Post');
-const Reel = require('../../models/social/Reel');
+const { Reel } = require('../../models/social/Reel');
 const mongoose = require('mongoose');
+const { canViewContent } = require('../../services/social/followService');
 
 // Reaction types and their indices in the likes array
 const REACTION_TYPES = {
@@ -19,10 +21,10 @@ const handleLike = async (contentType, contentId, userId, reaction = 'like') =>
     session.startTransaction();
     
     try {
-        // Check if content exists
+        // Check if content exists and the user may see it
         const contentModel = contentType === 'post' ? Post : Reel;
-        const contentExists = await contentModel.exists({ _id: contentId }).session(session);
-        if (!contentExists) {
+        const content = await contentModel.findById(contentId).select('userId visibility').session(session);
+        if (!content || !(await canViewContent(userId, content))) {
             throw new Error(`${contentType} not found`);
         }
 
@@ -86,6 +88,18 @@ const handleLike = async (contentType, contentId, userId, reaction = 'like') =>
             }
         );
 
+        // Keep the user's reaction log (feed author affinity) in step
+        const logFilter = { userId, content: contentType, contentId };
+        if (action === 'unliked') {
+            await ReactionLog.deleteOne(logFilter, { session });
+        } else {
+            await ReactionLog.updateOne(
+                logFilter,
+                { $set: { authorId: content.userId } },
+                { upsert: true, session }
+            );
+        }
+
         // Manually populate user data
         const populatedLikes = await Promise.all(likeDoc.likes.map(async (userIds, index) => {
             if (!userIds || userIds.length === 0) return [];
@@ -147,6 +161,12 @@ exports.toggleLikePost = async (req, res) => {
         });
 
     } catch (error) {
+        if (error.message === 'post not found') {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found'
+            });
+        }
         console.error('Toggle like error:', error);
         res.status(500).json({
             success: false,
@@ -186,6 +206,12 @@ exports.toggleLikeReel = async (req, res) => {
         });
 
     } catch (error) {
+        if (error.message === 'reel not found') {
+            return res.status(404).json({
+                success: false,
+                message: 'Reel not found'
+            });
+        }
         console.error('Toggle like error:', error);
         res.status(500).json({
             success: false,
@@ -214,6 +240,15 @@ exports.getReactions = async (req, res) => {
             });
         }
 
+        const contentModel = content === 'post' ? Post : Reel;
+        const item = await contentModel.findById(contentId).select('userId visibility').lean();
+        if (item && !(await canViewContent(req.user?._id, item))) {
+            return res.status(404).json({
+                success: false,
+                message: `${content === 'post' ? 'Post' : 'Reel'} not found`
+            });
+        }
+
         const likeDoc = await Like.findOne({ content, contentId }).lean();
 
         // If no reactions exist yet, return empty result
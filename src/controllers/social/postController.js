@@ -10,33 +10,14 @@ const { Report, REPORT_REASONS } = require('../../models/social/Report');
 const videoTranscodingQueue = require('../../services/videoTranscodingQueue');
 const VideoTranscodingJob = require('../../models/VideoTranscodingJob');
 const { batchGetUsers, batchGetBlockedUsers, batchCheckBlocked, batchCheckFriendships } = require('../../utils/userDataLoader');
-
-// Helper function to get all blocked user IDs
-const getBlockedUserIds = async (userId) => {
-    try {
-        const user = await User.findById(userId).select('social.blockedUsers');
-        if (!user) return [];
-        
-        const blockedUsers = user.social?.blockedUsers || [];
-        const uniqueBlocked = [...new Set(blockedUsers.map(id => id.toString()))];
-        
-        return uniqueBlocked.map(id => mongoose.Types.ObjectId(id));
-    } catch (error) {
-        console.error('Error getting blocked users:', error);
-        return [];
-    }
-};
-
-// Helper function to check if a user is blocked
-const isUserBlocked = async (blockerId, blockedId) => {
-    try {
-        const blockedUserIds = await getBlockedUserIds(blockerId);
-        return blockedUserIds.some(id => id.toString() === blockedId.toString());
-    } catch (error) {
-        console.error('Error checking if user is blocked:', error);
-        return false;
-    }
-};
+const { Reel, ALLOWED_VISIBILITY } = require('../../models/social/Reel');
+const { getFeedPage, invalidateFeed, getReactionCounts } = require('../../services/social/feedRankingService');
+const { parsePagination, cursorSort, withCursor, encodeCursor, buildPage } = require('../../utils/pagination');
+const { getFollowingIds, buildVisibilityFilter, getOwnerVisibilityFilter, canViewContent } = require('../../services/social/followService');
+const { recordHashtags, releaseHashtags } = require('../../services/social/hashtagService');
+const { resolveMentions, notifyMentions } = require('../../services/social/mentionService');
+const { parseCaption } = require('../../utils/captionParser');
+const { getBlockedUserIds, isUserBlocked } = require('../../utils/blockedUsers');
 
 // Helper function to check if two users are friends
 const areFriends = async (userId1, userId2) => {
@@ -322,7 +303,7 @@ const createPost = async (req, res) => {
 
     try {
         const user = req.user; // From protect middleware
-        const { caption } = req.body;
+        const { caption, visibility } = req.body;
         
         // Get files from request (can be single file or array of files)
         const files = req.files || (req.file ? [req.file] : []);
@@ -338,6 +319,13 @@ const createPost = async (req, res) => {
             });
         }
 
+        if (visibility !== undefined && !ALLOWED_VISIBILITY.includes(visibility)) {
+            return res.status(400).json({
+                success: false,
+                message: `visibility must be one of: ${ALLOWED_VISIBILITY.join(', ')}`
+            });
+        }
+
         // Process uploaded files (if any)
         const media = [];
         
@@ -445,13 +433,28 @@ const createPost = async (req, res) => {
             }
         }
 
+        // Parse #hashtags and @mentions from the caption
+        const { hashtags, mentionIds, captionText } = parseCaption(caption);
+        const mentions = await resolveMentions(user._id, mentionIds);
+
         // Create the post
         const post = await Post.create({
             userId: user._id,
             caption: caption || '',
-            media: media
+            media: media,
+            visibility: visibility || 'public',
+            hashtags,
+            mentions,
+            captionText
         });
 
+        // The author's next feed request re-ranks and includes the new post
+        invalidateFeed(user._id).catch(err => console.error('Failed to invalidate feed:', err.message));
+
+        recordHashtags(post.hashtags, 'post').catch(err => console.error('Failed to record hashtags:', err.message));
+        notifyMentions({ author: user, contentType: 'post', content: post })
+            .catch(err => console.error('Failed to notify mentions:', err.message));
+
         // Set up callbacks for video transcoding completion (after post is created)
         for (const fileData of uploadedFiles) {
             if (fileData._callbackData) {
@@ -536,6 +539,9 @@ const createPost = async (req, res) => {
                     userId: userIdString,
                     user: userInfo,
                     caption: post.caption,
+                    visibility: post.visibility || 'public',
+                    hashtags: post.hashtags || [],
+                    mentions: post.mentions || [],
                     media: post.media,
                     likes: post.likes || [[], [], [], [], [], []],
                     comments: comments,
@@ -566,11 +572,16 @@ const createPost = async (req, res) => {
 };
 
 // Get all posts (for feed) with pagination
+// ?cursor=<nextCursor> is preferred; ?page= is still accepted for older clients
 const getAllPosts = async (req, res) => {
     try {
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 10;
-        const skip = (page - 1) * limit;
+        const { page, limit, skip, cursor, invalidCursor } = parsePagination(req.query);
+        if (invalidCursor) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor'
+            });
+        }
 
         // Get user ID from token if authenticated (optional for feed)
         const userId = req.user?._id;
@@ -608,13 +619,17 @@ const getAllPosts = async (req, res) => {
             }
         }
 
+        // Followers-only posts are included for users the viewer follows, private posts only for their author
+        Object.assign(query, buildVisibilityFilter(userId, await getFollowingIds(userId)));
+
         // Get posts sorted by newest first
         // We need to populate profile.visibility to check privacy
-        const posts = await Post.find(query)
+        const fetchLimit = limit * 2; // Get more posts to account for filtering
+        const posts = await Post.find(withCursor(query, cursor))
             .populate('userId', 'profile.name.first profile.name.last profile.name.full profile.email profile.profileImage profile.visibility social.friends')
-            .sort({ createdAt: -1 })
+            .sort(cursorSort())
             .skip(skip)
-            .limit(limit * 2); // Get more posts to account for filtering
+            .limit(fetchLimit);
 
         // Get all post IDs to fetch like counts in a single query
         const postIds = posts.map(post => post._id);
@@ -655,8 +670,11 @@ const getAllPosts = async (req, res) => {
             : await batchCheckPostVisibility(postUserIds, null);
 
         // Filter posts based on privacy settings and add like counts
+        // The next page starts after the last scanned post, visible or not
         const visiblePosts = [];
+        let lastScanned = null;
         for (const post of posts) {
+            lastScanned = post;
             if (!post.userId) {
                 continue;
             }
@@ -673,10 +691,13 @@ const getAllPosts = async (req, res) => {
             }
         }
 
+        const hasMorePosts = posts.length === fetchLimit || lastScanned !== posts[posts.length - 1];
+        const nextCursor = hasMorePosts ? encodeCursor(lastScanned) : null;
+
         // Get total count for pagination (we'll need to estimate or fetch more)
         // For accurate pagination, we'd need to filter in the query, but that's complex
         // So we'll use the filtered count
-        const totalPosts = await Post.countDocuments(query);
+        const totalPosts = cursor ? null : await Post.countDocuments(query);
 
         // Fetch comments and comment counts for all visible posts
         const postsWithComments = await Promise.all(
@@ -705,6 +726,9 @@ const getAllPosts = async (req, res) => {
                     userId: userIdString,
                     user: userInfo,
                     caption: post.caption,
+                    visibility: post.visibility || 'public',
+                    hashtags: post.hashtags || [],
+                    mentions: post.mentions || [],
                     media: enrichedMedia,
                     likes: post.likes || [[], [], [], [], [], []],
                     comments: comments,
@@ -721,12 +745,17 @@ const getAllPosts = async (req, res) => {
             message: 'Posts retrieved successfully',
             data: {
                 posts: postsWithComments.filter(Boolean),
-                pagination: {
+                pagination: cursor ? {
+                    limit,
+                    nextCursor,
+                    hasNextPage: Boolean(nextCursor)
+                } : {
                     currentPage: page,
                     totalPages: Math.ceil(totalPosts / limit),
                     totalPosts: totalPosts,
                     hasNextPage: visiblePosts.length === limit && page < Math.ceil(totalPosts / limit),
-                    hasPrevPage: page > 1
+                    hasPrevPage: page > 1,
+                    nextCursor
                 }
             }
         });
@@ -741,23 +770,148 @@ const getAllPosts = async (req, res) => {
     }
 };
 
+// Get the ranked home feed (posts and reels) for the authenticated user - cursor pagination
+// GET /api/posts/feed?limit=10&cursor=<nextCursor>&refresh=true
+const getFeed = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+        const cursor = req.query.cursor || null;
+        const refresh = req.query.refresh === 'true';
+
+        const page = await getFeedPage(userId, { cursor, limit, refresh });
+        if (!page.success) {
+            return res.status(400).json({
+                success: false,
+                message: page.message
+            });
+        }
+
+        const postIds = page.items.filter(item => item.type === 'post').map(item => item.id);
+        const reelIds = page.items.filter(item => item.type === 'reel').map(item => item.id);
+        const userFields = 'profile.name.first profile.name.last profile.name.full profile.email profile.profileImage';
+
+        const [posts, reels] = await Promise.all([
+            postIds.length > 0 ? Post.find({ _id: { $in: postIds } }).populate('userId', userFields) : [],
+            reelIds.length > 0 ? Reel.find({ _id: { $in: reelIds } }).populate('userId', userFields) : []
+        ]);
+        const postsMap = new Map(posts.filter(post => post.userId).map(post => [post._id.toString(), post]));
+        const reelsMap = new Map(reels.filter(reel => reel.userId).map(reel => [reel._id.toString(), reel]));
+
+        // Re-check blocks and privacy: the ranked snapshot can be a few minutes old
+        const authorIds = [...postsMap.values(), ...reelsMap.values()].map(item => item.userId._id);
+        const visibilityMap = await batchCheckPostVisibility(authorIds, userId);
+        const likesMap = await getReactionCounts(posts.map(post => post._id));
+
+        const formatUser = (author) => ({
+            id: author._id.toString(),
+            firstName: author.profile?.name?.first,
+            lastName: author.profile?.name?.last,
+            name: author.profile?.name?.full,
+            email: author.profile?.email,
+            profileImage: author.profile?.profileImage
+        });
+
+        const items = await Promise.all(page.items.map(async (item) => {
+            const content = item.type === 'post' ? postsMap.get(item.id) : reelsMap.get(item.id);
+            // Deleted since the feed was ranked, or no longer visible (author or post visibility changed)
+            if (!content || !visibilityMap.get(content.userId._id.toString()) || !(await canViewContent(userId, content))) {
+                return null;
+            }
+
+            const commentCount = await content.getCommentCount();
+
+            if (item.type === 'reel') {
+                return {
+                    type: 'reel',
+                    score: item.score,
+                    reel: {
+                        id: content._id.toString(),
+                        userId: content.userId._id.toString(),
+                        user: formatUser(content.userId),
+                        caption: content.caption,
+                        media: content.media,
+                        contentType: content.contentType,
+                        visibility: content.visibility,
+                        hashtags: content.hashtags || [],
+                        mentions: content.mentions || [],
+                        views: content.views || 0,
+                        likes: content.likes || [[], [], [], [], [], []],
+                        likeCount: content.likeCount,
+                        commentCount: commentCount,
+                        createdAt: content.createdAt,
+                        updatedAt: content.updatedAt
+                    }
+                };
+            }
+
+            return {
+                type: 'post',
+                score: item.score,
+                post: {
+                    id: content._id.toString(),
+                    userId: content.userId._id.toString(),
+                    user: formatUser(content.userId),
+                    caption: content.caption,
+                    visibility: content.visibility || 'public',
+                    hashtags: content.hashtags || [],
+                    mentions: content.mentions || [],
+                    media: await enrichMediaWithTranscodingStatus(content.media || []),
+                    likes: content.likes || [[], [], [], [], [], []],
+                    comments: await getFormattedComments(content._id, 3),
+                    likeCount: likesMap.get(content._id.toString()) || 0,
+                    commentCount: commentCount,
+                    createdAt: content.createdAt,
+                    updatedAt: content.updatedAt
+                }
+            };
+        }));
+
+        return res.status(200).json({
+            success: true,
+            message: 'Feed retrieved successfully',
+            data: {
+                items: items.filter(Boolean),
+                pagination: {
+                    limit,
+                    nextCursor: page.nextCursor,
+                    hasNextPage: page.hasNextPage,
+                    refreshed: page.refreshed
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get feed error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve feed',
+            error: error.message
+        });
+    }
+};
+
 // Get posts for the currently authenticated user (no user ID needed)
 const getMyPosts = async (req, res) => {
     try {
         const user = req.user; // From protect middleware
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 10;
-        const skip = (page - 1) * limit;
+        const { page, limit, skip, cursor, invalidCursor } = parsePagination(req.query);
+        if (invalidCursor) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor'
+            });
+        }
 
-        // Get posts for the authenticated user
-        const posts = await Post.find({ userId: user._id })
+        // Get posts for the authenticated user (one extra to know whether there is a next page)
+        const postDocs = await Post.find(withCursor({ userId: user._id }, cursor))
             .populate('userId', 'profile.name.first profile.name.last profile.name.full profile.email profile.profileImage')
-            .sort({ createdAt: -1 })
+            .sort(cursorSort())
             .skip(skip)
-            .limit(limit);
+            .limit(limit + 1);
+        const { items: posts, nextCursor } = buildPage(postDocs, limit);
 
         // Get total count for pagination
-        const totalPosts = await Post.countDocuments({ userId: user._id });
+        const totalPosts = cursor ? null : await Post.countDocuments({ userId: user._id });
 
         // Fetch comments and comment counts for all posts
         const postsWithComments = await Promise.all(
@@ -783,6 +937,9 @@ const getMyPosts = async (req, res) => {
                     userId: userIdString,
                     user: userInfo,
                     caption: post.caption,
+                    visibility: post.visibility || 'public',
+                    hashtags: post.hashtags || [],
+                    mentions: post.mentions || [],
                     media: enrichedMedia,
                     likes: post.likes || [[], [], [], [], [], []],
                     comments: comments,
@@ -805,12 +962,17 @@ const getMyPosts = async (req, res) => {
                     profileImage: user.profile?.profileImage
                 },
                 posts: postsWithComments,
-                pagination: {
+                pagination: cursor ? {
+                    limit,
+                    nextCursor,
+                    hasNextPage: Boolean(nextCursor)
+                } : {
                     currentPage: page,
                     totalPages: Math.ceil(totalPosts / limit),
                     totalPosts: totalPosts,
                     hasNextPage: page < Math.ceil(totalPosts / limit),
-                    hasPrevPage: page > 1
+                    hasPrevPage: page > 1,
+                    nextCursor
                 }
             }
         });
@@ -829,9 +991,13 @@ const getMyPosts = async (req, res) => {
 const getUserPosts = async (req, res) => {
     try {
         const { id } = req.params;
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 10;
-        const skip = (page - 1) * limit;
+        const { page, limit, skip, cursor, invalidCursor } = parsePagination(req.query);
+        if (invalidCursor) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor'
+            });
+        }
 
         // Validate user ID
         if (!id || !mongoose.Types.ObjectId.isValid(id)) {
@@ -901,7 +1067,8 @@ const getUserPosts = async (req, res) => {
         }
 
         // Build query to exclude reported posts if viewing user is authenticated
-        let query = { userId: id };
+        // and posts the viewer may not see (followers-only / private)
+        let query = { userId: id, ...(await getOwnerVisibilityFilter(id, viewingUserId)) };
         if (viewingUserId) {
             // Get all post IDs that the viewing user has reported
             const reportedPostIds = await Report.find({
@@ -915,15 +1082,16 @@ const getUserPosts = async (req, res) => {
             }
         }
 
-        // Get posts for this user
-        const posts = await Post.find(query)
+        // Get posts for this user (one extra to know whether there is a next page)
+        const postDocs = await Post.find(withCursor(query, cursor))
             .populate('userId', 'profile.name.first profile.name.last profile.name.full profile.email profile.profileImage')
-            .sort({ createdAt: -1 })
+            .sort(cursorSort())
             .skip(skip)
-            .limit(limit);
+            .limit(limit + 1);
+        const { items: posts, nextCursor } = buildPage(postDocs, limit);
 
         // Get total count for pagination
-        const totalPosts = await Post.countDocuments(query);
+        const totalPosts = cursor ? null : await Post.countDocuments(query);
 
         // Fetch likes for all posts in batch (likes are stored in Like collection, similar to comments)
         const postIds = posts.map(post => post._id);
@@ -968,6 +1136,9 @@ const getUserPosts = async (req, res) => {
                     userId: userIdString,
                     user: userInfo,
                     caption: post.caption,
+                    visibility: post.visibility || 'public',
+                    hashtags: post.hashtags || [],
+                    mentions: post.mentions || [],
                     media: enrichedMedia,
                     likes: postLikes,
                     comments: comments,
@@ -990,12 +1161,17 @@ const getUserPosts = async (req, res) => {
                     profileImage: user.profile?.profileImage
                 },
                 posts: postsWithComments,
-                pagination: {
+                pagination: cursor ? {
+                    limit,
+                    nextCursor,
+                    hasNextPage: Boolean(nextCursor)
+                } : {
                     currentPage: page,
                     totalPages: Math.ceil(totalPosts / limit),
                     totalPosts: totalPosts,
                     hasNextPage: page < Math.ceil(totalPosts / limit),
-                    hasPrevPage: page > 1
+                    hasPrevPage: page > 1,
+                    nextCursor
                 }
             }
         });
@@ -1126,7 +1302,7 @@ const toggleLikePost = async (req, res) => {
         // Find the post
         const post = await Post.findById(id);
 
-        if (!post) {
+        if (!post || !(await canViewContent(user._id, post))) {
             return res.status(404).json({
                 success: false,
                 message: 'Post not found'
@@ -1206,6 +1382,9 @@ const toggleLikePost = async (req, res) => {
                     userId: userIdString,
                     user: userInfo,
                     caption: post.caption,
+                    visibility: post.visibility || 'public',
+                    hashtags: post.hashtags || [],
+                    mentions: post.mentions || [],
                     media: enrichedMedia,
                     likes: post.likes || [[], [], [], [], [], []],
                     comments: limitComments(post.comments),
@@ -1283,6 +1462,7 @@ const deletePost = async (req, res) => {
 
         // Delete the post from database
         await Post.findByIdAndDelete(id);
+        releaseHashtags(post.hashtags, 'post').catch(err => console.error('Failed to release hashtags:', err.message));
 
         return res.status(200).json({
             success: true,
@@ -1341,7 +1521,7 @@ const addComment = async (req, res) => {
         // Find the post
         const post = await Post.findById(id);
 
-        if (!post) {
+        if (!post || !(await canViewContent(user._id, post))) {
             return res.status(404).json({
                 success: false,
                 message: 'Post not found'
@@ -1437,6 +1617,9 @@ const addComment = async (req, res) => {
                         userId: userIdString,
                         user: userInfo,
                         caption: post.caption,
+                        visibility: post.visibility || 'public',
+                        hashtags: post.hashtags || [],
+                        mentions: post.mentions || [],
                         media: post.media,
                         likes: post.likes || [[], [], [], [], [], []],
                         comments: limitComments(post.comments),
@@ -1490,6 +1673,9 @@ const addComment = async (req, res) => {
                         userId: userIdString,
                         user: userInfo,
                         caption: post.caption,
+                        visibility: post.visibility || 'public',
+                        hashtags: post.hashtags || [],
+                        mentions: post.mentions || [],
                         media: post.media,
                         likes: post.likes || [[], [], [], [], [], []],
                         comments: limitComments(post.comments),
@@ -1634,6 +1820,9 @@ const deleteComment = async (req, res) => {
                         userId: userIdString,
                         user: userInfo,
                         caption: post.caption,
+                        visibility: post.visibility || 'public',
+                        hashtags: post.hashtags || [],
+                        mentions: post.mentions || [],
                         media: post.media,
                         likes: post.likes || [[], [], [], [], [], []],
                         comments: limitComments(post.comments),
@@ -1710,6 +1899,9 @@ const deleteComment = async (req, res) => {
                         userId: userIdString,
                         user: userInfo,
                         caption: post.caption,
+                        visibility: post.visibility || 'public',
+                        hashtags: post.hashtags || [],
+                        mentions: post.mentions || [],
                         media: post.media,
                         likes: post.likes || [[], [], [], [], [], []],
                         comments: limitComments(post.comments),
@@ -1758,7 +1950,7 @@ const reportPost = async (req, res) => {
         // Find the post
         const post = await Post.findById(id);
 
-        if (!post) {
+        if (!post || !(await canViewContent(user._id, post))) {
             return res.status(404).json({
                 success: false,
                 message: 'Post not found'
@@ -1819,6 +2011,7 @@ const reportPost = async (req, res) => {
 
             // Delete the post from database
             await Post.findByIdAndDelete(id);
+            releaseHashtags(post.hashtags, 'post').catch(err => console.error('Failed to release hashtags:', err.message));
             postDeleted = true;
 
             console.log(`Post ${id} deleted due to 2 reports with reason: ${reason}`);
@@ -1847,6 +2040,7 @@ const reportPost = async (req, res) => {
 module.exports = {
     createPost,
     getAllPosts,
+    getFeed,
     getMyPosts,
     getUserPosts,
     toggleLikePost,
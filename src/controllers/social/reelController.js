@@ -1,38 +1,18 @@
-const { Reel, ALLOWED_CONTENT_TYPES } = require('../../models/social/Reel');
+const { Reel, ALLOWED_CONTENT_TYPES, ALLOWED_VISIBILITY } = require('../../models/social/Reel');
 const Comment = require('../../models/social/Comment');
 const User = require('../../models/authorization/User');
 const StorageService = require('../../services/storage.service');
 const Media = require('../../models/Media');
 const mongoose = require('mongoose');
 const { isVideo } = require('../../services/videoTranscoder');
+const videoTranscodingQueue = require('../../services/videoTranscodingQueue');
 const { Report, REPORT_REASONS } = require('../../models/social/Report');
-
-// Helper function to get all blocked user IDs
-const getBlockedUserIds = async (userId) => {
-    try {
-        const user = await User.findById(userId).select('social.blockedUsers');
-        if (!user) return [];
-        
-        const blockedUsers = user.social?.blockedUsers || [];
-        const uniqueBlocked = [...new Set(blockedUsers.map(id => id.toString()))];
-        
-        return uniqueBlocked.map(id => mongoose.Types.ObjectId(id));
-    } catch (error) {
-        console.error('Error getting blocked users:', error);
-        return [];
-    }
-};
-
-// Helper function to check if a user is blocked
-const isUserBlocked = async (blockerId, blockedId) => {
-    try {
-        const blockedUserIds = await getBlockedUserIds(blockerId);
-        return blockedUserIds.some(id => id.toString() === blockedId.toString());
-    } catch (error) {
-        console.error('Error checking if user is blocked:', error);
-        return false;
-    }
-};
+const { parsePagination, cursorSort, withCursor, encodeCursor } = require('../../utils/pagination');
+const { getFollowingIds, buildVisibilityFilter, getOwnerVisibilityFilter, canViewContent } = require('../../services/social/followService');
+const { recordHashtags, releaseHashtags } = require('../../services/social/hashtagService');
+const { resolveMentions, notifyMentions } = require('../../services/social/mentionService');
+const { parseCaption } = require('../../utils/captionParser');
+const { getBlockedUserIds, isUserBlocked } = require('../../utils/blockedUsers');
 
 // Helper function to fetch and format comments from Comment collection
 const getFormattedComments = async (contentId, limit = 15) => {
@@ -180,6 +160,14 @@ const createReelWithUpload = async (req, res) => {
             });
         }
 
+        // Validate visibility
+        if (visibility !== undefined && !ALLOWED_VISIBILITY.includes(visibility)) {
+            return res.status(400).json({
+                success: false,
+                message: `visibility must be one of: ${ALLOWED_VISIBILITY.join(', ')}`
+            });
+        }
+
         // Validate that video file is provided
         if (!req.file) {
             return res.status(400).json({
@@ -224,6 +212,10 @@ const createReelWithUpload = async (req, res) => {
             throw new Error(`Failed to save media record: ${dbError.message}`);
         }
 
+        // Parse #hashtags and @mentions from the caption
+        const { hashtags, mentionIds, captionText } = parseCaption(caption);
+        const mentions = await resolveMentions(user._id, mentionIds);
+
         // Create the reel
         const reel = await Reel.create({
             userId: user._id,
@@ -231,15 +223,36 @@ const createReelWithUpload = async (req, res) => {
             media: {
                 url: uploadResult.url,
                 publicId: uploadResult.key, // Use key as publicId
-                thumbnailUrl: uploadResult.url, // Use video URL as thumbnail for now
+                thumbnailUrl: uploadResult.url, // Replaced by the poster frame from the preview job below
                 type: mediaType,
                 format: format || '',
                 size: req.file.size
             },
             contentType,
-            visibility: visibility || 'public'
+            visibility: visibility || 'public',
+            hashtags,
+            mentions,
+            captionText
         });
 
+        recordHashtags(reel.hashtags, 'reel').catch(err => console.error('[ReelController] Failed to record hashtags:', err.message));
+        notifyMentions({ author: user, contentType: 'reel', content: reel })
+            .catch(err => console.error('[ReelController] Failed to notify mentions:', err.message));
+
+        // Queue poster frame + sprite sheet generation (async processing)
+        try {
+            await videoTranscodingQueue.addJob({
+                inputPath: uploadResult.key,
+                userId: user._id.toString(),
+                jobType: 'reel',
+                originalFilename: req.file.originalname,
+                reelId: reel._id.toString()
+            });
+        } catch (queueError) {
+            console.error('[ReelController] Failed to queue reel preview job:', queueError);
+            // Reel stays usable without previews
+        }
+
         // Populate user info for response
         await reel.populate('userId', 'profile.name.first profile.name.last profile.name.full profile.email profile.profileImage');
 
@@ -271,6 +284,8 @@ const createReelWithUpload = async (req, res) => {
                     media: reel.media,
                     contentType: reel.contentType,
                     visibility: reel.visibility,
+                    hashtags: reel.hashtags || [],
+                    mentions: reel.mentions || [],
                     views: reel.views || 0,
                     likes: reel.likes || [[], [], [], [], [], []],
                     likeCount: reel.likeCount,
@@ -305,6 +320,14 @@ const createReel = async (req, res) => {
             });
         }
 
+        // Validate visibility
+        if (visibility !== undefined && !ALLOWED_VISIBILITY.includes(visibility)) {
+            return res.status(400).json({
+                success: false,
+                message: `visibility must be one of: ${ALLOWED_VISIBILITY.join(', ')}`
+            });
+        }
+
         if (!media || !media.url || !media.publicId || !media.type) {
             return res.status(400).json({
                 success: false,
@@ -319,6 +342,10 @@ const createReel = async (req, res) => {
             });
         }
 
+        // Parse #hashtags and @mentions from the caption
+        const { hashtags, mentionIds, captionText } = parseCaption(caption);
+        const mentions = await resolveMentions(user._id, mentionIds);
+
         // Create the reel
         const reel = await Reel.create({
             userId: user._id,
@@ -337,9 +364,16 @@ const createReel = async (req, res) => {
                 size: media.fileSize || media.size
             },
             contentType,
-            visibility: visibility || 'public'
+            visibility: visibility || 'public',
+            hashtags,
+            mentions,
+            captionText
         });
 
+        recordHashtags(reel.hashtags, 'reel').catch(err => console.error('[ReelController] Failed to record hashtags:', err.message));
+        notifyMentions({ author: user, contentType: 'reel', content: reel })
+            .catch(err => console.error('[ReelController] Failed to notify mentions:', err.message));
+
         // Populate user info for response
         await reel.populate('userId', 'profile.name.first profile.name.last profile.name.full profile.email profile.profileImage');
 
@@ -369,6 +403,8 @@ const createReel = async (req, res) => {
                     media: reel.media,
                     contentType: reel.contentType,
                     visibility: reel.visibility,
+                    hashtags: reel.hashtags || [],
+                    mentions: reel.mentions || [],
                     views: reel.views || 0,
                     likes: reel.likes || [[], [], [], [], [], []],
                     likeCount: reel.likeCount,
@@ -388,13 +424,11 @@ const createReel = async (req, res) => {
     }
 };
 
-// Fetch reels with simple pagination
+// Fetch reels with cursor pagination (?page= is still accepted for older clients)
 const getReels = async (req, res) => {
     try {
         const contentType = req.query.contentType;
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 10;
-        const skip = (page - 1) * limit;
+        const { page, limit, skip, cursor, invalidCursor } = parsePagination(req.query);
 
         // Validation
         if (!contentType || !ALLOWED_CONTENT_TYPES.includes(contentType)) {
@@ -404,11 +438,18 @@ const getReels = async (req, res) => {
             });
         }
 
+        if (invalidCursor) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor'
+            });
+        }
+
         // Get user ID from token if authenticated (optional for feed)
         const userId = req.user?._id;
 
         // Build query to exclude reported reels and blocked users' reels if user is authenticated
-        let query = { contentType, visibility: 'public' };
+        let query = { contentType };
         let blockedUserIds = [];
         
         if (userId) {
@@ -440,17 +481,24 @@ const getReels = async (req, res) => {
             }
         }
 
+        // Followers-only reels are included for users the viewer follows, private reels only for their author
+        Object.assign(query, buildVisibilityFilter(userId, await getFollowingIds(userId)));
+
         // Get reels sorted by newest first
         // We need to populate profile.visibility to check privacy
-        const reels = await Reel.find(query)
+        const fetchLimit = limit * 2; // Get more reels to account for filtering
+        const reels = await Reel.find(withCursor(query, cursor))
             .populate('userId', 'profile.name.first profile.name.last profile.name.full profile.email profile.profileImage profile.visibility social.friends')
-            .sort({ createdAt: -1 })
+            .sort(cursorSort())
             .skip(skip)
-            .limit(limit * 2); // Get more reels to account for filtering
+            .limit(fetchLimit);
 
         // Filter reels based on privacy settings and blocking
+        // The next page starts after the last scanned reel, visible or not
         const visibleReels = [];
+        let lastScanned = null;
         for (const reel of reels) {
+            lastScanned = reel;
             if (!reel.userId) {
                 continue;
             }
@@ -506,8 +554,11 @@ const getReels = async (req, res) => {
             // If not authenticated and profile is private, skip
         }
 
+        const hasMoreReels = reels.length === fetchLimit || lastScanned !== reels[reels.length - 1];
+        const nextCursor = hasMoreReels ? encodeCursor(lastScanned) : null;
+
         // Get total count for pagination
-        const totalReels = await Reel.countDocuments(query);
+        const totalReels = cursor ? null : await Reel.countDocuments(query);
 
         return res.status(200).json({
             success: true,
@@ -537,6 +588,8 @@ const getReels = async (req, res) => {
                         media: reel.media,
                         contentType: reel.contentType,
                         visibility: reel.visibility,
+                        hashtags: reel.hashtags || [],
+                        mentions: reel.mentions || [],
                         views: reel.views || 0,
                         likes: reel.likes || [[], [], [], [], [], []],
                         likeCount: reel.likeCount,
@@ -545,12 +598,17 @@ const getReels = async (req, res) => {
                         updatedAt: reel.updatedAt
                     };
                 }))).filter(Boolean),
-                pagination: {
+                pagination: cursor ? {
+                    limit,
+                    nextCursor,
+                    hasNextPage: Boolean(nextCursor)
+                } : {
                     currentPage: page,
                     totalPages: Math.ceil(totalReels / limit),
                     totalReels: totalReels,
                     hasNextPage: visibleReels.length === limit && page < Math.ceil(totalReels / limit),
-                    hasPrevPage: page > 1
+                    hasPrevPage: page > 1,
+                    nextCursor
                 }
             }
         });
@@ -641,7 +699,8 @@ const getUserReels = async (req, res) => {
         }
 
         // Build query to exclude reported reels if viewing user is authenticated
-        let query = { userId: id };
+        // and reels the viewer may not see (followers-only / private)
+        let query = { userId: id, ...(await getOwnerVisibilityFilter(id, viewingUserId)) };
         if (viewingUserId) {
             // Get all reel IDs that the viewing user has reported
             const reportedReelIds = await Report.find({
@@ -696,6 +755,8 @@ const getUserReels = async (req, res) => {
                         media: reel.media,
                         contentType: reel.contentType,
                         visibility: reel.visibility,
+                        hashtags: reel.hashtags || [],
+                        mentions: reel.mentions || [],
                         views: reel.views || 0,
                         likes: reel.likes || [[], [], [], [], [], []],
                         likeCount: reel.likeCount,
@@ -770,7 +831,7 @@ const toggleLikeReel = async (req, res) => {
         // Find the reel
         const reel = await Reel.findById(id);
 
-        if (!reel) {
+        if (!reel || !(await canViewContent(user._id, reel))) {
             return res.status(404).json({
                 success: false,
                 message: 'Reel not found'
@@ -853,6 +914,8 @@ const toggleLikeReel = async (req, res) => {
                     media: reel.media,
                     contentType: reel.contentType,
                     visibility: reel.visibility,
+                    hashtags: reel.hashtags || [],
+                    mentions: reel.mentions || [],
                     views: reel.views || 0,
                     likes: reel.likes || [[], [], [], [], [], []],
                     likeCount: reel.likeCount,
@@ -909,7 +972,7 @@ const addComment = async (req, res) => {
         // Find the reel
         const reel = await Reel.findById(id);
 
-        if (!reel) {
+        if (!reel || !(await canViewContent(user._id, reel))) {
             return res.status(404).json({
                 success: false,
                 message: 'Reel not found'
@@ -955,6 +1018,8 @@ const addComment = async (req, res) => {
                     media: reel.media,
                     contentType: reel.contentType,
                     visibility: reel.visibility,
+                    hashtags: reel.hashtags || [],
+                    mentions: reel.mentions || [],
                     views: reel.views || 0,
                     likes: reel.likes || [[], [], [], [], [], []],
                     likeCount: reel.likeCount,
@@ -1067,6 +1132,8 @@ const deleteComment = async (req, res) => {
                     media: reel.media,
                     contentType: reel.contentType,
                     visibility: reel.visibility,
+                    hashtags: reel.hashtags || [],
+                    mentions: reel.mentions || [],
                     views: reel.views || 0,
                     likes: reel.likes || [[], [], [], [], [], []],
                     likeCount: reel.likeCount,
@@ -1130,6 +1197,13 @@ const deleteReel = async (req, res) => {
                 // Continue with deletion even if S3 deletion fails
             }
         }
+        if (reel.media && reel.media.sprite && reel.media.sprite.keyPrefix) {
+            try {
+                await StorageService.deletePrefix(reel.media.sprite.keyPrefix);
+            } catch (deleteError) {
+                console.warn(`[ReelController] Failed to delete previews ${reel.media.sprite.keyPrefix} from S3:`, deleteError.message);
+            }
+        }
 
         // Delete the comment document associated with this reel (one document per reel)
         await Comment.findOneAndDelete({
@@ -1139,6 +1213,7 @@ const deleteReel = async (req, res) => {
 
         // Delete the reel from database
         await Reel.findByIdAndDelete(id);
+        releaseHashtags(reel.hashtags, 'reel').catch(err => console.error('[ReelController] Failed to release hashtags:', err.message));
 
         console.log(`[ReelController] Reel ${id} deleted successfully by user ${user._id}`);
 
@@ -1183,7 +1258,7 @@ const reportReel = async (req, res) => {
         // Find the reel
         const reel = await Reel.findById(id);
 
-        if (!reel) {
+        if (!reel || !(await canViewContent(user._id, reel))) {
             return res.status(404).json({
                 success: false,
                 message: 'Reel not found'
@@ -1243,6 +1318,7 @@ const reportReel = async (req, res) => {
 
             // Delete the reel from database
             await Reel.findByIdAndDelete(id);
+            releaseHashtags(reel.hashtags, 'reel').catch(err => console.error('[ReelController] Failed to release hashtags:', err.message));
             reelDeleted = true;
 
             console.log(`[ReelController] Reel ${id} deleted due to 2 reports with reason: ${reason}`);
@@ -0,0 +1,209 @@
+const User = require('../../models/authorization/User');
+const { decodeCursor } = require('../../utils/pagination');
+const { searchUsers, searchPosts, searchReels, searchHashtags } = require('../../services/social/searchService');
+const { getFollowingIds } = require('../../services/social/followService');
+const { getTrendingHashtags: getTrending } = require('../../services/social/hashtagService');
+
+const SEARCH_TYPES = ['all', 'users', 'posts', 'reels', 'hashtags'];
+const MAX_QUERY_LENGTH = 100;
+
+// Helper function to format the author of a post/reel
+const formatAuthor = (author) => ({
+    id: author._id.toString(),
+    firstName: author.profile?.name?.first,
+    lastName: author.profile?.name?.last,
+    name: author.profile?.name?.full,
+    profileImage: author.profile?.profileImage
+});
+
+// Helper function to format a user result (bio only for public profiles or friends)
+const formatUserResult = (user, friendIds, followingIds) => {
+    const userId = user._id.toString();
+    const isFriend = friendIds.has(userId);
+    const isPrivate = user.profile?.visibility === 'private';
+
+    return {
+        id: user._id,
+        firstName: user.profile?.name?.first,
+        lastName: user.profile?.name?.last,
+        name: user.profile?.name?.full,
+        profileImage: user.profile?.profileImage || '',
+        bio: isPrivate && !isFriend ? undefined : user.profile?.bio,
+        isFriend,
+        isFollowing: followingIds.has(userId)
+    };
+};
+
+const formatPostResult = (post) => ({
+    id: post._id.toString(),
+    userId: post.userId._id.toString(),
+    user: formatAuthor(post.userId),
+    caption: post.caption,
+    visibility: post.visibility || 'public',
+    hashtags: post.hashtags || [],
+    mentions: post.mentions || [],
+    media: post.media,
+    createdAt: post.createdAt
+});
+
+const formatReelResult = (reel) => ({
+    id: reel._id.toString(),
+    userId: reel.userId._id.toString(),
+    user: formatAuthor(reel.userId),
+    caption: reel.caption,
+    contentType: reel.contentType,
+    visibility: reel.visibility,
+    hashtags: reel.hashtags || [],
+    mentions: reel.mentions || [],
+    media: reel.media,
+    views: reel.views || 0,
+    createdAt: reel.createdAt
+});
+
+// Unified search over users, posts, reels and hashtags
+// GET /api/search?q=term&type=all|users|posts|reels|hashtags&limit=10&cursor=<nextCursor>&page=1
+// type=all returns the top results of every kind; a single type paginates
+// (users with page, posts/reels with cursor)
+const search = async (req, res) => {
+    try {
+        const viewerId = req.user._id;
+        const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+        const type = req.query.type || 'all';
+
+        if (!q) {
+            return res.status(400).json({
+                success: false,
+                message: 'Search query is required'
+            });
+        }
+
+        if (q.length > MAX_QUERY_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `Search query must be at most ${MAX_QUERY_LENGTH} characters`
+            });
+        }
+
+        if (!SEARCH_TYPES.includes(type)) {
+            return res.status(400).json({
+                success: false,
+                message: `type must be one of: ${SEARCH_TYPES.join(', ')}`
+            });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || (type === 'all' ? 5 : 20), 1), 50);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+        if (req.query.cursor && !cursor) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor'
+            });
+        }
+
+        const include = (kind) => type === 'all' || type === kind;
+        // '#tag' only searches content and hashtags; '@name' only users
+        const isTagQuery = q.startsWith('#');
+        const isMentionQuery = q.startsWith('@');
+        const term = isMentionQuery ? q.slice(1).trim() : q;
+
+        if (!term) {
+            return res.status(400).json({
+                success: false,
+                message: 'Search query is required'
+            });
+        }
+
+        const [userResult, postResult, reelResult, hashtags] = await Promise.all([
+            include('users') && !isTagQuery
+                ? searchUsers(viewerId, term, { skip: type === 'users' ? (page - 1) * limit : 0, limit })
+                : null,
+            include('posts') && !isMentionQuery ? searchPosts(viewerId, term, { cursor: type === 'posts' ? cursor : null, limit }) : null,
+            include('reels') && !isMentionQuery ? searchReels(viewerId, term, { cursor: type === 'reels' ? cursor : null, limit }) : null,
+            include('hashtags') && !isMentionQuery ? searchHashtags(term, limit) : null
+        ]);
+
+        const data = { query: q, type };
+
+        if (userResult) {
+            const [viewer, followingIds] = await Promise.all([
+                User.findById(viewerId).select('social.friends').lean(),
+                getFollowingIds(viewerId)
+            ]);
+            const friendIds = new Set((viewer?.social?.friends || []).map(id => id.toString()));
+            const followingSet = new Set(followingIds.map(id => id.toString()));
+
+            data.users = {
+                items: userResult.users.map(user => formatUserResult(user, friendIds, followingSet)),
+                total: userResult.total,
+                nextPage: type === 'users' && page * limit < userResult.total ? page + 1 : null
+            };
+        }
+        if (postResult) {
+            data.posts = {
+                items: postResult.items.map(formatPostResult),
+                nextCursor: postResult.nextCursor
+            };
+        }
+        if (reelResult) {
+            data.reels = {
+                items: reelResult.items.map(formatReelResult),
+                nextCursor: reelResult.nextCursor
+            };
+        }
+        if (hashtags) {
+            data.hashtags = { items: hashtags };
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Search results retrieved successfully',
+            data
+        });
+    } catch (error) {
+        console.error('Search error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to search',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+// Trending hashtags over a rolling window
+// GET /api/search/hashtags/trending?hours=24&limit=10
+const getTrendingHashtags = async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+        const hours = req.query.hours !== undefined ? parseInt(req.query.hours) : undefined;
+
+        if (req.query.hours !== undefined && (!Number.isInteger(hours) || hours < 1)) {
+            return res.status(400).json({
+                success: false,
+                message: 'hours must be a positive integer'
+            });
+        }
+
+        const hashtags = await getTrending({ hours, limit });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Trending hashtags retrieved successfully',
+            data: {
+                hashtags
+            }
+        });
+    } catch (error) {
+        console.error('Get trending hashtags error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve trending hashtags',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+module.exports = {
+    search,
+    getTrendingHashtags
+};
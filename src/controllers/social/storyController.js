@@ -3,33 +3,7 @@ const User = require('../../models/authorization/User');
 const StorageService = require('../../services/storage.service');
 const mongoose = require('mongoose');
 const { isVideo } = require('../../services/videoTranscoder');
-
-// Helper function to get all blocked user IDs
-const getBlockedUserIds = async (userId) => {
-    try {
-        const user = await User.findById(userId).select('social.blockedUsers');
-        if (!user) return [];
-        
-        const blockedUsers = user.social?.blockedUsers || [];
-        const uniqueBlocked = [...new Set(blockedUsers.map(id => id.toString()))];
-        
-        return uniqueBlocked.map(id => mongoose.Types.ObjectId(id));
-    } catch (error) {
-        console.error('Error getting blocked users:', error);
-        return [];
-    }
-};
-
-// Helper function to check if a user is blocked
-const isUserBlocked = async (blockerId, blockedId) => {
-    try {
-        const blockedUserIds = await getBlockedUserIds(blockerId);
-        return blockedUserIds.some(id => id.toString() === blockedId.toString());
-    } catch (error) {
-        console.error('Error checking if user is blocked:', error);
-        return false;
-    }
-};
+const { getBlockedUserIds, isUserBlocked } = require('../../utils/blockedUsers');
 
 // Create a new story
 const createStory = async (req, res) => {
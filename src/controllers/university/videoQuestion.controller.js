@@ -1,7 +1,10 @@
 const Video = require('../../models/course/Video');
 const VideoQuestion = require('../../models/course/VideoQuestion');
 const Course = require('../../models/course/Course');
-const MCQGenerationJob = require('../../models/ai/MCQGenerationJob');
+const {
+    validateQuestionGenerationSettings,
+    queueQuestionGeneration
+} = require('../../services/ai/questionGenerationService');
 const CourseEnrollment = require('../../models/course/CourseEnrollment');
 const { emitNotification } = require('../../services/notification/notificationEmitter');
 
@@ -350,13 +353,22 @@ const createManualVideoQuestion = async (req, res) => {
 /**
  * Regenerate MCQs for a video (University only)
  * POST /api/university/videos/:videoId/questions/regenerate
+ * Body (optional): { provider, questionCount, difficulty } - overrides the course's question generation settings
  */
 const regenerateVideoQuestions = async (req, res) => {
     try {
         const { videoId } = req.params;
         const universityId = req.universityId; // From requireUniversity middleware
+        const { provider, questionCount, difficulty } = req.body || {};
 
-        // 1. Extract videoId from params (already done above)
+        // 1. Validate optional generation overrides
+        const settingsError = validateQuestionGenerationSettings({ provider, questionCount, difficulty });
+        if (settingsError) {
+            return res.status(400).json({
+                success: false,
+                message: settingsError
+            });
+        }
 
         // 2. Fetch Video by videoId
         const video = await Video.findById(videoId);
@@ -388,32 +400,16 @@ const regenerateVideoQuestions = async (req, res) => {
         await VideoQuestion.deleteMany({ videoId: videoId });
         console.log(`[RegenerateMCQ] Deleted existing questions for video ${videoId}`);
 
-        // 6. Create MCQGenerationJob with status = 'PENDING'
-        // Check if a job already exists for this video
-        const existingJob = await MCQGenerationJob.findOne({
-            videoId: videoId,
-            status: { $in: ['PENDING', 'PROCESSING'] }
+        // 6. Create MCQGenerationJob with status = 'PENDING' (an active job is reset to PENDING)
+        const { job, created } = await queueQuestionGeneration(video, {
+            restart: true,
+            provider,
+            questionCount,
+            difficulty
         });
-
-        if (existingJob) {
-            // Reset existing job to PENDING if it exists
-            await MCQGenerationJob.findByIdAndUpdate(existingJob._id, {
-                status: 'PENDING',
-                attempts: 0,
-                error: null
-            });
-            console.log(`[RegenerateMCQ] Reset existing job ${existingJob._id} to PENDING`);
-        } else {
-            // Create new job
-            await MCQGenerationJob.create({
-                videoId: videoId,
-                courseId: video.courseId,
-                status: 'PENDING',
-                attempts: 0,
-                provider: 'DRISHTI_AI'
-            });
-            console.log(`[RegenerateMCQ] Created new job for video ${videoId}`);
-        }
+        console.log(created
+            ? `[RegenerateMCQ] Created new job for video ${videoId}`
+            : `[RegenerateMCQ] Reset existing job ${job._id} to PENDING`);
 
         // 7. Return response
         return res.status(200).json({
@@ -421,7 +417,10 @@ const regenerateVideoQuestions = async (req, res) => {
             message: 'MCQ regeneration started',
             data: {
                 videoId: videoId,
-                status: 'PENDING'
+                status: 'PENDING',
+                provider: job.provider,
+                questionCount: job.questionCount,
+                difficulty: job.difficulty
             }
         });
 
@@ -176,6 +176,7 @@ const jwt = require('jsonwebtoken');
 const twilio = require('twilio');
 const cloudinary = require('../config/cloudinary');
 const { transcodeVideo, isVideo, cleanupFile } = require('../services/videoTranscoder');
+const { getBlockedUserIds, isUserBlocked } = require('../utils/blockedUsers');
 
 // Helper function to check if two users are friends
 const areFriends = async (userId1, userId2) => {
@@ -194,32 +195,6 @@ const areFriends = async (userId1, userId2) => {
     }
 };
 
-// Helper function to get all blocked user IDs
-const getBlockedUserIds = async (userId) => {
-    try {
-        const user = await User.findById(userId).select('social.blockedUsers');
-        if (!user) return [];
-        
-        // Get blocked users from social.blockedUsers
-        const blockedUsers = user.social?.blockedUsers || [];
-        return blockedUsers.map(id => id.toString());
-    } catch (error) {
-        console.error('Error getting blocked users:', error);
-        return [];
-    }
-};
-
-// Helper function to check if a user is blocked
-const isUserBlocked = async (blockerId, blockedId) => {
-    try {
-        const blockedUserIds = await getBlockedUserIds(blockerId);
-        return blockedUserIds.includes(blockedId.toString());
-    } catch (error) {
-        console.error('Error checking if user is blocked:', error);
-        return false;
-    }
-};
-
 // Helper function to get limited profile data for non-friends viewing private profiles
 const getLimitedProfileData = (user) => {
     return {
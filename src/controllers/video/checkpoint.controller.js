@@ -1,6 +1,9 @@
 const Question = require('../../models/course/Question');
 const Video = require('../../models/course/Video');
 const Course = require('../../models/course/Course');
+const mongoose = require('mongoose');
+const { recordAttempt, resetAttempts, getVideoCheckpointStatus } = require('../../services/video/checkpointService');
+const { completeVideoAfterCheckpoints } = require('../../services/progress/progressService');
 
 /**
  * Create checkpoint question for video
@@ -111,12 +114,21 @@ const getQuestion = async (req, res) => {
 };
 
 /**
- * Validate answer (check answer, return result - no DB write if wrong)
+ * Validate answer and record the attempt
+ * Retry limits come from the course checkpointPolicy
  */
 const validateAnswer = async (req, res) => {
     try {
         const { id } = req.params;
         const { answer } = req.body;
+        const userId = req.userId; // From protect middleware
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid question ID'
+            });
+        }
 
         if (!answer) {
             return res.status(400).json({
@@ -134,14 +146,53 @@ const validateAnswer = async (req, res) => {
             });
         }
 
+        const video = await Video.findById(question.videoId).select('courseId').lean();
+        const course = video ? await Course.findById(video.courseId).select('checkpointPolicy').lean() : null;
+        if (!video || !course) {
+            return res.status(404).json({
+                success: false,
+                message: 'Video not found'
+            });
+        }
+
         const isCorrect = question.correctAnswer === answer;
 
+        const result = await recordAttempt({
+            userId,
+            course,
+            videoId: video._id,
+            questionId: question._id,
+            questionType: 'CHECKPOINT',
+            answer: String(answer),
+            isCorrect
+        });
+
+        if (!result.success) {
+            return res.status(403).json({
+                success: false,
+                message: result.message,
+                data: { attemptsRemaining: 0 }
+            });
+        }
+
+        const checkpoints = await getVideoCheckpointStatus(userId, video, course);
+        // Passing the last checkpoint completes a video that was already watched to the end
+        const videoCompleted = isCorrect
+            ? await completeVideoAfterCheckpoints(userId, video, checkpoints)
+            : false;
+
         res.status(200).json({
             success: true,
-            message: isCorrect ? 'Correct answer!' : 'Incorrect answer',
+            message: result.alreadyCorrect
+                ? 'Question already answered correctly'
+                : (isCorrect ? 'Correct answer!' : 'Incorrect answer'),
             data: {
-                isCorrect,
-                correctAnswer: isCorrect ? question.correctAnswer : undefined // Only reveal if correct
+                isCorrect: result.alreadyCorrect ? true : isCorrect,
+                correctAnswer: isCorrect ? question.correctAnswer : undefined, // Only reveal if correct
+                attemptsUsed: result.attempt.attemptCount,
+                attemptsRemaining: result.attemptsRemaining,
+                checkpoints,
+                videoCompleted
             }
         });
     } catch (error) {
@@ -154,6 +205,113 @@ const validateAnswer = async (req, res) => {
     }
 };
 
+/**
+ * Reset a learner's attempts on a video's questions (course owner only)
+ * POST /api/videos/:videoId/attempts/reset
+ *
+ * Body: { userId, questionId? } - without questionId every unanswered question of the video is reset
+ */
+const resetQuestionAttempts = async (req, res) => {
+    try {
+        const { videoId } = req.params;
+        const { userId, questionId } = req.body;
+        const universityId = req.universityId; // From middleware
+
+        if (!mongoose.Types.ObjectId.isValid(videoId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid video ID'
+            });
+        }
+
+        if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Valid userId is required'
+            });
+        }
+
+        if (questionId !== undefined && questionId !== null && !mongoose.Types.ObjectId.isValid(questionId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid question ID'
+            });
+        }
+
+        // Verify video ownership
+        const video = await Video.findById(videoId).select('courseId').lean();
+        const course = video ? await Course.findById(video.courseId).select('universityId').lean() : null;
+        if (!video || !course) {
+            return res.status(404).json({
+                success: false,
+                message: 'Video not found'
+            });
+        }
+
+        if (course.universityId.toString() !== universityId.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to reset attempts for this video'
+            });
+        }
+
+        const resetCount = await resetAttempts({ userId, videoId: video._id, questionId: questionId || null });
+
+        res.status(200).json({
+            success: true,
+            message: 'Attempts reset successfully',
+            data: { resetCount }
+        });
+    } catch (error) {
+        console.error('Reset question attempts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error resetting attempts',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Checkpoint score for a video (current user)
+ * GET /api/videos/:videoId/checkpoint-status
+ */
+const getCheckpointStatus = async (req, res) => {
+    try {
+        const { videoId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(videoId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid video ID'
+            });
+        }
+
+        const video = await Video.findById(videoId).select('courseId').lean();
+        if (!video) {
+            return res.status(404).json({
+                success: false,
+                message: 'Video not found'
+            });
+        }
+
+        const checkpoints = await getVideoCheckpointStatus(req.userId, video);
+
+        res.status(200).json({
+            success: true,
+            message: 'Checkpoint status retrieved successfully',
+            data: { checkpoints }
+        });
+    } catch (error) {
+        console.error('Get checkpoint status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving checkpoint status',
+            error: error.message
+        });
+    }
+};
+
 /**
  * Get all questions in video
  */
@@ -295,6 +453,8 @@ module.exports = {
     createQuestion,
     getQuestion,
     validateAnswer,
+    resetQuestionAttempts,
+    getCheckpointStatus,
     getQuestionsByVideo,
     updateQuestion,
     deleteQuestion
@@ -2,7 +2,22 @@ const Video = require('../../models/course/Video');
 const Playlist = require('../../models/course/Playlist');
 const Course = require('../../models/course/Course');
 const VideoQuestion = require('../../models/course/VideoQuestion');
+const mongoose = require('mongoose');
 const videoService = require('../../services/video/videoService');
+const StorageService = require('../../services/storage.service');
+const {
+    getCheckpointPolicy,
+    recordAttempt,
+    getVideoCheckpointStatus
+} = require('../../services/video/checkpointService');
+const { completeVideoAfterCheckpoints } = require('../../services/progress/progressService');
+const {
+    UNLOCKED,
+    getCourseVideoLocks,
+    getVideoLock,
+    getLockMessage,
+    withLockState
+} = require('../../services/course/dripService');
 
 /**
  * Upload video (handle S3 upload, create video document)
@@ -88,6 +103,16 @@ const getVideo = async (req, res) => {
             });
         }
 
+        // Drip scheduling: locked videos are not served
+        const lock = userId ? await getVideoLock(userId, video) : UNLOCKED;
+        if (lock.locked) {
+            return res.status(403).json({
+                success: false,
+                message: getLockMessage(lock),
+                data: { lock }
+            });
+        }
+
         // Get user progress if authenticated
         let progress = null;
         if (userId) {
@@ -100,6 +125,7 @@ const getVideo = async (req, res) => {
             message: 'Video retrieved successfully',
             data: {
                 video,
+                lock,
                 progress: progress || {
                     lastWatchedSecond: 0,
                     completed: false
@@ -116,6 +142,126 @@ const getVideo = async (req, res) => {
     }
 };
 
+/**
+ * Get playback sources for a video (signed, short-lived)
+ * GET /api/videos/:id/stream
+ * Returns the HLS master playlist URL when renditions are ready, plus a signed MP4 fallback
+ */
+const getVideoStream = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.userId; // From user auth middleware
+
+        const video = await Video.findById(id).select('courseId status videoUrl s3Key hls').lean();
+        if (!video) {
+            return res.status(404).json({
+                success: false,
+                message: 'Video not found'
+            });
+        }
+
+        if (video.status !== 'READY') {
+            return res.status(409).json({
+                success: false,
+                message: 'Video is still processing',
+                data: { status: video.status }
+            });
+        }
+
+        // Drip scheduling: locked videos are not served
+        const lock = await getVideoLock(userId, video);
+        if (lock.locked) {
+            return res.status(403).json({
+                success: false,
+                message: getLockMessage(lock),
+                data: { lock }
+            });
+        }
+
+        const expiresIn = 3600;
+        const mp4Url = video.s3Key
+            ? await videoService.getSignedVideoUrl(video.s3Key, expiresIn)
+            : video.videoUrl;
+
+        let hls = null;
+        if (video.hls?.status === 'READY' && video.hls.renditions?.length > 0) {
+            const baseUrl = (process.env.BACKEND_URL || process.env.BASE_URL || `http://localhost:${process.env.PORT || 3100}`)
+                .replace(/\/$/, '');
+            const token = videoService.createStreamToken(video._id, userId, expiresIn);
+            hls = {
+                masterUrl: `${baseUrl}/api/videos/${video._id}/hls/master.m3u8?token=${encodeURIComponent(token)}`,
+                renditions: video.hls.renditions.map(({ name, width, height, bandwidth }) => ({ name, width, height, bandwidth }))
+            };
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Video stream retrieved successfully',
+            data: {
+                type: hls ? 'hls' : 'mp4',
+                hls,
+                mp4Url,
+                expiresAt: new Date(Date.now() + expiresIn * 1000)
+            }
+        });
+    } catch (error) {
+        console.error('Get video stream error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving video stream',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Serve an HLS playlist (authorized by the stream token from getVideoStream)
+ * GET /api/videos/:id/hls/master.m3u8?token=
+ * GET /api/videos/:id/hls/:rendition.m3u8?token= (segments are signed S3 URLs)
+ */
+const getHlsPlaylist = async (req, res) => {
+    try {
+        const { id, rendition } = req.params;
+
+        if (!videoService.verifyStreamToken(req.query.token, id)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired stream token'
+            });
+        }
+
+        const video = await Video.findById(id).select('hls').lean();
+        if (!video || video.hls?.status !== 'READY') {
+            return res.status(404).json({
+                success: false,
+                message: 'HLS stream not found'
+            });
+        }
+
+        const playlist = rendition === 'master'
+            ? videoService.buildHlsMasterPlaylist(video, req.query.token)
+            : await videoService.getSignedHlsPlaylist(video, rendition);
+
+        if (!playlist) {
+            return res.status(404).json({
+                success: false,
+                message: 'Rendition not found'
+            });
+        }
+
+        res.setHeader('Content-Type', videoService.HLS_CONTENT_TYPE);
+        res.setHeader('Cache-Control', 'private, no-store');
+        res.status(200).send(playlist);
+    } catch (error) {
+        console.error('Get HLS playlist error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving HLS playlist',
+            error: error.message
+        });
+    }
+};
+
 /**
  * Get all videos in playlist
  */
@@ -146,14 +292,23 @@ const getPlaylistVideos = async (req, res) => {
             });
         }
 
-        // Attach progress to videos
-        const videosWithProgress = videos.map(video => ({
-            ...video,
-            progress: progressMap[video._id.toString()] || {
-                lastWatchedSecond: 0,
-                completed: false
-            }
-        }));
+        // Drip scheduling: flag locked videos and hide their media
+        const locks = userId && videos.length > 0
+            ? await getCourseVideoLocks(userId, videos[0].courseId)
+            : new Map();
+
+        // Attach progress and lock state to videos
+        const videosWithProgress = videos.map(video => {
+            const lock = locks.get(video._id.toString()) || UNLOCKED;
+
+            return {
+                ...withLockState(video, lock),
+                progress: progressMap[video._id.toString()] || {
+                    lastWatchedSecond: 0,
+                    completed: false
+                }
+            };
+        });
 
         res.status(200).json({
             success: true,
@@ -245,9 +400,24 @@ const deleteVideoController = async (req, res) => {
             });
         }
 
-        // Delete from S3
+        // Delete from S3 unless a cloned course / draft version still uses the file
         if (video.s3Key) {
-            await videoService.deleteVideo(video.s3Key);
+            const sharedWith = await Video.exists({ _id: { $ne: video._id }, s3Key: video.s3Key });
+            if (!sharedWith) {
+                await videoService.deleteVideo(video.s3Key);
+            }
+        }
+        if (video.hls?.keyPrefix) {
+            const sharedWith = await Video.exists({ _id: { $ne: video._id }, 'hls.keyPrefix': video.hls.keyPrefix });
+            if (!sharedWith) {
+                await StorageService.deletePrefix(video.hls.keyPrefix);
+            }
+        }
+        if (video.sprite?.keyPrefix) {
+            const sharedWith = await Video.exists({ _id: { $ne: video._id }, 'sprite.keyPrefix': video.sprite.keyPrefix });
+            if (!sharedWith) {
+                await StorageService.deletePrefix(video.sprite.keyPrefix);
+            }
         }
 
         // Delete video document
@@ -424,6 +594,10 @@ const getVideoQuestions = async (req, res) => {
             });
         }
 
+        // Graded courses must not leak answers; they're checked server-side instead
+        const course = await Course.findById(video.courseId).select('checkpointPolicy').lean();
+        const isGraded = getCheckpointPolicy(course).enabled;
+
         // Query VideoQuestion with status: 'ACTIVE'
         const questions = await VideoQuestion.find({
             videoId: videoId,
@@ -438,7 +612,7 @@ const getVideoQuestions = async (req, res) => {
             videoId: q.videoId,
             question: q.question,
             options: q.options,
-            correct_answer: q.correctAnswer, // Map camelCase to snake_case
+            correct_answer: isGraded ? undefined : q.correctAnswer, // Map camelCase to snake_case
             timestamp_seconds: q.aiMeta?.timestamp_seconds || null,
             part_number: q.aiMeta?.part_number || null,
             source: q.source,
@@ -464,7 +638,106 @@ const getVideoQuestions = async (req, res) => {
     }
 };
 
+/**
+ * Answer a VideoQuestion (Learner API)
+ * POST /api/videos/:videoId/questions/:questionId/attempt
+ * Records the attempt; retry limits come from the course checkpointPolicy
+ */
+const answerVideoQuestion = async (req, res) => {
+    try {
+        const { videoId, questionId } = req.params;
+        const userId = req.userId; // From protect middleware
+        const answer = typeof req.body.answer === 'string' ? req.body.answer.trim().toUpperCase() : '';
+
+        if (!mongoose.Types.ObjectId.isValid(videoId) || !mongoose.Types.ObjectId.isValid(questionId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid video or question ID'
+            });
+        }
+
+        if (!['A', 'B', 'C', 'D'].includes(answer)) {
+            return res.status(400).json({
+                success: false,
+                message: 'answer must be one of: A, B, C, D'
+            });
+        }
+
+        const question = await VideoQuestion.findOne({
+            _id: questionId,
+            videoId,
+            status: 'ACTIVE'
+        }).lean();
+
+        if (!question) {
+            return res.status(404).json({
+                success: false,
+                message: 'Question not found'
+            });
+        }
+
+        const video = await Video.findById(videoId).select('courseId').lean();
+        const course = video ? await Course.findById(video.courseId).select('checkpointPolicy').lean() : null;
+        if (!video || !course) {
+            return res.status(404).json({
+                success: false,
+                message: 'Video not found'
+            });
+        }
+
+        const isCorrect = question.correctAnswer === answer;
+
+        const result = await recordAttempt({
+            userId,
+            course,
+            videoId: video._id,
+            questionId: question._id,
+            questionType: 'MCQ',
+            answer,
+            isCorrect
+        });
+
+        if (!result.success) {
+            return res.status(403).json({
+                success: false,
+                message: result.message,
+                data: { attemptsRemaining: 0 }
+            });
+        }
+
+        const checkpoints = await getVideoCheckpointStatus(userId, video, course);
+        // Passing the last checkpoint completes a video that was already watched to the end
+        const videoCompleted = isCorrect
+            ? await completeVideoAfterCheckpoints(userId, video, checkpoints)
+            : false;
+
+        return res.status(200).json({
+            success: true,
+            message: result.alreadyCorrect
+                ? 'Question already answered correctly'
+                : (isCorrect ? 'Correct answer!' : 'Incorrect answer'),
+            data: {
+                isCorrect: result.alreadyCorrect ? true : isCorrect,
+                correct_answer: isCorrect ? question.correctAnswer : undefined, // Only reveal if correct
+                attemptsUsed: result.attempt.attemptCount,
+                attemptsRemaining: result.attemptsRemaining,
+                checkpoints,
+                videoCompleted
+            }
+        });
+    } catch (error) {
+        console.error('Answer video question error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error submitting answer',
+            error: error.message
+        });
+    }
+};
+
 module.exports = {
+    getVideoStream,
+    getHlsPlaylist,
     uploadVideo: uploadVideoController,
     getVideo,
     getPlaylistVideos,
@@ -473,6 +746,7 @@ module.exports = {
     updateVideoThumbnail,
     trackProductView,
     trackProductClick,
-    getVideoQuestions
+    getVideoQuestions,
+    answerVideoQuestion
 };
 
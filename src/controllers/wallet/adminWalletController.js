@@ -0,0 +1,340 @@
+const mongoose = require('mongoose');
+const TokenWallet = require('../../models/wallet/TokenWallet');
+const TokenTransaction = require('../../models/wallet/TokenTransaction');
+const User = require('../../models/authorization/User');
+const tokenService = require('../../services/wallet/tokenService');
+const tokenReconciliationJob = require('../../jobs/wallet/tokenReconciliationJob');
+
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * Who is acting: SYSTEM token calls have no user, admins do
+ */
+const getActor = (req) => ({
+    actorType: req.isSystem ? 'SYSTEM' : 'ADMIN',
+    actorId: req.user?._id || null
+});
+
+const validateReason = (reason) => {
+    if (!reason || typeof reason !== 'string' || reason.trim().length === 0) {
+        return 'Reason is required and must be a non-empty string';
+    }
+    if (reason.trim().length > MAX_REASON_LENGTH) {
+        return `Reason must be at most ${MAX_REASON_LENGTH} characters`;
+    }
+    return null;
+};
+
+/**
+ * Validate :userId and make sure the user exists
+ *
+ * @returns {Promise<{status: Number, message: String}|null>} Error, or null if valid
+ */
+const checkTargetUser = async (userId) => {
+    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+        return { status: 400, message: 'Invalid user ID' };
+    }
+    const exists = await User.exists({ _id: userId });
+    if (!exists) {
+        return { status: 404, message: 'User not found' };
+    }
+    return null;
+};
+
+const formatWallet = (wallet, userId) => ({
+    userId: wallet ? wallet.userId : userId,
+    balance: wallet ? wallet.balance : 0,
+    status: wallet ? wallet.status : 'ACTIVE',
+    lock: wallet && wallet.status === 'LOCKED' ? wallet.lock : null,
+    updatedAt: wallet ? wallet.updatedAt : null
+});
+
+/**
+ * Get a user's wallet with recent ledger entries
+ * GET /api/admin/wallets/:userId
+ */
+const getUserWallet = async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        const targetError = await checkTargetUser(userId);
+        if (targetError) {
+            return res.status(targetError.status).json({
+                success: false,
+                message: targetError.message
+            });
+        }
+
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        const skip = (page - 1) * limit;
+
+        const [wallet, transactions, total] = await Promise.all([
+            TokenWallet.findOne({ userId }).lean(),
+            TokenTransaction.find({ userId })
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            TokenTransaction.countDocuments({ userId })
+        ]);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Wallet retrieved successfully',
+            data: {
+                wallet: formatWallet(wallet, userId),
+                transactions,
+                pagination: {
+                    page,
+                    limit,
+                    total
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Admin get wallet error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error retrieving wallet',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Grant or claw back tokens
+ * POST /api/admin/wallets/:userId/adjustments
+ *
+ * Body: { amount, reason } - positive amount grants, negative claws back
+ */
+const adjustWallet = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { amount, reason } = req.body;
+
+        if (!Number.isInteger(amount) || amount === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Amount must be a non-zero whole number (positive to grant, negative to claw back)'
+            });
+        }
+
+        const reasonError = validateReason(reason);
+        if (reasonError) {
+            return res.status(400).json({
+                success: false,
+                message: reasonError
+            });
+        }
+
+        const targetError = await checkTargetUser(userId);
+        if (targetError) {
+            return res.status(targetError.status).json({
+                success: false,
+                message: targetError.message
+            });
+        }
+
+        const actor = getActor(req);
+        const result = await tokenService.adjustBalance(userId, amount, {
+            reason: reason.trim(),
+            actor
+        });
+
+        if (!result.success) {
+            return res.status(409).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        console.log('🪙 Wallet adjusted', {
+            userId,
+            amount,
+            actorType: actor.actorType,
+            actorId: actor.actorId ? actor.actorId.toString() : null
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: amount > 0 ? 'Tokens granted successfully' : 'Tokens clawed back successfully',
+            data: {
+                wallet: formatWallet(result.wallet, userId),
+                transaction: result.transaction
+            }
+        });
+    } catch (error) {
+        console.error('Admin adjust wallet error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error adjusting wallet',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Lock a wallet
+ * POST /api/admin/wallets/:userId/lock
+ *
+ * Body: { reason }
+ */
+const lockWallet = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { reason } = req.body;
+
+        const reasonError = validateReason(reason);
+        if (reasonError) {
+            return res.status(400).json({
+                success: false,
+                message: reasonError
+            });
+        }
+
+        const targetError = await checkTargetUser(userId);
+        if (targetError) {
+            return res.status(targetError.status).json({
+                success: false,
+                message: targetError.message
+            });
+        }
+
+        const result = await tokenService.lockWallet(userId, {
+            reason: reason.trim(),
+            actor: getActor(req)
+        });
+
+        if (!result.success) {
+            return res.status(409).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Wallet locked successfully',
+            data: {
+                wallet: formatWallet(result.wallet, userId)
+            }
+        });
+    } catch (error) {
+        console.error('Admin lock wallet error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error locking wallet',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Unlock a wallet
+ * POST /api/admin/wallets/:userId/unlock
+ */
+const unlockWallet = async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        const targetError = await checkTargetUser(userId);
+        if (targetError) {
+            return res.status(targetError.status).json({
+                success: false,
+                message: targetError.message
+            });
+        }
+
+        const result = await tokenService.unlockWallet(userId);
+
+        if (!result.success) {
+            return res.status(409).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Wallet unlocked successfully',
+            data: {
+                wallet: formatWallet(result.wallet, userId)
+            }
+        });
+    } catch (error) {
+        console.error('Admin unlock wallet error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error unlocking wallet',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Get the last reconciliation report
+ * GET /api/admin/wallets/reconciliation
+ */
+const getReconciliationReport = async (req, res) => {
+    try {
+        return res.status(200).json({
+            success: true,
+            message: 'Reconciliation status retrieved successfully',
+            data: {
+                status: tokenReconciliationJob.getStatus(),
+                report: tokenReconciliationJob.getLastReport()
+            }
+        });
+    } catch (error) {
+        console.error('Get reconciliation report error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error retrieving reconciliation report',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Run reconciliation now
+ * POST /api/admin/wallets/reconciliation/run
+ */
+const runReconciliation = async (req, res) => {
+    try {
+        const report = await tokenReconciliationJob.runJob();
+
+        if (!report) {
+            return res.status(409).json({
+                success: false,
+                message: 'Reconciliation is already running'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: report.driftCount > 0
+                ? `Drift found in ${report.driftCount} wallet(s)`
+                : 'All wallets match their ledger',
+            data: {
+                report
+            }
+        });
+    } catch (error) {
+        console.error('Run reconciliation error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error running reconciliation',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+module.exports = {
+    getUserWallet,
+    adjustWallet,
+    lockWallet,
+    unlockWallet,
+    getReconciliationReport,
+    runReconciliation
+};
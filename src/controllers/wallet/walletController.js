@@ -1,5 +1,12 @@
 const TokenWallet = require('../../models/wallet/TokenWallet');
 const TokenTransaction = require('../../models/wallet/TokenTransaction');
+const { isRedemptionEnabled } = require('../../utils/tokenGuards');
+const mongoose = require('mongoose');
+const User = require('../../models/authorization/User');
+const { getTokenRate, getTransferAllowance, transferTokens } = require('../../services/wallet/tokenService');
+const { isUserBlocked } = require('../../utils/blockedUsers');
+
+const MAX_TRANSFER_NOTE_LENGTH = 200;
 
 /**
  * Get wallet balance (read-only)
@@ -30,7 +37,9 @@ const getWallet = async (req, res) => {
             };
         }
 
-        // Return wallet info with safety message
+        const redemptionEnabled = await isRedemptionEnabled();
+
+        // Return wallet info with redemption availability
         res.status(200).json({
             success: true,
             message: 'Wallet retrieved successfully',
@@ -39,7 +48,14 @@ const getWallet = async (req, res) => {
                     balance: wallet.balance || 0,
                     status: wallet.status || 'ACTIVE'
                 },
-                message: 'Tokens are not redeemable yet'
+                redemption: {
+                    enabled: redemptionEnabled,
+                    tokenValue: redemptionEnabled ? getTokenRate() : null
+                },
+                transfers: getTransferAllowance(wallet),
+                message: redemptionEnabled
+                    ? 'Tokens can be redeemed at marketplace checkout'
+                    : 'Tokens are not redeemable yet'
             }
         });
     } catch (error) {
@@ -83,7 +99,7 @@ const getTransactions = async (req, res) => {
         // Get transactions (using indexed userId field)
         const [transactions, totalCount] = await Promise.all([
             TokenTransaction.find({ userId })
-                .select('source sourceId amount status createdAt')
+                .select('type source sourceId amount status reason counterpartyId note createdAt')
                 .sort({ createdAt: -1 })
                 .skip(skip)
                 .limit(limit)
@@ -93,9 +109,13 @@ const getTransactions = async (req, res) => {
 
         // Format transactions for frontend (hide internal IDs)
         const formattedTransactions = transactions.map(tx => ({
+            type: tx.type || 'CREDIT',
             source: tx.source,
             amount: tx.amount,
             status: tx.status,
+            reason: tx.reason || null, // Only set on admin adjustments
+            counterpartyId: tx.counterpartyId || null, // Only set on friend transfers
+            note: tx.note || null,
             createdAt: tx.createdAt
         }));
 
@@ -129,8 +149,121 @@ const getTransactions = async (req, res) => {
     }
 };
 
+/**
+ * Send tokens to a friend
+ * POST /api/wallet/transfers
+ *
+ * Body: { recipientId, amount, note? }
+ */
+const transferToFriend = async (req, res) => {
+    try {
+        const senderId = req.userId;
+        const { recipientId, amount, note } = req.body;
+
+        if (!recipientId || !mongoose.Types.ObjectId.isValid(recipientId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid recipient ID'
+            });
+        }
+
+        if (senderId.toString() === recipientId.toString()) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot send tokens to yourself'
+            });
+        }
+
+        if (!Number.isInteger(amount) || amount < 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'Amount must be a positive whole number of tokens'
+            });
+        }
+
+        if (note !== undefined && note !== null &&
+            (typeof note !== 'string' || note.trim().length > MAX_TRANSFER_NOTE_LENGTH)) {
+            return res.status(400).json({
+                success: false,
+                message: `Note must be a string of at most ${MAX_TRANSFER_NOTE_LENGTH} characters`
+            });
+        }
+
+        const [sender, recipient] = await Promise.all([
+            User.findById(senderId).select('profile.name social.friends').lean(),
+            User.findById(recipientId).select('profile.name').lean()
+        ]);
+
+        if (!recipient) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        // Check if sender has blocked the recipient (check both locations)
+        if (await isUserBlocked(senderId, recipientId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot send tokens to a blocked user'
+            });
+        }
+
+        // Check if recipient has blocked the sender (check both locations)
+        if (await isUserBlocked(recipientId, senderId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Action not available'
+            });
+        }
+
+        const senderFriends = sender?.social?.friends || [];
+        if (!senderFriends.some(friendId => friendId.toString() === recipientId.toString())) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only send tokens to friends'
+            });
+        }
+
+        const result = await transferTokens(senderId, recipient._id, amount, {
+            note: note ? note.trim() : undefined,
+            senderName: sender?.profile?.name?.full,
+            recipientName: recipient.profile?.name?.full
+        });
+
+        if (!result.success) {
+            return res.status(409).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        return res.status(201).json({
+            success: true,
+            message: 'Tokens sent successfully',
+            data: {
+                transferId: result.transferId,
+                amount,
+                wallet: {
+                    balance: result.wallet.balance,
+                    status: result.wallet.status
+                },
+                transfers: getTransferAllowance(result.wallet)
+            }
+        });
+    } catch (error) {
+        console.error('Token transfer error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error sending tokens',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
 module.exports = {
     getWallet,
-    getTransactions
+    getTransactions,
+    transferToFriend
 };
 
@@ -0,0 +1,119 @@
+const cron = require('node-cron');
+const AnalyticsEvent = require('../../models/analytics/AnalyticsEvent');
+const { aggregateCourseAnalytics } = require('../../services/progress/analyticsService');
+
+/**
+ * Course Analytics Aggregation Cron Job
+ *
+ * Re-aggregates CourseAnalytics (totalUsers, avgCompletionTime) for every
+ * course that received video events since the previous run. Events are
+ * ingested by the video-analytics worker.
+ *
+ * Schedule: Hourly at minute 15 (COURSE_ANALYTICS_CRON to override)
+ */
+
+let job = null;
+let isRunning = false;
+let lastRunStartedAt = null;
+
+const DEFAULT_SCHEDULE = '15 * * * *';
+// Window for the first run after a restart
+const INITIAL_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Run one aggregation pass
+ */
+const runJob = async () => {
+    // Prevent concurrent executions
+    if (isRunning) {
+        console.log('[CourseAnalyticsJob] ⏭️  Job already running, skipping this execution');
+        return;
+    }
+
+    isRunning = true;
+    const startedAt = new Date();
+    const since = lastRunStartedAt || new Date(startedAt.getTime() - INITIAL_LOOKBACK_MS);
+
+    try {
+        console.log(`[CourseAnalyticsJob] 🚀 Aggregating courses with events since ${since.toISOString()}`);
+
+        const courseIds = await AnalyticsEvent.distinct('courseId', { createdAt: { $gte: since } });
+
+        let aggregated = 0;
+        let failed = 0;
+        for (const courseId of courseIds) {
+            try {
+                await aggregateCourseAnalytics(courseId);
+                aggregated += 1;
+            } catch (error) {
+                failed += 1;
+                console.error(`[CourseAnalyticsJob] ❌ Failed to aggregate course ${courseId}:`, error.message);
+            }
+        }
+
+        // Only move the window forward once every course was aggregated
+        if (failed === 0) {
+            lastRunStartedAt = startedAt;
+        }
+
+        const duration = Date.now() - startedAt.getTime();
+        console.log(`[CourseAnalyticsJob] ✅ Complete in ${duration}ms:`);
+        console.log(`  - Courses aggregated: ${aggregated}`);
+        console.log(`  - Failed: ${failed}`);
+    } catch (error) {
+        console.error('[CourseAnalyticsJob] ❌ Job execution error:', error);
+    } finally {
+        isRunning = false;
+    }
+};
+
+/**
+ * Start the cron job
+ */
+const start = () => {
+    if (job) {
+        console.log('[CourseAnalyticsJob] ⚠️  Job already started');
+        return;
+    }
+
+    const schedule = process.env.COURSE_ANALYTICS_CRON || DEFAULT_SCHEDULE;
+    if (!cron.validate(schedule)) {
+        throw new Error(`Invalid COURSE_ANALYTICS_CRON expression: ${schedule}`);
+    }
+
+    job = cron.schedule(schedule, runJob, {
+        scheduled: true,
+        timezone: 'UTC'
+    });
+
+    console.log(`[CourseAnalyticsJob] ✅ Started (schedule: ${schedule})`);
+};
+
+/**
+ * Stop the cron job
+ */
+const stop = () => {
+    if (job) {
+        job.stop();
+        job = null;
+        console.log('[CourseAnalyticsJob] ⏹️  Stopped');
+    }
+};
+
+/**
+ * Get job status
+ */
+const getStatus = () => {
+    return {
+        scheduled: !!job,
+        isRunning,
+        lastRunStartedAt
+    };
+};
+
+module.exports = {
+    start,
+    stop,
+    getStatus,
+    runJob
+};
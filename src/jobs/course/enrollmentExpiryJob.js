@@ -0,0 +1,116 @@
+const cron = require('node-cron');
+const {
+    applyCourseDeadlines,
+    checkExpiredEnrollments,
+    sendExpiryReminders
+} = require('../../services/progress/progressService');
+
+/**
+ * Enrollment Expiry Cron Job
+ *
+ * 1. Copies Course.completionDeadline onto active enrollments missing expiresAt
+ * 2. Expires APPROVED / IN_PROGRESS enrollments past expiresAt, notifies the
+ *    learner (COURSE_ENROLL_EXPIRED) and reopens FULL courses with free capacity
+ * 3. Sends COURSE_ENROLL_EXPIRING reminders N days before expiry
+ *
+ * Schedule: Hourly at minute 0 (ENROLLMENT_EXPIRY_CRON to override)
+ * Reminder days: ENROLLMENT_REMINDER_DAYS, comma-separated (default "7,1")
+ */
+
+let job = null;
+let isRunning = false;
+
+const DEFAULT_SCHEDULE = '0 * * * *';
+const DEFAULT_REMINDER_DAYS = [7, 1];
+
+const getReminderDays = () => {
+    const raw = process.env.ENROLLMENT_REMINDER_DAYS;
+    if (!raw) {
+        return DEFAULT_REMINDER_DAYS;
+    }
+    return raw.split(',')
+        .map(value => parseInt(value.trim(), 10))
+        .filter(days => Number.isInteger(days) && days > 0);
+};
+
+/**
+ * Run one sweep
+ */
+const runJob = async () => {
+    // Prevent concurrent executions
+    if (isRunning) {
+        console.log('[EnrollmentExpiryJob] ⏭️  Job already running, skipping this execution');
+        return;
+    }
+
+    isRunning = true;
+    const startTime = Date.now();
+
+    try {
+        console.log(`[EnrollmentExpiryJob] 🚀 Starting enrollment sweep at ${new Date().toISOString()}`);
+
+        const deadlinesApplied = await applyCourseDeadlines();
+        const expired = await checkExpiredEnrollments();
+        const remindersSent = await sendExpiryReminders(getReminderDays());
+
+        const duration = Date.now() - startTime;
+        console.log(`[EnrollmentExpiryJob] ✅ Complete in ${duration}ms:`);
+        console.log(`  - Deadlines applied: ${deadlinesApplied}`);
+        console.log(`  - Enrollments expired: ${expired}`);
+        console.log(`  - Reminders sent: ${remindersSent}`);
+    } catch (error) {
+        console.error('[EnrollmentExpiryJob] ❌ Job execution error:', error);
+    } finally {
+        isRunning = false;
+    }
+};
+
+/**
+ * Start the cron job
+ */
+const start = () => {
+    if (job) {
+        console.log('[EnrollmentExpiryJob] ⚠️  Job already started');
+        return;
+    }
+
+    const schedule = process.env.ENROLLMENT_EXPIRY_CRON || DEFAULT_SCHEDULE;
+    if (!cron.validate(schedule)) {
+        throw new Error(`Invalid ENROLLMENT_EXPIRY_CRON expression: ${schedule}`);
+    }
+
+    job = cron.schedule(schedule, runJob, {
+        scheduled: true,
+        timezone: 'UTC'
+    });
+
+    console.log(`[EnrollmentExpiryJob] ✅ Started (schedule: ${schedule}, reminders: ${getReminderDays().join(', ')} days)`);
+};
+
+/**
+ * Stop the cron job
+ */
+const stop = () => {
+    if (job) {
+        job.stop();
+        job = null;
+        console.log('[EnrollmentExpiryJob] ⏹️  Stopped');
+    }
+};
+
+/**
+ * Get job status
+ */
+const getStatus = () => {
+    return {
+        scheduled: !!job,
+        isRunning
+    };
+};
+
+module.exports = {
+    start,
+    stop,
+    getStatus,
+    runJob
+};
@@ -0,0 +1,130 @@
+const cron = require('node-cron');
+const { reconcileWallets } = require('../../services/wallet/tokenService');
+
+/**
+ * Token Reconciliation Cron Job
+ *
+ * Recomputes every TokenWallet balance from its TokenTransaction ledger and
+ * logs any drift. Nothing is corrected automatically - admins fix drift with
+ * an ADMIN_ADJUSTMENT after investigating.
+ *
+ * Schedule: Daily at 03:00 UTC (TOKEN_RECONCILIATION_CRON to override)
+ */
+
+let job = null;
+let isRunning = false;
+let lastReport = null;
+
+const DEFAULT_SCHEDULE = '0 3 * * *';
+
+/**
+ * Run one reconciliation pass
+ *
+ * @returns {Promise<Object|null>} Report, or null if a run is already in progress
+ */
+const runJob = async () => {
+    // Prevent concurrent executions
+    if (isRunning) {
+        console.log('[TokenReconciliationJob] ⏭️  Job already running, skipping this execution');
+        return null;
+    }
+
+    isRunning = true;
+    const startTime = Date.now();
+
+    try {
+        console.log(`[TokenReconciliationJob] 🚀 Starting wallet reconciliation at ${new Date().toISOString()}`);
+
+        const report = await reconcileWallets();
+        lastReport = report;
+
+        const duration = Date.now() - startTime;
+        console.log(`[TokenReconciliationJob] ✅ Complete in ${duration}ms:`);
+        console.log(`  - Wallets checked: ${report.walletsChecked}`);
+        console.log(`  - Wallets with drift: ${report.driftCount}`);
+
+        if (report.driftCount > 0) {
+            console.warn('[TokenReconciliationJob] ⚠️  Balance drift detected:', report.drifts.slice(0, 20).map(d => ({
+                userId: d.userId.toString(),
+                walletBalance: d.walletBalance,
+                ledgerBalance: d.ledgerBalance,
+                drift: d.drift
+            })));
+        }
+
+        return report;
+    } catch (error) {
+        console.error('[TokenReconciliationJob] ❌ Job execution error:', error);
+        throw error;
+    } finally {
+        isRunning = false;
+    }
+};
+
+/**
+ * Start the cron job
+ */
+const start = () => {
+    if (job) {
+        console.log('[TokenReconciliationJob] ⚠️  Job already started');
+        return;
+    }
+
+    const schedule = process.env.TOKEN_RECONCILIATION_CRON || DEFAULT_SCHEDULE;
+    if (!cron.validate(schedule)) {
+        throw new Error(`Invalid TOKEN_RECONCILIATION_CRON expression: ${schedule}`);
+    }
+
+    job = cron.schedule(schedule, () => {
+        runJob().catch(() => {
+            // Already logged in runJob
+        });
+    }, {
+        scheduled: true,
+        timezone: 'UTC'
+    });
+
+    console.log(`[TokenReconciliationJob] ✅ Started (schedule: ${schedule})`);
+};
+
+/**
+ * Stop the cron job
+ */
+const stop = () => {
+    if (job) {
+        job.stop();
+        job = null;
+        console.log('[TokenReconciliationJob] ⏹️  Stopped');
+    }
+};
+
+/**
+ * Get job status, including a summary of the last report
+ */
+const getStatus = () => {
+    return {
+        scheduled: !!job,
+        isRunning,
+        lastRun: lastReport
+            ? {
+                startedAt: lastReport.startedAt,
+                finishedAt: lastReport.finishedAt,
+                walletsChecked: lastReport.walletsChecked,
+                driftCount: lastReport.driftCount
+            }
+            : null
+    };
+};
+
+/**
+ * Full report from the last completed run (null before the first run)
+ */
+const getLastReport = () => lastReport;
+
+module.exports = {
+    start,
+    stop,
+    getStatus,
+    getLastReport,
+    runJob
+};
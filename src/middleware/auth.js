@@ -67,6 +67,28 @@ const protect = async (req, res, next) => {
     }
 };
 
+// Like protect, but lets anonymous requests through: sets req.user when a valid
+// Bearer token is sent and ignores missing or invalid tokens
+const optionalAuth = async (req, res, next) => {
+    try {
+        if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer')) {
+            return next();
+        }
+
+        const token = req.headers.authorization.split(' ')[1];
+        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+        // Exclude auth section for security - never expose auth data in req.user
+        const user = await User.findById(decoded.id).select('-auth');
+        if (user) {
+            req.user = user;
+            req.userId = user._id;
+        }
+        next();
+    } catch (error) {
+        next();
+    }
+};
+
 // Verify refresh token
 const verifyRefreshToken = async (req, res, next) => {
     try {
@@ -112,5 +134,6 @@ module.exports = {
     generateAccessToken,
     generateRefreshToken,
     verifyRefreshToken,
-    protect
+    protect,
+    optionalAuth
 };
@@ -33,6 +33,12 @@ const videoTranscodingJobSchema = new mongoose.Schema({
         default: null,
         index: true
     },
+    reelId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Reel',
+        default: null,
+        index: true
+    },
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         default: null,
@@ -23,6 +23,24 @@ const mcqGenerationJobSchema = new mongoose.Schema({
         type: String,
         default: 'DRISHTI_AI'
     },
+    // Generation settings (from Course.questionGeneration when queued)
+    questionCount: {
+        type: Number,
+        default: 5,
+        min: 1,
+        max: 20
+    },
+    difficulty: {
+        type: String,
+        enum: ['EASY', 'MEDIUM', 'HARD', 'MIXED'],
+        default: 'MEDIUM'
+    },
+    // What the provider generated from: subtitles transcript or the video file
+    inputSource: {
+        type: String,
+        enum: ['TRANSCRIPT', 'VIDEO', null],
+        default: null
+    },
     attempts: {
         type: Number,
         default: 0
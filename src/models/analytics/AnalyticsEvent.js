@@ -29,6 +29,16 @@ const analyticsEventSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.Mixed,
         default: {}
     },
+    // Client-generated ID, used to drop events re-sent from offline buffers
+    clientEventId: {
+        type: String,
+        default: null
+    },
+    // When the event happened on the device (createdAt is ingestion time)
+    occurredAt: {
+        type: Date,
+        default: null
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -42,6 +52,11 @@ analyticsEventSchema.index({ courseId: 1, createdAt: -1 });
 analyticsEventSchema.index({ videoId: 1, createdAt: -1 });
 analyticsEventSchema.index({ userId: 1, createdAt: -1 });
 analyticsEventSchema.index({ eventType: 1, createdAt: -1 });
+// Deduplicate re-sent events per user
+analyticsEventSchema.index(
+    { userId: 1, clientEventId: 1 },
+    { unique: true, partialFilterExpression: { clientEventId: { $type: 'string' } } }
+);
 // TTL index to auto-delete old events (optional - keep last 90 days)
 analyticsEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
 
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+/**
+ * Certificate Model
+ *
+ * One completion certificate per COMPLETED enrollment. Names and dates are
+ * snapshotted at issue time so the certificate (and its public verification
+ * page) stay stable if the learner, course or university is renamed later.
+ */
+const certificateSchema = new mongoose.Schema({
+    // Public verification code (printed on the PDF and encoded in its QR)
+    code: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    courseId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true
+    },
+    universityId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'University',
+        required: true
+    },
+    enrollmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CourseEnrollment',
+        required: true,
+        unique: true
+    },
+    learnerName: {
+        type: String,
+        required: true
+    },
+    courseName: {
+        type: String,
+        required: true
+    },
+    universityName: {
+        type: String,
+        required: true
+    },
+    completedAt: {
+        type: Date,
+        required: true
+    },
+    // Stored PDF; null until generated (generation is retried on download)
+    pdf: {
+        url: {
+            type: String,
+            default: null
+        },
+        key: {
+            type: String,
+            default: null
+        },
+        generatedAt: {
+            type: Date,
+            default: null
+        }
+    }
+}, {
+    timestamps: true
+});
+
+certificateSchema.index({ userId: 1, createdAt: -1 });
+certificateSchema.index({ courseId: 1, userId: 1 });
+
+module.exports = mongoose.model('Certificate', certificateSchema);
@@ -48,11 +48,74 @@ const courseSchema = new mongoose.Schema({
         type: Date,
         default: null
     },
+    // Published content version, incremented each time a draft version is published
+    version: {
+        type: Number,
+        default: 1
+    },
+    // Set on a draft version: the LIVE course it will replace when published
+    versionOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        default: null
+    },
     rewardTokensPerCompletion: {
         type: Number,
         default: 0,
         min: 0
     },
+    // Courses (same university) the learner must have COMPLETED before enrolling
+    prerequisites: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course'
+    }],
+    // Drip scheduling of videos for enrolled learners:
+    // - sequential: a video unlocks once every earlier video is completed
+    // - scheduled: a playlist unlocks Playlist.unlockAfterDays after enrollment approval
+    dripPolicy: {
+        sequential: {
+            type: Boolean,
+            default: false
+        },
+        scheduled: {
+            type: Boolean,
+            default: false
+        }
+    },
+    // Checkpoint quiz gating: when passThreshold is set, a video only counts as
+    // completed once the learner answers at least passThreshold% of its
+    // checkpoint questions correctly (maxAttempts per question, null = unlimited)
+    checkpointPolicy: {
+        passThreshold: {
+            type: Number,
+            default: null,
+            min: 0,
+            max: 100
+        },
+        maxAttempts: {
+            type: Number,
+            default: null,
+            min: 1
+        }
+    },
+    // AI question generation for new videos; provider null = server default (MCQ_PROVIDER)
+    questionGeneration: {
+        provider: {
+            type: String,
+            default: null
+        },
+        questionCount: {
+            type: Number,
+            default: 5,
+            min: 1,
+            max: 20
+        },
+        difficulty: {
+            type: String,
+            enum: ['EASY', 'MEDIUM', 'HARD', 'MIXED'],
+            default: 'MEDIUM'
+        }
+    },
     stats: {
         totalUsers: {
             type: Number,
@@ -73,6 +136,11 @@ courseSchema.index({ inviteOnly: 1 });
 courseSchema.index({ isInviteOnly: 1 });
 courseSchema.index({ status: 1 });
 courseSchema.index({ createdAt: -1 });
+// At most one open draft version per course
+courseSchema.index(
+    { versionOf: 1 },
+    { unique: true, partialFilterExpression: { versionOf: { $type: 'objectId' } } }
+);
 
 module.exports = mongoose.model('Course', courseSchema);
 
@@ -28,6 +28,11 @@ const courseEnrollmentSchema = new mongoose.Schema({
     expiresAt: {
         type: Date,
         default: null
+    },
+    // Reminder thresholds (days before expiresAt) already sent by the expiry job
+    expiryRemindersSent: {
+        type: [Number],
+        default: []
     }
 }, {
     timestamps: true
@@ -41,6 +46,7 @@ courseEnrollmentSchema.index({ courseId: 1, status: 1 });
 courseEnrollmentSchema.index({ userId: 1, status: 1 });
 courseEnrollmentSchema.index({ status: 1, createdAt: -1 });
 courseEnrollmentSchema.index({ expiresAt: 1 }); // For expiry queries
+courseEnrollmentSchema.index({ status: 1, expiresAt: 1 }); // Expiry sweeper and reminders
 
 // Pre-save hook: Check expiry before saving
 courseEnrollmentSchema.pre('save', async function() {
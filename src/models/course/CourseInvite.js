@@ -35,6 +35,24 @@ const courseInviteSchema = new mongoose.Schema({
         type: Date,
         default: null
     },
+    // Revoked invites can no longer be validated or accepted
+    revoked: {
+        type: Boolean,
+        default: false
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    // Resending issues a new token, so only the latest link works
+    sendCount: {
+        type: Number,
+        default: 1
+    },
+    lastSentAt: {
+        type: Date,
+        default: Date.now
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -51,6 +69,7 @@ courseInviteSchema.index({ courseId: 1 });
 courseInviteSchema.index({ token: 1 });
 courseInviteSchema.index({ email: 1 });
 courseInviteSchema.index({ used: 1 });
+courseInviteSchema.index({ courseId: 1, email: 1 }); // Bulk invite duplicate checks
 
 // Pre-save hook to hash token
 courseInviteSchema.pre('save', function(next) {
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+/**
+ * Course Version Model
+ *
+ * History of published content versions of a course. Version 1 is the first
+ * publish; each published draft version adds a row with what it changed.
+ */
+const changeCountsSchema = new mongoose.Schema({
+    added: {
+        type: Number,
+        default: 0
+    },
+    updated: {
+        type: Number,
+        default: 0
+    },
+    removed: {
+        type: Number,
+        default: 0
+    }
+}, { _id: false });
+
+const courseVersionSchema = new mongoose.Schema({
+    courseId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true
+    },
+    version: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    publishedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Draft course that was published (null for the first publish)
+    draftCourseId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    changes: {
+        playlists: {
+            type: changeCountsSchema,
+            default: () => ({})
+        },
+        videos: {
+            type: changeCountsSchema,
+            default: () => ({})
+        },
+        questions: {
+            type: changeCountsSchema,
+            default: () => ({})
+        }
+    }
+}, {
+    timestamps: true
+});
+
+courseVersionSchema.index({ courseId: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('CourseVersion', courseVersionSchema);
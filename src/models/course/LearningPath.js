@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+/**
+ * Learning Path Model
+ *
+ * An ordered bundle of a university's courses. Ordering between courses is
+ * enforced through Course.prerequisites; the path itself groups courses and
+ * aggregates the learner's progress across them.
+ */
+const learningPathSchema = new mongoose.Schema({
+    universityId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'University',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 200
+    },
+    description: {
+        type: String,
+        default: '',
+        maxlength: 5000
+    },
+    thumbnail: {
+        type: String,
+        default: null
+    },
+    // Courses in the order they should be taken
+    courseIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course'
+    }],
+    status: {
+        type: String,
+        enum: ['DRAFT', 'PUBLISHED'],
+        default: 'DRAFT'
+    }
+}, {
+    timestamps: true
+});
+
+learningPathSchema.index({ universityId: 1, createdAt: -1 });
+learningPathSchema.index({ status: 1, createdAt: -1 });
+learningPathSchema.index({ courseIds: 1 });
+
+module.exports = mongoose.model('LearningPath', learningPathSchema);
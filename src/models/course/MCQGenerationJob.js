@@ -23,6 +23,24 @@ const mcqGenerationJobSchema = new mongoose.Schema({
         type: String,
         default: 'DRISHTI_AI'
     },
+    // Generation settings (from Course.questionGeneration when queued)
+    questionCount: {
+        type: Number,
+        default: 5,
+        min: 1,
+        max: 20
+    },
+    difficulty: {
+        type: String,
+        enum: ['EASY', 'MEDIUM', 'HARD', 'MIXED'],
+        default: 'MEDIUM'
+    },
+    // What the provider generated from: subtitles transcript or the video file
+    inputSource: {
+        type: String,
+        enum: ['TRANSCRIPT', 'VIDEO', null],
+        default: null
+    },
     attempts: {
         type: Number,
         default: 0
@@ -42,5 +60,8 @@ const mcqGenerationJobSchema = new mongoose.Schema({
 // Index for efficient querying of pending jobs
 mcqGenerationJobSchema.index({ status: 1, createdAt: 1 });
 
-module.exports = mongoose.model('MCQGenerationJob', mcqGenerationJobSchema);
+// Also defined in models/ai/MCQGenerationJob.js; reuse whichever loaded first
+module.exports =
+    mongoose.models.MCQGenerationJob ||
+    mongoose.model('MCQGenerationJob', mcqGenerationJobSchema);
 
@@ -23,6 +23,19 @@ const playlistSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // Days after enrollment approval before this playlist unlocks
+    // (only applies when the course dripPolicy.scheduled is on)
+    unlockAfterDays: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // On a draft version: the live playlist this one was cloned from
+    sourcePlaylistId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Playlist',
+        default: null
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -30,6 +30,12 @@ const questionSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // On a draft version: the live question this one was cloned from
+    sourceQuestionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Question',
+        default: null
+    },
     createdAt: {
         type: Date,
         default: Date.now
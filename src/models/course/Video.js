@@ -51,6 +51,62 @@ const videoSchema = new mongoose.Schema({
         type: String,
         default: null
     },
+    // Adaptive-bitrate HLS output (produced alongside the MP4 when HLS is enabled)
+    hls: {
+        status: {
+            type: String,
+            enum: ['NONE', 'PROCESSING', 'READY', 'FAILED'],
+            default: 'NONE'
+        },
+        // S3 prefix holding master.m3u8 and one folder per rendition
+        keyPrefix: {
+            type: String,
+            default: null
+        },
+        masterKey: {
+            type: String,
+            default: null
+        },
+        renditions: [{
+            _id: false,
+            name: String,       // e.g. '480p'
+            width: Number,
+            height: Number,
+            bandwidth: Number,  // bits/s, as advertised in the master playlist
+            playlistKey: String // S3 key of the rendition's index.m3u8
+        }],
+        error: {
+            type: String,
+            default: null
+        }
+    },
+    // Scrub-preview sprite sheet generated by the transcoding job
+    sprite: {
+        // S3 prefix holding poster.jpg, sprite.jpg and sprite.vtt
+        keyPrefix: {
+            type: String,
+            default: null
+        },
+        imageUrl: {
+            type: String,
+            default: null
+        },
+        vttUrl: {
+            type: String,
+            default: null
+        },
+        interval: Number,   // seconds covered by each tile
+        columns: Number,
+        rows: Number,
+        tileWidth: Number,
+        tileHeight: Number
+    },
+    // On a draft version: the live video this one was cloned from
+    sourceVideoId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Video',
+        default: null
+    },
     attachedProductId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Product',
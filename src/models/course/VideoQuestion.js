@@ -69,6 +69,15 @@ const videoQuestionSchema = new mongoose.Schema({
         },
         part_number: {
             type: Number
+        },
+        provider: {
+            type: String
+        },
+        difficulty: {
+            type: String
+        },
+        input_source: {
+            type: String
         }
     },
 
@@ -82,6 +91,12 @@ const videoQuestionSchema = new mongoose.Schema({
     editable: {
         type: Boolean,
         default: true
+    },
+    // On a draft version: the live question this one was cloned from
+    sourceQuestionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'VideoQuestion',
+        default: null
     }
 }, {
     timestamps: true
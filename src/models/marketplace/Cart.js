@@ -11,6 +11,10 @@ const cartItemSchema = new mongoose.Schema({
         ref: 'User',
         required: true
     },
+    variantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
     quantity: {
         type: Number,
         required: true,
@@ -34,7 +38,28 @@ const cartSchema = new mongoose.Schema({
         required: true,
         unique: true
     },
-    items: [cartItemSchema]
+    items: [cartItemSchema],
+    // Coupon applied to the cart; re-validated on every getCart and at checkout
+    coupon: {
+        couponId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Coupon',
+            default: null
+        },
+        code: {
+            type: String,
+            default: null
+        },
+        appliedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    // Set while a checkout is converting this cart into an order
+    checkoutStartedAt: {
+        type: Date,
+        default: null
+    }
 }, {
     timestamps: true
 });
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+/**
+ * Marketplace Category Model
+ *
+ * Hierarchical: each category stores its parent and the full list of
+ * ancestors (root first), so a whole subtree can be matched with one indexed
+ * query. Products store the same path in Product.categoryPath.
+ */
+const categorySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    slug: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true,
+        maxlength: 120
+    },
+    parentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        default: null
+    },
+    ancestors: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category'
+    }],
+    sortOrder: {
+        type: Number,
+        default: 0
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+categorySchema.index({ parentId: 1, sortOrder: 1 });
+categorySchema.index({ ancestors: 1 });
+
+module.exports = mongoose.models.Category || mongoose.model('Category', categorySchema);
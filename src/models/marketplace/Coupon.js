@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+/**
+ * Marketplace Coupon Model
+ *
+ * - PLATFORM coupons are created by admins and can be scoped to any sellers/products
+ * - SELLER coupons are created by a seller and only ever discount that seller's items
+ *
+ * Discounts apply to the eligible part of the cart only (see
+ * services/marketplace/couponService). usedCount and CouponUsage are
+ * incremented atomically at checkout so limits hold under concurrency.
+ */
+const couponSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        trim: true,
+        maxlength: 32
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 500,
+        default: null
+    },
+    scope: {
+        type: String,
+        enum: ['PLATFORM', 'SELLER'],
+        required: true
+    },
+    // Owner of a SELLER coupon
+    sellerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+        required: function() {
+            return this.scope === 'SELLER';
+        }
+    },
+    discountType: {
+        type: String,
+        enum: ['PERCENTAGE', 'FLAT'],
+        required: true
+    },
+    // Percent (1-100) for PERCENTAGE, INR for FLAT
+    value: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Cap for PERCENTAGE coupons (INR)
+    maxDiscount: {
+        type: Number,
+        default: null,
+        min: 0
+    },
+    // Minimum value of the eligible items
+    minCartValue: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Optional scoping; empty means "all" (SELLER coupons are always limited to sellerId)
+    productIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    }],
+    sellerIds: [{
+        type: mongoose.Schema.Types.ObjectId
+    }],
+    startsAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    // Total redemptions allowed (null = unlimited)
+    usageLimit: {
+        type: Number,
+        default: null,
+        min: 1
+    },
+    perUserLimit: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    usedCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdById: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    createdByType: {
+        type: String,
+        enum: ['ADMIN', 'SYSTEM', 'USER', 'UNIVERSITY'],
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+couponSchema.index({ scope: 1, sellerId: 1, createdAt: -1 });
+couponSchema.index({ isActive: 1, expiresAt: 1 });
+
+module.exports = mongoose.models.Coupon || mongoose.model('Coupon', couponSchema);
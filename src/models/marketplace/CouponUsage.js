@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+/**
+ * Coupon Usage Model
+ *
+ * One counter per (coupon, user), used to enforce Coupon.perUserLimit with a
+ * single conditional upsert at checkout.
+ */
+const couponUsageSchema = new mongoose.Schema({
+    couponId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon',
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    count: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
+}, {
+    timestamps: true
+});
+
+couponUsageSchema.index({ couponId: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.models.CouponUsage || mongoose.model('CouponUsage', couponUsageSchema);
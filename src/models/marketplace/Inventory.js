@@ -11,6 +11,11 @@ const inventorySchema = new mongoose.Schema({
         ref: 'User',
         required: true
     },
+    // Product.variants._id; null for products without variants
+    variantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
     available: {
         type: Number,
         required: true,
@@ -25,7 +30,7 @@ const inventorySchema = new mongoose.Schema({
     timestamps: true
 });
 
-inventorySchema.index({ productId: 1, sellerId: 1 }, { unique: true });
+inventorySchema.index({ productId: 1, sellerId: 1, variantId: 1 }, { unique: true });
 
 module.exports = mongoose.model('Inventory', inventorySchema);
 
@@ -0,0 +1,283 @@
+const mongoose = require('mongoose');
+
+// Fulfilment states shared by line items and the order as a whole
+const ORDER_STATUSES = ['PLACED', 'CONFIRMED', 'SHIPPED', 'DELIVERED', 'CANCELLED', 'RETURNED'];
+
+const orderItemSchema = new mongoose.Schema({
+    productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    sellerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    sellerType: {
+        type: String,
+        enum: ['USER', 'UNIVERSITY'],
+        default: 'USER'
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    // Variant snapshot (null for products without variants)
+    variantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    variantLabel: {
+        type: String,
+        default: null
+    },
+    sku: {
+        type: String,
+        default: null
+    },
+    image: {
+        type: String,
+        default: null
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    unitPrice: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    lineTotal: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Coupon discount allocated to this line (INR)
+    discount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Each seller fulfils their own line items independently
+    status: {
+        type: String,
+        enum: ORDER_STATUSES,
+        default: 'PLACED'
+    },
+    shipment: {
+        carrier: {
+            type: String,
+            trim: true,
+            default: null
+        },
+        trackingNumber: {
+            type: String,
+            trim: true,
+            default: null
+        }
+    },
+    confirmedAt: {
+        type: Date,
+        default: null
+    },
+    shippedAt: {
+        type: Date,
+        default: null
+    },
+    deliveredAt: {
+        type: Date,
+        default: null
+    },
+    cancelledAt: {
+        type: Date,
+        default: null
+    },
+    returnedAt: {
+        type: Date,
+        default: null
+    },
+    cancellationReason: {
+        type: String,
+        default: null,
+        maxlength: 500
+    }
+});
+
+const shippingAddressSchema = new mongoose.Schema({
+    addressId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Address'
+    },
+    fullName: {
+        type: String,
+        required: true
+    },
+    phoneNumber: {
+        type: String,
+        required: true
+    },
+    addressLine1: {
+        type: String,
+        required: true
+    },
+    addressLine2: {
+        type: String,
+        default: ''
+    },
+    city: {
+        type: String,
+        required: true
+    },
+    state: {
+        type: String,
+        required: true
+    },
+    zipCode: {
+        type: String,
+        required: true
+    },
+    country: {
+        type: String,
+        required: true
+    }
+}, { _id: false });
+
+const orderSchema = new mongoose.Schema({
+    orderNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    items: {
+        type: [orderItemSchema],
+        validate: {
+            validator: (items) => Array.isArray(items) && items.length > 0,
+            message: 'Order must contain at least one item'
+        }
+    },
+    // Snapshot of the address at checkout time so later address edits don't rewrite history
+    shippingAddress: {
+        type: shippingAddressSchema,
+        required: true
+    },
+    subtotal: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Coupon applied at checkout (snapshot for auditing)
+    coupon: {
+        couponId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Coupon',
+            default: null
+        },
+        code: {
+            type: String,
+            default: null
+        },
+        scope: {
+            type: String,
+            enum: ['PLATFORM', 'SELLER', null],
+            default: null
+        },
+        discountType: {
+            type: String,
+            enum: ['PERCENTAGE', 'FLAT', null],
+            default: null
+        },
+        value: {
+            type: Number,
+            default: null
+        },
+        // Set once the usage is given back after the whole order was cancelled
+        releasedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    // Sum of the line discounts
+    discountTotal: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Wallet tokens redeemed at checkout (TOKEN_REDEMPTION_ENABLED)
+    tokenRedemption: {
+        tokens: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        // INR value deducted from the discounted subtotal
+        amount: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        // Tokens already returned to the wallet for cancelled/returned items
+        tokensReversed: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        transactionId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'TokenTransaction',
+            default: null
+        }
+    },
+    // Amount payable after coupon discount and token redemption
+    totalAmount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Derived from the line item statuses (see orderService.deriveOrderStatus)
+    status: {
+        type: String,
+        enum: ORDER_STATUSES,
+        default: 'PLACED'
+    },
+    paymentStatus: {
+        type: String,
+        enum: ['PENDING', 'PAID', 'FAILED', 'PARTIALLY_REFUNDED', 'REFUNDED'],
+        default: 'PENDING'
+    },
+    // Latest payment intent for this order (see PaymentIntent)
+    paymentIntentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PaymentIntent',
+        default: null
+    },
+    placedAt: {
+        type: Date,
+        default: Date.now
+    },
+    cancelledAt: {
+        type: Date,
+        default: null
+    },
+    cancellationReason: {
+        type: String,
+        default: null,
+        maxlength: 500
+    }
+}, {
+    timestamps: true
+});
+
+orderSchema.index({ userId: 1, createdAt: -1 });
+orderSchema.index({ 'items.sellerId': 1, createdAt: -1 });
+orderSchema.index({ status: 1 });
+
+module.exports =
+  mongoose.models.Order ||
+  mongoose.model('Order', orderSchema);
@@ -1,5 +1,41 @@
 const mongoose = require('mongoose');
 
+/**
+ * A purchasable option of a product (e.g. size M / colour Red).
+ * Each variant has its own price and its own Inventory row (Inventory.variantId).
+ */
+const variantSchema = new mongoose.Schema({
+    sku: {
+        type: String,
+        trim: true,
+        maxlength: 64,
+        default: null
+    },
+    attributes: {
+        size: {
+            type: String,
+            trim: true,
+            maxlength: 50,
+            default: null
+        },
+        color: {
+            type: String,
+            trim: true,
+            maxlength: 50,
+            default: null
+        }
+    },
+    price: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+});
+
 const productSchema = new mongoose.Schema({
     sellerId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -17,11 +53,31 @@ const productSchema = new mongoose.Schema({
         required: false,
         maxlength: 5000
     },
+    // For products with variants: the lowest active variant price ("from" price),
+    // kept in sync by services/marketplace/productService
     price: {
         type: Number,
         required: true,
         min: 0
     },
+    // Seller's own SKU, unique per seller (used to match rows on CSV import)
+    sku: {
+        type: String,
+        trim: true,
+        maxlength: 64,
+        default: null
+    },
+    categoryId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        default: null
+    },
+    // Category ancestors + categoryId, so a parent category matches its subtree
+    categoryPath: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category'
+    }],
+    variants: [variantSchema],
     images: [{
         type: String
     }],
@@ -40,6 +96,11 @@ const productSchema = new mongoose.Schema({
         type: Boolean,
         default: true
     },
+    // Set when the seller archives the product (isActive is false while archived)
+    archivedAt: {
+        type: Date,
+        default: null
+    },
     createdById: {
         type: mongoose.Schema.Types.ObjectId,
         required: true
@@ -54,8 +115,22 @@ const productSchema = new mongoose.Schema({
 });
 
 productSchema.index({ sellerId: 1 });
-productSchema.index({ isActive: 1 });
 productSchema.index({ createdById: 1, createdByType: 1 });
 
+// Marketplace search (services/marketplace/productSearchService)
+productSchema.index(
+    { title: 'text', description: 'text' },
+    { weights: { title: 10, description: 2 }, name: 'product_text_search' }
+);
+productSchema.index({ isActive: 1, createdAt: -1 });
+productSchema.index({ isActive: 1, price: 1 });
+productSchema.index({ isActive: 1, avgRating: -1 });
+productSchema.index({ isActive: 1, sellerId: 1, createdAt: -1 });
+productSchema.index({ isActive: 1, categoryPath: 1, createdAt: -1 });
+productSchema.index(
+    { sellerId: 1, sku: 1 },
+    { unique: true, partialFilterExpression: { sku: { $type: 'string' } } }
+);
+
 module.exports = mongoose.model('Product', productSchema);
 
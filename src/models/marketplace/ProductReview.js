@@ -30,14 +30,71 @@ const productReviewSchema = new mongoose.Schema(
         type: String, // Store image URLs directly
         required: false
       }
-    ]
+    ],
+    // Reviewer has a delivered order containing this product
+    isVerifiedPurchase: {
+      type: Boolean,
+      default: false
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      default: null
+    },
+    // One public reply from the product's seller
+    sellerReply: {
+      text: {
+        type: String,
+        maxlength: 2000,
+        default: null
+      },
+      repliedAt: {
+        type: Date,
+        default: null
+      }
+    },
+    // Count of ProductReviewVote documents (kept in sync with $inc)
+    helpfulCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Hidden reviews are not listed and don't count towards the product rating
+    isHidden: {
+      type: Boolean,
+      default: false
+    },
+    moderation: {
+      reportCount: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      hiddenAt: {
+        type: Date,
+        default: null
+      },
+      // AUTO = hidden by matching reports, ADMIN = hidden by a moderator
+      hiddenBy: {
+        type: String,
+        enum: ['AUTO', 'ADMIN', null],
+        default: null
+      },
+      hiddenReason: {
+        type: String,
+        default: null,
+        maxlength: 500
+      }
+    }
   },
   { timestamps: true }
 );
 
 // One review per user per product (Amazon-like)
 productReviewSchema.index({ productId: 1, userId: 1 }, { unique: true });
-productReviewSchema.index({ productId: 1, createdAt: -1 });
+productReviewSchema.index({ productId: 1, isHidden: 1, createdAt: -1 });
+productReviewSchema.index({ productId: 1, isHidden: 1, helpfulCount: -1 });
+productReviewSchema.index({ 'moderation.reportCount': -1, updatedAt: -1 });
 
 module.exports =
   mongoose.models.ProductReview ||
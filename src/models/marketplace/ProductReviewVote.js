@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// One "helpful" vote per user per review
+const productReviewVoteSchema = new mongoose.Schema(
+  {
+    reviewId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProductReview',
+      required: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  },
+  { timestamps: true }
+);
+
+productReviewVoteSchema.index({ reviewId: 1, userId: 1 }, { unique: true });
+
+module.exports =
+  mongoose.models.ProductReviewVote ||
+  mongoose.model('ProductReviewVote', productReviewVoteSchema);
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+const refundSchema = new mongoose.Schema({
+    providerRefundId: {
+        type: String,
+        default: null
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    status: {
+        type: String,
+        enum: ['PENDING', 'SUCCEEDED', 'FAILED'],
+        default: 'PENDING'
+    },
+    reason: {
+        type: String,
+        default: null,
+        maxlength: 500
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+/**
+ * Payment Intent Model
+ *
+ * One attempt to collect payment for an order through a payment provider.
+ * Provider-specific identifiers are stored as opaque strings so the same
+ * model works for the mock gateway, Razorpay and Stripe.
+ */
+const paymentIntentSchema = new mongoose.Schema({
+    orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    // Provider-side order / payment intent ID (e.g. Razorpay order_xxx, Stripe pi_xxx)
+    providerIntentId: {
+        type: String,
+        required: true
+    },
+    // Provider-side captured payment ID, known once payment succeeds
+    providerPaymentId: {
+        type: String,
+        default: null
+    },
+    // Passed to the client SDK to complete the payment
+    clientSecret: {
+        type: String,
+        default: null
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+    status: {
+        type: String,
+        enum: ['CREATED', 'SUCCEEDED', 'FAILED', 'PARTIALLY_REFUNDED', 'REFUNDED'],
+        default: 'CREATED'
+    },
+    // Client-supplied key so retried create requests return the same intent
+    idempotencyKey: {
+        type: String,
+        default: null
+    },
+    amountRefunded: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    refunds: [refundSchema],
+    failureReason: {
+        type: String,
+        default: null
+    },
+    paidAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+paymentIntentSchema.index({ provider: 1, providerIntentId: 1 }, { unique: true });
+paymentIntentSchema.index(
+    { userId: 1, idempotencyKey: 1 },
+    { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+paymentIntentSchema.index({ orderId: 1, createdAt: -1 });
+// At most one unsettled intent per order, so a buyer can't open two payments for it
+paymentIntentSchema.index(
+    { orderId: 1 },
+    { unique: true, partialFilterExpression: { status: 'CREATED' } }
+);
+
+module.exports =
+  mongoose.models.PaymentIntent ||
+  mongoose.model('PaymentIntent', paymentIntentSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+/**
+ * Processed payment webhook events
+ *
+ * Providers retry webhooks until they get a 2xx, so the same event can arrive
+ * several times. The unique (provider, eventId) index makes processing idempotent.
+ * Rows are written in the same transaction as the state change they record.
+ */
+const paymentWebhookEventSchema = new mongoose.Schema({
+    provider: {
+        type: String,
+        required: true
+    },
+    eventId: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        required: true
+    },
+    providerIntentId: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+paymentWebhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+// Retries stop well within a month; old event IDs can be dropped
+paymentWebhookEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports =
+  mongoose.models.PaymentWebhookEvent ||
+  mongoose.model('PaymentWebhookEvent', paymentWebhookEventSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+/**
+ * Question Attempt Model
+ *
+ * One document per user per checkpoint question, for both manual checkpoint
+ * questions (Question) and MCQs (VideoQuestion). Once answered correctly the
+ * question stays correct; further answers are not counted.
+ */
+const questionAttemptSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    courseId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true
+    },
+    videoId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Video',
+        required: true
+    },
+    questionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    // CHECKPOINT = Question, MCQ = VideoQuestion
+    questionType: {
+        type: String,
+        enum: ['CHECKPOINT', 'MCQ'],
+        required: true
+    },
+    attemptCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    correct: {
+        type: Boolean,
+        default: false
+    },
+    lastAnswer: {
+        type: String,
+        default: null
+    },
+    lastAttemptAt: {
+        type: Date,
+        default: null
+    },
+    correctAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+questionAttemptSchema.index({ userId: 1, questionId: 1 }, { unique: true });
+questionAttemptSchema.index({ userId: 1, videoId: 1 });
+questionAttemptSchema.index({ courseId: 1, userId: 1 });
+
+module.exports = mongoose.model('QuestionAttempt', questionAttemptSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { paginateArray } = require('../../utils/pagination');
 
 const commentSchema = new mongoose.Schema({
     // Reference to the post or reel this comment document belongs to
@@ -108,7 +109,8 @@ commentSchema.statics.getCommentsByContent = async function(contentId, contentTy
         page = 1,
         limit = 15,
         sortBy = 'createdAt',
-        sortOrder = -1
+        sortOrder = -1,
+        cursor = null // Decoded cursor (utils/pagination) - sorts by createdAt and ignores page
     } = options;
 
     const commentDoc = await this.findOne({ contentId, contentType })
@@ -120,16 +122,21 @@ commentSchema.statics.getCommentsByContent = async function(contentId, contentTy
         return [];
     }
 
-    // Sort comments
-    const sortedComments = [...commentDoc.comments].sort((a, b) => {
-        const aVal = a[sortBy] || a.createdAt;
-        const bVal = b[sortBy] || b.createdAt;
-        return sortOrder === -1 ? new Date(bVal) - new Date(aVal) : new Date(aVal) - new Date(bVal);
-    });
+    let paginatedComments;
+    if (cursor) {
+        paginatedComments = paginateArray(commentDoc.comments, cursor, limit, sortOrder);
+    } else {
+        // Sort comments
+        const sortedComments = [...commentDoc.comments].sort((a, b) => {
+            const aVal = a[sortBy] || a.createdAt;
+            const bVal = b[sortBy] || b.createdAt;
+            return sortOrder === -1 ? new Date(bVal) - new Date(aVal) : new Date(aVal) - new Date(bVal);
+        });
 
-    // Apply pagination
-    const skip = (page - 1) * limit;
-    const paginatedComments = sortedComments.slice(skip, skip + limit);
+        // Apply pagination
+        const skip = (page - 1) * limit;
+        paginatedComments = sortedComments.slice(skip, skip + limit);
+    }
 
     // Format comments with limited replies (5 most recent per comment)
     return paginatedComments.map(comment => {
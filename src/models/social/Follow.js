@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// One document per follow (asymmetric - following someone doesn't make them follow back).
+// Separate from FriendRequest/social.friends: friendships stay mutual and need acceptance.
+const followSchema = new mongoose.Schema({
+    follower: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+        // Index removed - covered by compound indexes starting with follower
+    },
+    following: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+        // Index removed - covered by compound index starting with following
+    }
+}, {
+    timestamps: true
+});
+
+// A user can follow another user only once
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+
+// Index for follower lists (newest first)
+followSchema.index({ following: 1, createdAt: -1 });
+
+// Index for following lists (newest first)
+followSchema.index({ follower: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Follow', followSchema);
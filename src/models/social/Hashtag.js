@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// One document per hashtag with all-time usage counts (kept up to date on post/reel
+// create and delete). Trending is computed from Post/Reel.hashtags over a rolling window.
+const hashtagSchema = new mongoose.Schema({
+    // Normalized tag: no '#', lowercase
+    tag: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 50
+    },
+    postCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    reelCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Unique tag (also serves prefix search)
+hashtagSchema.index({ tag: 1 }, { unique: true });
+
+module.exports = mongoose.model('Hashtag', hashtagSchema);
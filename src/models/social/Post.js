@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { ALLOWED_VISIBILITY } = require('./Reel');
 
 const postSchema = new mongoose.Schema({
     userId: {
@@ -39,6 +40,26 @@ const postSchema = new mongoose.Schema({
             ref: 'User'
         }]],
         default: [[], [], [], [], [], []]  // Initialize with 6 empty arrays
+    },
+    // Who can see the post: everyone, the author's followers, or only the author
+    // (posts created before this field existed have none and are treated as public)
+    visibility: {
+        type: String,
+        enum: ALLOWED_VISIBILITY,
+        default: 'public'
+    },
+    // Parsed from the caption on create (utils/captionParser)
+    hashtags: [{
+        type: String // normalized: no '#', lowercase
+    }],
+    mentions: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    // Caption without mention markup, matched by search (never returned)
+    captionText: {
+        type: String,
+        select: false
     }
     // Comments are now stored in a separate Comment collection for scalability
 }, {
@@ -48,6 +69,7 @@ const postSchema = new mongoose.Schema({
 // Indexes for better query performance
 postSchema.index({ userId: 1, createdAt: -1 }); // For user posts queries
 postSchema.index({ createdAt: -1 }); // For all posts feed queries
+postSchema.index({ hashtags: 1, createdAt: -1 }); // For hashtag search and trending
 
 // Instance method to get comment count (includes replies)
 postSchema.methods.getCommentCount = async function() {
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// One document per (user, post/reel) the user currently reacts to, kept in step with
+// the Like collection. Like stores reactions as nested arrays, which can't be
+// indexed by user; this log answers "what did this user react to recently" (feed
+// author affinity) from an index.
+const reactionLogSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    content: {
+        type: String,
+        required: true,
+        enum: ['post', 'reel']
+    },
+    contentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    // Author of the post/reel, so affinity needs no content lookup
+    authorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// A user has at most one reaction per post/reel
+reactionLogSchema.index({ userId: 1, content: 1, contentId: 1 }, { unique: true });
+
+// Index for a user's recent reactions (newest first)
+reactionLogSchema.index({ userId: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('ReactionLog', reactionLogSchema);
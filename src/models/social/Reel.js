@@ -33,7 +33,18 @@ const reelSchema = new mongoose.Schema({
             width: Number,
             height: Number
         },
-        size: Number // in bytes
+        size: Number, // in bytes
+        // Scrub-preview sprite sheet generated after upload (thumbnailUrl gets the poster frame)
+        sprite: {
+            keyPrefix: String, // S3 prefix holding poster.jpg, sprite.jpg and sprite.vtt
+            imageUrl: String,
+            vttUrl: String,
+            interval: Number,  // seconds covered by each tile
+            columns: Number,
+            rows: Number,
+            tileWidth: Number,
+            tileHeight: Number
+        }
     },
     caption: {
         type: String,
@@ -60,6 +71,19 @@ const reelSchema = new mongoose.Schema({
         type: [[mongoose.Schema.Types.ObjectId]],
         default: [[], [], [], [], [], []], // [happy, sad, angry, hug, wow, like]
         ref: 'User'
+    },
+    // Parsed from the caption on create (utils/captionParser)
+    hashtags: [{
+        type: String // normalized: no '#', lowercase
+    }],
+    mentions: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    // Caption without mention markup, matched by search (never returned)
+    captionText: {
+        type: String,
+        select: false
     }
     // Comments are now stored in a separate Comment collection for scalability
 }, {
@@ -69,6 +93,8 @@ const reelSchema = new mongoose.Schema({
 // Indexes for better query performance
 reelSchema.index({ contentType: 1, createdAt: -1 }); // For contentType feed queries
 reelSchema.index({ userId: 1, createdAt: -1 }); // For user reels queries
+reelSchema.index({ hashtags: 1, createdAt: -1 }); // For hashtag search and trending
+reelSchema.index({ createdAt: -1 }); // For caption search over recent reels
 
 // Virtual for like count (sum of all reactions)
 reelSchema.virtual('likeCount').get(function() {
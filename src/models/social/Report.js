@@ -26,7 +26,7 @@ const reportSchema = new mongoose.Schema({
     contentType: {
         type: String,
         required: true,
-        enum: ['post', 'reel'],
+        enum: ['post', 'reel', 'product_review'],
         index: true
     },
     reason: {
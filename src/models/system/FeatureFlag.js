@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+/**
+ * Feature Flag Model
+ *
+ * Per-deployment overrides for the flags in config/features.js.
+ * A document here wins over the environment default for the same key.
+ */
+const featureFlagSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    enabled: {
+        type: Boolean,
+        required: true
+    },
+    description: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+module.exports =
+  mongoose.models.FeatureFlag ||
+  mongoose.model('FeatureFlag', featureFlagSchema);
@@ -2,12 +2,18 @@ const mongoose = require('mongoose');
 
 /**
  * Token Transaction Model
- * 
- * ⚠️ IMPORTANT: Tokens are EARN-ONLY.
- * Redemption is intentionally disabled until payment integration.
- * 
- * This model tracks token credits only (e.g., course completion rewards).
- * Debit transactions (redemptions) are not supported until feature flag is enabled.
+ *
+ * Ledger of every token movement in a TokenWallet.
+ *
+ * - CREDIT rows: course completion rewards and reversals of redemptions
+ * - DEBIT rows: tokens redeemed against marketplace orders
+ *   (only possible while TOKEN_REDEMPTION_ENABLED is on)
+ * - ADMIN_ADJUSTMENT rows (either direction): manual grants and claw-backs,
+ *   always with a reason and the actor who made them
+ * - PEER_TRANSFER rows: a DEBIT/CREDIT pair sharing one transferId, written
+ *   when a user sends tokens to a friend
+ *
+ * `amount` is always positive; `type` gives the direction.
  */
 const tokenTransactionSchema = new mongoose.Schema({
     userId: {
@@ -15,11 +21,19 @@ const tokenTransactionSchema = new mongoose.Schema({
         ref: 'User',
         required: true
     },
+    type: {
+        type: String,
+        enum: ['CREDIT', 'DEBIT'],
+        default: 'CREDIT',
+        required: true
+    },
     source: {
         type: String,
-        enum: ['COURSE_COMPLETION'],
+        enum: ['COURSE_COMPLETION', 'ORDER_REDEMPTION', 'ORDER_REDEMPTION_REVERSAL', 'ADMIN_ADJUSTMENT', 'PEER_TRANSFER'],
         required: true
     },
+    // Course for COURSE_COMPLETION, order for ORDER_REDEMPTION(_REVERSAL),
+    // wallet for ADMIN_ADJUSTMENT, transferId for PEER_TRANSFER
     sourceId: {
         type: mongoose.Schema.Types.ObjectId,
         required: true
@@ -27,7 +41,16 @@ const tokenTransactionSchema = new mongoose.Schema({
     enrollmentId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'CourseEnrollment',
-        required: true
+        required: function() {
+            return this.source === 'COURSE_COMPLETION';
+        }
+    },
+    orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: function() {
+            return this.source === 'ORDER_REDEMPTION' || this.source === 'ORDER_REDEMPTION_REVERSAL';
+        }
     },
     amount: {
         type: Number,
@@ -36,18 +59,71 @@ const tokenTransactionSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['CREDITED'],
+        enum: ['CREDITED', 'DEBITED'],
         default: 'CREDITED',
         required: true
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: 500,
+        required: function() {
+            return this.source === 'ADMIN_ADJUSTMENT';
+        }
+    },
+    // Shared by both rows of a PEER_TRANSFER
+    transferId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: function() {
+            return this.source === 'PEER_TRANSFER';
+        }
+    },
+    // The other user of a PEER_TRANSFER (recipient on DEBIT, sender on CREDIT)
+    counterpartyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: function() {
+            return this.source === 'PEER_TRANSFER';
+        }
+    },
+    // Optional gift message from the sender
+    note: {
+        type: String,
+        trim: true,
+        maxlength: 200
+    },
+    // Who made an ADMIN_ADJUSTMENT (actorId is null for SYSTEM token calls)
+    performedBy: {
+        actorType: {
+            type: String,
+            enum: ['ADMIN', 'SYSTEM']
+        },
+        actorId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        }
     }
 }, {
     timestamps: true
 });
 
-// Compound unique index to prevent double-crediting
+// Compound unique index to prevent double-crediting course completions
 tokenTransactionSchema.index(
     { userId: 1, source: 1, enrollmentId: 1 },
-    { unique: true }
+    { unique: true, partialFilterExpression: { source: 'COURSE_COMPLETION' } }
+);
+
+// One redemption per order
+tokenTransactionSchema.index(
+    { orderId: 1, source: 1 },
+    { unique: true, partialFilterExpression: { source: 'ORDER_REDEMPTION' } }
+);
+
+// One DEBIT and one CREDIT row per transfer
+tokenTransactionSchema.index(
+    { transferId: 1, type: 1 },
+    { unique: true, partialFilterExpression: { source: 'PEER_TRANSFER' } }
 );
 
 // Additional indexes for performance
@@ -56,4 +132,3 @@ tokenTransactionSchema.index({ sourceId: 1 });
 tokenTransactionSchema.index({ enrollmentId: 1 });
 
 module.exports = mongoose.model('TokenTransaction', tokenTransactionSchema);
-
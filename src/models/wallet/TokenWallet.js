@@ -3,14 +3,17 @@ const mongoose = require('mongoose');
 /**
  * Token Wallet Model
  * 
- * ⚠️ IMPORTANT: Tokens are EARN-ONLY.
- * Redemption is intentionally disabled until payment integration.
+ * Tokens are:
+ * - Earned through course completion (CREDIT TokenTransaction)
+ * - Redeemed against marketplace orders when TOKEN_REDEMPTION_ENABLED is on
+ *   (DEBIT TokenTransaction)
+ * - Sent to friends, up to TOKEN_TRANSFER_DAILY_LIMIT per day
+ *   (PEER_TRANSFER DEBIT/CREDIT pair)
  * 
- * Tokens can only be:
- * - Earned through course completion (via TokenTransaction)
- * - Viewed/queried (read-only operations)
- * 
- * Redemption operations are blocked by feature flag.
+ * All balance changes use atomic $inc updates (see services/wallet/tokenService);
+ * debits are conditional on the balance so it can never go negative.
+ * LOCKED wallets cannot be debited by their owner; admins can still adjust
+ * them (ADMIN_ADJUSTMENT TokenTransaction).
  */
 const tokenWalletSchema = new mongoose.Schema({
     userId: {
@@ -28,6 +31,41 @@ const tokenWalletSchema = new mongoose.Schema({
         type: String,
         enum: ['ACTIVE', 'LOCKED'],
         default: 'ACTIVE'
+    },
+    // Tokens sent to friends on `date` (UTC YYYY-MM-DD), for the daily transfer limit
+    dailyTransfer: {
+        date: {
+            type: String,
+            default: null
+        },
+        sent: {
+            type: Number,
+            default: 0,
+            min: 0
+        }
+    },
+    // Set by admins when locking a wallet; cleared on unlock
+    lock: {
+        reason: {
+            type: String,
+            default: null,
+            maxlength: 500
+        },
+        lockedAt: {
+            type: Date,
+            default: null
+        },
+        lockedBy: {
+            actorType: {
+                type: String,
+                enum: ['ADMIN', 'SYSTEM']
+            },
+            actorId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+                default: null
+            }
+        }
     }
 }, {
     timestamps: true
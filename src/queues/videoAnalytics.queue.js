@@ -0,0 +1,115 @@
+const { Queue } = require('bullmq');
+const { createRedisConnection } = require('../config/redis');
+
+/**
+ * Video Analytics Queue
+ * 
+ * Queue for video player events (play/pause/seek/complete/replay_segment)
+ * sent in batches by clients. The videoAnalytics worker feeds each event
+ * into analyticsService.processAnalyticsEvent.
+ * 
+ * Queue Configuration:
+ * - attempts: 3 (events are deduplicated by clientEventId, so retries are safe)
+ * - backoff: exponential (5s, 10s, 20s)
+ * - removeOnComplete: true (clean up completed jobs)
+ * - removeOnFail: false (keep failed jobs for debugging)
+ */
+
+let videoAnalyticsQueue = null;
+
+/**
+ * Get or create video analytics queue
+ */
+const getVideoAnalyticsQueue = () => {
+    if (videoAnalyticsQueue) {
+        return videoAnalyticsQueue;
+    }
+
+    const redisConnection = createRedisConnection();
+
+    if (!redisConnection) {
+        console.warn('⚠️  Redis not configured. Video analytics queue will not be available.');
+        return null;
+    }
+
+    try {
+        videoAnalyticsQueue = new Queue('video-analytics', {
+            connection: redisConnection,
+            defaultJobOptions: {
+                attempts: 3,
+                backoff: {
+                    type: 'exponential',
+                    delay: 5000
+                },
+                removeOnComplete: {
+                    age: 3600, // Keep completed jobs for 1 hour
+                    count: 1000 // Keep last 1000 completed jobs
+                },
+                removeOnFail: false // Keep failed jobs for debugging
+            }
+        });
+
+        console.log('✅ Video analytics queue initialized');
+
+        return videoAnalyticsQueue;
+    } catch (error) {
+        console.error('❌ Failed to initialize video analytics queue:', error.message);
+        return null;
+    }
+};
+
+/**
+ * Add a batch of video events to the queue
+ * 
+ * @param {Object} jobData
+ * @param {String} jobData.userId - User who produced the events
+ * @param {Array} jobData.events - Validated events (see videoEvents.controller)
+ * 
+ * @returns {Promise<String|null>} Job ID, or null if the queue is unavailable
+ */
+const enqueueVideoEvents = async (jobData) => {
+    try {
+        const queue = getVideoAnalyticsQueue();
+
+        if (!queue) {
+            return null;
+        }
+
+        const job = await queue.add('ingest', jobData);
+
+        console.log('📥 Video events enqueued', {
+            jobId: job.id,
+            userId: jobData.userId,
+            count: jobData.events.length
+        });
+
+        return job.id;
+    } catch (error) {
+        console.error('❌ Failed to enqueue video events:', {
+            error: error.message,
+            userId: jobData.userId
+        });
+        return null;
+    }
+};
+
+/**
+ * Close queue connection (for graceful shutdown)
+ */
+const closeVideoAnalyticsQueue = async () => {
+    if (videoAnalyticsQueue) {
+        try {
+            await videoAnalyticsQueue.close();
+            console.log('🔌 Video analytics queue closed');
+        } catch (error) {
+            console.error('Error closing video analytics queue:', error.message);
+        }
+        videoAnalyticsQueue = null;
+    }
+};
+
+module.exports = {
+    getVideoAnalyticsQueue,
+    enqueueVideoEvents,
+    closeVideoAnalyticsQueue
+};
@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const { flexibleAuth } = require('../../middleware/flexibleAuth.middleware');
+const { adminGuard } = require('../../middleware/adminGuard');
+const {
+    getUserWallet,
+    adjustWallet,
+    lockWallet,
+    unlockWallet,
+    getReconciliationReport,
+    runReconciliation
+} = require('../../controllers/wallet/adminWalletController');
+
+/**
+ * Admin Wallet Routes
+ *
+ * Manual token adjustments, wallet locking and ledger reconciliation.
+ * These routes require admin or system authentication.
+ */
+
+// Reconciliation (registered before /wallets/:userId)
+// GET /api/admin/wallets/reconciliation
+router.get('/wallets/reconciliation', flexibleAuth, adminGuard, getReconciliationReport);
+
+// POST /api/admin/wallets/reconciliation/run
+router.post('/wallets/reconciliation/run', flexibleAuth, adminGuard, runReconciliation);
+
+// GET /api/admin/wallets/:userId
+router.get('/wallets/:userId', flexibleAuth, adminGuard, getUserWallet);
+
+// Grant (positive amount) or claw back (negative amount) tokens
+// POST /api/admin/wallets/:userId/adjustments
+router.post('/wallets/:userId/adjustments', flexibleAuth, adminGuard, adjustWallet);
+
+// POST /api/admin/wallets/:userId/lock
+router.post('/wallets/:userId/lock', flexibleAuth, adminGuard, lockWallet);
+
+// POST /api/admin/wallets/:userId/unlock
+router.post('/wallets/:userId/unlock', flexibleAuth, adminGuard, unlockWallet);
+
+module.exports = router;
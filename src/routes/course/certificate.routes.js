@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const {
+    verifyCertificateByCode,
+    getMyCertificates,
+    getMyCourseCertificate
+} = require('../../controllers/course/certificate.controller');
+const { protect } = require('../../middleware/auth');
+
+// Certificate Routes
+router.get('/verify/:code', verifyCertificateByCode); // Public
+router.get('/mine', protect, getMyCertificates);
+router.get('/course/:courseId', protect, getMyCourseCertificate);
+
+module.exports = router;
@@ -11,8 +11,26 @@ const {
     requestEnrollment,
     getCourseEnrollments,
     approveEnrollment,
-    rejectEnrollment
+    rejectEnrollment,
+    updateCoursePrerequisites,
+    updateDripPolicy,
+    getQuestionGeneration,
+    updateQuestionGeneration
 } = require('../../controllers/course/course.controller');
+const {
+    cloneCourse,
+    createCourseDraft,
+    getCourseVersions
+} = require('../../controllers/course/courseVersion.controller');
+const {
+    bulkApproveEnrollments,
+    bulkRejectEnrollments,
+    exportEnrollmentRoster
+} = require('../../controllers/course/enrollment.controller');
+const {
+    updateCheckpointPolicy,
+    getCourseGradebook
+} = require('../../controllers/course/gradebook.controller');
 const { protectUniversity } = require('../../middleware/universityAuth.middleware');
 const { protect } = require('../../middleware/auth');
 const { flexibleAuth } = require('../../middleware/flexibleAuth.middleware');
@@ -84,8 +102,31 @@ router.post('/:id/thumbnail', protectUniversity, (req, res, next) => {
 // Enrollment routes
 router.post('/:courseId/enroll-request', protect, requestEnrollment);
 router.get('/:courseId/enrollments', protectUniversity, getCourseEnrollments);
+router.get('/:courseId/enrollments/export', protectUniversity, exportEnrollmentRoster);
+router.post('/:courseId/enrollments/bulk-approve', protectUniversity, bulkApproveEnrollments);
+router.post('/:courseId/enrollments/bulk-reject', protectUniversity, bulkRejectEnrollments);
 router.post('/:courseId/enrollments/:enrollmentId/approve', protectUniversity, approveEnrollment);
 router.post('/:courseId/enrollments/:enrollmentId/reject', protectUniversity, rejectEnrollment);
 
+// Prerequisites (university owner)
+router.put('/:courseId/prerequisites', protectUniversity, updateCoursePrerequisites);
+
+// Drip scheduling of videos (university owner)
+router.put('/:courseId/drip-policy', protectUniversity, updateDripPolicy);
+
+// AI question generation settings (university owner)
+router.get('/:courseId/question-generation', protectUniversity, getQuestionGeneration);
+router.put('/:courseId/question-generation', protectUniversity, updateQuestionGeneration);
+
+// Cloning and draft versions (university owner); drafts are published via
+// POST /api/university/courses/:courseId/publish
+router.post('/:courseId/clone', protectUniversity, cloneCourse);
+router.post('/:courseId/draft', protectUniversity, createCourseDraft);
+router.get('/:courseId/versions', protectUniversity, getCourseVersions);
+
+// Checkpoint quiz gating and gradebook (university owner)
+router.put('/:courseId/checkpoint-policy', protectUniversity, updateCheckpointPolicy);
+router.get('/:courseId/gradebook', protectUniversity, getCourseGradebook);
+
 module.exports = router;
 
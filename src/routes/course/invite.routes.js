@@ -1,25 +1,61 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const {
     generateInvite,
     validateInvite,
     acceptInvite,
     getMyInvites,
-    getInvitesSent
+    getInvitesSent,
+    bulkInvite,
+    revokeInvite,
+    resendInvite
 } = require('../../controllers/course/invite.controller');
 const { protectUniversity } = require('../../middleware/universityAuth.middleware');
 const { protect } = require('../../middleware/auth');
 
+// Configure multer for in-memory CSV uploads (bulk invites)
+const csvUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 1 * 1024 * 1024 // 1MB limit for invite lists
+    },
+    fileFilter: (req, file, cb) => {
+        const isCsv = file.mimetype === 'text/csv' ||
+            file.mimetype === 'application/vnd.ms-excel' ||
+            file.originalname.toLowerCase().endsWith('.csv');
+        if (isCsv) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only CSV files are allowed for bulk invites'), false);
+        }
+    }
+});
+
 // Invite Routes
 router.post('/courses/:courseId/generate', protectUniversity, generateInvite);
+router.post('/courses/:courseId/bulk', protectUniversity, (req, res, next) => {
+    csvUpload.single('file')(req, res, (err) => {
+        if (err) {
+            if (err.code === 'LIMIT_FILE_SIZE') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'File size too large. Maximum size is 1MB for invite lists'
+                });
+            }
+            return res.status(400).json({
+                success: false,
+                message: err.message || 'Error uploading CSV file'
+            });
+        }
+        next();
+    });
+}, bulkInvite);
 router.get('/validate/:token', validateInvite); // Public
 router.post('/accept/:token', protect, acceptInvite);
 router.get('/my-invites', protect, getMyInvites);
 router.get('/sent/:courseId', protectUniversity, getInvitesSent);
-router.delete('/:id', protectUniversity, async (req, res) => {
-    // Delete invite controller function can be added if needed
-    res.status(501).json({ success: false, message: 'Not implemented yet' });
-});
+router.post('/:id/resend', protectUniversity, resendInvite);
+router.delete('/:id', protectUniversity, revokeInvite);
 
 module.exports = router;
-
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+    createLearningPath,
+    updateLearningPath,
+    deleteLearningPath,
+    getLearningPaths,
+    getLearningPathById,
+    getLearningPathProgress
+} = require('../../controllers/course/learningPath.controller');
+const { protectUniversity } = require('../../middleware/universityAuth.middleware');
+const { flexibleAuth } = require('../../middleware/flexibleAuth.middleware');
+const { requireUser } = require('../../middleware/roleGuards');
+
+// Learning Path Routes
+router.get('/', flexibleAuth, getLearningPaths); // PUBLISHED for users, all own paths for universities
+router.post('/', protectUniversity, createLearningPath);
+router.get('/:pathId', flexibleAuth, getLearningPathById);
+router.get('/:pathId/progress', flexibleAuth, requireUser, getLearningPathProgress);
+router.put('/:pathId', protectUniversity, updateLearningPath);
+router.delete('/:pathId', protectUniversity, deleteLearningPath);
+
+module.exports = router;
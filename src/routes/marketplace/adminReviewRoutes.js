@@ -0,0 +1,17 @@
+const express = require('express');
+const { flexibleAuth } = require('../../middleware/flexibleAuth.middleware');
+const { adminGuard } = require('../../middleware/adminGuard');
+const {
+  getModerationQueue,
+  hideReview,
+  unhideReview
+} = require('../../controllers/marketplace/productReviewController');
+
+const router = express.Router();
+
+// Review moderation: admin or system tokens only
+router.get('/', flexibleAuth, adminGuard, getModerationQueue);
+router.post('/:reviewId/hide', flexibleAuth, adminGuard, hideReview);
+router.post('/:reviewId/unhide', flexibleAuth, adminGuard, unhideReview);
+
+module.exports = router;
@@ -4,7 +4,9 @@ const {
     addToCart,
     updateCartItem,
     removeCartItem,
-    getCart
+    getCart,
+    applyCoupon,
+    removeCoupon
 } = require('../../controllers/marketplace/cartController');
 
 const router = express.Router();
@@ -13,6 +15,8 @@ router.post('/add', protect, addToCart);
 router.patch('/update', protect, updateCartItem);
 router.delete('/remove/:productId', protect, removeCartItem);
 router.get('/', protect, getCart);
+router.post('/coupon', protect, applyCoupon);
+router.delete('/coupon', protect, removeCoupon);
 
 module.exports = router;
 
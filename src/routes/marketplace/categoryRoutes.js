@@ -0,0 +1,21 @@
+const express = require('express');
+const { flexibleAuth } = require('../../middleware/flexibleAuth.middleware');
+const { adminGuard } = require('../../middleware/adminGuard');
+const {
+    listCategories,
+    createCategory,
+    updateCategory,
+    deleteCategory
+} = require('../../controllers/marketplace/categoryController');
+
+const router = express.Router();
+
+// Public category tree
+router.get('/', listCategories);
+
+// Category management: admin or system tokens only
+router.post('/', flexibleAuth, adminGuard, createCategory);
+router.patch('/:id', flexibleAuth, adminGuard, updateCategory);
+router.delete('/:id', flexibleAuth, adminGuard, deleteCategory);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const { flexibleAuth } = require('../../middleware/flexibleAuth.middleware');
+const sellerGuard = require('../../middleware/sellerGuard');
+const { adminGuard } = require('../../middleware/adminGuard');
+const {
+    createSellerCoupon,
+    getMyCoupons,
+    updateSellerCoupon,
+    createPlatformCoupon,
+    getPlatformCoupons,
+    updatePlatformCoupon
+} = require('../../controllers/marketplace/couponController');
+
+const router = express.Router();
+
+// Platform coupons: admin or system tokens only (registered before /:id)
+router.post('/platform', flexibleAuth, adminGuard, createPlatformCoupon);
+router.get('/platform', flexibleAuth, adminGuard, getPlatformCoupons);
+router.patch('/platform/:id', flexibleAuth, adminGuard, updatePlatformCoupon);
+
+// Seller coupons: accepts both USER (approved sellers) and UNIVERSITY tokens
+router.post('/', flexibleAuth, sellerGuard, createSellerCoupon);
+router.get('/mine', flexibleAuth, sellerGuard, getMyCoupons);
+router.patch('/:id', flexibleAuth, sellerGuard, updateSellerCoupon);
+
+module.exports = router;
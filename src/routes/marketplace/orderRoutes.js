@@ -0,0 +1,29 @@
+const express = require('express');
+const { protect } = require('../../middleware/auth');
+const { flexibleAuth } = require('../../middleware/flexibleAuth.middleware');
+const sellerGuard = require('../../middleware/sellerGuard');
+const {
+    checkout,
+    getMyOrders,
+    getMyOrderById,
+    cancelMyOrder,
+    getSellerOrders,
+    getSellerOrderById,
+    updateSellerOrderStatus
+} = require('../../controllers/marketplace/orderController');
+
+const router = express.Router();
+
+// Seller views: accepts both USER (approved seller) and UNIVERSITY tokens
+// Registered before '/:id' so 'seller' is not treated as an order ID
+router.get('/seller', flexibleAuth, sellerGuard, getSellerOrders);
+router.get('/seller/:id', flexibleAuth, sellerGuard, getSellerOrderById);
+router.patch('/seller/:id/status', flexibleAuth, sellerGuard, updateSellerOrderStatus);
+
+// Buyer
+router.post('/checkout', protect, checkout);
+router.get('/', protect, getMyOrders);
+router.get('/:id', protect, getMyOrderById);
+router.post('/:id/cancel', protect, cancelMyOrder);
+
+module.exports = router;
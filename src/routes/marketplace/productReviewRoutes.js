@@ -1,9 +1,16 @@
 const express = require('express');
 const { protect } = require('../../middleware/auth');
+const { flexibleAuth } = require('../../middleware/flexibleAuth.middleware');
+const sellerGuard = require('../../middleware/sellerGuard');
 const {
   upsertMyProductReview,
   getProductReviews,
-  deleteMyProductReview
+  deleteMyProductReview,
+  voteReviewHelpful,
+  removeHelpfulVote,
+  reportReview,
+  replyToReview,
+  deleteReviewReply
 } = require('../../controllers/marketplace/productReviewController');
 
 const router = express.Router({ mergeParams: true });
@@ -17,5 +24,14 @@ router.post('/', protect, upsertMyProductReview);
 // Authenticated user: delete their review
 router.delete('/', protect, deleteMyProductReview);
 
+// Authenticated user: helpful votes and abuse reports on other users' reviews
+router.post('/:reviewId/helpful', protect, voteReviewHelpful);
+router.delete('/:reviewId/helpful', protect, removeHelpfulVote);
+router.post('/:reviewId/report', protect, reportReview);
+
+// Product's seller (USER or UNIVERSITY): public reply
+router.put('/:reviewId/reply', flexibleAuth, sellerGuard, replyToReview);
+router.delete('/:reviewId/reply', flexibleAuth, sellerGuard, deleteReviewReply);
+
 module.exports = router;
 
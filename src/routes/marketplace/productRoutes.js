@@ -1,23 +1,74 @@
 const express = require('express');
+const multer = require('multer');
 const { flexibleAuth } = require('../../middleware/flexibleAuth.middleware');
 const sellerGuard = require('../../middleware/sellerGuard');
 const productReviewRoutes = require('./productReviewRoutes');
 const {
     createProduct,
     listProducts,
-    getProductById
+    getProductById,
+    getMyProducts,
+    updateProduct,
+    archiveProduct,
+    restoreProduct,
+    addVariant,
+    updateVariant,
+    importProducts
 } = require('../../controllers/marketplace/productController');
 
 const router = express.Router();
 
+// Configure multer for in-memory CSV uploads (bulk import)
+const csvUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 2 * 1024 * 1024 // 2MB limit for CSV imports
+    },
+    fileFilter: (req, file, cb) => {
+        const isCsv = file.mimetype === 'text/csv' ||
+            file.mimetype === 'application/vnd.ms-excel' ||
+            file.originalname.toLowerCase().endsWith('.csv');
+        if (isCsv) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only CSV files are allowed for product import'), false);
+        }
+    }
+});
+
 // Product creation route: accepts both USER and UNIVERSITY tokens
 // Middleware chain: flexibleAuth (handles both auth types) → sellerGuard (bypasses for universities) → createProduct
 router.post('/', flexibleAuth, sellerGuard, createProduct);
 router.get('/', listProducts);
+
+// Seller product management (registered before /:id)
+router.get('/seller/mine', flexibleAuth, sellerGuard, getMyProducts);
+router.post('/import', flexibleAuth, sellerGuard, (req, res, next) => {
+    csvUpload.single('file')(req, res, (err) => {
+        if (err) {
+            if (err.code === 'LIMIT_FILE_SIZE') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'File size too large. Maximum size is 2MB for product imports'
+                });
+            }
+            return res.status(400).json({
+                success: false,
+                message: err.message || 'Error uploading CSV file'
+            });
+        }
+        next();
+    });
+}, importProducts);
+
 router.get('/:id', getProductById);
+router.patch('/:id', flexibleAuth, sellerGuard, updateProduct);
+router.post('/:id/archive', flexibleAuth, sellerGuard, archiveProduct);
+router.post('/:id/restore', flexibleAuth, sellerGuard, restoreProduct);
+router.post('/:id/variants', flexibleAuth, sellerGuard, addVariant);
+router.patch('/:id/variants/:variantId', flexibleAuth, sellerGuard, updateVariant);
 
 // Product Reviews (rating + review + images)
 router.use('/:productId/reviews', productReviewRoutes);
 
 module.exports = router;
-
@@ -0,0 +1,30 @@
+const express = require('express');
+const { protect } = require('../../middleware/auth');
+const { flexibleAuth } = require('../../middleware/flexibleAuth.middleware');
+const { adminGuard } = require('../../middleware/adminGuard');
+const {
+    createIntent,
+    getIntent,
+    handleWebhook,
+    refundIntent,
+    completeMockPayment
+} = require('../../controllers/payment/paymentController');
+
+const router = express.Router();
+
+// Provider webhooks: no auth, verified by HMAC signature over req.rawBody
+router.post('/webhooks/:provider', handleWebhook);
+
+// Buyer
+router.post('/intents', protect, createIntent);
+router.get('/intents/:id', protect, getIntent);
+
+// Admin / system
+router.post('/intents/:id/refund', flexibleAuth, adminGuard, refundIntent);
+
+// Mock gateway (development and tests only)
+if (process.env.NODE_ENV !== 'production') {
+    router.post('/mock/intents/:id/complete', protect, completeMockPayment);
+}
+
+module.exports = router;
@@ -11,6 +11,7 @@ const {
     getCompletionStats,
     resetProgress
 } = require('../../controllers/progress/courseProgress.controller');
+const { ingestVideoEvents } = require('../../controllers/progress/videoEvents.controller');
 const { flexibleAuth } = require('../../middleware/flexibleAuth.middleware');
 const { requireUser } = require('../../middleware/roleGuards');
 
@@ -24,5 +25,8 @@ router.post('/course/:courseId/reset/:userId?', flexibleAuth, requireUser, reset
 router.get('/stats', flexibleAuth, requireUser, getCompletionStats);
 router.post('/video/:videoId/complete', flexibleAuth, requireUser, markVideoComplete);
 
+// Batched video player events (play/pause/seek/complete/replay_segment)
+router.post('/events', flexibleAuth, requireUser, ingestVideoEvents);
+
 module.exports = router;
 
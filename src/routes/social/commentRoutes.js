@@ -1,5 +1,5 @@
 const express = require('express');
-const { protect } = require('../../middleware/auth');
+const { protect, optionalAuth } = require('../../middleware/auth');
 const {
     addComment,
     addReply,
@@ -24,15 +24,15 @@ router.post('/:commentId/reply', protect, addReply);
 
 // Get comments for a post or reel (using query parameters - separate API endpoint)
 // GET /api/comments?contentId=xxx&contentType=post&page=1&limit=15&sortBy=createdAt&sortOrder=-1
-router.get('/', getCommentsByQuery);
+router.get('/', optionalAuth, getCommentsByQuery);
 
 // Get replies for a specific comment (must come before /:contentType/:contentId to avoid route conflicts)
 // GET /api/comments/:commentId/replies?contentId=xxx&contentType=post&page=1&limit=10&sortBy=createdAt&sortOrder=1
-router.get('/:commentId/replies', getReplies);
+router.get('/:commentId/replies', optionalAuth, getReplies);
 
 // Get comments for a post or reel (using path parameters - legacy endpoint)
 // GET /api/comments/:contentType/:contentId?page=1&limit=15&sortBy=createdAt&sortOrder=-1
-router.get('/:contentType/:contentId', getComments);
+router.get('/:contentType/:contentId', optionalAuth, getComments);
 
 // Delete a comment
 // DELETE /api/comments/:commentId?contentId=xxx&contentType=post
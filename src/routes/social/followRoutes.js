@@ -0,0 +1,36 @@
+const express = require('express');
+const { protect } = require('../../middleware/auth');
+const {
+    followUser,
+    unfollowUser,
+    removeFollower,
+    listFollowers,
+    listFollowing,
+    getFollowStatus
+} = require('../../controllers/social/followController');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Core endpoints
+router.post('/:userId', followUser);
+router.delete('/:userId', unfollowUser);
+router.delete('/followers/:followerId', removeFollower);
+
+// Lists (cursor pagination: ?limit=20&cursor=<nextCursor>) and counts
+router.get('/:userId/followers', listFollowers);
+router.get('/:userId/following', listFollowing);
+router.get('/:userId/status', getFollowStatus);
+
+// Debug: Log all registered routes
+console.log('📋 Follow routes registered:');
+console.log('  POST   /api/follow/:userId (protected)');
+console.log('  DELETE /api/follow/:userId (protected)');
+console.log('  DELETE /api/follow/followers/:followerId (protected)');
+console.log('  GET    /api/follow/:userId/followers (protected)');
+console.log('  GET    /api/follow/:userId/following (protected)');
+console.log('  GET    /api/follow/:userId/status (protected)');
+
+module.exports = router;
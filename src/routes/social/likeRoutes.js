@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../../middleware/auth');
+const { protect, optionalAuth } = require('../../middleware/auth');
 const { 
     toggleLikePost, 
     toggleLikeReel,
@@ -17,8 +17,8 @@ router.post('/post/:id', protect, toggleLikePost);
 router.post('/reel/:id', protect, toggleLikeReel);
 
 // Get reactions for a post/reel
-// GET /api/likes/:content(post|reel)/:contentId
-router.get('/:content(post|reel)/:contentId', getReactions);
+// GET /api/likes/:content(post|reel)/:contentId (optional auth: followers-only content needs a token)
+router.get('/:content(post|reel)/:contentId', optionalAuth, getReactions);
 
 // Get user's reaction status for multiple posts/reels
 // POST /api/likes/my-reactions
@@ -1,10 +1,11 @@
 const express = require('express');
-const { protect } = require('../../middleware/auth');
+const { protect, optionalAuth } = require('../../middleware/auth');
 const s3Upload = require('../../middleware/s3Upload');
 const diskUpload = require('../../middleware/upload'); // For videos (needs local file for transcoding)
 const {
     createPost,
     getAllPosts,
+    getFeed,
     getMyPosts,
     getUserPosts,
     toggleLikePost,
@@ -25,16 +26,21 @@ const router = express.Router();
 router.post('/create', protect, diskUpload.array('media', 10), createPost);
 
 // Get all posts (for feed) - pagination supported
-// GET /api/posts/all?page=1&limit=10
-router.get('/all', getAllPosts);
+// Optional auth: signed-in viewers also get followers-only posts of users they follow
+// GET /api/posts/all?limit=10&cursor=<nextCursor>
+router.get('/all', optionalAuth, getAllPosts);
+
+// Ranked home feed (posts and reels by friendship, affinity, recency, reactions, interests)
+// GET /api/posts/feed?limit=10&cursor=<nextCursor>&refresh=true
+router.get('/feed', protect, getFeed);
 
 // Get posts for the currently authenticated user - pagination supported
-// GET /api/posts/me?page=1&limit=10
+// GET /api/posts/me?limit=10&cursor=<nextCursor> (or ?page=1)
 router.get('/me', protect, getMyPosts);
 
 // Get posts by user ID - pagination supported
-// GET /api/posts/user/:id?page=1&limit=10
-router.get('/user/:id', getUserPosts);
+// GET /api/posts/user/:id?limit=10&cursor=<nextCursor> (or ?page=1; optional auth, see above)
+router.get('/user/:id', optionalAuth, getUserPosts);
 
 // Like/Unlike a post (toggle)
 // POST /api/posts/:id/like
@@ -62,6 +68,7 @@ router.delete('/:id', protect, deletePost);
 console.log('📋 Post routes registered:');
 console.log('  POST   /api/posts/create (protected, supports file uploads)');
 console.log('  GET    /api/posts/all');
+console.log('  GET    /api/posts/feed (protected, ranked, cursor pagination)');
 console.log('  GET    /api/posts/me (protected)');
 console.log('  GET    /api/posts/user/:id');
 console.log('  POST   /api/posts/:id/like (protected)');
@@ -1,5 +1,5 @@
 const express = require('express');
-const { protect } = require('../../middleware/auth');
+const { protect, optionalAuth } = require('../../middleware/auth');
 const upload = require('../../middleware/s3Upload');
 const {
     uploadReelMedia,
@@ -31,12 +31,13 @@ router.post('/upload-media', protect, upload.single('media'), uploadReelMedia);
 router.post('/create-with-media', protect, createReel);
 
 // Fetch reels by contentType (logical cluster)
-// GET /api/reels?contentType=education&page=1&limit=10
-router.get('/', getReels);
+// Optional auth: signed-in viewers also get followers-only reels of users they follow
+// GET /api/reels?contentType=education&limit=10&cursor=<nextCursor>
+router.get('/', optionalAuth, getReels);
 
-// Get reels by user ID - pagination supported
+// Get reels by user ID - pagination supported (optional auth, see above)
 // GET /api/reels/user/:id?page=1&limit=10
-router.get('/user/:id', getUserReels);
+router.get('/user/:id', optionalAuth, getUserReels);
 
 // Like/Unlike a reel (toggle)
 // POST /api/reels/:id/like
@@ -63,7 +64,7 @@ console.log('📋 Reel routes registered:');
 console.log('  POST   /api/reels/create (protected, combined upload + create, supports file upload)');
 console.log('  POST   /api/reels/upload-media (protected, legacy)');
 console.log('  POST   /api/reels/create-with-media (protected, legacy)');
-console.log('  GET    /api/reels?contentType=education|fun&page=1&limit=10');
+console.log('  GET    /api/reels?contentType=education|fun&limit=10&cursor=<nextCursor> (page=1 still accepted)');
 console.log('  GET    /api/reels/user/:id?page=1&limit=10');
 console.log('  POST   /api/reels/:id/like (protected)');
 console.log('  POST   /api/reels/:id/comment (protected)');
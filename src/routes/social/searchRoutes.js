@@ -0,0 +1,27 @@
+const express = require('express');
+const { protect } = require('../../middleware/auth');
+const {
+    search,
+    getTrendingHashtags
+} = require('../../controllers/social/searchController');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Unified search over users, posts, reels and hashtags
+// GET /api/search?q=term&type=all|users|posts|reels|hashtags&limit=10&cursor=<nextCursor>
+// q=#tag searches posts/reels by hashtag, q=@name searches users only
+router.get('/', search);
+
+// Trending hashtags over a rolling window (hours, max 168)
+// GET /api/search/hashtags/trending?hours=24&limit=10
+router.get('/hashtags/trending', getTrendingHashtags);
+
+// Debug: Log all registered routes
+console.log('📋 Search routes registered:');
+console.log('  GET    /api/search?q=term&type=all|users|posts|reels|hashtags (protected)');
+console.log('  GET    /api/search/hashtags/trending?hours=24&limit=10 (protected)');
+
+module.exports = router;
@@ -4,6 +4,8 @@ const {
     createQuestion,
     getQuestion,
     validateAnswer,
+    resetQuestionAttempts,
+    getCheckpointStatus,
     getQuestionsByVideo,
     updateQuestion,
     deleteQuestion
@@ -16,6 +18,8 @@ router.post('/videos/:videoId/questions', protectUniversity, createQuestion);
 router.get('/videos/:videoId/questions', protect, getQuestionsByVideo);
 router.get('/videos/:videoId/questions/:checkpointTime', protect, getQuestion);
 router.post('/questions/:id/validate', protect, validateAnswer);
+router.post('/videos/:videoId/attempts/reset', protectUniversity, resetQuestionAttempts);
+router.get('/videos/:videoId/checkpoint-status', protect, getCheckpointStatus);
 router.put('/questions/:id', protectUniversity, updateQuestion);
 router.delete('/questions/:id', protectUniversity, deleteQuestion);
 
@@ -4,13 +4,16 @@ const multer = require('multer');
 const {
     uploadVideo,
     getVideo,
+    getVideoStream,
+    getHlsPlaylist,
     getPlaylistVideos,
     updateVideo,
     deleteVideo,
     updateVideoThumbnail,
     trackProductView,
     trackProductClick,
-    getVideoQuestions
+    getVideoQuestions,
+    answerVideoQuestion
 } = require('../../controllers/video/video.controller');
 const { protectUniversity } = require('../../middleware/universityAuth.middleware');
 const { protect } = require('../../middleware/auth');
@@ -28,6 +31,10 @@ router.post('/', protectUniversity, upload.single('video'), uploadVideo);
 router.get('/playlists/:playlistId/videos', protect, getPlaylistVideos);
 // Learner API: Get VideoQuestion records for a video (must be before /:id route)
 router.get('/:videoId/questions', protect, getVideoQuestions);
+router.post('/:videoId/questions/:questionId/attempt', protect, answerVideoQuestion);
+router.get('/:id/stream', protect, getVideoStream);
+// HLS players cannot send auth headers; playlists are authorized by the stream token
+router.get('/:id/hls/:rendition.m3u8', getHlsPlaylist);
 router.get('/:id', protect, getVideo);
 router.put('/:id', protectUniversity, updateVideo);
 router.delete('/:id', protectUniversity, deleteVideo);
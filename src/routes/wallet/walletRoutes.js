@@ -1,14 +1,15 @@
 const express = require('express');
 const router = express.Router();
-const { getWallet, getTransactions } = require('../../controllers/wallet/walletController');
+const { getWallet, getTransactions, transferToFriend } = require('../../controllers/wallet/walletController');
 const { flexibleAuth } = require('../../middleware/flexibleAuth.middleware');
 const { requireUser } = require('../../middleware/roleGuards');
 
 /**
- * Wallet Routes (Read-Only)
+ * Wallet Routes
  * 
- * ⚠️ IMPORTANT: These endpoints are READ-ONLY.
- * Tokens are EARN-ONLY. Redemption is disabled.
+ * ⚠️ IMPORTANT: Balances never change here except through friend transfers.
+ * Tokens are otherwise spent only through marketplace checkout (redeemTokens),
+ * and only while TOKEN_REDEMPTION_ENABLED is on.
  */
 
 // Get wallet balance (USER only)
@@ -17,5 +18,8 @@ router.get('/', flexibleAuth, requireUser, getWallet);
 // Get transaction history (paginated, USER only)
 router.get('/transactions', flexibleAuth, requireUser, getTransactions);
 
+// Send tokens to a friend (USER only, daily limit applies)
+router.post('/transfers', flexibleAuth, requireUser, transferToFriend);
+
 module.exports = router;
 
@@ -101,6 +101,14 @@ connectDB().catch((error) => {
     process.exit(1);
 });
 
+// Payment webhooks can't be verified without a secret - refuse to start misconfigured
+try {
+    require('./services/payment/providers').assertProviderConfig();
+} catch (error) {
+    console.error('❌ Invalid payment configuration:', error.message);
+    process.exit(1);
+}
+
 // Initialize MindTrain database connection
 connectMindTrainDB().catch((error) => {
     console.error('Failed to connect to MindTrain database:', error);
@@ -131,7 +139,15 @@ app.use((req, res, next) => {
 });
 
 // JSON parser (must be before routes)
-app.use(express.json({ limit: '10mb' }));
+// Payment webhooks keep the raw body: their HMAC signatures are computed over the exact bytes sent
+app.use(express.json({
+    limit: '10mb',
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/payments/webhooks/')) {
+            req.rawBody = buf;
+        }
+    }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Error handler for JSON parsing errors
@@ -674,6 +690,42 @@ try {
     });
 }
 
+// Follow routes - for asymmetric follows (separate from friendships)
+try {
+    console.log('🔄 Loading follow routes...');
+    app.use('/api/follow', require('./routes/social/followRoutes'));
+    console.log('✅ Follow routes loaded successfully');
+} catch (error) {
+    console.error('❌ Error loading follow routes:', error.message);
+    console.error('Stack:', error.stack);
+    // Don't crash - create a fallback route
+    app.use('/api/follow', (req, res) => {
+        res.status(500).json({
+            success: false,
+            message: 'Follow routes failed to load. Check server logs.',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    });
+}
+
+// Search routes - for unified search (users, posts, reels, hashtags) and trending hashtags
+try {
+    console.log('🔄 Loading search routes...');
+    app.use('/api/search', require('./routes/social/searchRoutes'));
+    console.log('✅ Search routes loaded successfully');
+} catch (error) {
+    console.error('❌ Error loading search routes:', error.message);
+    console.error('Stack:', error.stack);
+    // Don't crash - create a fallback route
+    app.use('/api/search', (req, res) => {
+        res.status(500).json({
+            success: false,
+            message: 'Search routes failed to load. Check server logs.',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    });
+}
+
 // Story routes - for creating and fetching stories
 try {
     console.log('🔄 Loading story routes...');
@@ -847,6 +899,57 @@ try {
     });
 }
 
+// Marketplace category routes
+try {
+    console.log('🔄 Loading marketplace category routes...');
+    app.use('/api/marketplace/categories', require('./routes/marketplace/categoryRoutes'));
+    console.log('✅ Marketplace category routes loaded successfully');
+} catch (error) {
+    console.error('❌ Error loading marketplace category routes:', error.message);
+    console.error('Stack:', error.stack);
+    app.use('/api/marketplace/categories', (req, res) => {
+        res.status(500).json({
+            success: false,
+            message: 'Marketplace category routes failed to load. Check server logs.',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    });
+}
+
+// Marketplace coupon routes
+try {
+    console.log('🔄 Loading marketplace coupon routes...');
+    app.use('/api/marketplace/coupons', require('./routes/marketplace/couponRoutes'));
+    console.log('✅ Marketplace coupon routes loaded successfully');
+} catch (error) {
+    console.error('❌ Error loading marketplace coupon routes:', error.message);
+    console.error('Stack:', error.stack);
+    app.use('/api/marketplace/coupons', (req, res) => {
+        res.status(500).json({
+            success: false,
+            message: 'Marketplace coupon routes failed to load. Check server logs.',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    });
+}
+
+// Marketplace admin review moderation routes
+try {
+    console.log('🔄 Loading marketplace admin review routes...');
+    app.use('/api/marketplace/admin/reviews', require('./routes/marketplace/adminReviewRoutes'));
+    console.log('✅ Marketplace admin review routes loaded successfully');
+} catch (error) {
+    console.error('❌ Error loading marketplace admin review routes:', error.message);
+    console.error('Stack:', error.stack);
+    app.use('/api/marketplace/admin/reviews', (req, res) => {
+        res.status(500).json({
+            success: false,
+            message: 'Marketplace admin review routes failed to load. Check server logs.',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    });
+}
+
 // Marketplace inventory routes
 try {
     console.log('🔄 Loading marketplace inventory routes...');
@@ -881,6 +984,40 @@ try {
     });
 }
 
+// Marketplace order routes
+try {
+    console.log('🔄 Loading marketplace order routes...');
+    app.use('/api/marketplace/orders', require('./routes/marketplace/orderRoutes'));
+    console.log('✅ Marketplace order routes loaded successfully');
+} catch (error) {
+    console.error('❌ Error loading marketplace order routes:', error.message);
+    console.error('Stack:', error.stack);
+    app.use('/api/marketplace/orders', (req, res) => {
+        res.status(500).json({
+            success: false,
+            message: 'Marketplace order routes failed to load. Check server logs.',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    });
+}
+
+// Payment routes
+try {
+    console.log('🔄 Loading payment routes...');
+    app.use('/api/payments', require('./routes/payment/paymentRoutes'));
+    console.log('✅ Payment routes loaded successfully');
+} catch (error) {
+    console.error('❌ Error loading payment routes:', error.message);
+    console.error('Stack:', error.stack);
+    app.use('/api/payments', (req, res) => {
+        res.status(500).json({
+            success: false,
+            message: 'Payment routes failed to load. Check server logs.',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    });
+}
+
 // Marketplace wishlist routes
 try {
     console.log('🔄 Loading marketplace wishlist routes...');
@@ -981,6 +1118,7 @@ try {
 try {
     console.log('🔄 Loading admin routes...');
     app.use('/api/admin', require('./routes/admin/adminNotification.routes'));
+    app.use('/api/admin', require('./routes/admin/adminWallet.routes'));
     console.log('✅ Admin routes loaded successfully');
 } catch (error) {
     console.error('❌ Error loading admin routes:', error.message);
@@ -1088,6 +1226,26 @@ try {
     console.error('Stack:', error.stack);
 }
 
+// Learning path routes
+try {
+    console.log('🔄 Loading learning path routes...');
+    app.use('/api/learning-paths', require('./routes/course/learningPath.routes'));
+    console.log('✅ Learning path routes loaded successfully');
+} catch (error) {
+    console.error('❌ Error loading learning path routes:', error.message);
+    console.error('Stack:', error.stack);
+}
+
+// Certificate routes (verification is public)
+try {
+    console.log('🔄 Loading certificate routes...');
+    app.use('/api/certificates', require('./routes/course/certificate.routes'));
+    console.log('✅ Certificate routes loaded successfully');
+} catch (error) {
+    console.error('❌ Error loading certificate routes:', error.message);
+    console.error('Stack:', error.stack);
+}
+
 // Video routes
 try {
     console.log('🔄 Loading video routes...');
@@ -1584,6 +1742,10 @@ const { startMCQGenerationWorker } = require('./workers/mcqGenerationWorker');
         const { startNotificationWorker } = require('./workers/notification.worker');
         startNotificationWorker();
         console.log('✅ Notification worker started');
+
+        // Start video analytics worker (video player events -> analyticsService)
+        const { startVideoAnalyticsWorker } = require('./workers/videoAnalytics.worker');
+        startVideoAnalyticsWorker();
         
         // Start MindTrain FCM notification cron job (after socket server)
         try {
@@ -1594,6 +1756,36 @@ const { startMCQGenerationWorker } = require('./workers/mcqGenerationWorker');
             console.error('❌ Failed to start MindTrain FCM notification job:', error.message);
             console.warn('⚠️  MindTrain notifications will not be sent automatically');
         }
+
+        // Start token wallet reconciliation cron job
+        try {
+            const tokenReconciliationJob = require('./jobs/wallet/tokenReconciliationJob');
+            tokenReconciliationJob.start();
+            console.log('✅ Token reconciliation job started');
+        } catch (error) {
+            console.error('❌ Failed to start token reconciliation job:', error.message);
+            console.warn('⚠️  Wallet balance drift will not be reported automatically');
+        }
+
+        // Start course analytics aggregation cron job
+        try {
+            const courseAnalyticsJob = require('./jobs/analytics/courseAnalyticsJob');
+            courseAnalyticsJob.start();
+            console.log('✅ Course analytics job started');
+        } catch (error) {
+            console.error('❌ Failed to start course analytics job:', error.message);
+            console.warn('⚠️  CourseAnalytics will not be re-aggregated automatically');
+        }
+
+        // Start enrollment expiry sweeper and deadline reminders
+        try {
+            const enrollmentExpiryJob = require('./jobs/course/enrollmentExpiryJob');
+            enrollmentExpiryJob.start();
+            console.log('✅ Enrollment expiry job started');
+        } catch (error) {
+            console.error('❌ Failed to start enrollment expiry job:', error.message);
+            console.warn('⚠️  Enrollments will only expire when learners complete a course');
+        }
         
         // Start server
         httpServer.listen(PORT, () => {
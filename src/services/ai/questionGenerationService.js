@@ -0,0 +1,247 @@
+const MCQGenerationJob = require('../../models/course/MCQGenerationJob');
+const Course = require('../../models/course/Course');
+const Video = require('../../models/course/Video');
+const VideoQuestion = require('../../models/course/VideoQuestion');
+const { getSignedVideoUrl } = require('../video/videoService');
+const {
+    getProvider,
+    getProviderNames,
+    getDefaultProviderName
+} = require('./questionProviders');
+const stubProvider = require('./questionProviders/stubProvider');
+
+const QUESTION_DIFFICULTIES = ['EASY', 'MEDIUM', 'HARD', 'MIXED'];
+const MIN_QUESTION_COUNT = 1;
+const MAX_QUESTION_COUNT = 20;
+const DEFAULT_QUESTION_COUNT = 5;
+const DEFAULT_DIFFICULTY = 'MEDIUM';
+
+// Shorter subtitles (e.g. a single caption) are not worth generating from
+const MIN_TRANSCRIPT_CHARS = 200;
+
+const OPTION_LETTERS = ['A', 'B', 'C', 'D'];
+
+/**
+ * Convert WebVTT / SRT subtitle text to plain transcript text
+ * (drops headers, cue numbers, timings, NOTE blocks, markup and repeated lines)
+ */
+const subtitlesToTranscript = (subtitles) => {
+    if (!subtitles || typeof subtitles !== 'string') {
+        return '';
+    }
+
+    const lines = [];
+    let skipBlock = false;
+
+    for (const rawLine of subtitles.replace(/\r/g, '').split('\n')) {
+        const line = rawLine.trim();
+        if (!line) {
+            skipBlock = false;
+            continue;
+        }
+        if (skipBlock || /^WEBVTT/.test(line) || /^\d+$/.test(line) || line.includes('-->')) {
+            continue;
+        }
+        if (/^(NOTE|STYLE|REGION)\b/.test(line)) {
+            skipBlock = true;
+            continue;
+        }
+
+        const text = line.replace(/<[^>]+>/g, '').replace(/\{\\[^}]*\}/g, '').trim();
+        // Rolling captions repeat the previous line
+        if (text && text !== lines[lines.length - 1]) {
+            lines.push(text);
+        }
+    }
+
+    return lines.join(' ').replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Validate question generation settings (all fields optional)
+ * Returns an error message, or null when valid
+ */
+const validateQuestionGenerationSettings = ({ provider, questionCount, difficulty } = {}) => {
+    // The stub writes placeholder questions, so courses can't pick it in production
+    const isProduction = process.env.NODE_ENV === 'production';
+    if (provider !== undefined && provider !== null &&
+        (!getProvider(provider) || (isProduction && provider === stubProvider.name))) {
+        const allowed = getProviderNames().filter(name => !isProduction || name !== stubProvider.name);
+        return `provider must be one of: ${allowed.join(', ')}`;
+    }
+    if (questionCount !== undefined &&
+        (!Number.isInteger(questionCount) || questionCount < MIN_QUESTION_COUNT || questionCount > MAX_QUESTION_COUNT)) {
+        return `questionCount must be an integer between ${MIN_QUESTION_COUNT} and ${MAX_QUESTION_COUNT}`;
+    }
+    if (difficulty !== undefined && !QUESTION_DIFFICULTIES.includes(difficulty)) {
+        return `difficulty must be one of: ${QUESTION_DIFFICULTIES.join(', ')}`;
+    }
+    return null;
+};
+
+/**
+ * Effective question generation settings of a course (defaults filled in)
+ */
+const getQuestionGenerationSettings = (course) => {
+    const settings = course?.questionGeneration || {};
+    return {
+        provider: settings.provider || getDefaultProviderName(),
+        questionCount: settings.questionCount || DEFAULT_QUESTION_COUNT,
+        difficulty: settings.difficulty || DEFAULT_DIFFICULTY
+    };
+};
+
+/**
+ * Queue MCQ generation for a video with the course's settings
+ *
+ * An active (PENDING/PROCESSING) job for the video is left as is, or reset to
+ * PENDING with the new settings when `restart` is set (regeneration).
+ *
+ * @param {Object} video - Video document
+ * @param {Object} options - { provider, questionCount, difficulty } overrides, restart
+ * @returns {Promise<Object>} { job, created }
+ */
+const queueQuestionGeneration = async (video, { restart = false, ...overrides } = {}) => {
+    const course = await Course.findById(video.courseId).select('questionGeneration').lean();
+    const defaults = getQuestionGenerationSettings(course);
+    const settings = {
+        provider: overrides.provider || defaults.provider,
+        questionCount: overrides.questionCount || defaults.questionCount,
+        difficulty: overrides.difficulty || defaults.difficulty
+    };
+
+    const existingJob = await MCQGenerationJob.findOne({
+        videoId: video._id,
+        status: { $in: ['PENDING', 'PROCESSING'] }
+    });
+
+    if (existingJob) {
+        if (!restart) {
+            return { job: existingJob, created: false };
+        }
+        const job = await MCQGenerationJob.findByIdAndUpdate(existingJob._id, {
+            ...settings,
+            status: 'PENDING',
+            attempts: 0,
+            error: null,
+            inputSource: null
+        }, { new: true });
+        return { job, created: false };
+    }
+
+    const job = await MCQGenerationJob.create({
+        videoId: video._id,
+        courseId: video.courseId,
+        status: 'PENDING',
+        attempts: 0,
+        ...settings
+    });
+    return { job, created: true };
+};
+
+/**
+ * Map a provider question to a VideoQuestion document, or null if incomplete
+ */
+const toVideoQuestion = (raw, job, provider, inputSource) => {
+    const question = typeof raw?.question === 'string' ? raw.question.trim() : '';
+    const options = {};
+    for (const letter of OPTION_LETTERS) {
+        const option = raw?.options?.[letter];
+        options[letter] = typeof option === 'string' ? option.trim() : '';
+    }
+    const correctAnswer = String(raw?.correctAnswer || '').trim().toUpperCase();
+
+    if (!question || OPTION_LETTERS.some(letter => !options[letter]) || !OPTION_LETTERS.includes(correctAnswer)) {
+        return null;
+    }
+
+    return {
+        videoId: job.videoId,
+        courseId: job.courseId,
+        question,
+        options,
+        correctAnswer,
+        source: 'AI',
+        status: 'DRAFT',
+        editable: true,
+        aiMeta: {
+            ...(raw.meta || {}),
+            provider: provider.name,
+            difficulty: job.difficulty || DEFAULT_DIFFICULTY,
+            input_source: inputSource
+        }
+    };
+};
+
+/**
+ * Run a generation job: pick the input (subtitles transcript when the video
+ * has one and the provider accepts it, otherwise the video file), call the
+ * provider and replace the video's AI questions with the result.
+ *
+ * Throws on failure; the worker handles retries.
+ *
+ * @param {Object} job - MCQGenerationJob document
+ * @returns {Promise<Object>} { created, provider, inputSource }
+ */
+const runQuestionGeneration = async (job) => {
+    const provider = getProvider(job.provider || getDefaultProviderName());
+    if (!provider) {
+        throw new Error(`Unknown question provider: ${job.provider}`);
+    }
+
+    const video = await Video.findById(job.videoId);
+    if (!video) {
+        throw new Error(`Video ${job.videoId} not found`);
+    }
+
+    const transcript = subtitlesToTranscript(video.subtitles);
+    const hasTranscript = transcript.length >= MIN_TRANSCRIPT_CHARS;
+    const hasVideo = Boolean(video.s3Key || video.videoUrl);
+    const inputSource = provider.inputs.find(input =>
+        (input === 'TRANSCRIPT' && hasTranscript) || (input === 'VIDEO' && hasVideo));
+
+    if (!inputSource) {
+        throw new Error(provider.inputs.includes('TRANSCRIPT') && !provider.inputs.includes('VIDEO')
+            ? `Video ${job.videoId} has no subtitles to generate questions from`
+            : `Video ${job.videoId} missing videoUrl`);
+    }
+
+    const count = job.questionCount || DEFAULT_QUESTION_COUNT;
+    const rawQuestions = await provider.generateQuestions({
+        transcript: inputSource === 'TRANSCRIPT' ? transcript : null,
+        videoUrl: inputSource === 'VIDEO'
+            ? (video.s3Key ? await getSignedVideoUrl(video.s3Key, 6 * 3600) : video.videoUrl)
+            : null,
+        title: video.title,
+        count,
+        difficulty: job.difficulty || DEFAULT_DIFFICULTY
+    });
+
+    const questions = (rawQuestions || [])
+        .map(raw => toVideoQuestion(raw, job, provider, inputSource))
+        .filter(Boolean)
+        .slice(0, count);
+
+    if (questions.length === 0) {
+        throw new Error(`${provider.name} returned no usable questions`);
+    }
+
+    // Replace previously generated questions (manual questions are kept)
+    await VideoQuestion.deleteMany({ videoId: job.videoId, source: 'AI' });
+    await VideoQuestion.insertMany(questions);
+
+    await MCQGenerationJob.findByIdAndUpdate(job._id, { inputSource });
+
+    return { created: questions.length, provider: provider.name, inputSource };
+};
+
+module.exports = {
+    QUESTION_DIFFICULTIES,
+    MIN_QUESTION_COUNT,
+    MAX_QUESTION_COUNT,
+    subtitlesToTranscript,
+    validateQuestionGenerationSettings,
+    getQuestionGenerationSettings,
+    queueQuestionGeneration,
+    runQuestionGeneration
+};
@@ -0,0 +1,58 @@
+/**
+ * Question Generation Provider Registry
+ *
+ * Every provider implements the same interface:
+ *
+ *   name: String
+ *   inputs: Array<'TRANSCRIPT' | 'VIDEO'> - supported inputs, in order of preference
+ *   generateQuestions({ transcript, videoUrl, title, count, difficulty })
+ *       → [{ question, options: { A, B, C, D }, correctAnswer, meta }]
+ *
+ * `transcript` is plain text from Video.subtitles (null when the video has
+ * none), `videoUrl` a signed URL of the video file. `difficulty` is EASY |
+ * MEDIUM | HARD | MIXED. `meta` is stored on VideoQuestion.aiMeta.
+ */
+
+const remoteHttpProvider = require('./remoteHttpProvider');
+const llmTranscriptProvider = require('./llmTranscriptProvider');
+const stubProvider = require('./stubProvider');
+
+const providers = {
+    [remoteHttpProvider.name]: remoteHttpProvider,
+    [llmTranscriptProvider.name]: llmTranscriptProvider,
+    [stubProvider.name]: stubProvider
+};
+
+/**
+ * Register an additional provider at startup
+ */
+const registerProvider = (provider) => {
+    const required = ['name', 'inputs', 'generateQuestions'];
+    const missing = required.filter(key => !provider || !provider[key]);
+    if (missing.length > 0) {
+        throw new Error(`Question provider is missing: ${missing.join(', ')}`);
+    }
+    providers[provider.name] = provider;
+};
+
+/**
+ * Get a provider by name, or null if it isn't registered
+ */
+const getProvider = (name) => providers[name] || null;
+
+/**
+ * Names of all registered providers
+ */
+const getProviderNames = () => Object.keys(providers);
+
+/**
+ * Provider used when a course doesn't choose one (MCQ_PROVIDER env, defaults to the remote service)
+ */
+const getDefaultProviderName = () => process.env.MCQ_PROVIDER || remoteHttpProvider.name;
+
+module.exports = {
+    registerProvider,
+    getProvider,
+    getProviderNames,
+    getDefaultProviderName
+};
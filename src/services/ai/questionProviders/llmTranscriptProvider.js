@@ -0,0 +1,89 @@
+/**
+ * LLM Transcript Question Provider
+ *
+ * Writes MCQs from the video's transcript (Video.subtitles) with a chat
+ * completion model, so the raw video never has to be re-processed. Works with
+ * any OpenAI-compatible chat completions API.
+ *
+ * Environment:
+ *   QUESTION_LLM_API_KEY - API key (required)
+ *   QUESTION_LLM_API_URL - chat completions endpoint (defaults to OpenAI)
+ *   QUESTION_LLM_MODEL   - model name
+ */
+
+const axios = require('axios');
+
+const DEFAULT_API_URL = 'https://api.openai.com/v1/chat/completions';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+// Keeps long lectures inside the model's context window
+const MAX_TRANSCRIPT_CHARS = 48000;
+
+const DIFFICULTY_HINTS = {
+    EASY: 'easy recall questions about facts stated directly in the lesson',
+    MEDIUM: 'questions that check understanding of the main concepts',
+    HARD: 'questions that require applying or combining concepts from the lesson',
+    MIXED: 'a mix of easy, medium and hard questions'
+};
+
+const buildPrompt = ({ transcript, title, count, difficulty }) => [
+    `Write ${count} multiple-choice questions for the video lesson "${title}".`,
+    `Difficulty: ${DIFFICULTY_HINTS[difficulty] || DIFFICULTY_HINTS.MEDIUM}.`,
+    'Each question has exactly four options (A, B, C, D) and one correct answer.',
+    'Only ask about content in the transcript.',
+    'Respond with JSON only, in this shape:',
+    '{"questions":[{"question":"...","options":{"A":"...","B":"...","C":"...","D":"..."},"correct_answer":"A"}]}',
+    '',
+    'Transcript:',
+    transcript.slice(0, MAX_TRANSCRIPT_CHARS)
+].join('\n');
+
+const generateQuestions = async ({ transcript, title, count, difficulty }) => {
+    if (!process.env.QUESTION_LLM_API_KEY) {
+        throw new Error('LLM question provider is not configured. Set QUESTION_LLM_API_KEY');
+    }
+    if (!transcript) {
+        throw new Error('LLM question provider requires a transcript');
+    }
+
+    const response = await axios.post(
+        process.env.QUESTION_LLM_API_URL || DEFAULT_API_URL,
+        {
+            model: process.env.QUESTION_LLM_MODEL || DEFAULT_MODEL,
+            temperature: 0.3,
+            response_format: { type: 'json_object' },
+            messages: [
+                { role: 'system', content: 'You write quiz questions for online courses.' },
+                { role: 'user', content: buildPrompt({ transcript, title, count, difficulty }) }
+            ]
+        },
+        {
+            timeout: 120000,
+            headers: { Authorization: `Bearer ${process.env.QUESTION_LLM_API_KEY}` }
+        }
+    );
+
+    const content = response.data?.choices?.[0]?.message?.content;
+    let parsed;
+    try {
+        parsed = JSON.parse(content);
+    } catch (error) {
+        throw new Error('LLM response is not valid JSON');
+    }
+    if (!Array.isArray(parsed?.questions)) {
+        throw new Error('LLM response missing questions array');
+    }
+
+    return parsed.questions.map(q => ({
+        question: q.question,
+        options: q.options,
+        correctAnswer: q.correct_answer,
+        meta: {}
+    }));
+};
+
+module.exports = {
+    name: 'LLM_TRANSCRIPT',
+    inputs: ['TRANSCRIPT'],
+    generateQuestions
+};
@@ -0,0 +1,61 @@
+/**
+ * Remote HTTP Question Provider
+ *
+ * Sends the video URL to the external MCQ service, which downloads and
+ * processes the video itself. Slow (2-5 minutes per video).
+ *
+ * Environment:
+ *   MCQ_REMOTE_API_URL - MCQ endpoint (defaults to the Drishti AI service)
+ */
+
+const axios = require('axios');
+
+const DEFAULT_API_URL = 'https://api.drishtifilmproductions.com/videos/mcqs';
+
+const generateQuestions = async ({ videoUrl, count, difficulty }) => {
+    if (!videoUrl) {
+        throw new Error('Remote MCQ provider requires a video URL');
+    }
+
+    const response = await axios.post(
+        process.env.MCQ_REMOTE_API_URL || DEFAULT_API_URL,
+        {
+            video_url: videoUrl,
+            include_answers: true,
+            randomize: false,
+            limit: count,
+            difficulty: difficulty.toLowerCase(),
+            force: false
+        },
+        {
+            timeout: 360000 // 6 minute timeout (AI can take 2-5 minutes)
+        }
+    );
+
+    if (response.data.status !== 'success') {
+        throw new Error(`AI API returned status: ${response.data.status || 'unknown'}`);
+    }
+    if (!Array.isArray(response.data.questions)) {
+        throw new Error('AI API response missing questions array');
+    }
+
+    return response.data.questions.map(q => ({
+        question: q.question,
+        options: q.options,
+        correctAnswer: q.correct_answer,
+        meta: {
+            timestamp: q.timestamp || null,
+            timestamp_seconds: q.timestampSeconds || q.timestamp_seconds || null,
+            chunk_num: q.chunkNum || q.chunk_num || null,
+            anchor_type: q.anchor_type || null,
+            batch_number: q.batch_number || null,
+            part_number: q.part_number || null
+        }
+    }));
+};
+
+module.exports = {
+    name: 'DRISHTI_AI',
+    inputs: ['VIDEO'],
+    generateQuestions
+};
@@ -0,0 +1,50 @@
+/**
+ * Local Stub Question Provider
+ *
+ * Deterministic, network-free provider used in development and tests: the
+ * same transcript (or title) and settings always produce the same questions.
+ * Correct statements are taken from the transcript; the correct option
+ * rotates through A-D.
+ */
+
+const LETTERS = ['A', 'B', 'C', 'D'];
+
+const splitSentences = (text) => text
+    .split(/(?<=[.!?])\s+/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length >= 20);
+
+const generateQuestions = async ({ transcript, title, count, difficulty }) => {
+    const sentences = transcript ? splitSentences(transcript) : [];
+    const questions = [];
+
+    for (let index = 0; index < count; index++) {
+        const correct = sentences.length > 0
+            ? sentences[Math.floor((index * sentences.length) / count)]
+            : `"${title}" covers topic ${index + 1}.`;
+        const correctLetter = LETTERS[index % LETTERS.length];
+
+        const options = {};
+        let distractor = 1;
+        for (const letter of LETTERS) {
+            options[letter] = letter === correctLetter
+                ? correct
+                : `This statement is not part of the lesson (${index + 1}.${distractor++}).`;
+        }
+
+        questions.push({
+            question: `[${difficulty}] Which statement is made in "${title}"? (${index + 1}/${count})`,
+            options,
+            correctAnswer: correctLetter,
+            meta: {}
+        });
+    }
+
+    return questions;
+};
+
+module.exports = {
+    name: 'LOCAL_STUB',
+    inputs: ['TRANSCRIPT', 'VIDEO'],
+    generateQuestions
+};
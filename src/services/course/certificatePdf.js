@@ -0,0 +1,167 @@
+const QRCode = require('qrcode');
+
+/**
+ * Certificate PDF Renderer
+ *
+ * Builds a single-page A4 landscape PDF by hand: the standard Helvetica fonts
+ * need no embedding and the QR code is drawn as vector squares, so no PDF
+ * library is required. Standard fonts only cover WinAnsi (Latin-1) text;
+ * other characters are replaced with '?'.
+ */
+
+const PAGE_WIDTH = 842;
+const PAGE_HEIGHT = 595;
+const MARGIN = 60;
+const QR_SIZE = 110;
+
+// Keep Latin-1 characters, replace the rest, and escape PDF string delimiters
+const pdfText = (value) => String(value ?? '')
+    .normalize('NFC')
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+
+// Rough word wrap (average Helvetica glyph is ~0.5em wide)
+const wrapText = (text, fontSize, maxWidth, maxLines) => {
+    const maxChars = Math.floor(maxWidth / (fontSize * 0.5));
+    const words = String(text).split(/\s+/).filter(Boolean);
+    const lines = [];
+    let current = '';
+
+    for (const word of words) {
+        const candidate = current ? `${current} ${word}` : word;
+        if (candidate.length <= maxChars) {
+            current = candidate;
+            continue;
+        }
+        if (current) {
+            lines.push(current);
+        }
+        current = word.length > maxChars ? `${word.slice(0, maxChars - 3)}...` : word;
+    }
+    if (current) {
+        lines.push(current);
+    }
+
+    if (lines.length > maxLines) {
+        const kept = lines.slice(0, maxLines);
+        kept[maxLines - 1] = `${kept[maxLines - 1].slice(0, maxChars - 3)}...`;
+        return kept;
+    }
+    return lines;
+};
+
+const textOp = (font, size, x, y, text) =>
+    `BT /${font} ${size} Tf ${x} ${y} Td (${pdfText(text)}) Tj ET`;
+
+// Dark QR modules as filled rectangles, top-left module at (x, y + size)
+const qrOps = (text, x, y, size) => {
+    const qr = QRCode.create(text, { errorCorrectionLevel: 'M' });
+    const count = qr.modules.size;
+    const cell = size / count;
+    const ops = ['0 0 0 rg'];
+
+    for (let row = 0; row < count; row++) {
+        for (let col = 0; col < count; col++) {
+            if (qr.modules.get(row, col)) {
+                const cx = (x + col * cell).toFixed(2);
+                const cy = (y + size - (row + 1) * cell).toFixed(2);
+                ops.push(`${cx} ${cy} ${cell.toFixed(2)} ${cell.toFixed(2)} re`);
+            }
+        }
+    }
+    ops.push('f');
+    return ops.join('\n');
+};
+
+/**
+ * Assemble PDF objects into a file with a valid xref table
+ */
+const buildPdf = (content) => {
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            '/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+        `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+    ];
+
+    let body = '%PDF-1.4\n';
+    const offsets = [];
+    objects.forEach((object, index) => {
+        offsets.push(Buffer.byteLength(body, 'latin1'));
+        body += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    });
+
+    const xrefOffset = Buffer.byteLength(body, 'latin1');
+    body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    offsets.forEach(offset => {
+        body += `${String(offset).padStart(10, '0')} 00000 n \n`;
+    });
+    body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(body, 'latin1');
+};
+
+/**
+ * Render a completion certificate
+ *
+ * @param {Object} data
+ * @param {String} data.learnerName
+ * @param {String} data.courseName
+ * @param {String} data.universityName
+ * @param {Date} data.completedAt
+ * @param {String} data.code - Verification code
+ * @param {String} data.verifyUrl - Public verification URL (encoded in the QR)
+ * @returns {Buffer} PDF file
+ */
+const renderCertificatePdf = ({ learnerName, courseName, universityName, completedAt, code, verifyUrl }) => {
+    const completedOn = new Date(completedAt).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        timeZone: 'UTC'
+    });
+    const textWidth = PAGE_WIDTH - MARGIN * 2;
+
+    const ops = [
+        // Double border
+        '0.12 0.23 0.45 RG 4 w',
+        `24 24 ${PAGE_WIDTH - 48} ${PAGE_HEIGHT - 48} re S`,
+        '1 w',
+        `34 34 ${PAGE_WIDTH - 68} ${PAGE_HEIGHT - 68} re S`,
+        '0.12 0.23 0.45 rg',
+        textOp('F2', 34, MARGIN, 480, 'Certificate of Completion'),
+        '0.2 0.2 0.2 rg',
+        textOp('F1', 14, MARGIN, 430, 'This certifies that'),
+        '0 0 0 rg',
+        textOp('F2', 28, MARGIN, 390, wrapText(learnerName, 28, textWidth, 1)[0] || ''),
+        '0.2 0.2 0.2 rg',
+        textOp('F1', 14, MARGIN, 350, 'has successfully completed the course')
+    ];
+
+    let y = 315;
+    for (const line of wrapText(courseName, 22, textWidth, 2)) {
+        ops.push('0 0 0 rg', textOp('F2', 22, MARGIN, y, line));
+        y -= 28;
+    }
+
+    ops.push(
+        '0.2 0.2 0.2 rg',
+        textOp('F1', 14, MARGIN, y - 4, `offered by ${universityName}`),
+        textOp('F1', 14, MARGIN, y - 28, `Completed on ${completedOn}`),
+        '0.4 0.4 0.4 rg',
+        textOp('F1', 10, MARGIN, 90, `Certificate ID: ${code}`),
+        textOp('F1', 10, MARGIN, 74, `Verify at: ${verifyUrl}`),
+        qrOps(verifyUrl, PAGE_WIDTH - MARGIN - QR_SIZE, 60, QR_SIZE)
+    );
+
+    return buildPdf(ops.join('\n'));
+};
+
+module.exports = {
+    renderCertificatePdf
+};
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const Certificate = require('../../models/course/Certificate');
+const CourseEnrollment = require('../../models/course/CourseEnrollment');
+const Course = require('../../models/course/Course');
+const University = require('../../models/auth/University');
+const User = require('../../models/authorization/User');
+const StorageService = require('../storage.service');
+const { renderCertificatePdf } = require('./certificatePdf');
+
+// Unambiguous characters only (no 0/O, 1/I/L), so codes can be typed from print
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_GROUPS = 3;
+const CODE_GROUP_LENGTH = 4;
+const MAX_CODE_ATTEMPTS = 5;
+
+/**
+ * Generate a verification code such as "K7QM-3XPA-9RTD"
+ */
+const generateCertificateCode = () => {
+    const bytes = crypto.randomBytes(CODE_GROUPS * CODE_GROUP_LENGTH);
+    const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+    const groups = [];
+    for (let i = 0; i < CODE_GROUPS; i++) {
+        groups.push(chars.slice(i * CODE_GROUP_LENGTH, (i + 1) * CODE_GROUP_LENGTH).join(''));
+    }
+    return groups.join('-');
+};
+
+/**
+ * Normalize user input ("k7qm 3xpa 9rtd") to the stored format
+ */
+const normalizeCertificateCode = (code) => {
+    const compact = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    if (compact.length !== CODE_GROUPS * CODE_GROUP_LENGTH) {
+        return null;
+    }
+    return compact.match(new RegExp(`.{${CODE_GROUP_LENGTH}}`, 'g')).join('-');
+};
+
+/**
+ * Public verification URL (encoded in the certificate QR code)
+ */
+const getVerificationUrl = (code) => {
+    const baseUrl = process.env.BACKEND_URL || process.env.BASE_URL || `http://localhost:${process.env.PORT || 3100}`;
+    return `${baseUrl.replace(/\/$/, '')}/api/certificates/verify/${code}`;
+};
+
+const getLearnerName = (user) => {
+    const name = user.profile?.name || {};
+    return name.full || [name.first, name.last].filter(Boolean).join(' ') || 'Learner';
+};
+
+/**
+ * Render the PDF and store it; failures are logged and leave pdf.url null
+ * so the next download request can retry.
+ */
+const generateCertificatePdf = async (certificate) => {
+    try {
+        const buffer = renderCertificatePdf({
+            learnerName: certificate.learnerName,
+            courseName: certificate.courseName,
+            universityName: certificate.universityName,
+            completedAt: certificate.completedAt,
+            code: certificate.code,
+            verifyUrl: getVerificationUrl(certificate.code)
+        });
+
+        const key = `certificates/${certificate.courseId}/${certificate.code}.pdf`;
+        const upload = await StorageService.uploadBuffer(buffer, key, 'application/pdf');
+
+        certificate.pdf = {
+            url: upload.url,
+            key: upload.key,
+            generatedAt: new Date()
+        };
+        await certificate.save();
+    } catch (error) {
+        console.error(`Error generating certificate PDF ${certificate.code}:`, error);
+    }
+
+    return certificate;
+};
+
+/**
+ * Issue the certificate for a COMPLETED enrollment (idempotent)
+ *
+ * @param {String} enrollmentId
+ * @returns {Promise<Object|null>} Certificate document, or null if the
+ *   enrollment is not completed
+ */
+const issueCertificate = async (enrollmentId) => {
+    const existing = await Certificate.findOne({ enrollmentId });
+    if (existing) {
+        return existing.pdf?.url ? existing : generateCertificatePdf(existing);
+    }
+
+    const enrollment = await CourseEnrollment.findById(enrollmentId).lean();
+    if (!enrollment || enrollment.status !== 'COMPLETED') {
+        return null;
+    }
+
+    const [course, user] = await Promise.all([
+        Course.findById(enrollment.courseId).select('name universityId').lean(),
+        User.findById(enrollment.userId).select('profile.name').lean()
+    ]);
+    if (!course || !user) {
+        return null;
+    }
+
+    const university = await University.findById(course.universityId).select('profile.name').lean();
+
+    let certificate = null;
+    for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS && !certificate; attempt++) {
+        try {
+            certificate = await Certificate.create({
+                code: generateCertificateCode(),
+                userId: enrollment.userId,
+                courseId: enrollment.courseId,
+                universityId: course.universityId,
+                enrollmentId: enrollment._id,
+                learnerName: getLearnerName(user),
+                courseName: course.name,
+                universityName: university?.profile?.name || 'University',
+                completedAt: enrollment.completedAt || new Date()
+            });
+        } catch (error) {
+            if (error?.code !== 11000) {
+                throw error;
+            }
+            // Issued concurrently for the same enrollment - use that one
+            const concurrent = await Certificate.findOne({ enrollmentId });
+            if (concurrent) {
+                return concurrent;
+            }
+            // Otherwise the code collided; try another
+        }
+    }
+
+    if (!certificate) {
+        throw new Error('Failed to generate a unique certificate code');
+    }
+
+    console.log(`🎓 Certificate ${certificate.code} issued for enrollment ${enrollmentId}`);
+
+    return generateCertificatePdf(certificate);
+};
+
+/**
+ * Public verification view of a certificate (no internal IDs)
+ *
+ * @param {String} code - Verification code in any case/spacing
+ * @returns {Promise<Object|null>}
+ */
+const verifyCertificate = async (code) => {
+    const normalized = normalizeCertificateCode(code);
+    if (!normalized) {
+        return null;
+    }
+
+    const certificate = await Certificate.findOne({ code: normalized }).lean();
+    if (!certificate) {
+        return null;
+    }
+
+    return {
+        code: certificate.code,
+        learnerName: certificate.learnerName,
+        courseName: certificate.courseName,
+        universityName: certificate.universityName,
+        completedAt: certificate.completedAt,
+        issuedAt: certificate.createdAt,
+        pdfUrl: certificate.pdf?.url || null
+    };
+};
+
+module.exports = {
+    generateCertificateCode,
+    normalizeCertificateCode,
+    getVerificationUrl,
+    generateCertificatePdf,
+    issueCertificate,
+    verifyCertificate
+};
@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const Course = require('../../models/course/Course');
 const { getRedis } = require('../../config/redisConnection');
 
@@ -97,11 +98,37 @@ const getCourse = async (courseId) => {
     return course;
 };
 
+/**
+ * Load a course and verify the requesting university owns it
+ *
+ * @param {String} courseId
+ * @param {String} universityId
+ * @param {String} action - Completes "You do not have permission to ..." on a 403
+ * @returns {Promise<Object>} { course } or { status, message }
+ */
+const findOwnedCourse = async (courseId, universityId, action = 'manage this course') => {
+    if (!mongoose.Types.ObjectId.isValid(courseId)) {
+        return { status: 400, message: 'Invalid course ID' };
+    }
+
+    const course = await Course.findById(courseId);
+    if (!course) {
+        return { status: 404, message: 'Course not found' };
+    }
+
+    if (course.universityId.toString() !== universityId.toString()) {
+        return { status: 403, message: `You do not have permission to ${action}` };
+    }
+
+    return { course };
+};
+
 module.exports = {
     createCourse,
     updateCourse,
     deleteCourse,
     cacheCourse,
-    getCourse
+    getCourse,
+    findOwnedCourse
 };
 
@@ -0,0 +1,457 @@
+const mongoose = require('mongoose');
+const Course = require('../../models/course/Course');
+const CourseVersion = require('../../models/course/CourseVersion');
+const Playlist = require('../../models/course/Playlist');
+const Video = require('../../models/course/Video');
+const VideoQuestion = require('../../models/course/VideoQuestion');
+const Question = require('../../models/course/Question');
+const CourseEnrollment = require('../../models/course/CourseEnrollment');
+const UserCourseProgress = require('../../models/progress/UserCourseProgress');
+const videoService = require('../video/videoService');
+const StorageService = require('../storage.service');
+const {
+    calculateCourseCompletion,
+    updateCourseProgress
+} = require('../progress/progressService');
+
+// Course settings copied into clones and draft versions
+const COURSE_COPY_FIELDS = [
+    'name', 'description', 'thumbnail', 'inviteOnly', 'isInviteOnly', 'maxCompletions',
+    'completionDeadline', 'rewardTokensPerCompletion', 'prerequisites', 'dripPolicy', 'checkpointPolicy',
+    'questionGeneration'
+];
+
+// Course fields a published draft version applies to the live course.
+// Enrollment settings (limits, deadline, rewards, prerequisites) are edited on the live course directly.
+const COURSE_PUBLISH_FIELDS = ['name', 'description', 'thumbnail', 'dripPolicy', 'checkpointPolicy'];
+
+const PLAYLIST_FIELDS = ['name', 'description', 'thumbnail', 'order', 'unlockAfterDays'];
+const VIDEO_FIELDS = [
+    'title', 'description', 'subtitles', 'videoUrl', 'status', 'thumbnail',
+    'duration', 'order', 's3Key', 'hls', 'sprite', 'attachedProductId'
+];
+const VIDEO_QUESTION_FIELDS = ['question', 'options', 'correctAnswer', 'source', 'aiMeta', 'status', 'editable'];
+const QUESTION_FIELDS = ['checkpointTime', 'question', 'options', 'correctAnswer'];
+
+const pick = (doc, fields) => fields.reduce((picked, field) => {
+    if (doc[field] !== undefined) {
+        picked[field] = doc[field];
+    }
+    return picked;
+}, {});
+
+const sameContent = (liveDoc, fields) => Object.keys(fields).every(field =>
+    JSON.stringify(liveDoc[field] ?? null) === JSON.stringify(fields[field] ?? null)
+);
+
+/**
+ * Copy playlists, videos, VideoQuestions and checkpoint Questions of a course
+ * into another course. Media (S3 objects) is shared, not duplicated.
+ *
+ * @param {ObjectId} sourceCourseId
+ * @param {ObjectId} targetCourseId
+ * @param {Object} options - { trackSource: set source*Id links (draft versions), session }
+ * @returns {Promise<Object>} { playlists, videos, questions } counts
+ */
+const cloneCourseContent = async (sourceCourseId, targetCourseId, { trackSource = false, session = null } = {}) => {
+    const playlists = await Playlist.find({ courseId: sourceCourseId }).session(session).lean();
+    const videos = await Video.find({ courseId: sourceCourseId }).session(session).lean();
+    const videoIds = videos.map(v => v._id);
+    // Sequential: operations of one transaction can't run concurrently on its session
+    const videoQuestions = await VideoQuestion.find({ courseId: sourceCourseId, videoId: { $in: videoIds } })
+        .session(session)
+        .lean();
+    const questions = await Question.find({ videoId: { $in: videoIds } }).session(session).lean();
+
+    const playlistMap = new Map();
+    const playlistDocs = playlists.map(playlist => {
+        const _id = new mongoose.Types.ObjectId();
+        playlistMap.set(playlist._id.toString(), _id);
+        return {
+            _id,
+            courseId: targetCourseId,
+            ...pick(playlist, PLAYLIST_FIELDS),
+            sourcePlaylistId: trackSource ? playlist._id : null
+        };
+    });
+
+    const videoMap = new Map();
+    const videoDocs = videos.map(video => {
+        const _id = new mongoose.Types.ObjectId();
+        videoMap.set(video._id.toString(), _id);
+        return {
+            _id,
+            courseId: targetCourseId,
+            playlistId: video.playlistId ? (playlistMap.get(video.playlistId.toString()) || null) : null,
+            ...pick(video, VIDEO_FIELDS),
+            sourceVideoId: trackSource ? video._id : null
+        };
+    });
+
+    const videoQuestionDocs = videoQuestions.map(question => ({
+        courseId: targetCourseId,
+        videoId: videoMap.get(question.videoId.toString()),
+        ...pick(question, VIDEO_QUESTION_FIELDS),
+        sourceQuestionId: trackSource ? question._id : null
+    }));
+
+    const questionDocs = questions.map(question => ({
+        videoId: videoMap.get(question.videoId.toString()),
+        ...pick(question, QUESTION_FIELDS),
+        sourceQuestionId: trackSource ? question._id : null
+    }));
+
+    if (playlistDocs.length > 0) await Playlist.insertMany(playlistDocs, { session });
+    if (videoDocs.length > 0) await Video.insertMany(videoDocs, { session });
+    if (videoQuestionDocs.length > 0) await VideoQuestion.insertMany(videoQuestionDocs, { session });
+    if (questionDocs.length > 0) await Question.insertMany(questionDocs, { session });
+
+    return {
+        playlists: playlistDocs.length,
+        videos: videoDocs.length,
+        questions: videoQuestionDocs.length + questionDocs.length
+    };
+};
+
+/**
+ * Run fn inside a transaction
+ */
+const withTransaction = async (fn) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const result = await fn(session);
+        await session.commitTransaction();
+        return result;
+    } catch (error) {
+        await session.abortTransaction();
+        throw error;
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Clone a course into a new, independent DRAFT course of the same university
+ *
+ * @param {Object} course - Source course document
+ * @param {Object} [options] - { name }
+ * @returns {Promise<Object>} { course, copied }
+ */
+const cloneCourse = async (course, { name } = {}) => {
+    return withTransaction(async (session) => {
+        const [clone] = await Course.create([{
+            universityId: course.universityId,
+            ...pick(course.toObject(), COURSE_COPY_FIELDS),
+            name: name || `${course.name} (Copy)`,
+            completionDeadline: null,
+            status: 'DRAFT'
+        }], { session });
+
+        const copied = await cloneCourseContent(course._id, clone._id, { session });
+        return { course: clone, copied };
+    });
+};
+
+/**
+ * Get or create the draft version of a published course
+ *
+ * The draft is a DRAFT course (versionOf = live course) holding a copy of the
+ * live content. Edits go to the draft; publishing it applies them to the live
+ * course in one transaction (see publishDraftVersion).
+ *
+ * @param {Object} course - Published course document
+ * @returns {Promise<Object>} { success, draft, created, message? }
+ */
+const createDraftVersion = async (course) => {
+    if (course.status === 'DRAFT' || course.versionOf) {
+        return { success: false, message: 'Only published courses can have a draft version. Edit this draft directly.' };
+    }
+
+    const existing = await Course.findOne({ versionOf: course._id });
+    if (existing) {
+        return { success: true, draft: existing, created: false };
+    }
+
+    try {
+        const draft = await withTransaction(async (session) => {
+            const [draftCourse] = await Course.create([{
+                universityId: course.universityId,
+                ...pick(course.toObject(), COURSE_COPY_FIELDS),
+                status: 'DRAFT',
+                version: (course.version || 1) + 1,
+                versionOf: course._id
+            }], { session });
+
+            await cloneCourseContent(course._id, draftCourse._id, { trackSource: true, session });
+            return draftCourse;
+        });
+
+        return { success: true, draft, created: true };
+    } catch (error) {
+        // Another request created the draft first
+        if (error.code === 11000) {
+            const draft = await Course.findOne({ versionOf: course._id });
+            if (draft) {
+                return { success: true, draft, created: false };
+            }
+        }
+        throw error;
+    }
+};
+
+/**
+ * Apply draft documents of one collection onto the live course
+ *
+ * - cloned from a live document that still exists: the live document takes the
+ *   draft's fields and keeps its _id (so learner progress and attempts stay attached)
+ * - new in the draft: moved to the live course
+ * - live documents without a draft counterpart: removed
+ *
+ * @returns {Promise<Object>} { idMap (draftId -> liveId), counts: { added, updated, removed }, replaced, removed }
+ */
+const applyDraftDocuments = async (Model, { draftDocs, liveDocs, sourceField, buildFields, session }) => {
+    const liveById = new Map(liveDocs.map(doc => [doc._id.toString(), doc]));
+    const idMap = new Map();
+    const keptIds = new Set();
+    const copiedDraftIds = [];
+    const replaced = [];
+    const counts = { added: 0, updated: 0, removed: 0 };
+
+    for (const draftDoc of draftDocs) {
+        const fields = buildFields(draftDoc);
+        const sourceId = draftDoc[sourceField] ? draftDoc[sourceField].toString() : null;
+        const liveDoc = sourceId && !keptIds.has(sourceId) ? liveById.get(sourceId) : null;
+
+        if (liveDoc) {
+            if (!sameContent(liveDoc, fields)) {
+                await Model.updateOne({ _id: liveDoc._id }, { $set: fields }, { session });
+                replaced.push({ live: liveDoc, draft: draftDoc });
+                counts.updated++;
+            }
+            idMap.set(draftDoc._id.toString(), liveDoc._id);
+            keptIds.add(sourceId);
+            copiedDraftIds.push(draftDoc._id);
+        } else {
+            await Model.updateOne({ _id: draftDoc._id }, { $set: { ...fields, [sourceField]: null } }, { session });
+            idMap.set(draftDoc._id.toString(), draftDoc._id);
+            counts.added++;
+        }
+    }
+
+    const removed = liveDocs.filter(doc => !keptIds.has(doc._id.toString()));
+    if (removed.length > 0) {
+        await Model.deleteMany({ _id: { $in: removed.map(doc => doc._id) } }, { session });
+    }
+    if (copiedDraftIds.length > 0) {
+        await Model.deleteMany({ _id: { $in: copiedDraftIds } }, { session });
+    }
+    counts.removed = removed.length;
+
+    return { idMap, counts, replaced, removed };
+};
+
+/**
+ * Delete S3 objects (video files, HLS renditions, preview images) no longer referenced by any video (best effort)
+ */
+const deleteUnreferencedMedia = async (s3Keys, keyPrefixes = []) => {
+    for (const s3Key of new Set(s3Keys.filter(Boolean))) {
+        try {
+            const stillUsed = await Video.exists({ s3Key });
+            if (!stillUsed) {
+                await videoService.deleteVideo(s3Key);
+            }
+        } catch (error) {
+            console.error('[CourseVersion] Failed to delete unused video media:', { s3Key, error: error.message });
+        }
+    }
+
+    for (const keyPrefix of new Set(keyPrefixes.filter(Boolean))) {
+        try {
+            const stillUsed = await Video.exists({ $or: [{ 'hls.keyPrefix': keyPrefix }, { 'sprite.keyPrefix': keyPrefix }] });
+            if (!stillUsed) {
+                await StorageService.deletePrefix(keyPrefix);
+            }
+        } catch (error) {
+            console.error('[CourseVersion] Failed to delete unused video renditions/previews:', { keyPrefix, error: error.message });
+        }
+    }
+};
+
+/**
+ * Recompute progress of active learners after the video list changed
+ * Learners whose remaining videos were removed complete the course here.
+ */
+const refreshLearnerProgress = async (courseId) => {
+    const enrollments = await CourseEnrollment.find({ courseId, status: 'IN_PROGRESS' })
+        .select('userId')
+        .lean();
+
+    for (const { userId } of enrollments) {
+        try {
+            const completion = await calculateCourseCompletion(userId, courseId);
+            if (completion.completionPercent >= 100) {
+                await updateCourseProgress(userId, courseId);
+            } else {
+                await UserCourseProgress.updateOne(
+                    { userId, courseId },
+                    {
+                        completedVideos: completion.completedVideos,
+                        completionPercent: completion.completionPercent,
+                        updatedAt: new Date()
+                    }
+                );
+            }
+        } catch (error) {
+            console.error('[CourseVersion] Failed to refresh learner progress:', {
+                courseId: courseId.toString(),
+                userId: userId.toString(),
+                error: error.message
+            });
+        }
+    }
+};
+
+/**
+ * Publish a draft version onto its live course, atomically
+ *
+ * Playlists, videos, VideoQuestions and checkpoint Questions are applied with
+ * applyDraftDocuments; the course takes COURSE_PUBLISH_FIELDS and its version is
+ * bumped; the draft course is deleted and a CourseVersion row is recorded.
+ * Afterwards, media of removed/replaced videos is cleaned up and learners'
+ * course progress is recomputed (both non-blocking).
+ *
+ * @param {Object} draft - Draft course document (versionOf set)
+ * @returns {Promise<Object>} { success, course?, version?, message? }
+ */
+const publishDraftVersion = async (draft) => {
+    const videoCount = await Video.countDocuments({ courseId: draft._id });
+    if (videoCount === 0) {
+        return { success: false, message: 'Course must have at least one video before it can be published' };
+    }
+
+    const result = await withTransaction(async (session) => {
+        const live = await Course.findById(draft.versionOf).session(session);
+        if (!live) {
+            return { success: false, message: 'The course this draft belongs to no longer exists' };
+        }
+        const liveId = live._id;
+
+        // Playlists
+        const playlists = await applyDraftDocuments(Playlist, {
+            draftDocs: await Playlist.find({ courseId: draft._id }).session(session).lean(),
+            liveDocs: await Playlist.find({ courseId: liveId }).session(session).lean(),
+            sourceField: 'sourcePlaylistId',
+            buildFields: doc => ({ courseId: liveId, ...pick(doc, PLAYLIST_FIELDS) }),
+            session
+        });
+
+        // Videos
+        const draftVideos = await Video.find({ courseId: draft._id }).session(session).lean();
+        const liveVideos = await Video.find({ courseId: liveId }).session(session).lean();
+        const videos = await applyDraftDocuments(Video, {
+            draftDocs: draftVideos,
+            liveDocs: liveVideos,
+            sourceField: 'sourceVideoId',
+            buildFields: doc => ({
+                courseId: liveId,
+                playlistId: doc.playlistId ? (playlists.idMap.get(doc.playlistId.toString()) || null) : null,
+                ...pick(doc, VIDEO_FIELDS)
+            }),
+            session
+        });
+        const mapVideoId = videoId => videos.idMap.get(videoId.toString());
+
+        // VideoQuestions (AI/manual MCQs)
+        const videoQuestions = await applyDraftDocuments(VideoQuestion, {
+            draftDocs: (await VideoQuestion.find({ courseId: draft._id }).session(session).lean())
+                .filter(doc => mapVideoId(doc.videoId)),
+            liveDocs: await VideoQuestion.find({ courseId: liveId }).session(session).lean(),
+            sourceField: 'sourceQuestionId',
+            buildFields: doc => ({ courseId: liveId, videoId: mapVideoId(doc.videoId), ...pick(doc, VIDEO_QUESTION_FIELDS) }),
+            session
+        });
+
+        // Checkpoint Questions (keyed by video only)
+        const questions = await applyDraftDocuments(Question, {
+            draftDocs: await Question.find({ videoId: { $in: draftVideos.map(v => v._id) } }).session(session).lean(),
+            liveDocs: await Question.find({ videoId: { $in: liveVideos.map(v => v._id) } }).session(session).lean(),
+            sourceField: 'sourceQuestionId',
+            buildFields: doc => ({ videoId: mapVideoId(doc.videoId), ...pick(doc, QUESTION_FIELDS) }),
+            session
+        });
+
+        // Course
+        const draftFields = pick(draft.toObject(), COURSE_PUBLISH_FIELDS);
+        Object.entries(draftFields).forEach(([field, value]) => live.set(field, value));
+        live.version = (live.version || 1) + 1;
+        await live.save({ session });
+
+        await Course.deleteOne({ _id: draft._id }, { session });
+
+        const changes = {
+            playlists: playlists.counts,
+            videos: videos.counts,
+            questions: {
+                added: videoQuestions.counts.added + questions.counts.added,
+                updated: videoQuestions.counts.updated + questions.counts.updated,
+                removed: videoQuestions.counts.removed + questions.counts.removed
+            }
+        };
+        const [version] = await CourseVersion.create([{
+            courseId: liveId,
+            version: live.version,
+            draftCourseId: draft._id,
+            changes
+        }], { session });
+
+        // Media of removed videos and of videos whose file was replaced
+        const staleKeys = [
+            ...videos.removed.map(video => video.s3Key),
+            ...videos.replaced
+                .filter(({ live: liveVideo, draft: draftVideo }) => liveVideo.s3Key !== draftVideo.s3Key)
+                .map(({ live: liveVideo }) => liveVideo.s3Key)
+        ];
+        const stalePrefixes = [
+            ...videos.removed.flatMap(video => [video.hls?.keyPrefix, video.sprite?.keyPrefix]),
+            ...videos.replaced.flatMap(({ live: liveVideo, draft: draftVideo }) => [
+                liveVideo.hls?.keyPrefix !== draftVideo.hls?.keyPrefix ? liveVideo.hls?.keyPrefix : null,
+                liveVideo.sprite?.keyPrefix !== draftVideo.sprite?.keyPrefix ? liveVideo.sprite?.keyPrefix : null
+            ])
+        ];
+
+        return { success: true, course: live, version, staleKeys, stalePrefixes };
+    });
+
+    if (!result.success) {
+        return result;
+    }
+
+    deleteUnreferencedMedia(result.staleKeys, result.stalePrefixes).catch(error => {
+        console.error('[CourseVersion] Media cleanup error:', error.message);
+    });
+    refreshLearnerProgress(result.course._id).catch(error => {
+        console.error('[CourseVersion] Progress refresh error:', error.message);
+    });
+
+    return { success: true, course: result.course, version: result.version };
+};
+
+/**
+ * Record the first published version of a course
+ */
+const recordInitialVersion = async (course) => {
+    await CourseVersion.updateOne(
+        { courseId: course._id, version: course.version || 1 },
+        { $setOnInsert: { publishedAt: course.publishedAt || new Date() } },
+        { upsert: true }
+    );
+};
+
+module.exports = {
+    cloneCourse,
+    createDraftVersion,
+    publishDraftVersion,
+    recordInitialVersion
+};
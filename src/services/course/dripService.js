@@ -0,0 +1,183 @@
+const Course = require('../../models/course/Course');
+const Playlist = require('../../models/course/Playlist');
+const Video = require('../../models/course/Video');
+const CourseEnrollment = require('../../models/course/CourseEnrollment');
+const UserVideoProgress = require('../../models/progress/UserVideoProgress');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const UNLOCKED = Object.freeze({ locked: false, lockReason: null, unlocksAt: null });
+
+// Fields a locked video still exposes in listings (no media, HLS, sprite or subtitles)
+const LOCKED_VIDEO_FIELDS = [
+    '_id', 'playlistId', 'courseId', 'title', 'description', 'status',
+    'thumbnail', 'duration', 'order', 'createdAt', 'updatedAt'
+];
+
+/**
+ * Normalized drip policy of a course
+ *
+ * @param {Object} course - Course (needs dripPolicy)
+ * @returns {Object} { sequential, scheduled, enabled }
+ */
+const getDripPolicy = (course) => {
+    const sequential = course?.dripPolicy?.sequential === true;
+    const scheduled = course?.dripPolicy?.scheduled === true;
+    return { sequential, scheduled, enabled: sequential || scheduled };
+};
+
+/**
+ * Videos of a course in learning order
+ * Videos outside any playlist come first, then playlists by order, each by video order
+ *
+ * @returns {Promise<Array>} [{ video, playlist }]
+ */
+const getOrderedCourseVideos = async (courseId) => {
+    const [playlists, videos] = await Promise.all([
+        Playlist.find({ courseId }).sort({ order: 1, createdAt: 1 }).select('_id unlockAfterDays').lean(),
+        Video.find({ courseId }).sort({ order: 1, createdAt: 1 }).select('_id playlistId').lean()
+    ]);
+
+    const byPlaylist = new Map(playlists.map(p => [p._id.toString(), []]));
+    const loose = [];
+    videos.forEach(video => {
+        const bucket = video.playlistId && byPlaylist.get(video.playlistId.toString());
+        if (bucket) {
+            bucket.push(video);
+        } else {
+            loose.push(video);
+        }
+    });
+
+    return [
+        ...loose.map(video => ({ video, playlist: null })),
+        ...playlists.flatMap(playlist =>
+            byPlaylist.get(playlist._id.toString()).map(video => ({ video, playlist }))
+        )
+    ];
+};
+
+/**
+ * Lock state of every video of a course for a learner
+ *
+ * - sequential: a video is locked (PREVIOUS_INCOMPLETE) until every earlier
+ *   video of the course is completed
+ * - scheduled: videos of a playlist are locked (SCHEDULED) until
+ *   unlockAfterDays after the enrollment was approved; without an approved
+ *   enrollment they stay locked with unlocksAt = null
+ *
+ * Videos the learner already completed are never locked.
+ *
+ * @param {String} userId
+ * @param {Object|String} course - Course (needs _id and dripPolicy) or course ID
+ * @returns {Promise<Map>} videoId -> { locked, lockReason, unlocksAt }; empty when drip is off
+ */
+const getCourseVideoLocks = async (userId, course) => {
+    const courseDoc = course && course.dripPolicy
+        ? course
+        : await Course.findById(course).select('_id dripPolicy').lean();
+    const policy = getDripPolicy(courseDoc);
+    const locks = new Map();
+    if (!policy.enabled) {
+        return locks;
+    }
+
+    const ordered = await getOrderedCourseVideos(courseDoc._id);
+    if (ordered.length === 0) {
+        return locks;
+    }
+
+    const [enrollment, completedProgress] = await Promise.all([
+        policy.scheduled
+            ? CourseEnrollment.findOne({ userId, courseId: courseDoc._id }).select('status approvedAt').lean()
+            : null,
+        UserVideoProgress.find({
+            userId,
+            videoId: { $in: ordered.map(({ video }) => video._id) },
+            completed: true
+        }).select('videoId').lean()
+    ]);
+    const completedIds = new Set(completedProgress.map(p => p.videoId.toString()));
+
+    const hasAccess = enrollment && ['APPROVED', 'IN_PROGRESS', 'COMPLETED'].includes(enrollment.status);
+    const startedAt = hasAccess && enrollment.approvedAt ? new Date(enrollment.approvedAt) : null;
+    const now = Date.now();
+
+    let previousCompleted = true;
+    ordered.forEach(({ video, playlist }) => {
+        const videoId = video._id.toString();
+        const completed = completedIds.has(videoId);
+        let state = UNLOCKED;
+
+        if (!completed) {
+            const unlockAfterDays = playlist?.unlockAfterDays || 0;
+            if (policy.scheduled && unlockAfterDays > 0) {
+                const unlocksAt = startedAt ? new Date(startedAt.getTime() + unlockAfterDays * DAY_MS) : null;
+                if (!unlocksAt || unlocksAt.getTime() > now) {
+                    state = { locked: true, lockReason: 'SCHEDULED', unlocksAt };
+                }
+            }
+            if (!state.locked && policy.sequential && !previousCompleted) {
+                state = { locked: true, lockReason: 'PREVIOUS_INCOMPLETE', unlocksAt: null };
+            }
+        }
+
+        locks.set(videoId, state);
+        previousCompleted = previousCompleted && completed;
+    });
+
+    return locks;
+};
+
+/**
+ * Lock state of a single video for a learner
+ *
+ * @param {String} userId
+ * @param {Object} video - Video (needs _id and courseId)
+ * @returns {Promise<Object>} { locked, lockReason, unlocksAt }
+ */
+const getVideoLock = async (userId, video) => {
+    const courseId = video.courseId?._id || video.courseId;
+    const locks = await getCourseVideoLocks(userId, courseId);
+    return locks.get(video._id.toString()) || UNLOCKED;
+};
+
+/**
+ * A video as listed to a learner: the LOCKED_VIDEO_FIELDS only while locked,
+ * plus the lock state either way
+ *
+ * @param {Object} video - Lean video
+ * @param {Object} lock - { locked, lockReason, unlocksAt }
+ */
+const withLockState = (video, lock = UNLOCKED) => {
+    const visible = lock.locked
+        ? Object.fromEntries(LOCKED_VIDEO_FIELDS.filter(field => field in video).map(field => [field, video[field]]))
+        : video;
+    return {
+        ...visible,
+        locked: lock.locked,
+        lockReason: lock.lockReason,
+        unlocksAt: lock.unlocksAt
+    };
+};
+
+/**
+ * User-facing message for a locked video
+ */
+const getLockMessage = (lock) => {
+    if (lock.lockReason === 'SCHEDULED') {
+        return lock.unlocksAt
+            ? `This video unlocks on ${lock.unlocksAt.toISOString()}`
+            : 'This video unlocks after your enrollment is approved';
+    }
+    return 'Complete the previous videos to unlock this video';
+};
+
+module.exports = {
+    UNLOCKED,
+    getDripPolicy,
+    getCourseVideoLocks,
+    getVideoLock,
+    getLockMessage,
+    withLockState
+};
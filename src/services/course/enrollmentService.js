@@ -0,0 +1,111 @@
+const CourseEnrollment = require('../../models/course/CourseEnrollment');
+const { emitNotification } = require('../notification/notificationEmitter');
+const { getMissingPrerequisites } = require('./learningPathService');
+
+/**
+ * Approve one enrollment of a course
+ *
+ * Shared by single and bulk approval. Checks the completion limit (marking the
+ * course FULL when reached) and prerequisites, then approves and notifies the student.
+ *
+ * @param {Object} course - Course document (owned by the caller)
+ * @param {Object} enrollment - CourseEnrollment document of that course
+ * @returns {Promise<Object>} { success: true, enrollment } or { success: false, message, data? }
+ */
+const approveEnrollmentRecord = async (course, enrollment) => {
+    // Safety rule: Check completion limit
+    if (course.maxCompletions !== null && course.maxCompletions !== undefined) {
+        if (course.completedCount >= course.maxCompletions) {
+            // Update course status to FULL
+            if (course.status !== 'FULL') {
+                course.status = 'FULL';
+                await course.save();
+            }
+
+            return {
+                success: false,
+                message: 'Course enrollment limit reached',
+                data: {
+                    maxCompletions: course.maxCompletions,
+                    completedCount: course.completedCount,
+                    courseStatus: 'FULL'
+                }
+            };
+        }
+    }
+
+    // Prerequisites may have been added after the request was made
+    const missingPrerequisites = await getMissingPrerequisites(enrollment.userId, course);
+    if (missingPrerequisites.length > 0) {
+        return {
+            success: false,
+            message: 'Student has not completed the prerequisite courses',
+            data: { missingPrerequisites }
+        };
+    }
+
+    // Update enrollment status
+    enrollment.status = 'APPROVED';
+    enrollment.approvedAt = new Date();
+
+    // Set expiration date if course has completion deadline
+    if (course.completionDeadline) {
+        enrollment.expiresAt = course.completionDeadline;
+    }
+
+    // Pre-save hook will check expiry automatically
+    await enrollment.save();
+
+    // Emit notification to student about enrollment approval
+    try {
+        await emitNotification({
+            recipientType: 'USER',
+            recipientId: enrollment.userId,
+            category: 'COURSE',
+            type: 'COURSE_ENROLLMENT_APPROVED',
+            title: 'Enrollment Approved',
+            message: `Your enrollment request for "${course.name}" has been approved`,
+            channels: ['IN_APP', 'PUSH'],
+            entity: {
+                type: 'COURSE',
+                id: course._id
+            },
+            payload: {
+                courseId: course._id.toString(),
+                courseName: course.name,
+                enrollmentId: enrollment._id.toString()
+            }
+        });
+    } catch (notifError) {
+        // Don't break the API if notification fails
+        console.error('Failed to emit enrollment approved notification:', notifError);
+    }
+
+    return { success: true, enrollment };
+};
+
+/**
+ * REQUESTED enrollments of a course targeted by a bulk action
+ *
+ * @param {Object} course - Course document
+ * @param {Object} selection - { enrollmentIds } or { all: true }
+ * @param {Number} limit - Maximum number of enrollments returned (oldest requests first)
+ * @returns {Promise<Object>} { enrollments, missingIds }
+ */
+const findRequestedEnrollments = async (course, { enrollmentIds, all }, limit) => {
+    const filter = { courseId: course._id, status: 'REQUESTED' };
+    if (!all) {
+        filter._id = { $in: enrollmentIds };
+    }
+
+    const enrollments = await CourseEnrollment.find(filter).sort({ createdAt: 1 }).limit(limit);
+    const foundIds = new Set(enrollments.map(e => e._id.toString()));
+    const missingIds = all ? [] : enrollmentIds.filter(id => !foundIds.has(String(id)));
+
+    return { enrollments, missingIds };
+};
+
+module.exports = {
+    approveEnrollmentRecord,
+    findRequestedEnrollments
+};
@@ -1,6 +1,18 @@
 const CourseInvite = require('../../models/course/CourseInvite');
+const CourseEnrollment = require('../../models/course/CourseEnrollment');
+const User = require('../../models/authorization/User');
+const University = require('../../models/auth/University');
 const crypto = require('crypto');
 const { getRedis } = require('../../config/redisConnection');
+const emailService = require('../../../services/emailService');
+const { emitNotification } = require('../notification/notificationEmitter');
+const { parseCsv } = require('../../utils/csv');
+const { validateEmail } = require('../../middleware/validation');
+
+const MAX_BULK_INVITES = 500;
+const BULK_EMAIL_CONCURRENCY = 5;
+const DEFAULT_INVITE_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
  * Generate invite token (crypto.randomBytes + hash)
@@ -24,6 +36,7 @@ const validateInviteToken = async (token) => {
     const invite = await CourseInvite.findOne({
         token: hashedToken,
         used: false,
+        revoked: { $ne: true },
         expiresAt: { $gt: new Date() }
     });
 
@@ -71,11 +84,243 @@ const markInviteAsUsed = async (inviteId, userId) => {
     return invite;
 };
 
+/**
+ * Shareable link and short manual-entry code for a plain invite token
+ */
+const buildInviteLink = (plainToken) => ({
+    shareableLink: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/invite/${plainToken}`,
+    inviteCode: plainToken.substring(0, 8).toUpperCase()
+});
+
+/**
+ * Deliver an email-specific invite: email with the link, plus an in-app
+ * notification when the address belongs to an existing user
+ *
+ * @param {Object} course - Course (needs _id, name, universityId)
+ * @param {Object} invite - CourseInvite
+ * @param {String} plainToken
+ * @param {Object} [options] - { universityName }
+ * @returns {Promise<boolean>} Whether the email was sent
+ */
+const deliverInvite = async (course, invite, plainToken, { universityName } = {}) => {
+    const { shareableLink } = buildInviteLink(plainToken);
+
+    const emailSent = emailService.transporter
+        ? await emailService.sendCourseInviteEmail(invite.email, {
+            courseName: course.name,
+            universityName,
+            link: shareableLink,
+            expiresAt: invite.expiresAt
+        })
+        : false;
+
+    try {
+        const user = await User.findOne({ 'profile.email': invite.email }).select('_id').lean();
+        if (user) {
+            await emitNotification({
+                recipientType: 'USER',
+                recipientId: user._id,
+                category: 'COURSE',
+                type: 'COURSE_INVITE_SENT',
+                title: 'Course Invitation',
+                message: `You have been invited to join "${course.name}"`,
+                channels: ['IN_APP', 'PUSH'],
+                entity: {
+                    type: 'COURSE',
+                    id: course._id
+                },
+                payload: {
+                    courseId: course._id.toString(),
+                    courseName: course.name,
+                    inviteId: invite._id.toString()
+                }
+            });
+        }
+    } catch (notifError) {
+        // Don't fail the invite if notification fails
+        console.error('Failed to emit course invite notification:', notifError);
+    }
+
+    return emailSent;
+};
+
+/**
+ * Deliver persisted invites a few at a time (bulk import, after the response)
+ * A failed delivery is logged; the invite stays valid and can be resent.
+ */
+const deliverInvitesInBatches = async (course, deliveries, options) => {
+    for (let i = 0; i < deliveries.length; i += BULK_EMAIL_CONCURRENCY) {
+        await Promise.all(deliveries.slice(i, i + BULK_EMAIL_CONCURRENCY).map(async ({ invite, plainToken }) => {
+            try {
+                await deliverInvite(course, invite, plainToken, options);
+            } catch (error) {
+                console.error('Failed to deliver course invite:', { inviteId: invite._id.toString(), error: error.message });
+            }
+        }));
+    }
+};
+
+/**
+ * Invite a list of emails from a CSV file (header row with an "email" column)
+ *
+ * Each row is handled independently and reported back:
+ *   INVITED, INVALID_EMAIL, DUPLICATE (repeated in the file),
+ *   ALREADY_INVITED (active invite exists - use resend), ALREADY_ENROLLED, FAILED
+ *
+ * Returns once the invites are stored; emails are sent in the background
+ * (BULK_EMAIL_CONCURRENCY at a time), so INVITED rows report emailQueued.
+ *
+ * @param {Object} course - Course (needs _id, name, universityId)
+ * @param {String} csvText
+ * @param {Object} [options] - { expiresInDays }
+ * @returns {Promise<Object>} { success, message?, summary?, results? }
+ */
+const bulkInviteFromCsv = async (course, csvText, { expiresInDays = DEFAULT_INVITE_DAYS } = {}) => {
+    const { headers, records } = parseCsv(csvText);
+
+    if (!headers.includes('email')) {
+        return { success: false, message: 'CSV must have a header row with an "email" column' };
+    }
+    if (records.length === 0) {
+        return { success: false, message: 'CSV has no email rows' };
+    }
+    if (records.length > MAX_BULK_INVITES) {
+        return { success: false, message: `CSV can have at most ${MAX_BULK_INVITES} rows` };
+    }
+
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + expiresInDays * DAY_MS);
+
+    // Row numbers as seen in a spreadsheet (header is row 1)
+    const rows = records.map((record, index) => ({
+        row: index + 2,
+        email: (record.email || '').toLowerCase()
+    }));
+    const emails = [...new Set(rows.filter(r => validateEmail(r.email)).map(r => r.email))];
+
+    const [activeInvites, users, university] = await Promise.all([
+        CourseInvite.find({
+            courseId: course._id,
+            email: { $in: emails },
+            used: false,
+            revoked: { $ne: true },
+            expiresAt: { $gt: now }
+        }).select('email').lean(),
+        User.find({ 'profile.email': { $in: emails } }).select('_id profile.email').lean(),
+        University.findById(course.universityId).select('profile.name').lean()
+    ]);
+    const enrollments = await CourseEnrollment.find({
+        courseId: course._id,
+        userId: { $in: users.map(u => u._id) },
+        status: { $in: ['REQUESTED', 'APPROVED', 'IN_PROGRESS', 'COMPLETED'] }
+    }).select('userId').lean();
+
+    const invitedEmails = new Set(activeInvites.map(i => i.email));
+    const enrolledUserIds = new Set(enrollments.map(e => e.userId.toString()));
+    const enrolledEmails = new Set(users
+        .filter(u => enrolledUserIds.has(u._id.toString()))
+        .map(u => u.profile.email));
+    const universityName = university?.profile?.name;
+
+    const seen = new Set();
+    const results = [];
+    const deliveries = [];
+    for (const { row, email } of rows) {
+        if (!validateEmail(email)) {
+            results.push({ row, email, status: 'INVALID_EMAIL' });
+            continue;
+        }
+        if (seen.has(email)) {
+            results.push({ row, email, status: 'DUPLICATE' });
+            continue;
+        }
+        seen.add(email);
+
+        if (enrolledEmails.has(email)) {
+            results.push({ row, email, status: 'ALREADY_ENROLLED' });
+            continue;
+        }
+        if (invitedEmails.has(email)) {
+            results.push({ row, email, status: 'ALREADY_INVITED' });
+            continue;
+        }
+
+        try {
+            const { plainToken, hashedToken } = generateInviteToken();
+            const invite = await CourseInvite.create({
+                courseId: course._id,
+                email,
+                token: hashedToken,
+                expiresAt,
+                lastSentAt: now
+            });
+            deliveries.push({ invite, plainToken });
+
+            results.push({
+                row,
+                email,
+                status: 'INVITED',
+                inviteId: invite._id,
+                shareableLink: buildInviteLink(plainToken).shareableLink,
+                emailQueued: Boolean(emailService.transporter)
+            });
+        } catch (error) {
+            results.push({ row, email, status: 'FAILED', message: error.message });
+        }
+    }
+
+    deliverInvitesInBatches(course, deliveries, { universityName }).catch(error => {
+        console.error('Bulk invite delivery error:', error);
+    });
+
+    const summary = results.reduce((counts, result) => {
+        counts[result.status] = (counts[result.status] || 0) + 1;
+        return counts;
+    }, { total: results.length });
+
+    return { success: true, summary, results };
+};
+
+/**
+ * Resend an invite with a fresh token and expiry
+ * The previous link stops working because only the new token hash is stored.
+ *
+ * @param {Object} course - Course (needs _id, name, universityId)
+ * @param {Object} invite - CourseInvite document (unused, not revoked)
+ * @param {Object} [options] - { expiresInDays }
+ * @returns {Promise<Object>} { invite, plainToken, emailSent }
+ */
+const resendInvite = async (course, invite, { expiresInDays = DEFAULT_INVITE_DAYS } = {}) => {
+    const { plainToken, hashedToken } = generateInviteToken();
+    const now = new Date();
+
+    invite.token = hashedToken;
+    invite.expiresAt = new Date(now.getTime() + expiresInDays * DAY_MS);
+    invite.sendCount = (invite.sendCount || 1) + 1;
+    invite.lastSentAt = now;
+    await invite.save();
+
+    let emailSent = false;
+    if (invite.email) {
+        const university = await University.findById(course.universityId).select('profile.name').lean();
+        emailSent = await deliverInvite(course, invite, plainToken, {
+            universityName: university?.profile?.name
+        });
+    }
+
+    return { invite, plainToken, emailSent };
+};
+
 module.exports = {
+    MAX_BULK_INVITES,
     generateInviteToken,
     validateInviteToken,
     cacheInviteValidation,
     getCachedInviteValidation,
-    markInviteAsUsed
+    markInviteAsUsed,
+    buildInviteLink,
+    deliverInvite,
+    bulkInviteFromCsv,
+    resendInvite
 };
 
@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+const Course = require('../../models/course/Course');
+const CourseEnrollment = require('../../models/course/CourseEnrollment');
+const UserCourseProgress = require('../../models/progress/UserCourseProgress');
+
+/**
+ * Prerequisites of a course the user has not COMPLETED yet
+ *
+ * @param {String} userId
+ * @param {Object} course - Course (needs prerequisites)
+ * @returns {Promise<Array>} [{ _id, name }] of missing prerequisite courses
+ */
+const getMissingPrerequisites = async (userId, course) => {
+    const prerequisiteIds = course.prerequisites || [];
+    if (prerequisiteIds.length === 0) {
+        return [];
+    }
+
+    const completed = await CourseEnrollment.find({
+        userId,
+        courseId: { $in: prerequisiteIds },
+        status: 'COMPLETED'
+    }).select('courseId').lean();
+    const completedIds = new Set(completed.map(e => e.courseId.toString()));
+
+    const missingIds = prerequisiteIds.filter(id => !completedIds.has(id.toString()));
+    if (missingIds.length === 0) {
+        return [];
+    }
+
+    return Course.find({ _id: { $in: missingIds } }).select('_id name').lean();
+};
+
+/**
+ * Validate a new prerequisite list for a course
+ *
+ * Prerequisites must be other courses of the same university and must not
+ * create a cycle (A requires B requires A).
+ *
+ * @returns {Promise<Object>} { success: true, prerequisiteIds } or { success: false, message }
+ */
+const validatePrerequisites = async (course, prerequisiteIds) => {
+    if (!Array.isArray(prerequisiteIds)) {
+        return { success: false, message: 'prerequisites must be an array of course IDs' };
+    }
+
+    if (prerequisiteIds.some(id => typeof id !== 'string' || !mongoose.Types.ObjectId.isValid(id))) {
+        return { success: false, message: 'Invalid course ID in prerequisites' };
+    }
+
+    const uniqueIds = [...new Set(prerequisiteIds.map(id => id.toLowerCase()))];
+    if (uniqueIds.includes(course._id.toString())) {
+        return { success: false, message: 'A course cannot be its own prerequisite' };
+    }
+
+    const prerequisites = await Course.find({ _id: { $in: uniqueIds } })
+        .select('_id universityId')
+        .lean();
+    if (prerequisites.length !== uniqueIds.length) {
+        return { success: false, message: 'One or more prerequisite courses were not found' };
+    }
+    if (prerequisites.some(p => p.universityId.toString() !== course.universityId.toString())) {
+        return { success: false, message: 'Prerequisites must be courses of the same university' };
+    }
+
+    // Walk the prerequisite graph from the new prerequisites; reaching this
+    // course again means the change would create a cycle
+    const target = course._id.toString();
+    const visited = new Set();
+    let frontier = uniqueIds;
+    while (frontier.length > 0) {
+        const courses = await Course.find({ _id: { $in: frontier } }).select('prerequisites').lean();
+        const next = [];
+        for (const c of courses) {
+            visited.add(c._id.toString());
+            for (const prerequisiteId of c.prerequisites || []) {
+                const id = prerequisiteId.toString();
+                if (id === target) {
+                    return { success: false, message: 'These prerequisites would create a circular dependency' };
+                }
+                if (!visited.has(id)) {
+                    next.push(id);
+                }
+            }
+        }
+        frontier = [...new Set(next)];
+    }
+
+    return { success: true, prerequisiteIds: uniqueIds };
+};
+
+/**
+ * Validate the course list of a learning path
+ *
+ * @returns {Promise<Object>} { success: true, courseIds } or { success: false, message }
+ */
+const validatePathCourses = async (universityId, courseIds) => {
+    if (!Array.isArray(courseIds) || courseIds.length === 0) {
+        return { success: false, message: 'courseIds must be a non-empty array' };
+    }
+
+    const ids = courseIds.map(id => String(id));
+    if (new Set(ids).size !== ids.length) {
+        return { success: false, message: 'A course can only appear once in a learning path' };
+    }
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        return { success: false, message: 'Invalid course ID in courseIds' };
+    }
+
+    const count = await Course.countDocuments({ _id: { $in: ids }, universityId });
+    if (count !== ids.length) {
+        return { success: false, message: 'All courses must exist and belong to your university' };
+    }
+
+    return { success: true, courseIds: ids };
+};
+
+/**
+ * Learner progress across the courses of a path
+ *
+ * @param {String} userId
+ * @param {Object} path - LearningPath
+ * @returns {Promise<Object>} { completionPercent, completedCourses, totalCourses, nextCourseId, courses }
+ */
+const getPathProgress = async (userId, path) => {
+    const courseIds = path.courseIds || [];
+
+    const [courses, enrollments, progressList] = await Promise.all([
+        Course.find({ _id: { $in: courseIds } }).select('_id name thumbnail status prerequisites').lean(),
+        CourseEnrollment.find({ userId, courseId: { $in: courseIds } }).select('courseId status').lean(),
+        UserCourseProgress.find({ userId, courseId: { $in: courseIds } }).select('courseId completionPercent').lean()
+    ]);
+
+    const courseMap = new Map(courses.map(c => [c._id.toString(), c]));
+    const enrollmentMap = new Map(enrollments.map(e => [e.courseId.toString(), e.status]));
+    const progressMap = new Map(progressList.map(p => [p.courseId.toString(), p.completionPercent]));
+
+    // Prerequisites completed outside the path count as well
+    const prerequisiteIds = [...new Set(courses.flatMap(c => (c.prerequisites || []).map(id => id.toString())))];
+    const completedPrerequisites = prerequisiteIds.length > 0
+        ? await CourseEnrollment.find({ userId, courseId: { $in: prerequisiteIds }, status: 'COMPLETED' }).select('courseId').lean()
+        : [];
+    const completedIds = new Set(completedPrerequisites.map(e => e.courseId.toString()));
+    enrollments.filter(e => e.status === 'COMPLETED').forEach(e => completedIds.add(e.courseId.toString()));
+
+    let nextCourseId = null;
+    const items = courseIds
+        .map(id => id.toString())
+        .filter(id => courseMap.has(id))
+        .map((id, index) => {
+            const course = courseMap.get(id);
+            const enrollmentStatus = enrollmentMap.get(id) || null;
+            const completed = enrollmentStatus === 'COMPLETED';
+            const prerequisitesMet = (course.prerequisites || []).every(p => completedIds.has(p.toString()));
+
+            if (!completed && !nextCourseId && prerequisitesMet) {
+                nextCourseId = course._id;
+            }
+
+            return {
+                order: index + 1,
+                courseId: course._id,
+                name: course.name,
+                thumbnail: course.thumbnail,
+                courseStatus: course.status,
+                enrollmentStatus,
+                completionPercent: completed ? 100 : (progressMap.get(id) || 0),
+                prerequisitesMet
+            };
+        });
+
+    const totalCourses = items.length;
+    const completedCourses = items.filter(i => i.enrollmentStatus === 'COMPLETED').length;
+    const completionPercent = totalCourses > 0
+        ? Math.round(items.reduce((sum, i) => sum + i.completionPercent, 0) / totalCourses)
+        : 0;
+
+    return {
+        completionPercent,
+        completedCourses,
+        totalCourses,
+        nextCourseId,
+        courses: items
+    };
+};
+
+module.exports = {
+    getMissingPrerequisites,
+    validatePrerequisites,
+    validatePathCourses,
+    getPathProgress
+};
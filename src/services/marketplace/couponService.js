@@ -0,0 +1,257 @@
+const Coupon = require('../../models/marketplace/Coupon');
+const CouponUsage = require('../../models/marketplace/CouponUsage');
+const Order = require('../../models/marketplace/Order');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const normalizeCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+/**
+ * Does a cart/order line fall within the coupon's scope?
+ *
+ * @param {Object} coupon
+ * @param {{productId, sellerId}} line
+ */
+const isLineEligible = (coupon, line) => {
+    const sellerId = line.sellerId.toString();
+    const productId = line.productId.toString();
+
+    if (coupon.scope === 'SELLER' && coupon.sellerId.toString() !== sellerId) {
+        return false;
+    }
+    if (coupon.sellerIds && coupon.sellerIds.length > 0 &&
+        !coupon.sellerIds.some(id => id.toString() === sellerId)) {
+        return false;
+    }
+    if (coupon.productIds && coupon.productIds.length > 0 &&
+        !coupon.productIds.some(id => id.toString() === productId)) {
+        return false;
+    }
+    return true;
+};
+
+/**
+ * Check the coupon itself (dates, status, limits) for a user, ignoring the cart
+ *
+ * @returns {Promise<String|null>} Reason it can't be used, or null
+ */
+const checkAvailability = async (coupon, userId, now = new Date()) => {
+    if (!coupon || !coupon.isActive) {
+        return 'Coupon is not valid';
+    }
+    if (coupon.startsAt && coupon.startsAt > now) {
+        return 'Coupon is not active yet';
+    }
+    if (coupon.expiresAt <= now) {
+        return 'Coupon has expired';
+    }
+    if (coupon.usageLimit !== null && coupon.usageLimit !== undefined && coupon.usedCount >= coupon.usageLimit) {
+        return 'Coupon usage limit has been reached';
+    }
+
+    const usage = await CouponUsage.findOne({ couponId: coupon._id, userId }).select('count').lean();
+    if (usage && usage.count >= coupon.perUserLimit) {
+        return 'You have already used this coupon';
+    }
+
+    return null;
+};
+
+/**
+ * Work out the discount a coupon gives on a set of lines
+ *
+ * The discount is computed on the eligible lines' total and spread across them
+ * in proportion to their value (rounding remainder on the last eligible line),
+ * so partial refunds can later use each line's own discount.
+ *
+ * @param {Object} coupon
+ * @param {Array<{productId, sellerId, lineTotal}>} lines
+ * @returns {{error?: String, discountTotal: Number, lineDiscounts: Number[]}}
+ */
+const calculateDiscount = (coupon, lines) => {
+    const lineDiscounts = lines.map(() => 0);
+    const eligible = lines
+        .map((line, index) => ({ line, index }))
+        .filter(({ line }) => isLineEligible(coupon, line));
+
+    if (eligible.length === 0) {
+        return { error: 'Coupon does not apply to any item in your cart', discountTotal: 0, lineDiscounts };
+    }
+
+    const eligibleTotal = roundAmount(eligible.reduce((sum, { line }) => sum + line.lineTotal, 0));
+    if (eligibleTotal < (coupon.minCartValue || 0)) {
+        return {
+            error: `Add items worth ₹${roundAmount(coupon.minCartValue - eligibleTotal)} more to use this coupon`,
+            discountTotal: 0,
+            lineDiscounts
+        };
+    }
+
+    let discountTotal = coupon.discountType === 'PERCENTAGE'
+        ? eligibleTotal * coupon.value / 100
+        : coupon.value;
+    if (coupon.discountType === 'PERCENTAGE' && coupon.maxDiscount !== null && coupon.maxDiscount !== undefined) {
+        discountTotal = Math.min(discountTotal, coupon.maxDiscount);
+    }
+    discountTotal = roundAmount(Math.min(discountTotal, eligibleTotal));
+
+    let allocated = 0;
+    eligible.forEach(({ line, index }, position) => {
+        const share = position === eligible.length - 1
+            ? roundAmount(discountTotal - allocated)
+            : roundAmount(discountTotal * line.lineTotal / eligibleTotal);
+        lineDiscounts[index] = share;
+        allocated = roundAmount(allocated + share);
+    });
+
+    return { discountTotal, lineDiscounts };
+};
+
+/**
+ * Validate a coupon for a user's lines and compute the discount
+ *
+ * @returns {Promise<{success: boolean, message?: String, coupon?: Object, discountTotal?: Number, lineDiscounts?: Number[]}>}
+ */
+const evaluateCoupon = async (coupon, userId, lines) => {
+    const unavailable = await checkAvailability(coupon, userId);
+    if (unavailable) {
+        return { success: false, message: unavailable };
+    }
+
+    const { error, discountTotal, lineDiscounts } = calculateDiscount(coupon, lines);
+    if (error) {
+        return { success: false, message: error };
+    }
+
+    return { success: true, coupon, discountTotal, lineDiscounts };
+};
+
+/**
+ * Price a cart: line totals, line discounts and totals for the applied coupon
+ *
+ * An applied coupon that no longer fits the cart is reported in `couponError`
+ * rather than removed, so the buyer can see why it stopped applying.
+ *
+ * @param {Object} cart - Cart with items (productId may be populated)
+ * @param {ObjectId} userId
+ */
+const priceCart = async (cart, userId) => {
+    const lines = cart.items.map(item => ({
+        productId: item.productId && item.productId._id ? item.productId._id : item.productId,
+        variantId: item.variantId || null,
+        sellerId: item.sellerId,
+        quantity: item.quantity,
+        unitPrice: item.priceSnapshot,
+        lineTotal: roundAmount(item.priceSnapshot * item.quantity),
+        discount: 0
+    }));
+    const subtotal = roundAmount(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+
+    let coupon = null;
+    let couponError = null;
+    let discountTotal = 0;
+
+    if (cart.coupon && cart.coupon.couponId) {
+        const found = await Coupon.findById(cart.coupon.couponId).lean();
+        const result = await evaluateCoupon(found, userId, lines);
+        if (result.success) {
+            discountTotal = result.discountTotal;
+            result.lineDiscounts.forEach((discount, index) => {
+                lines[index].discount = discount;
+            });
+        } else {
+            couponError = result.message;
+        }
+        coupon = {
+            code: cart.coupon.code,
+            description: found ? found.description : null,
+            applied: result.success
+        };
+    }
+
+    return {
+        lines,
+        subtotal,
+        discountTotal,
+        total: roundAmount(subtotal - discountTotal),
+        coupon,
+        couponError
+    };
+};
+
+/**
+ * Count one use of a coupon by a user (checkout)
+ *
+ * Both counters are conditional: the global one on usageLimit, the per-user
+ * one on perUserLimit via an upsert that hits the unique index once the user
+ * is at the limit. If the per-user claim fails, the global claim is undone.
+ *
+ * @returns {Promise<{success: boolean, message?: String}>}
+ */
+const claimCoupon = async (coupon, userId) => {
+    const globalFilter = { _id: coupon._id, isActive: true };
+    if (coupon.usageLimit !== null && coupon.usageLimit !== undefined) {
+        globalFilter.usedCount = { $lt: coupon.usageLimit };
+    }
+
+    const claimed = await Coupon.updateOne(globalFilter, { $inc: { usedCount: 1 } });
+    if (claimed.modifiedCount !== 1) {
+        return { success: false, message: 'Coupon usage limit has been reached' };
+    }
+
+    try {
+        await CouponUsage.findOneAndUpdate(
+            { couponId: coupon._id, userId, count: { $lt: coupon.perUserLimit } },
+            { $inc: { count: 1 } },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+    } catch (error) {
+        await Coupon.updateOne({ _id: coupon._id, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+        if (error.code === 11000) {
+            return { success: false, message: 'You have already used this coupon' };
+        }
+        throw error;
+    }
+
+    return { success: true };
+};
+
+/**
+ * Give back one use of a coupon (checkout rollback / fully cancelled order)
+ */
+const releaseCoupon = async (couponId, userId) => {
+    try {
+        await CouponUsage.updateOne({ couponId, userId, count: { $gt: 0 } }, { $inc: { count: -1 } });
+        await Coupon.updateOne({ _id: couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+    } catch (error) {
+        console.error('Release coupon error:', { couponId: couponId.toString(), error: error.message });
+    }
+};
+
+/**
+ * Release the coupon of a fully cancelled order, exactly once
+ */
+const releaseForCancelledOrder = async (order) => {
+    if (!order.coupon || !order.coupon.couponId || order.status !== 'CANCELLED') {
+        return;
+    }
+
+    const marked = await Order.updateOne(
+        { _id: order._id, 'coupon.releasedAt': null },
+        { $set: { 'coupon.releasedAt': new Date() } }
+    );
+    if (marked.modifiedCount === 1) {
+        await releaseCoupon(order.coupon.couponId, order.userId);
+    }
+};
+
+module.exports = {
+    normalizeCode,
+    isLineEligible,
+    calculateDiscount,
+    evaluateCoupon,
+    priceCart,
+    claimCoupon,
+    releaseCoupon,
+    releaseForCancelledOrder
+};
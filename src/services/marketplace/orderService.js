@@ -0,0 +1,484 @@
+const crypto = require('crypto');
+const Order = require('../../models/marketplace/Order');
+const Inventory = require('../../models/marketplace/Inventory');
+const { emitNotification } = require('../notification/notificationEmitter');
+const paymentService = require('../payment/paymentService');
+const tokenService = require('../wallet/tokenService');
+const couponService = require('./couponService');
+
+/**
+ * Allowed line item transitions (seller fulfilment state machine)
+ *
+ * PLACED → CONFIRMED → SHIPPED → DELIVERED → RETURNED
+ *    ↘         ↘
+ *    CANCELLED  CANCELLED
+ */
+const ITEM_TRANSITIONS = {
+    PLACED: ['CONFIRMED', 'CANCELLED'],
+    CONFIRMED: ['SHIPPED', 'CANCELLED'],
+    SHIPPED: ['DELIVERED'],
+    DELIVERED: ['RETURNED'],
+    CANCELLED: [],
+    RETURNED: []
+};
+
+// Timestamp field set on a line item when it enters each status
+const STATUS_TIMESTAMP_FIELDS = {
+    CONFIRMED: 'confirmedAt',
+    SHIPPED: 'shippedAt',
+    DELIVERED: 'deliveredAt',
+    CANCELLED: 'cancelledAt',
+    RETURNED: 'returnedAt'
+};
+
+// Progress order used to derive the overall order status
+const STATUS_RANK = ['PLACED', 'CONFIRMED', 'SHIPPED', 'DELIVERED'];
+
+const canTransition = (from, to) => (ITEM_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Generate a human-readable order number (e.g. ORD-LZ3K9Q-8F2A1C)
+ */
+const generateOrderNumber = () => {
+    const timePart = Date.now().toString(36).toUpperCase();
+    const randomPart = crypto.randomBytes(3).toString('hex').toUpperCase();
+    return `ORD-${timePart}-${randomPart}`;
+};
+
+/**
+ * Move quantity from Inventory.available to Inventory.reserved for every item
+ * (per variant for products with variants).
+ *
+ * Each decrement is a conditional atomic update, so stock can never go negative
+ * under concurrent checkouts. If any item cannot be reserved, the reservations
+ * already made for this call are rolled back.
+ *
+ * @param {Array<{productId, sellerId, variantId, quantity}>} items
+ * @returns {Promise<{success: boolean, productId?: ObjectId, variantId?: ObjectId, available?: number}>}
+ */
+const reserveStock = async (items) => {
+    const reserved = [];
+
+    for (const item of items) {
+        const inventory = await Inventory.findOneAndUpdate(
+            {
+                productId: item.productId,
+                sellerId: item.sellerId,
+                variantId: item.variantId || null,
+                available: { $gte: item.quantity }
+            },
+            { $inc: { available: -item.quantity, reserved: item.quantity } },
+            { new: true }
+        );
+
+        if (!inventory) {
+            await releaseStock(reserved);
+
+            const current = await Inventory.findOne({
+                productId: item.productId,
+                sellerId: item.sellerId,
+                variantId: item.variantId || null
+            }).select('available').lean();
+
+            return {
+                success: false,
+                productId: item.productId,
+                variantId: item.variantId || null,
+                available: current ? current.available : 0
+            };
+        }
+
+        reserved.push(item);
+    }
+
+    return { success: true };
+};
+
+/**
+ * Return reserved quantity to Inventory.available (cancellation / rollback)
+ */
+const releaseStock = async (items) => {
+    for (const item of items) {
+        try {
+            await Inventory.updateOne(
+                {
+                    productId: item.productId,
+                    sellerId: item.sellerId,
+                    variantId: item.variantId || null,
+                    reserved: { $gte: item.quantity }
+                },
+                { $inc: { available: item.quantity, reserved: -item.quantity } }
+            );
+        } catch (error) {
+            // Keep releasing the remaining items even if one fails
+            console.error('Release stock error:', {
+                productId: item.productId?.toString(),
+                error: error.message
+            });
+        }
+    }
+};
+
+/**
+ * Stock leaves the warehouse on shipment: drop it from Inventory.reserved for good
+ */
+const consumeStock = async (items) => {
+    for (const item of items) {
+        try {
+            await Inventory.updateOne(
+                {
+                    productId: item.productId,
+                    sellerId: item.sellerId,
+                    variantId: item.variantId || null,
+                    reserved: { $gte: item.quantity }
+                },
+                { $inc: { reserved: -item.quantity } }
+            );
+        } catch (error) {
+            console.error('Consume stock error:', {
+                productId: item.productId?.toString(),
+                error: error.message
+            });
+        }
+    }
+};
+
+/**
+ * Returned goods go back into Inventory.available
+ */
+const restockItems = async (items) => {
+    for (const item of items) {
+        try {
+            await Inventory.updateOne(
+                { productId: item.productId, sellerId: item.sellerId, variantId: item.variantId || null },
+                { $inc: { available: item.quantity } }
+            );
+        } catch (error) {
+            console.error('Restock error:', {
+                productId: item.productId?.toString(),
+                error: error.message
+            });
+        }
+    }
+};
+
+/**
+ * Apply the inventory side effect of a line item status change
+ */
+const applyInventoryEffect = async (item, toStatus) => {
+    if (toStatus === 'CANCELLED') {
+        await releaseStock([item]);
+    } else if (toStatus === 'SHIPPED') {
+        await consumeStock([item]);
+    } else if (toStatus === 'RETURNED') {
+        await restockItems([item]);
+    }
+};
+
+/**
+ * Derive the overall order status from its line items
+ *
+ * - every item cancelled → CANCELLED
+ * - every remaining item returned → RETURNED
+ * - otherwise the least advanced remaining item wins (an order is only
+ *   DELIVERED once every non-cancelled item is delivered)
+ */
+const deriveOrderStatus = (items) => {
+    const active = items.filter(item => item.status !== 'CANCELLED');
+    if (active.length === 0) {
+        return 'CANCELLED';
+    }
+
+    const inProgress = active.filter(item => item.status !== 'RETURNED');
+    if (inProgress.length === 0) {
+        return 'RETURNED';
+    }
+
+    const minRank = Math.min(...inProgress.map(item => STATUS_RANK.indexOf(item.status)));
+    return STATUS_RANK[Math.max(minRank, 0)];
+};
+
+/**
+ * Atomically move one line item from its current status to the next one.
+ *
+ * The update only matches while the item is still in its current status, so two
+ * concurrent requests can never apply the same transition (and its inventory
+ * side effect) twice.
+ *
+ * @returns {Promise<boolean>} True if this call performed the transition
+ */
+const transitionItem = async (orderId, item, toStatus, details = {}) => {
+    const now = new Date();
+    const set = {
+        'items.$.status': toStatus,
+        [`items.$.${STATUS_TIMESTAMP_FIELDS[toStatus]}`]: now
+    };
+
+    if (toStatus === 'SHIPPED') {
+        set['items.$.shipment.carrier'] = details.carrier;
+        set['items.$.shipment.trackingNumber'] = details.trackingNumber;
+    }
+    if (toStatus === 'CANCELLED' && details.reason) {
+        set['items.$.cancellationReason'] = details.reason;
+    }
+
+    const result = await Order.updateOne(
+        {
+            _id: orderId,
+            items: { $elemMatch: { _id: item._id, status: item.status } }
+        },
+        { $set: set }
+    );
+
+    if (result.modifiedCount !== 1) {
+        return false;
+    }
+
+    await applyInventoryEffect(item, toStatus);
+    return true;
+};
+
+/**
+ * Re-read the order and store the status derived from its line items
+ */
+const refreshOrderStatus = async (orderId) => {
+    const order = await Order.findById(orderId);
+    if (!order) {
+        return null;
+    }
+
+    const status = deriveOrderStatus(order.items);
+    if (order.status !== status) {
+        order.status = status;
+        if (status === 'CANCELLED' && !order.cancelledAt) {
+            order.cancelledAt = new Date();
+        }
+        await order.save();
+    }
+
+    return order;
+};
+
+/**
+ * Give the buyer back what they paid for cancelled/returned items:
+ * money through the payment provider and redeemed tokens to the wallet.
+ * A fully cancelled order also gives its coupon use back.
+ *
+ * Call with the order as it is after the transitions (see refreshOrderStatus),
+ * and only with items this request actually transitioned.
+ */
+const compensateItems = async (order, items, reason = null) => {
+    await paymentService.refundOrderItems(order, items, reason);
+    await tokenService.reverseForItems(order, items);
+    await couponService.releaseForCancelledOrder(order);
+};
+
+/**
+ * Group order items by seller so each seller gets a single notification
+ */
+const groupItemsBySeller = (items) => {
+    const groups = new Map();
+
+    for (const item of items) {
+        const key = item.sellerId.toString();
+        if (!groups.has(key)) {
+            groups.set(key, {
+                sellerId: item.sellerId,
+                sellerType: item.sellerType || 'USER',
+                items: []
+            });
+        }
+        groups.get(key).items.push(item);
+    }
+
+    return Array.from(groups.values());
+};
+
+/**
+ * Notify the buyer and every seller involved that an order was placed
+ */
+const notifyOrderPlaced = async (order) => {
+    try {
+        await emitNotification({
+            recipientType: 'USER',
+            recipientId: order.userId,
+            category: 'MARKETPLACE',
+            type: 'ORDER_PLACED',
+            title: 'Order Placed',
+            message: `Your order ${order.orderNumber} has been placed successfully`,
+            channels: ['IN_APP', 'PUSH'],
+            entity: {
+                type: 'ORDER',
+                id: order._id
+            },
+            payload: {
+                orderId: order._id.toString(),
+                orderNumber: order.orderNumber,
+                totalAmount: order.totalAmount
+            }
+        });
+
+        for (const group of groupItemsBySeller(order.items)) {
+            const quantity = group.items.reduce((sum, item) => sum + item.quantity, 0);
+            await emitNotification({
+                recipientType: group.sellerType,
+                recipientId: group.sellerId,
+                category: 'MARKETPLACE',
+                type: 'PRODUCT_PURCHASED',
+                title: 'New Order Received',
+                message: `You received an order for ${quantity} item(s) (${order.orderNumber})`,
+                channels: ['IN_APP', 'PUSH'],
+                entity: {
+                    type: 'ORDER',
+                    id: order._id
+                },
+                payload: {
+                    orderId: order._id.toString(),
+                    orderNumber: order.orderNumber,
+                    productIds: group.items.map(item => item.productId.toString())
+                }
+            });
+        }
+    } catch (notifError) {
+        // Don't break checkout if notification fails
+        console.error('Failed to emit order placed notification:', notifError);
+    }
+};
+
+/**
+ * Notify the buyer and the sellers of the items this cancellation transitioned
+ *
+ * @param {Object} order - Order after the cancellation
+ * @param {Array} cancelledItems - Line items cancelled by this request
+ */
+const notifyOrderCancelled = async (order, cancelledItems) => {
+    try {
+        await emitNotification({
+            recipientType: 'USER',
+            recipientId: order.userId,
+            category: 'MARKETPLACE',
+            type: 'ORDER_CANCELLED',
+            title: 'Order Cancelled',
+            message: `Your order ${order.orderNumber} has been cancelled`,
+            channels: ['IN_APP', 'PUSH'],
+            entity: {
+                type: 'ORDER',
+                id: order._id
+            },
+            payload: {
+                orderId: order._id.toString(),
+                orderNumber: order.orderNumber,
+                reason: order.cancellationReason || null
+            }
+        });
+
+        for (const group of groupItemsBySeller(cancelledItems)) {
+            await emitNotification({
+                recipientType: group.sellerType,
+                recipientId: group.sellerId,
+                category: 'MARKETPLACE',
+                type: 'ORDER_CANCELLED',
+                title: 'Order Cancelled',
+                message: `Order ${order.orderNumber} was cancelled by the buyer`,
+                channels: ['IN_APP'],
+                entity: {
+                    type: 'ORDER',
+                    id: order._id
+                },
+                payload: {
+                    orderId: order._id.toString(),
+                    orderNumber: order.orderNumber
+                }
+            });
+        }
+    } catch (notifError) {
+        // Don't break cancellation if notification fails
+        console.error('Failed to emit order cancelled notification:', notifError);
+    }
+};
+
+/**
+ * Notify the buyer about a seller-side fulfilment update
+ */
+const notifyFulfilmentUpdate = async (order, items, status, details = {}) => {
+    const titles = items.map(item => item.title).join(', ');
+    const messages = {
+        CONFIRMED: {
+            type: 'ORDER_CONFIRMED',
+            title: 'Order Confirmed',
+            message: `The seller confirmed ${titles} from order ${order.orderNumber}`
+        },
+        SHIPPED: {
+            type: 'PRODUCT_SHIPPED',
+            title: 'Order Shipped',
+            message: `${titles} from order ${order.orderNumber} has been shipped`
+        },
+        DELIVERED: {
+            type: 'PRODUCT_DELIVERED',
+            title: 'Order Delivered',
+            message: `${titles} from order ${order.orderNumber} has been delivered`
+        },
+        CANCELLED: {
+            type: 'ORDER_CANCELLED',
+            title: 'Order Item Cancelled',
+            message: `The seller cancelled ${titles} from order ${order.orderNumber}`
+        },
+        RETURNED: {
+            type: 'ORDER_RETURNED',
+            title: 'Return Recorded',
+            message: `The return of ${titles} from order ${order.orderNumber} has been recorded`
+        }
+    };
+
+    const content = messages[status];
+    if (!content) {
+        return;
+    }
+
+    try {
+        await emitNotification({
+            recipientType: 'USER',
+            recipientId: order.userId,
+            category: 'MARKETPLACE',
+            type: content.type,
+            title: content.title,
+            message: content.message,
+            channels: status === 'CONFIRMED' ? ['IN_APP'] : ['IN_APP', 'PUSH'],
+            entity: {
+                type: 'ORDER',
+                id: order._id
+            },
+            payload: {
+                orderId: order._id.toString(),
+                orderNumber: order.orderNumber,
+                itemIds: items.map(item => item._id.toString()),
+                status,
+                ...(status === 'SHIPPED' && {
+                    carrier: details.carrier,
+                    trackingNumber: details.trackingNumber
+                })
+            }
+        });
+    } catch (notifError) {
+        // Don't break fulfilment if notification fails
+        console.error('Failed to emit fulfilment notification:', notifError);
+    }
+};
+
+module.exports = {
+    ITEM_TRANSITIONS,
+    canTransition,
+    generateOrderNumber,
+    reserveStock,
+    releaseStock,
+    consumeStock,
+    restockItems,
+    deriveOrderStatus,
+    transitionItem,
+    refreshOrderStatus,
+    compensateItems,
+    groupItemsBySeller,
+    notifyOrderPlaced,
+    notifyOrderCancelled,
+    notifyFulfilmentUpdate
+};
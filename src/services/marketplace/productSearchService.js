@@ -0,0 +1,160 @@
+const Product = require('../../models/marketplace/Product');
+
+/**
+ * Product Search
+ *
+ * One aggregation per request: $text / filter $match first (uses the text or
+ * compound isActive indexes on Product), then a $facet that returns the page
+ * of results, the total and facet counts over the same filtered set.
+ */
+
+const SORT_OPTIONS = {
+    relevance: { score: -1, _id: 1 },
+    price_asc: { price: 1, _id: 1 },
+    price_desc: { price: -1, _id: 1 },
+    rating: { avgRating: -1, ratingCount: -1, _id: 1 },
+    newest: { createdAt: -1, _id: -1 }
+};
+
+// Price facet bucket boundaries (INR); anything above the last is "10000+"
+const PRICE_BOUNDARIES = [0, 500, 1000, 2500, 5000, 10000];
+
+// "n stars & up" rating facet thresholds
+const RATING_THRESHOLDS = [4, 3, 2, 1];
+
+const MAX_SELLER_FACETS = 10;
+
+/**
+ * Build the $match stage for a search
+ *
+ * @param {Object} filters - Already validated filters
+ * @param {String} filters.q - Full-text query
+ * @param {Number} filters.minPrice
+ * @param {Number} filters.maxPrice
+ * @param {Number} filters.minRating
+ * @param {ObjectId} filters.sellerId
+ * @param {ObjectId} filters.categoryId - Matches the category and all its subcategories
+ */
+const buildMatch = ({ q, minPrice, maxPrice, minRating, sellerId, categoryId }) => {
+    const match = { isActive: true };
+
+    if (q) {
+        match.$text = { $search: q };
+    }
+
+    if (minPrice !== undefined || maxPrice !== undefined) {
+        match.price = {};
+        if (minPrice !== undefined) match.price.$gte = minPrice;
+        if (maxPrice !== undefined) match.price.$lte = maxPrice;
+    }
+
+    if (minRating !== undefined) {
+        match.avgRating = { $gte: minRating };
+    }
+
+    if (sellerId) {
+        match.sellerId = sellerId;
+    }
+
+    if (categoryId) {
+        match.categoryPath = categoryId;
+    }
+
+    return match;
+};
+
+const formatPriceFacets = (buckets) => buckets.map(bucket => {
+    const index = PRICE_BOUNDARIES.indexOf(bucket._id);
+    return {
+        min: bucket._id === 'other' ? PRICE_BOUNDARIES[PRICE_BOUNDARIES.length - 1] : bucket._id,
+        max: bucket._id === 'other' ? null : PRICE_BOUNDARIES[index + 1],
+        count: bucket.count
+    };
+});
+
+/**
+ * Search active products
+ *
+ * @param {Object} filters - See buildMatch
+ * @param {Object} options
+ * @param {String} options.sort - Key of SORT_OPTIONS (relevance only applies with q)
+ * @param {Number} options.page
+ * @param {Number} options.limit
+ * @returns {Promise<{products: Array, total: Number, facets: Object}>}
+ */
+const searchProducts = async (filters, { sort, page, limit }) => {
+    const sortKey = sort === 'relevance' && !filters.q ? 'newest' : sort;
+    const pipeline = [{ $match: buildMatch(filters) }];
+
+    if (filters.q) {
+        pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+    }
+
+    const ratingFacet = {};
+    for (const threshold of RATING_THRESHOLDS) {
+        ratingFacet[`gte${threshold}`] = {
+            $sum: { $cond: [{ $gte: ['$avgRating', threshold] }, 1, 0] }
+        };
+    }
+
+    pipeline.push({
+        $facet: {
+            results: [
+                { $sort: SORT_OPTIONS[sortKey] },
+                { $skip: (page - 1) * limit },
+                { $limit: limit },
+                { $project: { score: 0 } }
+            ],
+            total: [{ $count: 'count' }],
+            priceRanges: [
+                {
+                    $bucket: {
+                        groupBy: '$price',
+                        boundaries: PRICE_BOUNDARIES,
+                        default: 'other',
+                        output: { count: { $sum: 1 } }
+                    }
+                }
+            ],
+            ratings: [
+                { $group: { _id: null, ...ratingFacet } }
+            ],
+            sellers: [
+                { $group: { _id: '$sellerId', count: { $sum: 1 } } },
+                { $sort: { count: -1, _id: 1 } },
+                { $limit: MAX_SELLER_FACETS }
+            ]
+        }
+    });
+
+    const [result] = await Product.aggregate(pipeline);
+
+    const products = await Product.populate(result.results, {
+        path: 'sellerId',
+        select: 'profile.name.full profile.profileImage'
+    });
+
+    const ratingCounts = result.ratings[0] || {};
+
+    return {
+        products,
+        total: result.total[0] ? result.total[0].count : 0,
+        sort: sortKey,
+        facets: {
+            priceRanges: formatPriceFacets(result.priceRanges),
+            ratings: RATING_THRESHOLDS.map(threshold => ({
+                minRating: threshold,
+                count: ratingCounts[`gte${threshold}`] || 0
+            })),
+            sellers: result.sellers.map(seller => ({
+                sellerId: seller._id,
+                count: seller.count
+            }))
+        }
+    };
+};
+
+module.exports = {
+    SORT_OPTIONS,
+    searchProducts
+};
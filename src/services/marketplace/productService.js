@@ -0,0 +1,372 @@
+const mongoose = require('mongoose');
+const Product = require('../../models/marketplace/Product');
+const Category = require('../../models/marketplace/Category');
+const Inventory = require('../../models/marketplace/Inventory');
+const { parseCsv } = require('../../utils/csv');
+
+const MAX_IMPORT_ROWS = 1000;
+
+/**
+ * Resolve a category into the fields stored on Product
+ *
+ * @param {ObjectId|String} categoryId
+ * @returns {Promise<{categoryId, categoryPath}|null>} null if missing or inactive
+ */
+const resolveCategory = async (categoryId) => {
+    const category = await Category.findOne({ _id: categoryId, isActive: true })
+        .select('_id ancestors')
+        .lean();
+    if (!category) {
+        return null;
+    }
+
+    return {
+        categoryId: category._id,
+        categoryPath: [...category.ancestors, category._id]
+    };
+};
+
+/**
+ * "M / Red" style label used on cart and order lines
+ */
+const getVariantLabel = (variant) => {
+    if (!variant || !variant.attributes) {
+        return null;
+    }
+    const parts = [variant.attributes.size, variant.attributes.color].filter(Boolean);
+    return parts.length > 0 ? parts.join(' / ') : null;
+};
+
+/**
+ * Validate and normalise one variant from a request body or CSV row
+ *
+ * @returns {{error?: String, variant?: Object}}
+ */
+const normalizeVariant = (input) => {
+    if (!input || typeof input !== 'object') {
+        return { error: 'Each variant must be an object' };
+    }
+
+    const size = String(input.size ?? input.attributes?.size ?? '').trim();
+    const color = String(input.color ?? input.attributes?.color ?? '').trim();
+
+    if (!size && !color) {
+        return { error: 'Each variant needs a size or a colour' };
+    }
+
+    if (size.length > 50 || color.length > 50) {
+        return { error: 'Variant size and colour must be 50 characters or less' };
+    }
+
+    if (typeof input.price !== 'number' || !Number.isFinite(input.price) || input.price < 0) {
+        return { error: 'Variant price must be a non-negative number' };
+    }
+
+    if (input.sku !== undefined && input.sku !== null &&
+        (typeof input.sku !== 'string' || input.sku.trim().length > 64)) {
+        return { error: 'Variant SKU must be a string of 64 characters or less' };
+    }
+
+    return {
+        variant: {
+            sku: input.sku ? input.sku.trim() : null,
+            attributes: {
+                size: size || null,
+                color: color || null
+            },
+            price: input.price,
+            isActive: input.isActive !== false
+        }
+    };
+};
+
+// Two variants of a product clash if they share a SKU or the same size + colour
+const variantKey = (variant) =>
+    `${(variant.attributes.size || '').toLowerCase()}|${(variant.attributes.color || '').toLowerCase()}`;
+
+const findDuplicateVariant = (variants) => {
+    const skus = new Set();
+    const keys = new Set();
+    for (const variant of variants) {
+        if (variant.sku) {
+            if (skus.has(variant.sku)) return `Duplicate variant SKU: ${variant.sku}`;
+            skus.add(variant.sku);
+        }
+        const key = variantKey(variant);
+        if (keys.has(key)) return `Duplicate variant: ${getVariantLabel(variant)}`;
+        keys.add(key);
+    }
+    return null;
+};
+
+/**
+ * Lowest active variant price, or the product price when it has no active variants
+ */
+const getDisplayPrice = (product) => {
+    const active = (product.variants || []).filter(variant => variant.isActive);
+    if (active.length === 0) {
+        return product.price;
+    }
+    return Math.min(...active.map(variant => variant.price));
+};
+
+const hasActiveVariants = (product) => (product.variants || []).some(variant => variant.isActive);
+
+/**
+ * Resolve what a buyer is actually purchasing
+ *
+ * Products with active variants must be bought as a specific active variant;
+ * products without variants must not be given one.
+ *
+ * @returns {{error?: String, variant?: Object|null, price?: Number}}
+ */
+const resolvePurchasable = (product, variantId) => {
+    if (!hasActiveVariants(product)) {
+        if (variantId) {
+            return { error: 'This product has no variants' };
+        }
+        return { variant: null, price: product.price };
+    }
+
+    if (!variantId) {
+        return { error: 'Please choose a variant of this product' };
+    }
+
+    const variant = product.variants.find(v => v._id.toString() === variantId.toString());
+    if (!variant || !variant.isActive) {
+        return { error: 'Selected variant is not available' };
+    }
+
+    return { variant, price: variant.price };
+};
+
+/**
+ * Set Inventory.available for a product (or one of its variants)
+ */
+const setStock = async (product, variantId, available) => {
+    return Inventory.findOneAndUpdate(
+        { productId: product._id, sellerId: product.sellerId, variantId: variantId || null },
+        { available },
+        { new: true, upsert: true }
+    );
+};
+
+const parseNumber = (value) => {
+    if (value === undefined || value === '') {
+        return undefined;
+    }
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : NaN;
+};
+
+/**
+ * Apply one group of CSV rows (same product SKU) for a seller
+ *
+ * @returns {Promise<'created'|'updated'>}
+ * @throws {Error} with a row-level message if the group is invalid
+ */
+const importProductGroup = async (seller, sku, rows, categoryCache) => {
+    const head = rows[0].record;
+
+    const price = parseNumber(head.price);
+    if (Number.isNaN(price) || (price !== undefined && price < 0)) {
+        throw new Error('price must be a non-negative number');
+    }
+
+    let category;
+    if (head.category) {
+        const slug = head.category.toLowerCase();
+        if (!categoryCache.has(slug)) {
+            const found = await Category.findOne({ slug, isActive: true }).select('_id').lean();
+            categoryCache.set(slug, found ? await resolveCategory(found._id) : null);
+        }
+        category = categoryCache.get(slug);
+        if (!category) {
+            throw new Error(`Unknown category: ${head.category}`);
+        }
+    }
+
+    // Variant rows have a size, colour or variant SKU; anything else describes the product itself
+    const variantRows = rows.filter(({ record }) => record.size || record.color || record.variant_sku);
+    const variants = [];
+    for (const { record } of variantRows) {
+        const variantPrice = parseNumber(record.variant_price);
+        const { error, variant } = normalizeVariant({
+            sku: record.variant_sku || null,
+            size: record.size || '',
+            color: record.color || '',
+            price: variantPrice !== undefined ? variantPrice : price
+        });
+        if (error) {
+            throw new Error(error);
+        }
+        const stock = parseNumber(record.stock);
+        if (Number.isNaN(stock) || (stock !== undefined && (!Number.isInteger(stock) || stock < 0))) {
+            throw new Error('stock must be a non-negative whole number');
+        }
+        variants.push({ variant, stock });
+    }
+
+    const duplicate = findDuplicateVariant(variants.map(v => v.variant));
+    if (duplicate) {
+        throw new Error(duplicate);
+    }
+
+    let product = await Product.findOne({ sellerId: seller.sellerId, sku });
+    const isNew = !product;
+
+    if (isNew) {
+        if (!head.title) {
+            throw new Error('title is required for new products');
+        }
+        if (price === undefined && variants.length === 0) {
+            throw new Error('price is required for new products');
+        }
+        product = new Product({
+            sellerId: seller.sellerId,
+            createdById: seller.createdById,
+            createdByType: seller.createdByType,
+            sku,
+            price: price !== undefined ? price : 0
+        });
+    }
+
+    if (head.title) {
+        if (head.title.length > 200) {
+            throw new Error('title must be 200 characters or less');
+        }
+        product.title = head.title;
+    }
+    if (head.description) {
+        if (head.description.length > 5000) {
+            throw new Error('description must be 5000 characters or less');
+        }
+        product.description = head.description;
+    }
+    if (price !== undefined) {
+        product.price = price;
+    }
+    if (head.images) {
+        product.images = head.images.split('|').map(url => url.trim()).filter(Boolean);
+    }
+    if (category) {
+        product.categoryId = category.categoryId;
+        product.categoryPath = category.categoryPath;
+    }
+
+    // Match imported variants to existing ones by SKU, then by size + colour
+    const stockUpdates = [];
+    for (const { variant, stock } of variants) {
+        const existing = product.variants.find(v =>
+            (variant.sku && v.sku === variant.sku) || variantKey(v) === variantKey(variant)
+        );
+        if (existing) {
+            existing.sku = variant.sku || existing.sku;
+            existing.attributes = variant.attributes;
+            existing.price = variant.price;
+            existing.isActive = true;
+            if (stock !== undefined) stockUpdates.push({ variantId: existing._id, stock });
+        } else {
+            product.variants.push(variant);
+            const added = product.variants[product.variants.length - 1];
+            if (stock !== undefined) stockUpdates.push({ variantId: added._id, stock });
+        }
+    }
+
+    if (variants.length === 0) {
+        const stock = parseNumber(head.stock);
+        if (Number.isNaN(stock) || (stock !== undefined && (!Number.isInteger(stock) || stock < 0))) {
+            throw new Error('stock must be a non-negative whole number');
+        }
+        if (stock !== undefined) stockUpdates.push({ variantId: null, stock });
+    }
+
+    product.price = getDisplayPrice(product);
+    await product.save();
+
+    for (const update of stockUpdates) {
+        await setStock(product, update.variantId, update.stock);
+    }
+
+    return isNew ? 'created' : 'updated';
+};
+
+/**
+ * Bulk create/update a seller's products from CSV
+ *
+ * Columns (header names are case-insensitive):
+ *   sku (required), title, description, price, category (slug), images (| separated),
+ *   stock, variant_sku, size, color, variant_price
+ *
+ * Rows sharing a sku describe one product; rows with size/color/variant_sku are
+ * its variants. Existing products are matched by (seller, sku), so re-importing
+ * the same file is safe. Each product is applied independently: a bad group is
+ * reported and skipped without affecting the others.
+ *
+ * @param {Object} seller - { sellerId, createdById, createdByType }
+ * @param {String} csvText
+ * @returns {Promise<{success: boolean, message?: String, created?: Number, updated?: Number, errors?: Array}>}
+ */
+const importProductsFromCsv = async (seller, csvText) => {
+    const { headers, records } = parseCsv(csvText);
+
+    if (!headers.includes('sku')) {
+        return { success: false, message: 'CSV must have a header row with a "sku" column' };
+    }
+    if (records.length === 0) {
+        return { success: false, message: 'CSV has no product rows' };
+    }
+    if (records.length > MAX_IMPORT_ROWS) {
+        return { success: false, message: `CSV can have at most ${MAX_IMPORT_ROWS} rows` };
+    }
+
+    const errors = [];
+    const groups = new Map();
+    records.forEach((record, index) => {
+        // Row numbers as seen in a spreadsheet (header is row 1)
+        const row = index + 2;
+        if (!record.sku) {
+            errors.push({ row, sku: null, message: 'sku is required' });
+            return;
+        }
+        if (record.sku.length > 64) {
+            errors.push({ row, sku: record.sku, message: 'sku must be 64 characters or less' });
+            return;
+        }
+        if (!groups.has(record.sku)) {
+            groups.set(record.sku, []);
+        }
+        groups.get(record.sku).push({ row, record });
+    });
+
+    let created = 0;
+    let updated = 0;
+    const categoryCache = new Map();
+
+    for (const [sku, rows] of groups) {
+        try {
+            const result = await importProductGroup(seller, sku, rows, categoryCache);
+            if (result === 'created') created++;
+            else updated++;
+        } catch (error) {
+            const message = error instanceof mongoose.Error.ValidationError
+                ? Object.values(error.errors).map(e => e.message).join(', ')
+                : error.message;
+            errors.push({ row: rows[0].row, sku, message });
+        }
+    }
+
+    return { success: true, created, updated, errors };
+};
+
+module.exports = {
+    resolveCategory,
+    getVariantLabel,
+    normalizeVariant,
+    findDuplicateVariant,
+    getDisplayPrice,
+    hasActiveVariants,
+    resolvePurchasable,
+    setStock,
+    importProductsFromCsv
+};
@@ -2,13 +2,13 @@
  * Background Worker for MCQ Generation Jobs
  * 
  * Processes MCQGenerationJob documents asynchronously.
- * This worker runs independently and handles long-running AI API calls.
+ * This worker runs independently and handles long-running provider calls
+ * (see services/ai/questionProviders).
  */
 
-const axios = require('axios');
 const MCQGenerationJob = require('../models/course/MCQGenerationJob');
 const VideoQuestion = require('../models/course/VideoQuestion');
-const Video = require('../models/course/Video');
+const { runQuestionGeneration } = require('./ai/questionGenerationService');
 
 class MCQGenerationWorker {
     constructor() {
@@ -103,12 +103,6 @@ class MCQGenerationWorker {
 
             console.log(`[MCQWorker] Processing MCQ generation job ${jobId} for video ${job.videoId}`);
 
-            // Fetch video to get videoUrl
-            const video = await Video.findById(job.videoId);
-            if (!video || !video.videoUrl) {
-                throw new Error(`Video ${job.videoId} not found or missing videoUrl`);
-            }
-
             // Check if questions already exist (idempotency)
             const existingQuestions = await VideoQuestion.countDocuments({
                 videoId: job.videoId,
@@ -124,55 +118,9 @@ class MCQGenerationWorker {
                 return;
             }
 
-            // Call external AI API
-            const aiResponse = await axios.post(
-                'https://api.drishtifilmproductions.com/videos/mcqs',
-                {
-                    video_url: video.videoUrl,
-                    include_answers: true,
-                    randomize: false,
-                    limit: 5,
-                    force: false
-                },
-                {
-                    timeout: 360000 // 6 minute timeout (AI can take 2-5 minutes)
-                }
-            );
-
-            // Parse response and create VideoQuestion documents
-            if (!aiResponse.data || !Array.isArray(aiResponse.data.questions)) {
-                throw new Error('AI API response missing questions array');
-            }
-
-            const questionsToCreate = aiResponse.data.questions.map(q => ({
-                courseId: job.courseId,
-                videoId: job.videoId,
-                question: q.question,
-                options: {
-                    A: q.options?.A || '',
-                    B: q.options?.B || '',
-                    C: q.options?.C || '',
-                    D: q.options?.D || ''
-                },
-                correctAnswer: q.correct_answer || 'A',
-                source: 'AI',
-                status: 'DRAFT',
-                editable: true,
-                aiMeta: {
-                    chunk_num: q.chunk_num,
-                    timestamp: q.timestamp,
-                    timestamp_seconds: q.timestamp_seconds,
-                    anchor_type: q.anchor_type,
-                    batch_number: q.batch_number,
-                    part_number: q.part_number
-                }
-            }));
-
-            // Create all questions
-            if (questionsToCreate.length > 0) {
-                await VideoQuestion.insertMany(questionsToCreate);
-                console.log(`[MCQWorker] Created ${questionsToCreate.length} MCQs for video ${job.videoId}`);
-            }
+            // Generate with the job's provider (from subtitles when available) and create VideoQuestion documents
+            const result = await runQuestionGeneration(job);
+            console.log(`[MCQWorker] Created ${result.created} MCQs for video ${job.videoId} (${result.provider}, ${result.inputSource})`);
 
             // Mark job as COMPLETED
             await MCQGenerationJob.findByIdAndUpdate(jobId, {
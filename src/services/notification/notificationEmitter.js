@@ -47,7 +47,7 @@ const mongoose = require('mongoose');
  * @param {Object} payload - Notification payload
  * @param {ObjectId} payload.recipientId - ID of the recipient (User/University/Admin)
  * @param {String} payload.recipientType - 'USER' | 'UNIVERSITY' | 'ADMIN'
- * @param {String} payload.category - 'COURSE' | 'VIDEO' | 'SOCIAL' | 'MARKETPLACE' | 'WALLET' | 'SYSTEM'
+ * @param {String} payload.category - 'COURSE' | 'VIDEO' | 'SOCIAL' | 'MARKETPLACE' | 'WALLET' | 'PAYMENT' | 'SYSTEM'
  * @param {String} payload.type - Event identifier (e.g., 'COURSE_ENROLL_APPROVED')
  * @param {String} payload.title - Short notification title
  * @param {String} payload.message - Human-readable message
@@ -83,7 +83,7 @@ const emitNotification = async (payload) => {
         }
 
         // Validate category enum
-        const validCategories = ['COURSE', 'VIDEO', 'SOCIAL', 'MARKETPLACE', 'WALLET', 'SYSTEM', 'MINDTRAIN'];
+        const validCategories = ['COURSE', 'VIDEO', 'SOCIAL', 'MARKETPLACE', 'WALLET', 'PAYMENT', 'SYSTEM', 'MINDTRAIN'];
         if (!validCategories.includes(payload.category)) {
             console.error('❌ Notification emission failed: Invalid category', {
                 category: payload.category,
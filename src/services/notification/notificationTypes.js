@@ -16,6 +16,7 @@ const COURSE_ENROLL_REQUESTED = 'COURSE_ENROLL_REQUESTED';
 const COURSE_ENROLL_APPROVED = 'COURSE_ENROLL_APPROVED';
 const COURSE_ENROLL_REJECTED = 'COURSE_ENROLL_REJECTED';
 const COURSE_ENROLL_EXPIRED = 'COURSE_ENROLL_EXPIRED';
+const COURSE_ENROLL_EXPIRING = 'COURSE_ENROLL_EXPIRING';
 const COURSE_PUBLISHED = 'COURSE_PUBLISHED';
 const COURSE_COMPLETED = 'COURSE_COMPLETED';
 const COURSE_FULL = 'COURSE_FULL';
@@ -33,6 +34,9 @@ const POST_COMMENTED = 'POST_COMMENTED';
 const REEL_LIKED = 'REEL_LIKED';
 const FRIEND_REQUEST_RECEIVED = 'FRIEND_REQUEST_RECEIVED';
 const FRIEND_REQUEST_ACCEPTED = 'FRIEND_REQUEST_ACCEPTED';
+const NEW_FOLLOWER = 'NEW_FOLLOWER';
+const MENTIONED_IN_POST = 'MENTIONED_IN_POST';
+const MENTIONED_IN_REEL = 'MENTIONED_IN_REEL';
 const MESSAGE_RECEIVED = 'MESSAGE_RECEIVED';
 
 // Marketplace-related notifications
@@ -40,8 +44,11 @@ const PRODUCT_PURCHASED = 'PRODUCT_PURCHASED';
 const PRODUCT_SHIPPED = 'PRODUCT_SHIPPED';
 const PRODUCT_DELIVERED = 'PRODUCT_DELIVERED';
 const ORDER_PLACED = 'ORDER_PLACED';
+const ORDER_CONFIRMED = 'ORDER_CONFIRMED';
 const ORDER_CANCELLED = 'ORDER_CANCELLED';
 const ORDER_REFUNDED = 'ORDER_REFUNDED';
+const ORDER_RETURNED = 'ORDER_RETURNED';
+const PRODUCT_REVIEW_REPLIED = 'PRODUCT_REVIEW_REPLIED';
 const SELLER_APPLICATION_APPROVED = 'SELLER_APPLICATION_APPROVED';
 const SELLER_APPLICATION_REJECTED = 'SELLER_APPLICATION_REJECTED';
 
@@ -66,6 +73,7 @@ module.exports = {
     COURSE_ENROLL_APPROVED,
     COURSE_ENROLL_REJECTED,
     COURSE_ENROLL_EXPIRED,
+    COURSE_ENROLL_EXPIRING,
     COURSE_PUBLISHED,
     COURSE_COMPLETED,
     COURSE_FULL,
@@ -83,6 +91,9 @@ module.exports = {
     REEL_LIKED,
     FRIEND_REQUEST_RECEIVED,
     FRIEND_REQUEST_ACCEPTED,
+    NEW_FOLLOWER,
+    MENTIONED_IN_POST,
+    MENTIONED_IN_REEL,
     MESSAGE_RECEIVED,
     
     // Marketplace
@@ -90,8 +101,11 @@ module.exports = {
     PRODUCT_SHIPPED,
     PRODUCT_DELIVERED,
     ORDER_PLACED,
+    ORDER_CONFIRMED,
     ORDER_CANCELLED,
     ORDER_REFUNDED,
+    ORDER_RETURNED,
+    PRODUCT_REVIEW_REPLIED,
     SELLER_APPLICATION_APPROVED,
     SELLER_APPLICATION_REJECTED,
     
@@ -0,0 +1,399 @@
+const PaymentIntent = require('../../models/payment/PaymentIntent');
+const PaymentWebhookEvent = require('../../models/payment/PaymentWebhookEvent');
+const Order = require('../../models/marketplace/Order');
+const mongoose = require('mongoose');
+const { getProvider, getDefaultProviderName } = require('./providers');
+const { emitNotification } = require('../notification/notificationEmitter');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const DUPLICATE_PAYMENT_REASON = 'Duplicate payment for this order';
+
+// Order.paymentStatus mirrors the intent status once an intent exists
+const ORDER_PAYMENT_STATUS = {
+    CREATED: 'PENDING',
+    SUCCEEDED: 'PAID',
+    FAILED: 'FAILED',
+    PARTIALLY_REFUNDED: 'PARTIALLY_REFUNDED',
+    REFUNDED: 'REFUNDED'
+};
+
+const syncOrderPaymentStatus = async (intent, session = null) => {
+    await Order.updateOne(
+        { _id: intent.orderId },
+        { $set: { paymentStatus: ORDER_PAYMENT_STATUS[intent.status], paymentIntentId: intent._id } },
+        { session }
+    );
+};
+
+/**
+ * Find an intent previously created with the same idempotency key
+ */
+const findByIdempotencyKey = async (userId, idempotencyKey) => {
+    if (!idempotencyKey) {
+        return null;
+    }
+    return PaymentIntent.findOne({ userId, idempotencyKey });
+};
+
+/**
+ * The order's unsettled (CREATED) intent, if any
+ */
+const findOpenIntent = async (orderId) => PaymentIntent.findOne({ orderId, status: 'CREATED' });
+
+/**
+ * Create a payment intent for an order with the configured provider
+ *
+ * An order has at most one CREATED intent (partial unique index). A concurrent
+ * request for the same order or with the same idempotency key loses the race
+ * on the index and gets the intent created by the winner.
+ */
+const createPaymentIntent = async (order, { idempotencyKey = null, providerName = null } = {}) => {
+    const name = providerName || getDefaultProviderName();
+    if (!name) {
+        throw new Error('No payment provider configured. Set PAYMENT_PROVIDER');
+    }
+    const provider = getProvider(name);
+    if (!provider) {
+        throw new Error(`Payment provider "${name}" is not registered`);
+    }
+
+    const amount = roundAmount(order.totalAmount);
+    const providerIntent = await provider.createIntent({
+        amount,
+        currency: 'INR',
+        receipt: order.orderNumber,
+        notes: { orderId: order._id.toString() }
+    });
+
+    try {
+        const intent = await PaymentIntent.create({
+            orderId: order._id,
+            userId: order.userId,
+            provider: provider.name,
+            providerIntentId: providerIntent.providerIntentId,
+            clientSecret: providerIntent.clientSecret,
+            amount,
+            currency: providerIntent.currency || 'INR',
+            idempotencyKey
+        });
+
+        await syncOrderPaymentStatus(intent);
+        return intent;
+    } catch (error) {
+        if (error.code === 11000) {
+            const existing = await findByIdempotencyKey(order.userId, idempotencyKey) ||
+                await findOpenIntent(order._id);
+            if (existing) {
+                return existing;
+            }
+        }
+        throw error;
+    }
+};
+
+const notifyPaymentOutcome = async (intent, order) => {
+    const succeeded = intent.status === 'SUCCEEDED';
+
+    try {
+        await emitNotification({
+            recipientType: 'USER',
+            recipientId: intent.userId,
+            category: 'PAYMENT',
+            type: succeeded ? 'PAYMENT_SUCCESS' : 'PAYMENT_FAILED',
+            title: succeeded ? 'Payment Successful' : 'Payment Failed',
+            message: succeeded
+                ? `We received your payment of ₹${intent.amount} for order ${order.orderNumber}`
+                : `Your payment for order ${order.orderNumber} could not be completed`,
+            channels: ['IN_APP', 'PUSH'],
+            priority: succeeded ? 'NORMAL' : 'HIGH',
+            entity: {
+                type: 'ORDER',
+                id: intent.orderId
+            },
+            payload: {
+                orderId: intent.orderId.toString(),
+                paymentIntentId: intent._id.toString(),
+                amount: intent.amount,
+                ...(intent.failureReason && { failureReason: intent.failureReason })
+            }
+        });
+    } catch (notifError) {
+        console.error('Failed to emit payment notification:', notifError);
+    }
+};
+
+const notifyRefund = async (intent, amount, order) => {
+    try {
+        await emitNotification({
+            recipientType: 'USER',
+            recipientId: intent.userId,
+            category: 'PAYMENT',
+            type: 'ORDER_REFUNDED',
+            title: 'Refund Initiated',
+            message: `A refund of ₹${amount} for order ${order.orderNumber} has been initiated`,
+            channels: ['IN_APP', 'PUSH'],
+            entity: {
+                type: 'ORDER',
+                id: intent.orderId
+            },
+            payload: {
+                orderId: intent.orderId.toString(),
+                paymentIntentId: intent._id.toString(),
+                amount
+            }
+        });
+    } catch (notifError) {
+        console.error('Failed to emit refund notification:', notifError);
+    }
+};
+
+/**
+ * Verify, de-duplicate and apply a provider webhook
+ *
+ * @returns {Promise<{status: String}>} 'processed' | 'duplicate' | 'ignored' |
+ *          'invalid_signature' | 'unknown_provider' | 'unknown_intent'
+ */
+const processWebhook = async (providerName, rawBody, headers) => {
+    const provider = getProvider(providerName);
+    if (!provider) {
+        return { status: 'unknown_provider' };
+    }
+
+    if (!provider.verifyWebhookSignature(rawBody, headers)) {
+        return { status: 'invalid_signature' };
+    }
+
+    const event = provider.parseWebhookEvent(rawBody, headers);
+    if (!event.type) {
+        return { status: 'ignored' };
+    }
+
+    const intent = await PaymentIntent.findOne({
+        provider: provider.name,
+        ...(event.providerIntentId
+            ? { providerIntentId: event.providerIntentId }
+            : { providerPaymentId: event.providerPaymentId })
+    });
+    if (!intent) {
+        return { status: 'unknown_intent' };
+    }
+
+    // The event row and the state change commit together: a failed attempt
+    // leaves no event behind, so the provider's retry is processed again
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let settled = null;
+    let refundReason = null;
+    try {
+        await PaymentWebhookEvent.create([{
+            provider: provider.name,
+            eventId: event.eventId,
+            type: event.type,
+            providerIntentId: intent.providerIntentId
+        }], { session });
+
+        if (event.type === 'PAYMENT_SUCCEEDED' || event.type === 'PAYMENT_FAILED') {
+            const succeeded = event.type === 'PAYMENT_SUCCEEDED';
+
+            // Only unsettled intents move; a late failure never overrides a success
+            settled = await PaymentIntent.findOneAndUpdate(
+                { _id: intent._id, status: { $in: succeeded ? ['CREATED', 'FAILED'] : ['CREATED'] } },
+                {
+                    $set: succeeded
+                        ? { status: 'SUCCEEDED', providerPaymentId: event.providerPaymentId, paidAt: new Date(), failureReason: null }
+                        : { status: 'FAILED', failureReason: event.failureReason }
+                },
+                { new: true, session }
+            );
+
+            if (settled && succeeded) {
+                // A capture for a cancelled order, or for an order another intent
+                // already paid, is refunded in full once committed
+                const order = await Order.findById(settled.orderId)
+                    .select('status paymentStatus paymentIntentId')
+                    .session(session)
+                    .lean();
+                const paidByOtherIntent = order?.paymentIntentId &&
+                    !order.paymentIntentId.equals(settled._id) &&
+                    ['PAID', 'PARTIALLY_REFUNDED', 'REFUNDED'].includes(order.paymentStatus);
+
+                if (paidByOtherIntent) {
+                    refundReason = DUPLICATE_PAYMENT_REASON;
+                } else {
+                    await syncOrderPaymentStatus(settled, session);
+                    if (order?.status === 'CANCELLED') {
+                        refundReason = 'Order was cancelled before payment completed';
+                    }
+                }
+            } else if (settled) {
+                await syncOrderPaymentStatus(settled, session);
+            }
+        } else if (event.providerRefundId) {
+            await PaymentIntent.updateOne(
+                { _id: intent._id, 'refunds.providerRefundId': event.providerRefundId },
+                { $set: { 'refunds.$.status': event.type === 'REFUND_SUCCEEDED' ? 'SUCCEEDED' : 'FAILED' } },
+                { session }
+            );
+        }
+
+        await session.commitTransaction();
+    } catch (error) {
+        await session.abortTransaction();
+        if (error.code === 11000) {
+            return { status: 'duplicate' };
+        }
+        throw error;
+    } finally {
+        session.endSession();
+    }
+
+    if (settled) {
+        const order = await Order.findById(settled.orderId).select('orderNumber').lean();
+        await notifyPaymentOutcome(settled, order);
+    }
+
+    if (refundReason) {
+        // A duplicate capture leaves the order's own payment status alone
+        const syncOrder = refundReason !== DUPLICATE_PAYMENT_REASON;
+        try {
+            const refund = await refundPayment(settled, settled.amount, refundReason, { syncOrder });
+            if (!refund.success) {
+                console.error('Automatic refund failed:', { paymentIntentId: settled._id.toString(), message: refund.message });
+            }
+        } catch (error) {
+            // Left for an admin to refund; the webhook itself was applied
+            console.error('Automatic refund error:', { paymentIntentId: settled._id.toString(), error: error.message });
+        }
+    }
+
+    return { status: 'processed' };
+};
+
+/**
+ * Refund part or all of a captured payment
+ *
+ * The refundable amount is claimed atomically before calling the provider so
+ * concurrent refunds can never exceed what was paid. `syncOrder: false` keeps
+ * the order's payment status (refunding a duplicate capture).
+ *
+ * @returns {Promise<{success: boolean, message?: String, intent?: Object}>}
+ */
+const refundPayment = async (intent, amount, reason = null, { syncOrder = true } = {}) => {
+    const refundAmount = roundAmount(amount);
+    if (!(refundAmount > 0)) {
+        return { success: false, message: 'Refund amount must be greater than zero' };
+    }
+
+    const claimed = await PaymentIntent.findOneAndUpdate(
+        {
+            _id: intent._id,
+            status: { $in: ['SUCCEEDED', 'PARTIALLY_REFUNDED'] },
+            amountRefunded: { $lte: roundAmount(intent.amount - refundAmount) }
+        },
+        { $inc: { amountRefunded: refundAmount } },
+        { new: true }
+    );
+
+    if (!claimed) {
+        return { success: false, message: 'Payment is not refundable for this amount' };
+    }
+
+    const provider = getProvider(claimed.provider);
+    let providerRefund;
+    try {
+        providerRefund = await provider.refund({
+            providerIntentId: claimed.providerIntentId,
+            providerPaymentId: claimed.providerPaymentId,
+            amount: refundAmount,
+            reason
+        });
+    } catch (error) {
+        // Give the claimed amount back so the refund can be retried
+        await PaymentIntent.updateOne({ _id: claimed._id }, { $inc: { amountRefunded: -refundAmount } });
+        console.error('Provider refund error:', { paymentIntentId: claimed._id.toString(), error: error.message });
+        return { success: false, message: 'Payment provider rejected the refund' };
+    }
+
+    const fullyRefunded = claimed.amountRefunded >= claimed.amount;
+    const updated = await PaymentIntent.findByIdAndUpdate(
+        claimed._id,
+        {
+            $set: { status: fullyRefunded ? 'REFUNDED' : 'PARTIALLY_REFUNDED' },
+            $push: {
+                refunds: {
+                    providerRefundId: providerRefund.providerRefundId,
+                    amount: refundAmount,
+                    status: providerRefund.status,
+                    reason
+                }
+            }
+        },
+        { new: true }
+    );
+
+    if (syncOrder) {
+        await syncOrderPaymentStatus(updated);
+    }
+    const order = await Order.findById(updated.orderId).select('orderNumber').lean();
+    await notifyRefund(updated, refundAmount, order);
+
+    return { success: true, intent: updated };
+};
+
+/**
+ * Refund the paid share of cancelled/returned line items if the order was paid.
+ * Safe to call for unpaid orders (does nothing).
+ *
+ * Items are refunded in proportion to what was actually paid (the subtotal
+ * minus coupon discount and tokens redeemed); once the whole order is cancelled/returned,
+ * everything not yet refunded goes back.
+ *
+ * @param {Object} order - Order after the item transitions were applied
+ * @param {Array} items - Line items that were cancelled/returned
+ */
+const refundOrderItems = async (order, items, reason = null) => {
+    try {
+        // The order points at the intent that paid it (duplicates are refunded on capture)
+        const intent = await PaymentIntent.findOne({
+            orderId: order._id,
+            ...(order.paymentIntentId && { _id: order.paymentIntentId }),
+            status: { $in: ['SUCCEEDED', 'PARTIALLY_REFUNDED'] }
+        });
+        if (!intent) {
+            return null;
+        }
+
+        const remaining = roundAmount(intent.amount - intent.amountRefunded);
+        let amount;
+        if (order.status === 'CANCELLED' || order.status === 'RETURNED') {
+            amount = remaining;
+        } else {
+            const itemsTotal = items.reduce((sum, item) => sum + item.lineTotal - (item.discount || 0), 0);
+            const netSubtotal = order.subtotal - (order.discountTotal || 0);
+            amount = netSubtotal > 0
+                ? Math.min(roundAmount(itemsTotal * intent.amount / netSubtotal), remaining)
+                : 0;
+        }
+
+        if (amount <= 0) {
+            return null;
+        }
+
+        return await refundPayment(intent, amount, reason);
+    } catch (error) {
+        // Refund can be retried by an admin; never break the cancellation itself
+        console.error('Refund order items error:', { orderId: order._id.toString(), error: error.message });
+        return null;
+    }
+};
+
+module.exports = {
+    findByIdempotencyKey,
+    findOpenIntent,
+    createPaymentIntent,
+    processWebhook,
+    refundPayment,
+    refundOrderItems
+};
@@ -0,0 +1,86 @@
+/**
+ * Payment Provider Registry
+ *
+ * Every provider implements the same interface:
+ *
+ *   name: String
+ *   createIntent({ amount, currency, receipt, notes })
+ *       → { providerIntentId, clientSecret, amount, currency }
+ *   refund({ providerIntentId, providerPaymentId, amount, reason })
+ *       → { providerRefundId, amount, status: 'PENDING' | 'SUCCEEDED' }
+ *   hasWebhookSecret() → Boolean
+ *   verifyWebhookSignature(rawBody: Buffer, headers: Object) → Boolean
+ *       (always false when no webhook secret is configured)
+ *   parseWebhookEvent(rawBody: Buffer, headers: Object)
+ *       → { eventId, type, providerIntentId, providerPaymentId, providerRefundId, failureReason }
+ *
+ * `type` is normalised to PAYMENT_SUCCEEDED | PAYMENT_FAILED | REFUND_SUCCEEDED |
+ * REFUND_FAILED, or null for events we don't act on.
+ *
+ * Amounts are always in major currency units (rupees); providers convert as needed.
+ *
+ * The mock provider is only registered outside production, and there is no
+ * default provider: PAYMENT_PROVIDER must name the gateway to use.
+ */
+
+const mockProvider = require('./mockProvider');
+const razorpayProvider = require('./razorpayProvider');
+
+const providers = {
+    [razorpayProvider.name]: razorpayProvider
+};
+
+// Mock webhooks are signed by our own server, never accept them in production
+if (process.env.NODE_ENV !== 'production') {
+    providers[mockProvider.name] = mockProvider;
+}
+
+/**
+ * Register an additional provider (e.g. Stripe) at startup
+ */
+const registerProvider = (provider) => {
+    const required = ['name', 'createIntent', 'refund', 'hasWebhookSecret', 'verifyWebhookSignature', 'parseWebhookEvent'];
+    const missing = required.filter(key => !provider || !provider[key]);
+    if (missing.length > 0) {
+        throw new Error(`Payment provider is missing: ${missing.join(', ')}`);
+    }
+    providers[provider.name] = provider;
+};
+
+/**
+ * Get a provider by name, or null if it isn't registered
+ */
+const getProvider = (name) => providers[name] || null;
+
+/**
+ * Provider used for new payment intents (PAYMENT_PROVIDER env), or null when
+ * payments are not configured
+ */
+const getDefaultProviderName = () => process.env.PAYMENT_PROVIDER || null;
+
+/**
+ * Throw if PAYMENT_PROVIDER names a provider that isn't registered or has no
+ * webhook secret. Called at startup so a misconfigured gateway fails fast
+ * instead of silently rejecting (or accepting) webhooks.
+ */
+const assertProviderConfig = () => {
+    const name = getDefaultProviderName();
+    if (!name) {
+        return;
+    }
+
+    const provider = getProvider(name);
+    if (!provider) {
+        throw new Error(`Payment provider "${name}" is not registered${name === mockProvider.name ? ' in production' : ''}`);
+    }
+    if (!provider.hasWebhookSecret()) {
+        throw new Error(`Payment provider "${name}" has no webhook secret configured`);
+    }
+};
+
+module.exports = {
+    registerProvider,
+    getProvider,
+    getDefaultProviderName,
+    assertProviderConfig
+};
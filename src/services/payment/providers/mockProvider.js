@@ -0,0 +1,115 @@
+/**
+ * Mock Payment Provider
+ *
+ * Local, network-free gateway used in development and tests. It behaves like
+ * a real provider: intents get provider IDs, refunds get refund IDs and
+ * outcomes arrive as HMAC-signed webhooks, so the full checkout → webhook →
+ * refund flow can be exercised without any external service.
+ *
+ * Webhooks are signed with MOCK_PAYMENT_WEBHOOK_SECRET (HMAC-SHA256 of the
+ * raw body, hex encoded) in the `x-mock-signature` header. Without the secret
+ * no webhook verifies. The registry never loads this provider in production.
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+const getWebhookSecret = () => process.env.MOCK_PAYMENT_WEBHOOK_SECRET || null;
+
+const hasWebhookSecret = () => Boolean(getWebhookSecret());
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const sign = (rawBody) => crypto
+    .createHmac('sha256', getWebhookSecret())
+    .update(rawBody)
+    .digest('hex');
+
+const createIntent = async ({ amount, currency }) => {
+    const providerIntentId = randomId('mock_pi');
+    return {
+        providerIntentId,
+        clientSecret: `${providerIntentId}_secret_${crypto.randomBytes(8).toString('hex')}`,
+        amount,
+        currency
+    };
+};
+
+const refund = async ({ amount }) => {
+    // Mock refunds settle immediately
+    return {
+        providerRefundId: randomId('mock_rf'),
+        amount,
+        status: 'SUCCEEDED'
+    };
+};
+
+const verifyWebhookSignature = (rawBody, headers) => {
+    const signature = headers[SIGNATURE_HEADER];
+    if (!hasWebhookSecret() || !rawBody || typeof signature !== 'string') {
+        return false;
+    }
+
+    const expected = Buffer.from(sign(rawBody), 'hex');
+    const received = Buffer.from(signature, 'hex');
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+const parseWebhookEvent = (rawBody) => {
+    const event = JSON.parse(rawBody.toString('utf8'));
+    const types = {
+        'payment.succeeded': 'PAYMENT_SUCCEEDED',
+        'payment.failed': 'PAYMENT_FAILED',
+        'refund.succeeded': 'REFUND_SUCCEEDED',
+        'refund.failed': 'REFUND_FAILED'
+    };
+
+    return {
+        eventId: event.id,
+        type: types[event.type] || null,
+        providerIntentId: event.data?.intentId || null,
+        providerPaymentId: event.data?.paymentId || null,
+        providerRefundId: event.data?.refundId || null,
+        failureReason: event.data?.failureReason || null
+    };
+};
+
+/**
+ * Build a signed webhook for an intent, as the mock gateway would send it.
+ * Used by the mock "complete payment" endpoint and by tests.
+ *
+ * @param {String} providerIntentId
+ * @param {'success'|'failure'} outcome
+ * @returns {{ rawBody: Buffer, headers: Object }}
+ */
+const buildWebhook = (providerIntentId, outcome = 'success') => {
+    if (!hasWebhookSecret()) {
+        throw new Error('MOCK_PAYMENT_WEBHOOK_SECRET is not set');
+    }
+    const succeeded = outcome === 'success';
+    const rawBody = Buffer.from(JSON.stringify({
+        id: randomId('mock_evt'),
+        type: succeeded ? 'payment.succeeded' : 'payment.failed',
+        data: {
+            intentId: providerIntentId,
+            paymentId: succeeded ? randomId('mock_pay') : null,
+            failureReason: succeeded ? null : 'Payment declined by mock gateway'
+        }
+    }));
+
+    return {
+        rawBody,
+        headers: { [SIGNATURE_HEADER]: sign(rawBody) }
+    };
+};
+
+module.exports = {
+    name: 'mock',
+    createIntent,
+    refund,
+    hasWebhookSecret,
+    verifyWebhookSignature,
+    parseWebhookEvent,
+    buildWebhook
+};
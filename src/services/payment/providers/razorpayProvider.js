@@ -0,0 +1,111 @@
+/**
+ * Razorpay Payment Provider
+ *
+ * Maps the provider interface onto Razorpay Orders, Refunds and Webhooks.
+ * Amounts are converted to paise on the way out.
+ *
+ * Environment:
+ *   RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET - API credentials
+ *   RAZORPAY_WEBHOOK_SECRET              - secret configured on the webhook
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+const API_BASE_URL = 'https://api.razorpay.com/v1';
+
+const getClient = () => {
+    if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
+        throw new Error('Razorpay is not configured. Set RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET');
+    }
+
+    return axios.create({
+        baseURL: API_BASE_URL,
+        timeout: 15000,
+        auth: {
+            username: process.env.RAZORPAY_KEY_ID,
+            password: process.env.RAZORPAY_KEY_SECRET
+        }
+    });
+};
+
+const toMinorUnits = (amount) => Math.round(amount * 100);
+
+const createIntent = async ({ amount, currency, receipt, notes }) => {
+    const response = await getClient().post('/orders', {
+        amount: toMinorUnits(amount),
+        currency,
+        receipt,
+        notes
+    });
+
+    return {
+        providerIntentId: response.data.id,
+        // Razorpay Checkout is opened with the order ID, there is no separate secret
+        clientSecret: null,
+        amount,
+        currency
+    };
+};
+
+const refund = async ({ providerPaymentId, amount, reason }) => {
+    if (!providerPaymentId) {
+        throw new Error('Razorpay refunds require a captured payment ID');
+    }
+
+    const response = await getClient().post(`/payments/${providerPaymentId}/refund`, {
+        amount: toMinorUnits(amount),
+        notes: reason ? { reason } : undefined
+    });
+
+    return {
+        providerRefundId: response.data.id,
+        amount,
+        status: response.data.status === 'processed' ? 'SUCCEEDED' : 'PENDING'
+    };
+};
+
+const hasWebhookSecret = () => Boolean(process.env.RAZORPAY_WEBHOOK_SECRET);
+
+const verifyWebhookSignature = (rawBody, headers) => {
+    const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    const signature = headers['x-razorpay-signature'];
+    if (!secret || !rawBody || typeof signature !== 'string') {
+        return false;
+    }
+
+    const expected = Buffer.from(crypto.createHmac('sha256', secret).update(rawBody).digest('hex'), 'hex');
+    const received = Buffer.from(signature, 'hex');
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+const parseWebhookEvent = (rawBody, headers) => {
+    const event = JSON.parse(rawBody.toString('utf8'));
+    const payment = event.payload?.payment?.entity;
+    const refundEntity = event.payload?.refund?.entity;
+    const types = {
+        'payment.captured': 'PAYMENT_SUCCEEDED',
+        'payment.failed': 'PAYMENT_FAILED',
+        'refund.processed': 'REFUND_SUCCEEDED',
+        'refund.failed': 'REFUND_FAILED'
+    };
+
+    return {
+        // Razorpay sends a unique event ID header; fall back to payload identity
+        eventId: headers['x-razorpay-event-id'] || `${event.event}:${payment?.id || refundEntity?.id}`,
+        type: types[event.event] || null,
+        providerIntentId: payment?.order_id || null,
+        providerPaymentId: payment?.id || refundEntity?.payment_id || null,
+        providerRefundId: refundEntity?.id || null,
+        failureReason: payment?.error_description || null
+    };
+};
+
+module.exports = {
+    name: 'razorpay',
+    createIntent,
+    refund,
+    hasWebhookSecret,
+    verifyWebhookSignature,
+    parseWebhookEvent
+};
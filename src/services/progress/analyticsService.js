@@ -1,23 +1,41 @@
+const mongoose = require('mongoose');
 const CourseAnalytics = require('../../models/analytics/CourseAnalytics');
 const AnalyticsEvent = require('../../models/analytics/AnalyticsEvent');
 const UserActivity = require('../../models/progress/UserActivity');
 
+const MAX_REPEATED_SEGMENTS = 10;
+
 /**
- * Process video events from queue (Kafka/SQS)
- * This would be called by a background worker
+ * Process a video event from the video-analytics queue
+ * Called by workers/videoAnalytics.worker.js
+ *
+ * Events carrying a clientEventId are stored once per user, so batches
+ * re-sent by clients (or retried by the queue) are skipped.
+ *
+ * @returns {Promise<boolean>} false if the event was a duplicate
  */
 const processAnalyticsEvent = async (eventData) => {
-    const { userId, courseId, videoId, eventType, timestamp, metadata } = eventData;
+    const { userId, courseId, videoId, eventType, timestamp, clientEventId, occurredAt } = eventData;
+    const metadata = eventData.metadata || {};
 
     // Store event
-    await AnalyticsEvent.create({
-        userId,
-        courseId,
-        videoId,
-        eventType,
-        timestamp,
-        metadata
-    });
+    try {
+        await AnalyticsEvent.create({
+            userId,
+            courseId,
+            videoId,
+            eventType,
+            timestamp,
+            metadata,
+            clientEventId: clientEventId || null,
+            occurredAt: occurredAt || new Date()
+        });
+    } catch (error) {
+        if (error?.code === 11000) {
+            return false;
+        }
+        throw error;
+    }
 
     // Update user activity
     await UserActivity.findOneAndUpdate(
@@ -27,25 +45,60 @@ const processAnalyticsEvent = async (eventData) => {
     );
 
     // Process replay segments
-    if (eventType === 'replay_segment' && metadata.from && metadata.to) {
+    if (eventType === 'replay_segment' && Number.isFinite(metadata.from) && Number.isFinite(metadata.to)) {
         await updateRepeatedSegments(courseId, metadata.from, metadata.to);
     }
+
+    return true;
+};
+
+/**
+ * Process a batch of events from one user, in order
+ *
+ * @param {String} userId
+ * @param {Array} events - { clientEventId, courseId, videoId, eventType, timestamp, occurredAt, metadata }
+ * @returns {Promise<Object>} { processed, duplicates }
+ */
+const processAnalyticsEvents = async (userId, events) => {
+    let processed = 0;
+    let duplicates = 0;
+
+    for (const event of events) {
+        const stored = await processAnalyticsEvent({ ...event, userId });
+        if (stored) {
+            processed += 1;
+        } else {
+            duplicates += 1;
+        }
+    }
+
+    return { processed, duplicates };
 };
 
 /**
  * Aggregate and store in CourseAnalytics
  */
 const aggregateCourseAnalytics = async (courseId) => {
-    // Get all events for course
-    const events = await AnalyticsEvent.find({ courseId }).lean();
-
-    // Calculate metrics
-    const totalUsers = new Set(events.map(e => e.userId.toString())).size;
+    const courseObjectId = new mongoose.Types.ObjectId(courseId);
+
+    // Aggregate in the database rather than loading every event for the course
+    const [users, completion] = await Promise.all([
+        AnalyticsEvent.aggregate([
+            { $match: { courseId: courseObjectId } },
+            { $group: { _id: '$userId' } },
+            { $count: 'total' }
+        ]),
+        AnalyticsEvent.aggregate([
+            { $match: { courseId: courseObjectId, eventType: 'complete' } },
+            { $group: { _id: null, avgTimestamp: { $avg: { $ifNull: ['$timestamp', 0] } } } }
+        ])
+    ]);
+
+    const totalUsers = users.length > 0 ? users[0].total : 0;
 
     // Calculate average completion time (simplified)
-    const completionEvents = events.filter(e => e.eventType === 'complete');
-    const avgCompletionTime = completionEvents.length > 0
-        ? completionEvents.reduce((sum, e) => sum + (e.timestamp || 0), 0) / completionEvents.length / 60 // Convert to minutes
+    const avgCompletionTime = completion.length > 0
+        ? completion[0].avgTimestamp / 60 // Convert to minutes
         : null;
 
     // Update analytics
@@ -60,36 +113,56 @@ const aggregateCourseAnalytics = async (courseId) => {
     );
 };
 
+// Count a replay of a segment already in the list
+const incrementSegment = (courseId, from, to) => CourseAnalytics.updateOne(
+    { courseId, mostRepeatedSegments: { $elemMatch: { from, to } } },
+    { $inc: { 'mostRepeatedSegments.$.count': 1 } }
+);
+
 /**
- * Update repeated segments
+ * Count one replay of a segment in CourseAnalytics.mostRepeatedSegments
+ *
+ * Atomic ($inc on a known segment, conditional $push of a new one), so the
+ * synchronous fallback of ingestVideoEvents can run it concurrently. The
+ * array keeps the MAX_REPEATED_SEGMENTS most replayed segments; counts can
+ * leave it out of order, readers sort by count.
  */
 const updateRepeatedSegments = async (courseId, from, to) => {
-    const analytics = await CourseAnalytics.findOne({ courseId });
+    try {
+        await CourseAnalytics.updateOne(
+            { courseId },
+            { $setOnInsert: { mostRepeatedSegments: [] } },
+            { upsert: true }
+        );
+    } catch (error) {
+        // A concurrent upsert created it
+        if (error?.code !== 11000) {
+            throw error;
+        }
+    }
 
-    if (!analytics) {
-        await CourseAnalytics.create({
-            courseId,
-            mostRepeatedSegments: [{ from, to, count: 1 }]
-        });
+    const incremented = await incrementSegment(courseId, from, to);
+    if (incremented.matchedCount > 0) {
         return;
     }
 
-    // Find existing segment
-    const segmentIndex = analytics.mostRepeatedSegments.findIndex(
-        s => s.from === from && s.to === to
+    const pushed = await CourseAnalytics.updateOne(
+        { courseId, mostRepeatedSegments: { $not: { $elemMatch: { from, to } } } },
+        {
+            $push: {
+                mostRepeatedSegments: {
+                    $each: [{ from, to, count: 1 }],
+                    $sort: { count: -1 },
+                    $slice: MAX_REPEATED_SEGMENTS
+                }
+            }
+        }
     );
 
-    if (segmentIndex >= 0) {
-        analytics.mostRepeatedSegments[segmentIndex].count += 1;
-    } else {
-        analytics.mostRepeatedSegments.push({ from, to, count: 1 });
+    // Another request added the segment in between
+    if (pushed.matchedCount === 0) {
+        await incrementSegment(courseId, from, to);
     }
-
-    // Keep only top 10 segments
-    analytics.mostRepeatedSegments.sort((a, b) => b.count - a.count);
-    analytics.mostRepeatedSegments = analytics.mostRepeatedSegments.slice(0, 10);
-
-    await analytics.save();
 };
 
 /**
@@ -128,12 +201,13 @@ const generateReport = async (courseId) => {
     return {
         totalUsers: analytics.totalUsers,
         avgCompletionTime: analytics.avgCompletionTime,
-        mostRepeatedSegments: analytics.mostRepeatedSegments
+        mostRepeatedSegments: [...analytics.mostRepeatedSegments].sort((a, b) => b.count - a.count)
     };
 };
 
 module.exports = {
     processAnalyticsEvent,
+    processAnalyticsEvents,
     aggregateCourseAnalytics,
     updateRepeatedSegments,
     calculateIdleUsers,
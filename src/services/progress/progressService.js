@@ -3,9 +3,11 @@ const UserCourseProgress = require('../../models/progress/UserCourseProgress');
 const CourseEnrollment = require('../../models/course/CourseEnrollment');
 const Course = require('../../models/course/Course');
 const Video = require('../../models/course/Video');
-const TokenWallet = require('../../models/wallet/TokenWallet');
 const TokenTransaction = require('../../models/wallet/TokenTransaction');
+const { creditWallet } = require('../wallet/tokenService');
 const { emitNotification } = require('../notification/notificationEmitter');
+const { issueCertificate } = require('../course/certificateService');
+const { getCourseGrade } = require('../video/checkpointService');
 
 /**
  * UPSERT user video progress (throttled, 10 sec interval)
@@ -119,13 +121,46 @@ const updateCourseProgress = async (userId, courseId) => {
     await markEnrollmentInProgress(userId, courseId);
 
     // STEP 1 & 2: Detect course completion and consume slot
+    // (videos completed before checkpoint gating was enabled must pass too)
     if (completion.completionPercent >= 100) {
-        await handleCourseCompletion(userId, courseId);
+        const grade = await getCourseGrade(userId, courseId);
+        if (grade.passed) {
+            await handleCourseCompletion(userId, courseId);
+        }
     }
 
     return completion;
 };
 
+/**
+ * Complete a fully watched video once its checkpoints are passed
+ * (a video watched to 100% before passing is left incomplete by the progress update)
+ *
+ * @param {String} userId
+ * @param {Object} video - Video (needs _id, courseId)
+ * @param {Object} checkpoints - From getVideoCheckpointStatus
+ * @returns {Promise<Boolean>} true when this call completed the video
+ */
+const completeVideoAfterCheckpoints = async (userId, video, checkpoints) => {
+    if (!checkpoints.passed) {
+        return false;
+    }
+
+    const progress = await UserVideoProgress.findOneAndUpdate(
+        { userId, videoId: video._id, completed: { $ne: true }, progressPercent: { $gte: 100 } },
+        { completed: true, completedAt: new Date(), updatedAt: new Date() },
+        { new: true }
+    );
+    if (!progress) {
+        return false;
+    }
+
+    updateCourseProgress(userId, video.courseId).catch(err => {
+        console.error('Error updating course progress after checkpoint pass:', err);
+    });
+    return true;
+};
+
 /**
  * Mark enrollment as IN_PROGRESS when user first accesses course
  * (Non-blocking, doesn't affect existing APIs)
@@ -242,6 +277,11 @@ const handleCourseCompletion = async (userId, courseId) => {
             }
         }
 
+        // Issue the completion certificate (non-blocking)
+        issueCertificate(enrollment._id).catch(err => {
+            console.error('Error issuing completion certificate:', err);
+        });
+
         console.log(`✅ Course completion recorded: User ${userId} completed course ${courseId}`);
     } catch (error) {
         console.error('Error handling course completion:', error);
@@ -252,11 +292,9 @@ const handleCourseCompletion = async (userId, courseId) => {
 /**
  * Issue tokens for course completion (idempotent)
  * 
- * ⚠️ IMPORTANT: Tokens are EARN-ONLY.
- * Redemption is intentionally disabled until payment integration.
- * 
  * This function only CREDITS tokens (earns them).
- * Debit/redemption operations are blocked by feature flag.
+ * Redemption (DEBIT) lives in services/wallet/tokenService and is gated by
+ * the TOKEN_REDEMPTION_ENABLED feature flag.
  */
 const issueCompletionTokens = async (userId, courseId, enrollmentId, amount) => {
     try {
@@ -273,15 +311,6 @@ const issueCompletionTokens = async (userId, courseId, enrollmentId, amount) =>
             return;
         }
 
-        // Create or get wallet
-        let wallet = await TokenWallet.findOne({ userId });
-        if (!wallet) {
-            wallet = await TokenWallet.create({
-                userId,
-                balance: 0
-            });
-        }
-
         // Create transaction (unique index will prevent duplicates if race condition occurs)
         try {
             const transaction = await TokenTransaction.create({
@@ -293,9 +322,8 @@ const issueCompletionTokens = async (userId, courseId, enrollmentId, amount) =>
                 status: 'CREDITED'
             });
 
-            // Increment wallet balance atomically
-            wallet.balance += amount;
-            await wallet.save();
+            // Increment wallet balance atomically (creates the wallet on first credit)
+            await creditWallet(userId, amount);
 
             console.log(`💰 Issued ${amount} tokens to user ${userId} for completing course ${courseId}`);
             return transaction;
@@ -313,15 +341,78 @@ const issueCompletionTokens = async (userId, courseId, enrollmentId, amount) =>
     }
 };
 
+const ACTIVE_ENROLLMENT_STATUSES = ['APPROVED', 'IN_PROGRESS'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Copy Course.completionDeadline onto active enrollments that have no expiresAt
+ * (enrolled before the deadline was set), so the sweeper and reminders see them
+ */
+const applyCourseDeadlines = async () => {
+    const courses = await Course.find({ completionDeadline: { $ne: null } })
+        .select('_id completionDeadline')
+        .lean();
+
+    let updated = 0;
+    for (const course of courses) {
+        const result = await CourseEnrollment.updateMany(
+            {
+                courseId: course._id,
+                status: { $in: ACTIVE_ENROLLMENT_STATUSES },
+                expiresAt: null
+            },
+            { $set: { expiresAt: course.completionDeadline } }
+        );
+        updated += result.modifiedCount;
+    }
+
+    return updated;
+};
+
+/**
+ * Reopen a FULL course once expired enrollments bring it back under maxCompletions
+ * (same active-status count as requestEnrollment)
+ */
+const releaseCourseCapacity = async (courseId) => {
+    const course = await Course.findById(courseId).select('status maxCompletions').lean();
+    if (!course || course.status !== 'FULL' ||
+        course.maxCompletions === null || course.maxCompletions === undefined) {
+        return false;
+    }
+
+    const activeEnrollmentCount = await CourseEnrollment.countDocuments({
+        courseId,
+        status: { $in: ['APPROVED', 'IN_PROGRESS', 'COMPLETED'] }
+    });
+
+    if (activeEnrollmentCount >= course.maxCompletions) {
+        return false;
+    }
+
+    const result = await Course.updateOne(
+        { _id: courseId, status: 'FULL' },
+        { $set: { status: 'LIVE' } }
+    );
+
+    if (result.modifiedCount === 1) {
+        console.log(`🔓 Course ${courseId} reopened: ${activeEnrollmentCount}/${course.maxCompletions} active enrollments`);
+        return true;
+    }
+    return false;
+};
+
 /**
  * Check and update expired enrollments (background-safe)
- * Can be called periodically or on-demand
+ * Called by jobs/course/enrollmentExpiryJob, can also be called on-demand
+ *
+ * Each enrollment is expired with a conditional update, so a learner is
+ * notified once even if this runs concurrently with handleCourseCompletion.
  */
 const checkExpiredEnrollments = async (courseId = null) => {
     try {
         const now = new Date();
         const query = {
-            status: { $in: ['APPROVED', 'IN_PROGRESS'] },
+            status: { $in: ACTIVE_ENROLLMENT_STATUSES },
             expiresAt: { $lt: now }
         };
 
@@ -329,32 +420,172 @@ const checkExpiredEnrollments = async (courseId = null) => {
             query.courseId = courseId;
         }
 
-        const expiredEnrollments = await CourseEnrollment.find(query);
+        const expiredEnrollments = await CourseEnrollment.find(query)
+            .select('_id userId courseId')
+            .lean();
+
+        let expiredCount = 0;
+        const affectedCourseIds = new Set();
+        const courseNames = new Map();
 
         for (const enrollment of expiredEnrollments) {
-            enrollment.status = 'EXPIRED';
-            await enrollment.save();
+            const result = await CourseEnrollment.updateOne(
+                { _id: enrollment._id, status: { $in: ACTIVE_ENROLLMENT_STATUSES } },
+                { $set: { status: 'EXPIRED' } }
+            );
+            if (result.modifiedCount !== 1) {
+                continue;
+            }
+
+            expiredCount += 1;
+            const enrollmentCourseId = enrollment.courseId.toString();
+            affectedCourseIds.add(enrollmentCourseId);
+
+            if (!courseNames.has(enrollmentCourseId)) {
+                const course = await Course.findById(enrollment.courseId).select('name').lean();
+                courseNames.set(enrollmentCourseId, course ? course.name : 'your course');
+            }
+            const courseName = courseNames.get(enrollmentCourseId);
+
+            try {
+                await emitNotification({
+                    recipientType: 'USER',
+                    recipientId: enrollment.userId,
+                    category: 'COURSE',
+                    type: 'COURSE_ENROLL_EXPIRED',
+                    title: 'Enrollment Expired',
+                    message: `Your enrollment in "${courseName}" has expired`,
+                    channels: ['IN_APP', 'PUSH'],
+                    entity: {
+                        type: 'COURSE',
+                        id: enrollment.courseId
+                    },
+                    payload: {
+                        courseId: enrollmentCourseId,
+                        courseName,
+                        enrollmentId: enrollment._id.toString()
+                    }
+                });
+            } catch (notifError) {
+                console.error('Failed to emit enrollment expired notification:', notifError);
+            }
+        }
+
+        // Expired enrollments no longer count towards maxCompletions
+        for (const affectedCourseId of affectedCourseIds) {
+            try {
+                await releaseCourseCapacity(affectedCourseId);
+            } catch (error) {
+                console.error(`Error releasing capacity for course ${affectedCourseId}:`, error);
+            }
         }
 
-        if (expiredEnrollments.length > 0) {
-            console.log(`⏰ Marked ${expiredEnrollments.length} enrollment(s) as EXPIRED`);
+        if (expiredCount > 0) {
+            console.log(`⏰ Marked ${expiredCount} enrollment(s) as EXPIRED`);
         }
 
-        return expiredEnrollments.length;
+        return expiredCount;
     } catch (error) {
         console.error('Error checking expired enrollments:', error);
         return 0;
     }
 };
 
+/**
+ * Remind learners N days before their enrollment expires
+ *
+ * @param {Array<Number>} reminderDays - e.g. [7, 1]
+ * @returns {Promise<Number>} Reminders sent
+ *
+ * Thresholds are processed smallest first and a reminder claims every
+ * threshold at or above it, so a learner who enrols 2 days before the
+ * deadline gets the 1-day reminder only, not a stale 7-day one as well.
+ */
+const sendExpiryReminders = async (reminderDays) => {
+    const thresholds = [...new Set(reminderDays)]
+        .filter(days => Number.isInteger(days) && days > 0)
+        .sort((a, b) => a - b);
+
+    let sent = 0;
+    const now = new Date();
+    const courseNames = new Map();
+
+    for (const days of thresholds) {
+        const claimed = thresholds.filter(d => d >= days);
+        const enrollments = await CourseEnrollment.find({
+            status: { $in: ACTIVE_ENROLLMENT_STATUSES },
+            expiresAt: { $gt: now, $lte: new Date(now.getTime() + days * DAY_MS) },
+            expiryRemindersSent: { $ne: days }
+        })
+            .select('_id userId courseId expiresAt')
+            .lean();
+
+        for (const enrollment of enrollments) {
+            // Claim the reminder first so concurrent runs can't send it twice
+            const result = await CourseEnrollment.updateOne(
+                { _id: enrollment._id, expiryRemindersSent: { $ne: days } },
+                { $addToSet: { expiryRemindersSent: { $each: claimed } } }
+            );
+            if (result.modifiedCount !== 1) {
+                continue;
+            }
+
+            const enrollmentCourseId = enrollment.courseId.toString();
+            if (!courseNames.has(enrollmentCourseId)) {
+                const course = await Course.findById(enrollment.courseId).select('name').lean();
+                courseNames.set(enrollmentCourseId, course ? course.name : 'your course');
+            }
+            const courseName = courseNames.get(enrollmentCourseId);
+
+            const daysLeft = Math.max(1, Math.ceil((enrollment.expiresAt.getTime() - now.getTime()) / DAY_MS));
+
+            try {
+                await emitNotification({
+                    recipientType: 'USER',
+                    recipientId: enrollment.userId,
+                    category: 'COURSE',
+                    type: 'COURSE_ENROLL_EXPIRING',
+                    title: 'Course Deadline Approaching',
+                    message: `Your enrollment in "${courseName}" expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}.`,
+                    channels: ['IN_APP', 'PUSH'],
+                    entity: {
+                        type: 'COURSE',
+                        id: enrollment.courseId
+                    },
+                    payload: {
+                        courseId: enrollmentCourseId,
+                        courseName,
+                        enrollmentId: enrollment._id.toString(),
+                        expiresAt: enrollment.expiresAt.toISOString(),
+                        daysLeft: String(daysLeft)
+                    }
+                });
+                sent += 1;
+            } catch (notifError) {
+                console.error('Failed to emit enrollment expiry reminder:', notifError);
+            }
+        }
+    }
+
+    if (sent > 0) {
+        console.log(`🔔 Sent ${sent} enrollment expiry reminder(s)`);
+    }
+
+    return sent;
+};
+
 module.exports = {
     upsertVideoProgress,
     calculateCourseCompletion,
     getAggregatedProgress,
     batchUpdateProgress,
     updateCourseProgress,
+    completeVideoAfterCheckpoints,
     handleCourseCompletion,
     checkExpiredEnrollments,
+    applyCourseDeadlines,
+    releaseCourseCapacity,
+    sendExpiryReminders,
     issueCompletionTokens
 };
 
@@ -0,0 +1,356 @@
+/**
+ * Ranked Home Feed
+ *
+ * Scores recent posts and reels for one viewer and keeps each ranked list as a
+ * snapshot (Redis, in-memory when Redis is unavailable). Pages are read from
+ * the snapshot with opaque cursors, so scrolling never shows an item twice
+ * even while new content arrives or the feed is re-ranked.
+ *
+ * Score = (recency + friendship + author affinity + engagement) × interest, where
+ *   recency     halves every RECENCY_HALF_LIFE_HOURS
+ *   friendship  author is in the viewer's social.friends (full), or followed (half)
+ *   affinity    how often the viewer reacted to the author recently (ReactionLog)
+ *   engagement  reaction count of the item (Like)
+ *   interest    User.content weightage for the item's kind: reels with
+ *               contentType 'education' are professional, other content general
+ *
+ * Candidates respect post/reel visibility (followers-only content of followed
+ * authors, private content only for its author) - see followService.
+ */
+
+const mongoose = require('mongoose');
+const Post = require('../../models/social/Post');
+const { Reel } = require('../../models/social/Reel');
+const Like = require('../../models/social/Like');
+const ReactionLog = require('../../models/social/ReactionLog');
+const User = require('../../models/authorization/User');
+const { Report } = require('../../models/social/Report');
+const { getRedis } = require('../../config/redisConnection');
+const memoryCache = require('../../utils/memoryCache');
+const { getBlockedUserIds } = require('../../utils/blockedUsers');
+const { batchGetUsers } = require('../../utils/userDataLoader');
+const { getFollowingIds, buildVisibilityFilter } = require('./followService');
+
+const FEED_CACHE_PREFIX = 'feed:';
+const FEED_SNAPSHOT_TTL = 30 * 60;     // seconds, extended on every page read
+const FEED_FRESH_SECONDS = 2 * 60;     // a first page older than this is rebuilt
+const CANDIDATE_LIMIT = 300;           // newest candidates per content type
+const AFFINITY_WINDOW_DAYS = 30;
+const AFFINITY_LIKE_LIMIT = 500;
+const RECENCY_HALF_LIFE_HOURS = 24;
+
+const FOLLOW_SIGNAL = 0.5;            // friendship signal for followed non-friends
+
+const WEIGHTS = {
+    recency: 3,
+    friend: 2,
+    affinity: 1.5,
+    engagement: 1
+};
+
+const toIdString = (id) => id.toString();
+
+/**
+ * Total reactions per content ID from the Like collection
+ * @param {Array<ObjectId>} contentIds - Post and/or reel IDs
+ * @returns {Promise<Map>} contentId -> reaction count
+ */
+const getReactionCounts = async (contentIds) => {
+    if (contentIds.length === 0) {
+        return new Map();
+    }
+
+    const counts = await Like.aggregate([
+        { $match: { contentId: { $in: contentIds } } },
+        {
+            $project: {
+                contentId: 1,
+                totalLikes: {
+                    $reduce: {
+                        input: '$likes',
+                        initialValue: 0,
+                        in: { $add: ['$$value', { $size: '$$this' }] }
+                    }
+                }
+            }
+        }
+    ]);
+
+    return new Map(counts.map(item => [toIdString(item.contentId), item.totalLikes]));
+};
+
+/**
+ * Number of recent reactions by the viewer per author
+ * @returns {Promise<Map>} authorId -> reaction count
+ */
+const getAuthorAffinity = async (viewerId) => {
+    const since = new Date(Date.now() - AFFINITY_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const reactions = await ReactionLog.find({
+        userId: viewerId,
+        updatedAt: { $gte: since }
+    })
+        .select('authorId')
+        .sort({ updatedAt: -1 })
+        .limit(AFFINITY_LIKE_LIMIT)
+        .lean();
+
+    const affinity = new Map();
+    for (const reaction of reactions) {
+        const authorId = toIdString(reaction.authorId);
+        affinity.set(authorId, (affinity.get(authorId) || 0) + 1);
+    }
+    return affinity;
+};
+
+/**
+ * Multiplier (0.5 - 1.5) from the viewer's general/professional weightage
+ */
+const getInterestMultiplier = (viewer, kind) => {
+    const general = Math.max(0, viewer.content?.generalWeightage || 0);
+    const professional = Math.max(0, viewer.content?.professionalWeightage || 0);
+    const total = general + professional;
+    if (total === 0) {
+        return 1;
+    }
+    return 0.5 + (kind === 'professional' ? professional : general) / total;
+};
+
+/**
+ * Users the viewer may not see content from (blocked in either direction)
+ */
+const getExcludedAuthorIds = async (viewerId) => {
+    const [blocked, blockedBy] = await Promise.all([
+        getBlockedUserIds(viewerId),
+        User.find({
+            $or: [{ 'social.blockedUsers': viewerId }, { blockedUsers: viewerId }]
+        }).select('_id').lean()
+    ]);
+    return [...blocked, ...blockedBy.map(user => user._id)];
+};
+
+/**
+ * Score and rank candidate posts and reels for a viewer
+ * @returns {Promise<Array>} [{ t: 'post'|'reel', id, s }] best first
+ */
+const rankFeedItems = async (viewerId) => {
+    const viewerObjectId = new mongoose.Types.ObjectId(viewerId);
+    const viewer = await User.findById(viewerObjectId).select('social.friends content').lean();
+    if (!viewer) {
+        return [];
+    }
+
+    const [excludedAuthorIds, reportedIds, followingIds] = await Promise.all([
+        getExcludedAuthorIds(viewerObjectId),
+        Report.find({ userId: viewerObjectId, contentType: { $in: ['post', 'reel'] } }).distinct('contentId'),
+        getFollowingIds(viewerObjectId)
+    ]);
+
+    const baseQuery = buildVisibilityFilter(viewerObjectId, followingIds);
+    if (excludedAuthorIds.length > 0) {
+        baseQuery.userId = { $nin: excludedAuthorIds };
+    }
+    if (reportedIds.length > 0) {
+        baseQuery._id = { $nin: reportedIds };
+    }
+
+    const [posts, reels] = await Promise.all([
+        Post.find(baseQuery)
+            .select('_id userId createdAt')
+            .sort({ createdAt: -1 })
+            .limit(CANDIDATE_LIMIT)
+            .lean(),
+        Reel.find(baseQuery)
+            .select('_id userId createdAt contentType')
+            .sort({ createdAt: -1 })
+            .limit(CANDIDATE_LIMIT)
+            .lean()
+    ]);
+
+    const candidates = [
+        ...posts.map(post => ({ t: 'post', item: post, kind: 'general' })),
+        ...reels.map(reel => ({ t: 'reel', item: reel, kind: reel.contentType === 'education' ? 'professional' : 'general' }))
+    ];
+    if (candidates.length === 0) {
+        return [];
+    }
+
+    const viewerIdStr = toIdString(viewerObjectId);
+    const friendIds = new Set((viewer.social?.friends || []).map(toIdString));
+    const followedIds = new Set(followingIds.map(toIdString));
+    const authorIds = [...new Set(candidates.map(candidate => toIdString(candidate.item.userId)))];
+
+    const [authors, reactionCounts, affinity] = await Promise.all([
+        batchGetUsers(authorIds, 'profile.visibility'),
+        getReactionCounts(candidates.map(candidate => candidate.item._id)),
+        getAuthorAffinity(viewerObjectId)
+    ]);
+
+    const now = Date.now();
+    const ranked = [];
+
+    for (const { t, item, kind } of candidates) {
+        const authorId = toIdString(item.userId);
+        const isOwn = authorId === viewerIdStr;
+        const isFriend = friendIds.has(authorId);
+        const author = authors.get(authorId);
+
+        // Private profiles are only visible to friends
+        if (!isOwn && (!author || (author.profile?.visibility === 'private' && !isFriend))) {
+            continue;
+        }
+
+        const ageHours = Math.max(0, now - new Date(item.createdAt).getTime()) / (60 * 60 * 1000);
+        const signals = {
+            recency: Math.pow(0.5, ageHours / RECENCY_HALF_LIFE_HOURS),
+            friend: isFriend ? 1 : (followedIds.has(authorId) ? FOLLOW_SIGNAL : 0),
+            affinity: isOwn ? 0 : Math.min(1, Math.log1p(affinity.get(authorId) || 0) / Math.log1p(20)),
+            engagement: Math.min(1, Math.log1p(reactionCounts.get(toIdString(item._id)) || 0) / Math.log1p(100))
+        };
+
+        const base = Object.keys(WEIGHTS).reduce((sum, key) => sum + WEIGHTS[key] * signals[key], 0);
+        const score = base * getInterestMultiplier(viewer, kind);
+
+        ranked.push({ t, id: toIdString(item._id), s: Math.round(score * 10000) / 10000 });
+    }
+
+    return ranked.sort((a, b) => b.s - a.s);
+};
+
+// Snapshots are kept per id so cursors keep reading the list they were issued
+// for; `current` points at the snapshot served to requests without a cursor
+const snapshotKey = (viewerId, snapshotId) => `${FEED_CACHE_PREFIX}${viewerId}:${snapshotId}`;
+const currentKey = (viewerId) => `${FEED_CACHE_PREFIX}${viewerId}:current`;
+
+const cacheGet = async (key) => {
+    const redis = getRedis();
+    if (redis) {
+        const cached = await redis.get(key);
+        if (cached) {
+            await redis.expire(key, FEED_SNAPSHOT_TTL);
+            return JSON.parse(cached);
+        }
+        return null;
+    }
+
+    const cached = memoryCache.get(key);
+    if (cached) {
+        memoryCache.set(key, cached, FEED_SNAPSHOT_TTL);
+    }
+    return cached;
+};
+
+const cacheSet = async (key, value) => {
+    const redis = getRedis();
+    if (redis) {
+        await redis.setex(key, FEED_SNAPSHOT_TTL, JSON.stringify(value));
+        return;
+    }
+    memoryCache.set(key, value, FEED_SNAPSHOT_TTL);
+};
+
+const readSnapshot = (viewerId, snapshotId) => cacheGet(snapshotKey(viewerId, snapshotId));
+
+const readCurrentSnapshot = async (viewerId) => {
+    const snapshotId = await cacheGet(currentKey(viewerId));
+    return snapshotId ? readSnapshot(viewerId, snapshotId) : null;
+};
+
+/**
+ * Rank the viewer's feed and make it the current snapshot
+ */
+const rebuildFeed = async (viewerId) => {
+    const snapshot = {
+        id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        generatedAt: Date.now(),
+        items: await rankFeedItems(viewerId)
+    };
+    await cacheSet(snapshotKey(viewerId, snapshot.id), snapshot);
+    await cacheSet(currentKey(viewerId), snapshot.id);
+    return snapshot;
+};
+
+/**
+ * Force the viewer's next feed request without a cursor to re-rank.
+ * Snapshots already being paged through stay readable until they expire.
+ */
+const invalidateFeed = async (viewerId) => {
+    const key = currentKey(toIdString(viewerId));
+    const redis = getRedis();
+    if (redis) {
+        await redis.del(key);
+    }
+    memoryCache.delete(key);
+};
+
+const encodeCursor = (feedId, offset) =>
+    Buffer.from(JSON.stringify({ f: feedId, o: offset })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (typeof decoded.f !== 'string' || !Number.isInteger(decoded.o) || decoded.o < 0) {
+            return null;
+        }
+        return decoded;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * One page of the viewer's ranked feed
+ *
+ * Without a cursor the current snapshot is reused if it is fresh (rebuilt when
+ * older than FEED_FRESH_SECONDS, after invalidateFeed or when `refresh` is set).
+ * With a cursor the page comes from the snapshot the cursor was issued for,
+ * even if a newer one exists; if it expired, the feed is re-ranked and starts
+ * over from the top (`refreshed: true`, clients replace the list).
+ *
+ * @param {String|ObjectId} viewerId
+ * @param {Object} options - { cursor, limit, refresh }
+ * @returns {Promise<Object>} { success, items: [{ type, id, score }], nextCursor, hasNextPage, refreshed }
+ *                            or { success: false, message }
+ */
+const getFeedPage = async (viewerId, { cursor = null, limit = 10, refresh = false } = {}) => {
+    const viewerIdStr = toIdString(viewerId);
+    let offset = 0;
+    let snapshot = null;
+    let refreshed = false;
+
+    if (cursor) {
+        const decoded = decodeCursor(cursor);
+        if (!decoded) {
+            return { success: false, message: 'Invalid cursor' };
+        }
+        offset = decoded.o;
+        snapshot = await readSnapshot(viewerIdStr, decoded.f);
+        if (!snapshot) {
+            snapshot = await rebuildFeed(viewerIdStr);
+            offset = 0;
+            refreshed = true;
+        }
+    } else {
+        snapshot = refresh ? null : await readCurrentSnapshot(viewerIdStr);
+        if (!snapshot || Date.now() - snapshot.generatedAt > FEED_FRESH_SECONDS * 1000) {
+            snapshot = await rebuildFeed(viewerIdStr);
+        }
+    }
+
+    const pageItems = snapshot.items.slice(offset, offset + limit);
+    const nextOffset = offset + pageItems.length;
+    const hasNextPage = nextOffset < snapshot.items.length;
+
+    return {
+        success: true,
+        items: pageItems.map(item => ({ type: item.t, id: item.id, score: item.s })),
+        nextCursor: hasNextPage ? encodeCursor(snapshot.id, nextOffset) : null,
+        hasNextPage,
+        refreshed
+    };
+};
+
+module.exports = {
+    getFeedPage,
+    invalidateFeed,
+    getReactionCounts
+};
@@ -0,0 +1,118 @@
+/**
+ * Follow Relationships and Content Visibility
+ *
+ * Follows are asymmetric (Follow model) and independent from friendships.
+ * Post/reel `visibility` is enforced here:
+ *   public     everyone (posts without the field count as public)
+ *   followers  the author's followers
+ *   private    only the author
+ * Profile privacy (profile.visibility, friends only) and blocking are still
+ * checked by the callers on top of this.
+ */
+
+const Follow = require('../../models/social/Follow');
+
+const HIDDEN_FROM_PUBLIC = ['followers', 'private'];
+
+/**
+ * IDs of the users `userId` follows
+ * @returns {Promise<ObjectId[]>}
+ */
+const getFollowingIds = async (userId) => {
+    if (!userId) {
+        return [];
+    }
+    return Follow.find({ follower: userId }).distinct('following');
+};
+
+/**
+ * Whether `followerId` follows `followingId`
+ */
+const isFollowing = async (followerId, followingId) => {
+    if (!followerId || !followingId) {
+        return false;
+    }
+    return Boolean(await Follow.exists({ follower: followerId, following: followingId }));
+};
+
+/**
+ * Follower and following counts of a user
+ * @returns {Promise<Object>} { followers, following }
+ */
+const getFollowCounts = async (userId) => {
+    const [followers, following] = await Promise.all([
+        Follow.countDocuments({ following: userId }),
+        Follow.countDocuments({ follower: userId })
+    ]);
+    return { followers, following };
+};
+
+/**
+ * Filter for content from many authors (feeds, reel lists)
+ *
+ * @param {ObjectId|null} viewerId - null for anonymous viewers
+ * @param {Array<ObjectId>} followingIds - from getFollowingIds(viewerId)
+ * @returns {Object} Mongo filter to combine with the list query
+ */
+const buildVisibilityFilter = (viewerId, followingIds = []) => {
+    if (!viewerId) {
+        return { visibility: { $nin: HIDDEN_FROM_PUBLIC } };
+    }
+    return {
+        $or: [
+            { visibility: { $nin: HIDDEN_FROM_PUBLIC } },
+            { visibility: 'followers', userId: { $in: followingIds } },
+            { userId: viewerId }
+        ]
+    };
+};
+
+/**
+ * Filter for one author's content (profile grids)
+ *
+ * @param {ObjectId|String} ownerId
+ * @param {ObjectId|null} viewerId
+ * @returns {Promise<Object>} Fields to merge into the list query ({} for the owner)
+ */
+const getOwnerVisibilityFilter = async (ownerId, viewerId) => {
+    if (viewerId && ownerId.toString() === viewerId.toString()) {
+        return {};
+    }
+    if (await isFollowing(viewerId, ownerId)) {
+        return { visibility: { $ne: 'private' } };
+    }
+    return { visibility: { $nin: HIDDEN_FROM_PUBLIC } };
+};
+
+/**
+ * Whether the viewer may see a single post/reel (likes, comments, reports)
+ *
+ * @param {ObjectId|null} viewerId - null for anonymous viewers
+ * @param {Object} item - Post/Reel (needs userId, populated or not, and visibility)
+ * @returns {Promise<Boolean>}
+ */
+const canViewContent = async (viewerId, item) => {
+    if (!item) {
+        return false;
+    }
+    const authorId = item.userId?._id || item.userId;
+    if (viewerId && authorId && authorId.toString() === viewerId.toString()) {
+        return true;
+    }
+    if (!HIDDEN_FROM_PUBLIC.includes(item.visibility)) {
+        return true;
+    }
+    if (item.visibility === 'followers') {
+        return isFollowing(viewerId, authorId);
+    }
+    return false;
+};
+
+module.exports = {
+    getFollowingIds,
+    isFollowing,
+    getFollowCounts,
+    buildVisibilityFilter,
+    getOwnerVisibilityFilter,
+    canViewContent
+};
@@ -0,0 +1,170 @@
+/**
+ * Hashtag Index and Trending
+ *
+ * Hashtag keeps all-time counts per tag (updated when posts/reels are created
+ * or deleted) for search and autocomplete. Trending is computed from the
+ * hashtags of public posts and reels created in a rolling window: every use
+ * counts 1, halved every quarter of the window, so tags picking up now rank
+ * above tags that peaked at the start of the window. Results are cached
+ * briefly (Redis, in-memory when Redis is unavailable).
+ */
+
+const Hashtag = require('../../models/social/Hashtag');
+const Post = require('../../models/social/Post');
+const { Reel } = require('../../models/social/Reel');
+const { getRedis } = require('../../config/redisConnection');
+const memoryCache = require('../../utils/memoryCache');
+
+const TRENDING_CACHE_PREFIX = 'hashtags:trending:';
+const TRENDING_CACHE_TTL = 5 * 60;     // seconds
+const DEFAULT_WINDOW_HOURS = 24;
+const MAX_WINDOW_HOURS = 7 * 24;
+const TRENDING_CANDIDATES = 200;       // top tags per content type before merging
+
+const COUNT_FIELDS = { post: 'postCount', reel: 'reelCount' };
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Count a new post/reel's hashtags
+ * @param {String[]} hashtags - Normalized tags
+ * @param {String} contentType - 'post' | 'reel'
+ */
+const recordHashtags = async (hashtags, contentType) => {
+    if (!hashtags || hashtags.length === 0) {
+        return;
+    }
+    const now = new Date();
+    await Hashtag.bulkWrite(hashtags.map(tag => ({
+        updateOne: {
+            filter: { tag },
+            update: {
+                $inc: { [COUNT_FIELDS[contentType]]: 1 },
+                $set: { lastUsedAt: now }
+            },
+            upsert: true
+        }
+    })), { ordered: false });
+};
+
+/**
+ * Uncount a deleted post/reel's hashtags
+ */
+const releaseHashtags = async (hashtags, contentType) => {
+    if (!hashtags || hashtags.length === 0) {
+        return;
+    }
+    const field = COUNT_FIELDS[contentType];
+    await Hashtag.updateMany(
+        { tag: { $in: hashtags }, [field]: { $gt: 0 } },
+        { $inc: { [field]: -1 } }
+    );
+};
+
+/**
+ * Hashtags starting with `prefix`, most used first
+ * @returns {Promise<Array>} [{ tag, postCount, reelCount, lastUsedAt }]
+ */
+const searchHashtags = async (prefix, limit = 10) => {
+    if (!prefix) {
+        return [];
+    }
+    return Hashtag.aggregate([
+        {
+            $match: {
+                tag: { $regex: `^${escapeRegex(prefix)}` },
+                $or: [{ postCount: { $gt: 0 } }, { reelCount: { $gt: 0 } }]
+            }
+        },
+        { $addFields: { totalCount: { $add: ['$postCount', '$reelCount'] } } },
+        { $sort: { totalCount: -1, tag: 1 } },
+        { $limit: limit },
+        { $project: { _id: 0, tag: 1, postCount: 1, reelCount: 1, lastUsedAt: 1 } }
+    ]);
+};
+
+/**
+ * Decayed hashtag uses of one collection since `since`
+ */
+const aggregateTagUses = (Model, since, halfLifeMs, now) => Model.aggregate([
+    {
+        $match: {
+            createdAt: { $gte: since },
+            'hashtags.0': { $exists: true },
+            visibility: { $nin: ['followers', 'private'] }
+        }
+    },
+    { $project: { hashtags: 1, userId: 1, createdAt: 1 } },
+    { $unwind: '$hashtags' },
+    {
+        $group: {
+            _id: '$hashtags',
+            uses: { $sum: 1 },
+            authors: { $addToSet: '$userId' },
+            score: {
+                $sum: { $pow: [0.5, { $divide: [{ $subtract: [now, '$createdAt'] }, halfLifeMs] }] }
+            }
+        }
+    },
+    { $sort: { score: -1 } },
+    { $limit: TRENDING_CANDIDATES }
+]);
+
+/**
+ * Trending hashtags over the last `hours`
+ *
+ * @param {Object} options - { hours, limit }
+ * @returns {Promise<Array>} [{ tag, uses, posts, reels, authors, score }] best first
+ */
+const getTrendingHashtags = async ({ hours = DEFAULT_WINDOW_HOURS, limit = 10 } = {}) => {
+    const windowHours = Math.min(Math.max(parseInt(hours) || DEFAULT_WINDOW_HOURS, 1), MAX_WINDOW_HOURS);
+    const cacheKey = `${TRENDING_CACHE_PREFIX}${windowHours}`;
+
+    const redis = getRedis();
+    let trending = redis
+        ? JSON.parse(await redis.get(cacheKey) || 'null')
+        : memoryCache.get(cacheKey);
+
+    if (!trending) {
+        const now = new Date();
+        const since = new Date(now.getTime() - windowHours * 60 * 60 * 1000);
+        const halfLifeMs = (windowHours * 60 * 60 * 1000) / 4;
+
+        const [postTags, reelTags] = await Promise.all([
+            aggregateTagUses(Post, since, halfLifeMs, now),
+            aggregateTagUses(Reel, since, halfLifeMs, now)
+        ]);
+
+        const merged = new Map();
+        for (const [kind, rows] of [['posts', postTags], ['reels', reelTags]]) {
+            for (const row of rows) {
+                const entry = merged.get(row._id) || { tag: row._id, uses: 0, posts: 0, reels: 0, authors: new Set(), score: 0 };
+                entry.uses += row.uses;
+                entry[kind] += row.uses;
+                entry.score += row.score;
+                row.authors.forEach(authorId => entry.authors.add(authorId.toString()));
+                merged.set(row._id, entry);
+            }
+        }
+
+        trending = [...merged.values()]
+            .map(entry => ({ ...entry, authors: entry.authors.size, score: Math.round(entry.score * 1000) / 1000 }))
+            .sort((a, b) => b.score - a.score);
+
+        if (redis) {
+            await redis.setex(cacheKey, TRENDING_CACHE_TTL, JSON.stringify(trending));
+        } else {
+            memoryCache.set(cacheKey, trending, TRENDING_CACHE_TTL);
+        }
+    }
+
+    return trending.slice(0, limit);
+};
+
+module.exports = {
+    escapeRegex,
+    recordHashtags,
+    releaseHashtags,
+    searchHashtags,
+    getTrendingHashtags
+};
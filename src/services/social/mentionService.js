@@ -0,0 +1,106 @@
+/**
+ * Caption Mentions
+ *
+ * Resolves mentioned user IDs (utils/captionParser) to users that may be
+ * mentioned and notifies them once the post/reel exists. Only users who can
+ * see the content are notified: nobody for private content, followers of the
+ * author for followers-only content, and only the author's friends when the
+ * author's profile is private (as in search).
+ */
+
+const mongoose = require('mongoose');
+const User = require('../../models/authorization/User');
+const Follow = require('../../models/social/Follow');
+const { getBlockedUserIds } = require('../../utils/blockedUsers');
+const { emitNotification } = require('../notification/notificationEmitter');
+const { MENTIONED_IN_POST, MENTIONED_IN_REEL } = require('../notification/notificationTypes');
+
+/**
+ * Keep the mentionable users: existing, not the author, no block in either direction
+ *
+ * @param {ObjectId} authorId
+ * @param {String[]} mentionIds - From parseCaption
+ * @returns {Promise<ObjectId[]>} In caption order
+ */
+const resolveMentions = async (authorId, mentionIds) => {
+    const candidateIds = (mentionIds || []).filter(id => id !== authorId.toString());
+    if (candidateIds.length === 0) {
+        return [];
+    }
+
+    const blockedByAuthor = new Set((await getBlockedUserIds(authorId)).map(id => id.toString()));
+    const users = await User.find({
+        _id: { $in: candidateIds.map(id => new mongoose.Types.ObjectId(id)) },
+        'social.blockedUsers': { $ne: authorId },
+        blockedUsers: { $ne: authorId }
+    }).select('_id').lean();
+
+    const allowed = new Set(users.map(user => user._id.toString()).filter(id => !blockedByAuthor.has(id)));
+    return candidateIds
+        .filter(id => allowed.has(id))
+        .map(id => new mongoose.Types.ObjectId(id));
+};
+
+/**
+ * Notify the users mentioned in a new post/reel
+ *
+ * @param {Object} params
+ * @param {Object} params.author - User document of the author
+ * @param {String} params.contentType - 'post' | 'reel'
+ * @param {Object} params.content - Post/Reel document (mentions, visibility, caption)
+ */
+const notifyMentions = async ({ author, contentType, content }) => {
+    let recipientIds = (content.mentions || []).map(id => id.toString());
+    if (recipientIds.length === 0 || content.visibility === 'private') {
+        return;
+    }
+
+    if (content.visibility === 'followers') {
+        const followerIds = await Follow.find({
+            following: author._id,
+            follower: { $in: recipientIds }
+        }).distinct('follower');
+        const followerSet = new Set(followerIds.map(id => id.toString()));
+        recipientIds = recipientIds.filter(id => followerSet.has(id));
+    }
+
+    const authorProfile = await User.findById(author._id).select('profile.visibility social.friends').lean();
+    if (authorProfile?.profile?.visibility === 'private') {
+        const friendSet = new Set((authorProfile.social?.friends || []).map(id => id.toString()));
+        recipientIds = recipientIds.filter(id => friendSet.has(id));
+    }
+
+    const authorName = author.profile?.name?.full || 'Someone';
+    const label = contentType === 'reel' ? 'reel' : 'post';
+
+    for (const recipientId of recipientIds) {
+        try {
+            await emitNotification({
+                recipientType: 'USER',
+                recipientId,
+                category: 'SOCIAL',
+                type: contentType === 'reel' ? MENTIONED_IN_REEL : MENTIONED_IN_POST,
+                title: 'You were mentioned',
+                message: `${authorName} mentioned you in a ${label}`,
+                channels: ['IN_APP', 'PUSH'],
+                entity: {
+                    type: contentType === 'reel' ? 'REEL' : 'POST',
+                    id: content._id
+                },
+                payload: {
+                    authorId: author._id.toString(),
+                    authorName,
+                    caption: (content.caption || '').slice(0, 100)
+                }
+            });
+        } catch (notifError) {
+            // One failed notification shouldn't stop the others
+            console.error(`Failed to emit mention notification to ${recipientId}:`, notifError.message);
+        }
+    }
+};
+
+module.exports = {
+    resolveMentions,
+    notifyMentions
+};
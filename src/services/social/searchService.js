@@ -0,0 +1,156 @@
+/**
+ * Discovery Search
+ *
+ * Shared by GET /api/user/search (users only) and GET /api/search (users,
+ * posts, reels and hashtags). Every query excludes the viewer's blocked users
+ * and users who blocked the viewer; posts and reels also respect content
+ * visibility (followService), profile privacy and the viewer's reports.
+ *
+ * A term starting with '#' searches posts/reels by exact hashtag; any other
+ * term matches hashtag prefixes and the captions (without mention markup) of
+ * content from the last CAPTION_SEARCH_WINDOW_DAYS. The caption match is an
+ * unanchored regex, so the window keeps it on the createdAt index instead of
+ * scanning the collection.
+ */
+
+const User = require('../../models/authorization/User');
+const Post = require('../../models/social/Post');
+const { Reel } = require('../../models/social/Reel');
+const { Report } = require('../../models/social/Report');
+const { getBlockedUserIds } = require('../../utils/blockedUsers');
+const { normalizeHashtag, stripMentionMarkup } = require('../../utils/captionParser');
+const { withCursor, cursorSort, buildPage } = require('../../utils/pagination');
+const { getFollowingIds, buildVisibilityFilter } = require('./followService');
+const { escapeRegex, searchHashtags } = require('./hashtagService');
+
+const AUTHOR_FIELDS = 'profile.name.first profile.name.last profile.name.full profile.profileImage profile.visibility social.friends';
+const CAPTION_SEARCH_WINDOW_DAYS = 90;
+
+/**
+ * Users the viewer may not see (blocked in either direction)
+ */
+const getExcludedUserIds = async (viewerId) => {
+    const [blocked, blockedBy] = await Promise.all([
+        getBlockedUserIds(viewerId),
+        User.find({
+            $or: [{ 'social.blockedUsers': viewerId }, { blockedUsers: viewerId }]
+        }).select('_id').lean()
+    ]);
+    return [...blocked, ...blockedBy.map(user => user._id)];
+};
+
+/**
+ * Users whose name matches `term` (case-insensitive), alphabetically
+ *
+ * @param {ObjectId} viewerId
+ * @param {String} term
+ * @param {Object} options - { skip, limit }
+ * @returns {Promise<Object>} { users, total } (users exclude auth data and email)
+ */
+const searchUsers = async (viewerId, term, { skip = 0, limit = 20 } = {}) => {
+    const excludedUserIds = [viewerId, ...await getExcludedUserIds(viewerId)];
+    const pattern = escapeRegex(term.trim());
+
+    const searchQuery = {
+        _id: { $nin: excludedUserIds },
+        $or: [
+            { 'profile.name.first': { $regex: pattern, $options: 'i' } },
+            { 'profile.name.last': { $regex: pattern, $options: 'i' } },
+            { 'profile.name.full': { $regex: pattern, $options: 'i' } }
+        ]
+    };
+
+    const [total, users] = await Promise.all([
+        User.countDocuments(searchQuery),
+        User.find(searchQuery)
+            .select('-auth -profile.email') // Exclude sensitive data
+            .sort({ 'profile.name.full': 1 }) // Sort alphabetically
+            .skip(skip)
+            .limit(limit)
+    ]);
+
+    return { users, total };
+};
+
+/**
+ * Posts or reels matching `term`, newest first, with cursor pagination
+ *
+ * Items of private profiles the viewer isn't friends with are dropped from
+ * the page after fetching, so a page can be shorter than `limit` while
+ * `nextCursor` is still set.
+ *
+ * @param {String} contentType - 'post' | 'reel'
+ * @param {ObjectId} viewerId
+ * @param {String} term
+ * @param {Object} options - { cursor (decoded), limit }
+ * @returns {Promise<Object>} { items, nextCursor, hasNextPage } (items populated with the author)
+ */
+const searchContent = async (contentType, viewerId, term, { cursor = null, limit = 10 } = {}) => {
+    const Model = contentType === 'reel' ? Reel : Post;
+    const trimmed = term.trim();
+
+    let matchQuery;
+    if (trimmed.startsWith('#')) {
+        const tag = normalizeHashtag(trimmed);
+        if (!tag) {
+            return { items: [], nextCursor: null, hasNextPage: false };
+        }
+        matchQuery = { hashtags: tag };
+    } else {
+        const text = stripMentionMarkup(trimmed);
+        const tagPrefix = normalizeHashtag(trimmed);
+        const since = new Date(Date.now() - CAPTION_SEARCH_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+        matchQuery = {
+            $or: [
+                ...(text ? [{ captionText: { $regex: escapeRegex(text), $options: 'i' }, createdAt: { $gte: since } }] : []),
+                ...(tagPrefix ? [{ hashtags: { $regex: `^${escapeRegex(tagPrefix)}` } }] : [])
+            ]
+        };
+        if (matchQuery.$or.length === 0) {
+            return { items: [], nextCursor: null, hasNextPage: false };
+        }
+    }
+
+    const [excludedUserIds, reportedIds, followingIds] = await Promise.all([
+        getExcludedUserIds(viewerId),
+        Report.find({ userId: viewerId, contentType }).distinct('contentId'),
+        getFollowingIds(viewerId)
+    ]);
+
+    const query = {
+        $and: [
+            matchQuery,
+            buildVisibilityFilter(viewerId, followingIds),
+            { userId: { $nin: excludedUserIds } },
+            ...(reportedIds.length > 0 ? [{ _id: { $nin: reportedIds } }] : [])
+        ]
+    };
+
+    const docs = await Model.find(withCursor(query, cursor))
+        .populate('userId', AUTHOR_FIELDS)
+        .sort(cursorSort())
+        .limit(limit + 1);
+    const page = buildPage(docs, limit);
+
+    // Private profiles are only visible to friends
+    const viewerIdStr = viewerId.toString();
+    page.items = page.items.filter(item => {
+        const author = item.userId;
+        if (!author || !author._id) {
+            return false;
+        }
+        if (author._id.toString() === viewerIdStr || author.profile?.visibility !== 'private') {
+            return true;
+        }
+        return (author.social?.friends || []).some(friendId => friendId.toString() === viewerIdStr);
+    });
+
+    return page;
+};
+
+module.exports = {
+    searchUsers,
+    searchPosts: (viewerId, term, options) => searchContent('post', viewerId, term, options),
+    searchReels: (viewerId, term, options) => searchContent('reel', viewerId, term, options),
+    searchHashtags: (term, limit) => searchHashtags(normalizeHashtag(term) || '', limit)
+};
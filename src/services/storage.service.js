@@ -1,4 +1,4 @@
-const { DeleteObjectCommand, PutObjectCommand } = require('@aws-sdk/client-s3');
+const { DeleteObjectCommand, DeleteObjectsCommand, ListObjectsV2Command, PutObjectCommand } = require('@aws-sdk/client-s3');
 const s3 = require('../config/s3');
 const fs = require('fs').promises;
 const path = require('path');
@@ -50,6 +50,9 @@ class StorageService {
         '.mov': 'video/quicktime',
         '.avi': 'video/x-msvideo',
         '.webm': 'video/webm',
+        '.m3u8': 'application/vnd.apple.mpegurl',
+        '.ts': 'video/mp2t',
+        '.vtt': 'text/vtt',
         '.jpg': 'image/jpeg',
         '.jpeg': 'image/jpeg',
         '.png': 'image/png',
@@ -88,6 +91,124 @@ class StorageService {
     }
   }
 
+  /**
+   * Upload an in-memory buffer to S3
+   * @param {Buffer} buffer - File content
+   * @param {string} key - S3 key
+   * @param {string} contentType - MIME type (e.g. 'application/pdf')
+   * @returns {Promise<{url: string, key: string, provider: string}>}
+   */
+  static async uploadBuffer(buffer, key, contentType = 'application/octet-stream') {
+    if (!buffer || !key) {
+      throw new Error('Buffer and key are required');
+    }
+
+    try {
+      await s3.send(
+        new PutObjectCommand({
+          Bucket: process.env.AWS_BUCKET_NAME,
+          Key: key,
+          Body: buffer,
+          ContentType: contentType
+        })
+      );
+
+      const url = `https://${process.env.AWS_BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com/${key}`;
+
+      return {
+        url,
+        key,
+        provider: 's3'
+      };
+    } catch (error) {
+      console.error(`[StorageService] Failed to upload buffer with key ${key}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Upload every file under a local directory to S3, keeping relative paths
+   * (used for HLS output: playlists + segments)
+   * @param {string} dirPath - Local directory
+   * @param {string} keyPrefix - S3 key prefix, e.g. 'videos/<courseId>/<videoId>/hls'
+   * @returns {Promise<{keyPrefix: string, keys: string[]}>}
+   */
+  static async uploadDirectory(dirPath, keyPrefix) {
+    if (!dirPath || !keyPrefix) {
+      throw new Error('Directory path and key prefix are required');
+    }
+
+    const listFiles = async (dir) => {
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+      const nested = await Promise.all(entries.map(entry => {
+        const entryPath = path.join(dir, entry.name);
+        return entry.isDirectory() ? listFiles(entryPath) : [entryPath];
+      }));
+      return nested.flat();
+    };
+
+    const files = await listFiles(dirPath);
+    const keys = [];
+
+    // Small batches: segments are many but each one is small
+    const batchSize = 4;
+    for (let i = 0; i < files.length; i += batchSize) {
+      const batch = files.slice(i, i + batchSize);
+      const results = await Promise.all(batch.map(filePath => {
+        const relativeKey = path.relative(dirPath, filePath).split(path.sep).join('/');
+        return StorageService.uploadFromPath(filePath, `${keyPrefix}/${relativeKey}`);
+      }));
+      keys.push(...results.map(result => result.key));
+    }
+
+    return { keyPrefix, keys };
+  }
+
+  /**
+   * Delete every object under a key prefix
+   * @param {string} keyPrefix - S3 key prefix (a trailing '/' is added if missing)
+   * @returns {Promise<number>} Number of deleted objects
+   */
+  static async deletePrefix(keyPrefix) {
+    if (!keyPrefix) {
+      throw new Error('Key prefix is required for deletion');
+    }
+
+    const prefix = keyPrefix.endsWith('/') ? keyPrefix : `${keyPrefix}/`;
+    let deleted = 0;
+    let continuationToken;
+
+    try {
+      do {
+        const page = await s3.send(
+          new ListObjectsV2Command({
+            Bucket: process.env.AWS_BUCKET_NAME,
+            Prefix: prefix,
+            ContinuationToken: continuationToken
+          })
+        );
+
+        const objects = (page.Contents || []).map(object => ({ Key: object.Key }));
+        if (objects.length > 0) {
+          await s3.send(
+            new DeleteObjectsCommand({
+              Bucket: process.env.AWS_BUCKET_NAME,
+              Delete: { Objects: objects, Quiet: true }
+            })
+          );
+          deleted += objects.length;
+        }
+
+        continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (continuationToken);
+
+      return deleted;
+    } catch (error) {
+      console.error(`[StorageService] Failed to delete objects with prefix ${prefix}:`, error);
+      throw error;
+    }
+  }
+
   static async delete(key) {
     if (!key) {
       throw new Error('Key is required for deletion');
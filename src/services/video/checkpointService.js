@@ -1,4 +1,8 @@
 const Question = require('../../models/course/Question');
+const VideoQuestion = require('../../models/course/VideoQuestion');
+const Video = require('../../models/course/Video');
+const Course = require('../../models/course/Course');
+const QuestionAttempt = require('../../models/progress/QuestionAttempt');
 
 /**
  * Create questions for video
@@ -44,9 +48,198 @@ const updateQuestion = async (questionId, updateData) => {
     return question;
 };
 
+/**
+ * Checkpoint policy of a course (gating is enabled when passThreshold is set)
+ */
+const getCheckpointPolicy = (course) => {
+    const passThreshold = course?.checkpointPolicy?.passThreshold;
+    const maxAttempts = course?.checkpointPolicy?.maxAttempts;
+    return {
+        enabled: passThreshold !== null && passThreshold !== undefined,
+        passThreshold: passThreshold ?? null,
+        maxAttempts: maxAttempts ?? null
+    };
+};
+
+/**
+ * Graded questions of the given videos: every checkpoint Question plus
+ * ACTIVE VideoQuestions (drafts are not shown to learners)
+ *
+ * @returns {Promise<Array>} [{ questionId, videoId, questionType }]
+ */
+const getGradedQuestions = async (videoIds) => {
+    const [checkpoints, mcqs] = await Promise.all([
+        Question.find({ videoId: { $in: videoIds } }).select('_id videoId').lean(),
+        VideoQuestion.find({ videoId: { $in: videoIds }, status: 'ACTIVE' }).select('_id videoId').lean()
+    ]);
+
+    return [
+        ...checkpoints.map(q => ({ questionId: q._id, videoId: q.videoId, questionType: 'CHECKPOINT' })),
+        ...mcqs.map(q => ({ questionId: q._id, videoId: q.videoId, questionType: 'MCQ' }))
+    ];
+};
+
+/**
+ * Record an answer to a checkpoint question
+ *
+ * The update only matches while the question is unanswered and attempts
+ * remain; otherwise the upsert hits the unique index and the existing record
+ * explains why (already correct / attempts used up).
+ *
+ * @param {Object} params
+ * @param {String} params.userId
+ * @param {Object} params.course - Course (for checkpointPolicy)
+ * @param {String} params.videoId
+ * @param {String} params.questionId
+ * @param {String} params.questionType - CHECKPOINT | MCQ
+ * @param {String} params.answer
+ * @param {Boolean} params.isCorrect
+ * @returns {Promise<Object>} { success, attempt, attemptsRemaining, alreadyCorrect } or { success: false, message }
+ */
+const recordAttempt = async ({ userId, course, videoId, questionId, questionType, answer, isCorrect }) => {
+    const { maxAttempts } = getCheckpointPolicy(course);
+    const now = new Date();
+
+    const filter = { userId, questionId, correct: { $ne: true } };
+    if (maxAttempts !== null) {
+        filter.attemptCount = { $lt: maxAttempts };
+    }
+
+    const update = {
+        $inc: { attemptCount: 1 },
+        $set: {
+            lastAnswer: answer,
+            lastAttemptAt: now,
+            correct: isCorrect,
+            ...(isCorrect ? { correctAt: now } : {})
+        },
+        $setOnInsert: {
+            courseId: course._id,
+            videoId,
+            questionType
+        }
+    };
+
+    const remaining = (attempt) => (maxAttempts === null ? null : Math.max(0, maxAttempts - attempt.attemptCount));
+
+    try {
+        const attempt = await QuestionAttempt.findOneAndUpdate(filter, update, { upsert: true, new: true });
+        return {
+            success: true,
+            attempt,
+            attemptsRemaining: attempt.correct ? null : remaining(attempt),
+            alreadyCorrect: false
+        };
+    } catch (error) {
+        if (error?.code !== 11000) {
+            throw error;
+        }
+    }
+
+    const existing = await QuestionAttempt.findOne({ userId, questionId });
+    if (existing?.correct) {
+        return { success: true, attempt: existing, attemptsRemaining: null, alreadyCorrect: true };
+    }
+
+    return {
+        success: false,
+        message: 'No attempts left for this question',
+        attempt: existing,
+        attemptsRemaining: 0
+    };
+};
+
+/**
+ * Give a user their attempts back (instructor action)
+ *
+ * Only unanswered questions are reset; correct answers stay correct.
+ *
+ * @param {Object} params - { userId, videoId, questionId (optional, all questions of the video when omitted) }
+ * @returns {Promise<Number>} Number of questions reset
+ */
+const resetAttempts = async ({ userId, videoId, questionId = null }) => {
+    const result = await QuestionAttempt.deleteMany({
+        userId,
+        videoId,
+        correct: { $ne: true },
+        ...(questionId ? { questionId } : {})
+    });
+    return result.deletedCount;
+};
+
+/**
+ * Score a set of graded questions from the user's attempts
+ */
+const scoreQuestions = (questions, correctIds, policy) => {
+    const total = questions.length;
+    const correct = questions.filter(q => correctIds.has(q.questionId.toString())).length;
+    const scorePercent = total > 0 ? Math.round((correct / total) * 100) : 100;
+
+    return {
+        totalQuestions: total,
+        correctAnswers: correct,
+        scorePercent,
+        passThreshold: policy.passThreshold,
+        passed: !policy.enabled || total === 0 || scorePercent >= policy.passThreshold
+    };
+};
+
+/**
+ * Checkpoint status of one video for a user
+ *
+ * @param {String} userId
+ * @param {Object} video - Video (needs _id, courseId)
+ * @param {Object} [course] - Loaded if not given
+ */
+const getVideoCheckpointStatus = async (userId, video, course = null) => {
+    const courseDoc = course || await Course.findById(video.courseId).select('checkpointPolicy').lean();
+    const policy = getCheckpointPolicy(courseDoc);
+
+    const questions = await getGradedQuestions([video._id]);
+    const correctAttempts = questions.length > 0
+        ? await QuestionAttempt.find({ userId, videoId: video._id, correct: true }).select('questionId').lean()
+        : [];
+
+    return scoreQuestions(questions, new Set(correctAttempts.map(a => a.questionId.toString())), policy);
+};
+
+/**
+ * Grade of a user across every video of a course
+ *
+ * @returns {Promise<Object>} { totalQuestions, correctAnswers, scorePercent, passThreshold, passed, videos }
+ */
+const getCourseGrade = async (userId, courseId) => {
+    const course = await Course.findById(courseId).select('checkpointPolicy').lean();
+    const policy = getCheckpointPolicy(course);
+
+    const videos = await Video.find({ courseId }).select('_id').lean();
+    const questions = await getGradedQuestions(videos.map(v => v._id));
+    const correctAttempts = await QuestionAttempt.find({ userId, courseId, correct: true }).select('questionId').lean();
+    const correctIds = new Set(correctAttempts.map(a => a.questionId.toString()));
+
+    const videoGrades = videos.map(video => ({
+        videoId: video._id,
+        ...scoreQuestions(questions.filter(q => q.videoId.toString() === video._id.toString()), correctIds, policy)
+    }));
+
+    return {
+        ...scoreQuestions(questions, correctIds, policy),
+        // Every video must pass on its own, not just the course average
+        passed: videoGrades.every(v => v.passed),
+        videos: videoGrades
+    };
+};
+
 module.exports = {
     createQuestion,
     validateAnswer,
-    updateQuestion
+    updateQuestion,
+    getCheckpointPolicy,
+    getGradedQuestions,
+    recordAttempt,
+    resetAttempts,
+    scoreQuestions,
+    getVideoCheckpointStatus,
+    getCourseGrade
 };
 
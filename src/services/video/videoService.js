@@ -1,8 +1,11 @@
 const Video = require('../../models/course/Video');
 const { PutObjectCommand, DeleteObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const jwt = require('jsonwebtoken');
 const s3 = require('../../config/s3');
 
+const HLS_CONTENT_TYPE = 'application/vnd.apple.mpegurl';
+
 /**
  * Upload video to S3 and create video document
  */
@@ -78,6 +81,81 @@ const getSignedVideoUrl = async (s3Key, expiresIn = 3600) => {
     return url;
 };
 
+/**
+ * Short-lived token for HLS playlist requests of one viewer and video
+ * (players fetch playlists without our auth headers)
+ */
+const createStreamToken = (videoId, viewerId, expiresIn = 3600) => {
+    return jwt.sign(
+        { purpose: 'video_stream', videoId: String(videoId), viewerId: String(viewerId) },
+        process.env.JWT_SECRET,
+        { expiresIn }
+    );
+};
+
+/**
+ * Verify a stream token for a video
+ * @returns {Object|null} Decoded token, or null if invalid/expired/for another video
+ */
+const verifyStreamToken = (token, videoId) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        if (decoded.purpose !== 'video_stream' || decoded.videoId !== String(videoId)) {
+            return null;
+        }
+        return decoded;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Build the HLS master playlist of a video
+ * Variant URIs are relative ("480p.m3u8?token=...") so they resolve against
+ * the master playlist endpoint.
+ */
+const buildHlsMasterPlaylist = (video, token) => {
+    const renditions = [...(video.hls?.renditions || [])].sort((a, b) => a.bandwidth - b.bandwidth);
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+
+    renditions.forEach(rendition => {
+        lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.width}x${rendition.height},CODECS="avc1.42e01f,mp4a.40.2"`);
+        lines.push(`${rendition.name}.m3u8?token=${encodeURIComponent(token)}`);
+    });
+
+    return lines.join('\n') + '\n';
+};
+
+/**
+ * Rendition playlist of a video with every segment URI replaced by a signed S3 URL
+ * @returns {Promise<string|null>} Playlist text, or null for an unknown rendition
+ */
+const getSignedHlsPlaylist = async (video, renditionName, expiresIn = 3600) => {
+    const rendition = (video.hls?.renditions || []).find(r => r.name === renditionName);
+    if (!rendition) {
+        return null;
+    }
+
+    const response = await s3.send(
+        new GetObjectCommand({
+            Bucket: process.env.AWS_BUCKET_NAME,
+            Key: rendition.playlistKey
+        })
+    );
+    const playlist = await response.Body.transformToString();
+    const baseKey = rendition.playlistKey.slice(0, rendition.playlistKey.lastIndexOf('/') + 1);
+
+    const lines = await Promise.all(playlist.split('\n').map(line => {
+        const uri = line.trim();
+        if (!uri || uri.startsWith('#')) {
+            return line;
+        }
+        return getSignedVideoUrl(`${baseKey}${uri}`, expiresIn);
+    }));
+
+    return lines.join('\n');
+};
+
 /**
  * Upload thumbnail
  */
@@ -105,6 +183,11 @@ module.exports = {
     uploadVideo,
     deleteVideo,
     getSignedVideoUrl,
-    uploadThumbnail
+    uploadThumbnail,
+    HLS_CONTENT_TYPE,
+    createStreamToken,
+    verifyStreamToken,
+    buildHlsMasterPlaylist,
+    getSignedHlsPlaylist
 };
 
@@ -99,6 +99,281 @@ const transcodeVideo = (inputPath, outputDir = null) => {
   });
 };
 
+/**
+ * HLS rendition ladder (adaptive bitrate)
+ * Rungs taller than the source are skipped; the smallest rung is always produced.
+ */
+const HLS_LADDER = [
+  { name: "240p", height: 240, videoBitrate: 400, audioBitrate: 64 },
+  { name: "480p", height: 480, videoBitrate: 1000, audioBitrate: 96 },
+  { name: "720p", height: 720, videoBitrate: 2500, audioBitrate: 128 }
+];
+
+const HLS_SEGMENT_SECONDS = 4;
+
+const probe = (inputPath) =>
+  new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(inputPath, (err, metadata) => {
+      if (err) {
+        return reject(new Error("Failed to get video metadata: " + err.message));
+      }
+      resolve(metadata);
+    });
+  });
+
+const transcodeRendition = (inputPath, rendition, renditionDir) =>
+  new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .videoCodec("libx264")
+      .audioCodec("aac")
+      .outputOptions([
+        "-profile:v baseline",
+        "-level 3.1",
+        "-pix_fmt yuv420p",
+        "-r 30",
+        "-preset fast",
+        `-b:v ${rendition.videoBitrate}k`,
+        `-maxrate ${Math.round(rendition.videoBitrate * 1.07)}k`,
+        `-bufsize ${rendition.videoBitrate * 2}k`,
+        `-b:a ${rendition.audioBitrate}k`,
+        "-ac 2",
+        // Keyframe every segment boundary so renditions switch cleanly
+        `-x264-params keyint=${HLS_SEGMENT_SECONDS * 30}:min-keyint=${HLS_SEGMENT_SECONDS * 30}:scenecut=0`,
+        "-f hls",
+        `-hls_time ${HLS_SEGMENT_SECONDS}`,
+        "-hls_playlist_type vod",
+        `-hls_segment_filename ${path.join(renditionDir, "segment_%04d.ts")}`
+      ])
+      .size(`${rendition.width}x${rendition.height}`)
+      .on("start", () => {
+        console.log(`[VideoTranscoder] HLS ${rendition.name} started`);
+      })
+      .on("end", () => resolve())
+      .on("error", (err) => {
+        console.error(`[VideoTranscoder] HLS ${rendition.name} error:`, err);
+        reject(new Error(`HLS ${rendition.name} transcoding failed: ` + err.message));
+      })
+      .save(path.join(renditionDir, "index.m3u8"));
+  });
+
+/**
+ * Transcode video to an HLS ladder with a master playlist
+ *
+ * Output layout (relative to outputDir):
+ *   master.m3u8
+ *   <rendition>/index.m3u8
+ *   <rendition>/segment_0000.ts ...
+ */
+const transcodeToHls = async (inputPath, outputDir = null) => {
+  await fs.access(inputPath);
+
+  const finalOutputDir =
+    outputDir || path.join(os.tmpdir(), "video_transcoding", `hls_${uuidv4()}`);
+  await fs.mkdir(finalOutputDir, { recursive: true });
+
+  try {
+    const metadata = await probe(inputPath);
+    const videoStream = metadata.streams.find((s) => s.codec_type === "video");
+    const sourceWidth = videoStream?.width || 1280;
+    const sourceHeight = videoStream?.height || 720;
+
+    const rungs = HLS_LADDER.filter((rung, index) => index === 0 || rung.height <= sourceHeight);
+    const renditions = rungs.map((rung) => {
+      const height = Math.min(rung.height, Math.floor(sourceHeight / 2) * 2);
+      const width = Math.floor((sourceWidth * height) / sourceHeight / 2) * 2;
+      return {
+        ...rung,
+        width,
+        height,
+        // Peak bandwidth advertised in the master playlist (bits/s)
+        bandwidth: Math.round((rung.videoBitrate * 1.07 + rung.audioBitrate) * 1000),
+        playlist: `${rung.name}/index.m3u8`
+      };
+    });
+
+    // One pass per rendition keeps memory use low on small workers
+    for (const rendition of renditions) {
+      const renditionDir = path.join(finalOutputDir, rendition.name);
+      await fs.mkdir(renditionDir, { recursive: true });
+      await transcodeRendition(inputPath, rendition, renditionDir);
+    }
+
+    const master = [
+      "#EXTM3U",
+      "#EXT-X-VERSION:3",
+      ...renditions.flatMap((rendition) => [
+        `#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.width}x${rendition.height},CODECS="avc1.42e01f,mp4a.40.2"`,
+        rendition.playlist
+      ])
+    ].join("\n") + "\n";
+    await fs.writeFile(path.join(finalOutputDir, "master.m3u8"), master);
+
+    return {
+      outputDir: finalOutputDir,
+      masterPlaylist: "master.m3u8",
+      duration: metadata.format.duration,
+      renditions: renditions.map(({ name, width, height, bandwidth, playlist }) => ({
+        name,
+        width,
+        height,
+        bandwidth,
+        playlist
+      }))
+    };
+  } catch (err) {
+    await cleanupDir(finalOutputDir);
+    throw err;
+  }
+};
+
+/**
+ * Scrub-preview sprite sheet settings
+ * One tile every SPRITE_INTERVAL_SECONDS, widened for long videos so a single
+ * sheet never exceeds SPRITE_MAX_TILES tiles.
+ */
+const SPRITE_INTERVAL_SECONDS = 5;
+const SPRITE_MAX_TILES = 100;
+const SPRITE_COLUMNS = 10;
+const SPRITE_TILE_WIDTH = 160;
+const SPRITE_TILE_HEIGHT = 90;
+const POSTER_WIDTH = 1280;
+
+const isRemoteInput = (inputPath) => /^https?:\/\//i.test(inputPath || "");
+
+/**
+ * Get duration and dimensions of a local file or (signed) URL
+ */
+const getVideoMetadata = async (inputPath) => {
+  if (!isRemoteInput(inputPath)) {
+    await fs.access(inputPath);
+  }
+
+  const metadata = await probe(inputPath);
+  const videoStream = metadata.streams.find((s) => s.codec_type === "video");
+
+  return {
+    duration: Number(metadata.format.duration) || 0,
+    width: videoStream?.width || null,
+    height: videoStream?.height || null,
+    fileSize: Number(metadata.format.size) || null
+  };
+};
+
+const formatVttTime = (seconds) => {
+  const totalMs = Math.round(seconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, "0");
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(ms, 3)}`;
+};
+
+const runFfmpeg = (command, label, outputPath) =>
+  new Promise((resolve, reject) => {
+    command
+      .on("end", () => resolve())
+      .on("error", (err) => {
+        console.error(`[VideoTranscoder] ${label} error:`, err);
+        reject(new Error(`${label} failed: ` + err.message));
+      })
+      .save(outputPath);
+  });
+
+/**
+ * Extract a poster frame and a WebVTT-indexed sprite sheet for scrub previews
+ *
+ * Output layout (relative to outputDir):
+ *   poster.jpg
+ *   sprite.jpg  (SPRITE_COLUMNS tiles per row)
+ *   sprite.vtt  (cues reference "sprite.jpg#xywh=x,y,w,h", resolved next to the .vtt)
+ *
+ * @param {string} inputPath - Local file or (signed) URL
+ * @param {Object} options
+ * @param {number} options.duration - Duration in seconds (probed when missing)
+ * @param {string} options.outputDir - Output directory (temp dir when missing)
+ */
+const generatePreviewImages = async (inputPath, { duration = null, outputDir = null } = {}) => {
+  const finalOutputDir =
+    outputDir || path.join(os.tmpdir(), "video_transcoding", `previews_${uuidv4()}`);
+  await fs.mkdir(finalOutputDir, { recursive: true });
+
+  try {
+    const videoDuration = duration || (await getVideoMetadata(inputPath)).duration;
+    if (!videoDuration) {
+      throw new Error("Video duration is unknown");
+    }
+
+    // Poster: a frame a little into the video (skips black intro frames)
+    const posterAt = Math.min(videoDuration * 0.1, 5);
+    await runFfmpeg(
+      ffmpeg(inputPath)
+        .seekInput(posterAt)
+        .outputOptions([
+          "-frames:v 1",
+          `-vf scale='min(${POSTER_WIDTH},iw)':-2`,
+          "-q:v 3"
+        ]),
+      "Poster frame",
+      path.join(finalOutputDir, "poster.jpg")
+    );
+
+    const interval = Math.max(
+      SPRITE_INTERVAL_SECONDS,
+      Math.ceil(videoDuration / SPRITE_MAX_TILES)
+    );
+    const tileCount = Math.max(1, Math.ceil(videoDuration / interval));
+    const columns = Math.min(SPRITE_COLUMNS, tileCount);
+    const rows = Math.ceil(tileCount / columns);
+
+    // Letterbox every tile to a fixed size so cue coordinates are exact
+    await runFfmpeg(
+      ffmpeg(inputPath).outputOptions([
+        "-an",
+        "-frames:v 1",
+        `-vf fps=1/${interval},scale=${SPRITE_TILE_WIDTH}:${SPRITE_TILE_HEIGHT}:force_original_aspect_ratio=decrease,` +
+          `pad=${SPRITE_TILE_WIDTH}:${SPRITE_TILE_HEIGHT}:(ow-iw)/2:(oh-ih)/2,tile=${columns}x${rows}`,
+        "-q:v 5"
+      ]),
+      "Sprite sheet",
+      path.join(finalOutputDir, "sprite.jpg")
+    );
+
+    const cues = [];
+    for (let index = 0; index < tileCount; index++) {
+      const start = index * interval;
+      const end = Math.min(start + interval, videoDuration);
+      const x = (index % columns) * SPRITE_TILE_WIDTH;
+      const y = Math.floor(index / columns) * SPRITE_TILE_HEIGHT;
+      cues.push(
+        `${formatVttTime(start)} --> ${formatVttTime(end)}\n` +
+          `sprite.jpg#xywh=${x},${y},${SPRITE_TILE_WIDTH},${SPRITE_TILE_HEIGHT}`
+      );
+    }
+    await fs.writeFile(
+      path.join(finalOutputDir, "sprite.vtt"),
+      ["WEBVTT", ...cues].join("\n\n") + "\n"
+    );
+
+    return {
+      outputDir: finalOutputDir,
+      poster: "poster.jpg",
+      sprite: {
+        image: "sprite.jpg",
+        vtt: "sprite.vtt",
+        interval,
+        columns,
+        rows,
+        tileWidth: SPRITE_TILE_WIDTH,
+        tileHeight: SPRITE_TILE_HEIGHT
+      }
+    };
+  } catch (err) {
+    await cleanupDir(finalOutputDir);
+    throw err;
+  }
+};
+
 const isVideo = (mimetype) => mimetype?.startsWith("video/");
 
 const cleanupFile = async (filePath) => {
@@ -108,8 +383,20 @@ const cleanupFile = async (filePath) => {
   } catch (_) {}
 };
 
+const cleanupDir = async (dirPath) => {
+  if (!dirPath) return;
+  try {
+    await fs.rm(dirPath, { recursive: true, force: true });
+  } catch (_) {}
+};
+
 module.exports = {
   transcodeVideo,
+  transcodeToHls,
+  generatePreviewImages,
+  getVideoMetadata,
+  HLS_LADDER,
   isVideo,
-  cleanupFile
+  cleanupFile,
+  cleanupDir
 };
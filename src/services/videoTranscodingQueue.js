@@ -6,13 +6,25 @@
  */
 
 const EventEmitter = require('events');
-const { transcodeVideo, isVideo, cleanupFile } = require('./videoTranscoder');
+const path = require('path');
+const {
+    transcodeVideo,
+    transcodeToHls,
+    generatePreviewImages,
+    getVideoMetadata,
+    isVideo,
+    cleanupFile,
+    cleanupDir
+} = require('./videoTranscoder');
 const VideoTranscodingJob = require('../models/VideoTranscodingJob');
 const Video = require('../models/course/Video');
-const MCQGenerationJob = require('../models/course/MCQGenerationJob');
+const { Reel } = require('../models/social/Reel');
+const { getSignedVideoUrl } = require('./video/videoService');
+const { queueQuestionGeneration } = require('./ai/questionGenerationService');
 const StorageService = require('./storage.service');
 const CourseEnrollment = require('../models/course/CourseEnrollment');
 const { emitNotification } = require('./notification/notificationEmitter');
+const { isFeatureEnabled } = require('../config/features');
 
 class VideoTranscodingQueue extends EventEmitter {
     constructor() {
@@ -33,10 +45,11 @@ class VideoTranscodingQueue extends EventEmitter {
      * @param {string} jobData.videoId - Video ID (for course videos)
      * @param {string} jobData.courseId - Course ID (for course videos)
      * @param {string} jobData.createdBy - Creator ID (for course videos)
+     * @param {string} jobData.reelId - Reel ID (for reels; inputPath is then the S3 key of the uploaded video)
      * @returns {Promise<string>} - Job ID
      */
     async addJob(jobData) {
-        const { inputPath, userId, jobType, originalFilename, videoId, courseId, createdBy } = jobData;
+        const { inputPath, userId, jobType, originalFilename, videoId, courseId, createdBy, reelId } = jobData;
 
         // Create job record in database
         const job = await VideoTranscodingJob.create({
@@ -48,7 +61,8 @@ class VideoTranscodingQueue extends EventEmitter {
             progress: 0,
             videoId: videoId || null,
             courseId: courseId || null,
-            createdBy: createdBy || null
+            createdBy: createdBy || null,
+            reelId: reelId || null
         });
 
         // Add to queue
@@ -61,6 +75,7 @@ class VideoTranscodingQueue extends EventEmitter {
             videoId: videoId || null,
             courseId: courseId || null,
             createdBy: createdBy || null,
+            reelId: reelId || null,
             createdAt: new Date()
         });
 
@@ -119,7 +134,7 @@ class VideoTranscodingQueue extends EventEmitter {
      */
     async processJob(job) {
         this.activeJobs++;
-        const { jobId, inputPath, userId, jobType, originalFilename, videoId, courseId } = job;
+        const { jobId, inputPath, userId, jobType, originalFilename, videoId, courseId, reelId } = job;
 
         try {
             // Update job status to processing
@@ -155,8 +170,13 @@ class VideoTranscodingQueue extends EventEmitter {
                 }
             }, 5000);
 
+            // Reels are served as uploaded (multer-s3): only read metadata, then generate previews
+            const reelInputUrl = jobType === 'reel' && reelId ? await getSignedVideoUrl(inputPath) : null;
+
             // Transcode video
-            const result = await transcodeVideo(inputPath);
+            const result = reelInputUrl
+                ? { outputPath: null, ...await getVideoMetadata(reelInputUrl) }
+                : await transcodeVideo(inputPath);
 
             clearInterval(progressInterval);
 
@@ -244,21 +264,12 @@ class VideoTranscodingQueue extends EventEmitter {
                         const video = await Video.findById(videoId);
                         
                         if (video && video.videoUrl) {
-                            // Check if MCQ generation job already exists for this video
-                            const existingJob = await MCQGenerationJob.findOne({
-                                videoId: videoId,
-                                status: { $in: ['PENDING', 'PROCESSING'] }
-                            });
+                            // Create MCQ generation job with the course's provider settings
+                            // (will be processed by background worker; skipped if one is already active)
+                            const { job: mcqJob, created } = await queueQuestionGeneration(video);
 
-                            if (!existingJob) {
-                                // Create MCQ generation job (will be processed by background worker)
-                                await MCQGenerationJob.create({
-                                    videoId: videoId,
-                                    courseId: courseId || video.courseId,
-                                    status: 'PENDING',
-                                    provider: 'DRISHTI_AI'
-                                });
-                                console.log(`[VideoQueue] MCQ generation job queued for video ${videoId}`);
+                            if (created) {
+                                console.log(`[VideoQueue] MCQ generation job queued for video ${videoId} (${mcqJob.provider})`);
                             } else {
                                 console.log(`[VideoQueue] MCQ generation job already exists for video ${videoId}`);
                             }
@@ -277,6 +288,14 @@ class VideoTranscodingQueue extends EventEmitter {
                     } catch (cleanupError) {
                         console.warn(`[VideoQueue] Failed to cleanup file ${result.outputPath}:`, cleanupError);
                     }
+
+                    // Poster frame (when no thumbnail was uploaded) and scrub-preview sprite sheet
+                    await this.generateVideoPreviews(videoId, courseId, inputPath, result.duration);
+
+                    // Adaptive-bitrate HLS ladder (the MP4 above stays the fallback)
+                    if (await isFeatureEnabled('COURSE_VIDEO_HLS_ENABLED')) {
+                        await this.generateHls(videoId, courseId, inputPath);
+                    }
                 } catch (videoUpdateError) {
                     // Log error but don't crash the worker
                     console.error(`[VideoQueue] Failed to update Video ${videoId} after transcoding:`, videoUpdateError);
@@ -292,6 +311,10 @@ class VideoTranscodingQueue extends EventEmitter {
                 }
             }
 
+            if (reelInputUrl) {
+                await this.generateReelPreviews(reelId, inputPath, reelInputUrl, result);
+            }
+
             this.emit('job:completed', { jobId, result });
 
         } catch (error) {
@@ -310,6 +333,154 @@ class VideoTranscodingQueue extends EventEmitter {
         }
     }
 
+    /**
+     * Transcode a course video to HLS, upload playlists + segments and record
+     * the renditions on the Video. Failures only mark hls.status FAILED.
+     * @param {string} videoId - Video ID
+     * @param {string} courseId - Course ID
+     * @param {string} inputPath - Path to the original upload
+     */
+    async generateHls(videoId, courseId, inputPath) {
+        let outputDir = null;
+
+        try {
+            await Video.updateOne({ _id: videoId }, { 'hls.status': 'PROCESSING', 'hls.error': null });
+
+            const hlsResult = await transcodeToHls(inputPath);
+            outputDir = hlsResult.outputDir;
+
+            const keyPrefix = `videos/${courseId || 'course'}/${videoId}/hls-${Date.now()}`;
+            await StorageService.uploadDirectory(outputDir, keyPrefix);
+
+            await Video.updateOne(
+                { _id: videoId },
+                {
+                    hls: {
+                        status: 'READY',
+                        keyPrefix,
+                        masterKey: `${keyPrefix}/${hlsResult.masterPlaylist}`,
+                        renditions: hlsResult.renditions.map(rendition => ({
+                            name: rendition.name,
+                            width: rendition.width,
+                            height: rendition.height,
+                            bandwidth: rendition.bandwidth,
+                            playlistKey: `${keyPrefix}/${rendition.playlist}`
+                        })),
+                        error: null
+                    }
+                }
+            );
+
+            console.log(`[VideoQueue] HLS ready for video ${videoId} (${hlsResult.renditions.map(r => r.name).join(', ')})`);
+        } catch (error) {
+            console.error(`[VideoQueue] HLS generation failed for video ${videoId}:`, error.message);
+            try {
+                await Video.updateOne({ _id: videoId }, { 'hls.status': 'FAILED', 'hls.error': error.message });
+            } catch (statusUpdateError) {
+                console.error(`[VideoQueue] Failed to update Video ${videoId} HLS status:`, statusUpdateError);
+            }
+        } finally {
+            await cleanupDir(outputDir);
+        }
+    }
+
+    /**
+     * Extract a poster frame and sprite sheet and upload them under keyPrefix
+     * @returns {Promise<Object>} { posterUrl, sprite } (sprite fields as stored on Video / Reel)
+     */
+    async uploadPreviews(inputPath, keyPrefix, duration) {
+        const previews = await generatePreviewImages(inputPath, { duration });
+
+        try {
+            const upload = (fileName) =>
+                StorageService.uploadFromPath(path.join(previews.outputDir, fileName), `${keyPrefix}/${fileName}`);
+
+            const poster = await upload(previews.poster);
+            const image = await upload(previews.sprite.image);
+            const vtt = await upload(previews.sprite.vtt);
+
+            return {
+                posterUrl: poster.url,
+                sprite: {
+                    keyPrefix,
+                    imageUrl: image.url,
+                    vttUrl: vtt.url,
+                    interval: previews.sprite.interval,
+                    columns: previews.sprite.columns,
+                    rows: previews.sprite.rows,
+                    tileWidth: previews.sprite.tileWidth,
+                    tileHeight: previews.sprite.tileHeight
+                }
+            };
+        } finally {
+            await cleanupDir(previews.outputDir);
+        }
+    }
+
+    /**
+     * Poster frame + sprite sheet for a course video. The poster only becomes
+     * the thumbnail when none was uploaded. Failures are logged, never thrown.
+     * @param {string} videoId - Video ID
+     * @param {string} courseId - Course ID
+     * @param {string} inputPath - Path to the original upload
+     * @param {number} duration - Duration in seconds
+     */
+    async generateVideoPreviews(videoId, courseId, inputPath, duration) {
+        try {
+            const keyPrefix = `videos/${courseId || 'course'}/${videoId}/previews-${Date.now()}`;
+            const { posterUrl, sprite } = await this.uploadPreviews(inputPath, keyPrefix, duration);
+
+            await Video.updateOne({ _id: videoId }, { sprite });
+            await Video.updateOne(
+                { _id: videoId, thumbnail: { $in: [null, ''] } },
+                { thumbnail: posterUrl }
+            );
+
+            console.log(`[VideoQueue] Previews ready for video ${videoId}`);
+        } catch (error) {
+            console.error(`[VideoQueue] Preview generation failed for video ${videoId}:`, error.message);
+        }
+    }
+
+    /**
+     * Poster frame + sprite sheet for a reel, plus the duration/dimensions
+     * multer-s3 uploads don't provide. Failures are logged, never thrown.
+     * @param {string} reelId - Reel ID
+     * @param {string} s3Key - S3 key of the reel video
+     * @param {string} inputUrl - Signed URL of the reel video
+     * @param {Object} metadata - { duration, width, height }
+     */
+    async generateReelPreviews(reelId, s3Key, inputUrl, metadata) {
+        try {
+            const keyPrefix = `${s3Key.replace(/\.[^/.]+$/, '')}-previews`;
+            const { posterUrl, sprite } = await this.uploadPreviews(inputUrl, keyPrefix, metadata.duration);
+
+            const update = {
+                'media.sprite': sprite,
+                'media.duration': metadata.duration
+            };
+            if (metadata.width && metadata.height) {
+                update['media.dimensions'] = { width: metadata.width, height: metadata.height };
+            }
+            await Reel.updateOne({ _id: reelId }, update);
+            // Replace a missing thumbnail or the video URL placeholder, never a custom one
+            await Reel.updateOne(
+                {
+                    _id: reelId,
+                    $or: [
+                        { 'media.thumbnailUrl': { $in: [null, ''] } },
+                        { $expr: { $eq: ['$media.thumbnailUrl', '$media.url'] } }
+                    ]
+                },
+                { 'media.thumbnailUrl': posterUrl }
+            );
+
+            console.log(`[VideoQueue] Previews ready for reel ${reelId}`);
+        } catch (error) {
+            console.error(`[VideoQueue] Preview generation failed for reel ${reelId}:`, error.message);
+        }
+    }
+
     /**
      * Get job status
      * @param {string} jobId - Job ID
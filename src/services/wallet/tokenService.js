@@ -0,0 +1,604 @@
+const mongoose = require('mongoose');
+const TokenWallet = require('../../models/wallet/TokenWallet');
+const TokenTransaction = require('../../models/wallet/TokenTransaction');
+const Order = require('../../models/marketplace/Order');
+const { emitNotification } = require('../notification/notificationEmitter');
+
+/**
+ * Value of one token in INR when redeemed (TOKEN_REDEMPTION_RATE, default 1)
+ */
+const getTokenRate = () => {
+    const rate = parseFloat(process.env.TOKEN_REDEMPTION_RATE);
+    return Number.isFinite(rate) && rate > 0 ? rate : 1;
+};
+
+const tokensToAmount = (tokens) => Math.round(tokens * getTokenRate() * 100) / 100;
+
+/**
+ * Atomically add tokens to a wallet, creating it if needed
+ */
+const creditWallet = async (userId, amount) => {
+    return TokenWallet.findOneAndUpdate(
+        { userId },
+        { $inc: { balance: amount } },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+};
+
+/**
+ * Atomically remove tokens from an ACTIVE wallet.
+ * The balance condition makes it impossible to go negative, even under
+ * concurrent redemptions.
+ *
+ * @returns {Promise<Object|null>} Updated wallet, or null if balance is insufficient / wallet locked
+ */
+const debitWallet = async (userId, amount) => {
+    return TokenWallet.findOneAndUpdate(
+        { userId, status: 'ACTIVE', balance: { $gte: amount } },
+        { $inc: { balance: -amount } },
+        { new: true }
+    );
+};
+
+/**
+ * Max tokens a user can send to friends per UTC day (TOKEN_TRANSFER_DAILY_LIMIT, default 100)
+ */
+const getTransferDailyLimit = () => {
+    const limit = parseInt(process.env.TOKEN_TRANSFER_DAILY_LIMIT, 10);
+    return Number.isInteger(limit) && limit >= 0 ? limit : 100;
+};
+
+// UTC day key used by TokenWallet.dailyTransfer
+const getTransferDay = (date = new Date()) => date.toISOString().slice(0, 10);
+
+/**
+ * How much of today's transfer limit a wallet has used
+ */
+const getTransferAllowance = (wallet) => {
+    const dailyLimit = getTransferDailyLimit();
+    const sentToday = wallet && wallet.dailyTransfer && wallet.dailyTransfer.date === getTransferDay()
+        ? wallet.dailyTransfer.sent
+        : 0;
+
+    return {
+        dailyLimit,
+        sentToday,
+        remainingToday: Math.max(dailyLimit - sentToday, 0)
+    };
+};
+
+/**
+ * Redeem tokens against an order (DEBIT)
+ *
+ * @returns {Promise<{success: boolean, message?: String, transaction?: Object}>}
+ */
+const redeemForOrder = async (userId, orderId, tokens) => {
+    const wallet = await debitWallet(userId, tokens);
+    if (!wallet) {
+        const current = await TokenWallet.findOne({ userId }).select('balance status').lean();
+        if (current && current.status === 'LOCKED') {
+            return { success: false, message: 'Your wallet is locked' };
+        }
+        return {
+            success: false,
+            message: `Insufficient token balance. Available: ${current ? current.balance : 0}`
+        };
+    }
+
+    try {
+        const transaction = await TokenTransaction.create({
+            userId,
+            type: 'DEBIT',
+            source: 'ORDER_REDEMPTION',
+            sourceId: orderId,
+            orderId,
+            amount: tokens,
+            status: 'DEBITED'
+        });
+
+        return { success: true, transaction };
+    } catch (error) {
+        // Ledger row failed - put the tokens back so balance and history agree
+        await creditWallet(userId, tokens);
+        throw error;
+    }
+};
+
+/**
+ * Give back redeemed tokens for cancelled/returned items of an order (CREDIT)
+ *
+ * Returns the proportional share of the redeemed tokens for `items`, or every
+ * token not yet reversed once the whole order is cancelled/returned.
+ * Order.tokenRedemption.tokensReversed is incremented conditionally first, so
+ * the total reversed can never exceed what was redeemed.
+ */
+const reverseForItems = async (order, items) => {
+    try {
+        const redemption = order.tokenRedemption;
+        if (!redemption || !redemption.tokens) {
+            return null;
+        }
+
+        const remaining = redemption.tokens - (redemption.tokensReversed || 0);
+        if (remaining <= 0) {
+            return null;
+        }
+
+        let tokens;
+        if (order.status === 'CANCELLED' || order.status === 'RETURNED') {
+            tokens = remaining;
+        } else {
+            const itemsTotal = items.reduce((sum, item) => sum + item.lineTotal - (item.discount || 0), 0);
+            const netSubtotal = order.subtotal - (order.discountTotal || 0);
+            tokens = netSubtotal > 0
+                ? Math.min(Math.floor(redemption.tokens * itemsTotal / netSubtotal), remaining)
+                : 0;
+        }
+
+        if (tokens <= 0) {
+            return null;
+        }
+
+        const claimed = await Order.updateOne(
+            {
+                _id: order._id,
+                'tokenRedemption.tokensReversed': { $lte: redemption.tokens - tokens }
+            },
+            { $inc: { 'tokenRedemption.tokensReversed': tokens } }
+        );
+        if (claimed.modifiedCount !== 1) {
+            return null;
+        }
+
+        await creditWallet(order.userId, tokens);
+        const transaction = await TokenTransaction.create({
+            userId: order.userId,
+            type: 'CREDIT',
+            source: 'ORDER_REDEMPTION_REVERSAL',
+            sourceId: order._id,
+            orderId: order._id,
+            amount: tokens,
+            status: 'CREDITED'
+        });
+
+        try {
+            await emitNotification({
+                recipientType: 'USER',
+                recipientId: order.userId,
+                category: 'WALLET',
+                type: 'TOKEN_CREDITED',
+                title: 'Tokens Returned',
+                message: `${tokens} token(s) from order ${order.orderNumber} were returned to your wallet`,
+                channels: ['IN_APP'],
+                entity: {
+                    type: 'ORDER',
+                    id: order._id
+                },
+                payload: {
+                    orderId: order._id.toString(),
+                    tokens
+                }
+            });
+        } catch (notifError) {
+            console.error('Failed to emit token reversal notification:', notifError);
+        }
+
+        return transaction;
+    } catch (error) {
+        // Never break the cancellation itself
+        console.error('Reverse token redemption error:', { orderId: order._id.toString(), error: error.message });
+        return null;
+    }
+};
+
+/**
+ * Atomically debit a sender for a transfer and count it against today's limit.
+ *
+ * Two conditional updates: one for a wallet that already sent tokens today,
+ * one that starts a new day. Either succeeds only with enough balance and
+ * allowance, so concurrent transfers can't overshoot the limit.
+ *
+ * @returns {Promise<Object|null>} Updated wallet, or null if not allowed
+ */
+const debitForTransfer = async (userId, amount) => {
+    const today = getTransferDay();
+    const dailyLimit = getTransferDailyLimit();
+    if (amount > dailyLimit) {
+        return null;
+    }
+
+    const sameDay = await TokenWallet.findOneAndUpdate(
+        {
+            userId,
+            status: 'ACTIVE',
+            balance: { $gte: amount },
+            'dailyTransfer.date': today,
+            'dailyTransfer.sent': { $lte: dailyLimit - amount }
+        },
+        { $inc: { balance: -amount, 'dailyTransfer.sent': amount } },
+        { new: true }
+    );
+    if (sameDay) {
+        return sameDay;
+    }
+
+    return TokenWallet.findOneAndUpdate(
+        {
+            userId,
+            status: 'ACTIVE',
+            balance: { $gte: amount },
+            'dailyTransfer.date': { $ne: today }
+        },
+        {
+            $inc: { balance: -amount },
+            $set: { 'dailyTransfer.date': today, 'dailyTransfer.sent': amount }
+        },
+        { new: true }
+    );
+};
+
+/**
+ * Send tokens from one user to another (PEER_TRANSFER)
+ *
+ * Friendship and block checks are the caller's job; this only moves tokens.
+ * Writes a DEBIT row for the sender and a CREDIT row for the recipient with a
+ * shared transferId. The recipient is only credited once both rows exist.
+ *
+ * @param {ObjectId} senderId
+ * @param {ObjectId} recipientId
+ * @param {Number} amount - Whole number of tokens
+ * @param {Object} options
+ * @param {String} options.note - Optional gift message
+ * @param {String} options.senderName - For the recipient's notification
+ * @param {String} options.recipientName - For the sender's notification
+ * @returns {Promise<{success: boolean, message?: String, transferId?: ObjectId, wallet?: Object}>}
+ */
+const transferTokens = async (senderId, recipientId, amount, { note, senderName, recipientName } = {}) => {
+    const wallet = await debitForTransfer(senderId, amount);
+    if (!wallet) {
+        const current = await TokenWallet.findOne({ userId: senderId }).select('balance status dailyTransfer').lean();
+        if (current && current.status === 'LOCKED') {
+            return { success: false, message: 'Your wallet is locked' };
+        }
+        if (!current || current.balance < amount) {
+            return {
+                success: false,
+                message: `Insufficient token balance. Available: ${current ? current.balance : 0}`
+            };
+        }
+        const { remainingToday } = getTransferAllowance(current);
+        return {
+            success: false,
+            message: `Daily transfer limit reached. You can send ${remainingToday} more token(s) today`
+        };
+    }
+
+    const transferId = new mongoose.Types.ObjectId();
+    const rows = [
+        {
+            userId: senderId,
+            type: 'DEBIT',
+            source: 'PEER_TRANSFER',
+            sourceId: transferId,
+            transferId,
+            counterpartyId: recipientId,
+            amount,
+            status: 'DEBITED',
+            note
+        },
+        {
+            userId: recipientId,
+            type: 'CREDIT',
+            source: 'PEER_TRANSFER',
+            sourceId: transferId,
+            transferId,
+            counterpartyId: senderId,
+            amount,
+            status: 'CREDITED',
+            note
+        }
+    ];
+
+    try {
+        await TokenTransaction.insertMany(rows);
+    } catch (error) {
+        // Put the sender back as it was: balance, today's allowance and no half-written pair
+        await TokenTransaction.deleteMany({ transferId });
+        await TokenWallet.updateOne(
+            { userId: senderId },
+            { $inc: { balance: amount, 'dailyTransfer.sent': -amount } }
+        );
+        throw error;
+    }
+
+    await creditWallet(recipientId, amount);
+
+    const notifications = [
+        {
+            recipientId: senderId,
+            type: 'TOKEN_DEBITED',
+            title: 'Tokens Sent',
+            message: `You sent ${amount} token(s) to ${recipientName || 'a friend'}`
+        },
+        {
+            recipientId,
+            type: 'TOKEN_CREDITED',
+            title: 'You Received Tokens',
+            message: note
+                ? `${senderName || 'A friend'} sent you ${amount} token(s): ${note}`
+                : `${senderName || 'A friend'} sent you ${amount} token(s)`
+        }
+    ];
+
+    for (const notification of notifications) {
+        try {
+            await emitNotification({
+                recipientType: 'USER',
+                recipientId: notification.recipientId,
+                category: 'WALLET',
+                type: notification.type,
+                title: notification.title,
+                message: notification.message,
+                channels: ['IN_APP', 'PUSH'],
+                entity: {
+                    type: 'USER',
+                    id: notification.recipientId.toString() === senderId.toString() ? recipientId : senderId
+                },
+                payload: {
+                    transferId: transferId.toString(),
+                    senderId: senderId.toString(),
+                    recipientId: recipientId.toString(),
+                    tokens: amount
+                }
+            });
+        } catch (notifError) {
+            console.error('Failed to emit token transfer notification:', notifError);
+        }
+    }
+
+    return { success: true, transferId, wallet };
+};
+
+/**
+ * Grant (amount > 0) or claw back (amount < 0) tokens by hand
+ *
+ * Works on LOCKED wallets too, so support can correct a frozen balance.
+ * Claw-backs are still conditional on the balance: an adjustment can never
+ * take a wallet below zero.
+ *
+ * @param {ObjectId} userId
+ * @param {Number} amount - Signed whole number of tokens
+ * @param {Object} options
+ * @param {String} options.reason - Mandatory explanation, stored on the ledger row
+ * @param {Object} options.actor - { actorType: 'ADMIN'|'SYSTEM', actorId }
+ * @returns {Promise<{success: boolean, message?: String, wallet?: Object, transaction?: Object}>}
+ */
+const adjustBalance = async (userId, amount, { reason, actor }) => {
+    const tokens = Math.abs(amount);
+    const isCredit = amount > 0;
+
+    let wallet;
+    if (isCredit) {
+        wallet = await creditWallet(userId, tokens);
+    } else {
+        wallet = await TokenWallet.findOneAndUpdate(
+            { userId, balance: { $gte: tokens } },
+            { $inc: { balance: -tokens } },
+            { new: true }
+        );
+        if (!wallet) {
+            const current = await TokenWallet.findOne({ userId }).select('balance').lean();
+            return {
+                success: false,
+                message: `Cannot claw back ${tokens} token(s). Available: ${current ? current.balance : 0}`
+            };
+        }
+    }
+
+    let transaction;
+    try {
+        transaction = await TokenTransaction.create({
+            userId,
+            type: isCredit ? 'CREDIT' : 'DEBIT',
+            source: 'ADMIN_ADJUSTMENT',
+            sourceId: wallet._id,
+            amount: tokens,
+            status: isCredit ? 'CREDITED' : 'DEBITED',
+            reason,
+            performedBy: actor
+        });
+    } catch (error) {
+        // Undo the balance change so the ledger stays the source of truth
+        await TokenWallet.updateOne({ _id: wallet._id }, { $inc: { balance: isCredit ? -tokens : tokens } });
+        throw error;
+    }
+
+    try {
+        await emitNotification({
+            recipientType: 'USER',
+            recipientId: userId,
+            category: 'WALLET',
+            type: isCredit ? 'TOKEN_CREDITED' : 'TOKEN_DEBITED',
+            title: isCredit ? 'Tokens Added' : 'Tokens Removed',
+            message: isCredit
+                ? `${tokens} token(s) were added to your wallet: ${reason}`
+                : `${tokens} token(s) were removed from your wallet: ${reason}`,
+            channels: ['IN_APP'],
+            entity: {
+                type: 'WALLET',
+                id: wallet._id
+            },
+            payload: {
+                transactionId: transaction._id.toString(),
+                tokens,
+                balance: wallet.balance
+            }
+        });
+    } catch (notifError) {
+        console.error('Failed to emit wallet adjustment notification:', notifError);
+    }
+
+    return { success: true, wallet, transaction };
+};
+
+/**
+ * Lock a wallet (creating it if needed) so it can no longer be debited by the user
+ *
+ * @returns {Promise<{success: boolean, message?: String, wallet?: Object}>}
+ */
+const lockWallet = async (userId, { reason, actor }) => {
+    const lock = {
+        reason,
+        lockedAt: new Date(),
+        lockedBy: actor
+    };
+
+    let wallet = await TokenWallet.findOneAndUpdate(
+        { userId, status: { $ne: 'LOCKED' } },
+        { $set: { status: 'LOCKED', lock } },
+        { new: true }
+    );
+
+    if (!wallet) {
+        const existing = await TokenWallet.findOne({ userId }).select('_id').lean();
+        if (existing) {
+            return { success: false, message: 'Wallet is already locked' };
+        }
+
+        try {
+            wallet = await TokenWallet.create({ userId, status: 'LOCKED', lock });
+        } catch (error) {
+            // Wallet created concurrently (e.g. by a course completion) - retry once
+            if (error.code === 11000) {
+                return lockWallet(userId, { reason, actor });
+            }
+            throw error;
+        }
+    }
+
+    return { success: true, wallet };
+};
+
+/**
+ * Unlock a LOCKED wallet and clear its lock details
+ *
+ * @returns {Promise<{success: boolean, message?: String, wallet?: Object}>}
+ */
+const unlockWallet = async (userId) => {
+    const wallet = await TokenWallet.findOneAndUpdate(
+        { userId, status: 'LOCKED' },
+        {
+            $set: {
+                status: 'ACTIVE',
+                lock: { reason: null, lockedAt: null, lockedBy: null }
+            }
+        },
+        { new: true }
+    );
+
+    if (!wallet) {
+        return { success: false, message: 'Wallet is not locked' };
+    }
+
+    return { success: true, wallet };
+};
+
+// Cap on drift entries kept in a reconciliation report
+const MAX_REPORTED_DRIFTS = 500;
+
+/**
+ * Recompute every wallet balance from its TokenTransaction history and report drift
+ *
+ * Read-only: wallets are never corrected automatically; drift is reported so
+ * an admin can investigate and fix it with an ADMIN_ADJUSTMENT.
+ * Rows written before `type` existed are all course-completion credits, so a
+ * missing type counts as CREDIT.
+ *
+ * @param {Object} options
+ * @param {Number} options.batchSize - Wallets per ledger aggregation (default 500)
+ * @returns {Promise<Object>} { startedAt, finishedAt, walletsChecked, driftCount, drifts[] }
+ */
+const reconcileWallets = async ({ batchSize = 500 } = {}) => {
+    const startedAt = new Date();
+    const drifts = [];
+    let walletsChecked = 0;
+    let driftCount = 0;
+
+    const checkBatch = async (wallets) => {
+        const ledger = await TokenTransaction.aggregate([
+            { $match: { userId: { $in: wallets.map(w => w.userId) } } },
+            {
+                $group: {
+                    _id: '$userId',
+                    balance: {
+                        $sum: {
+                            $cond: [
+                                { $eq: [{ $ifNull: ['$type', 'CREDIT'] }, 'DEBIT'] },
+                                { $multiply: ['$amount', -1] },
+                                '$amount'
+                            ]
+                        }
+                    }
+                }
+            }
+        ]);
+
+        const ledgerByUser = new Map(ledger.map(row => [row._id.toString(), row.balance]));
+
+        for (const wallet of wallets) {
+            walletsChecked++;
+            const ledgerBalance = ledgerByUser.get(wallet.userId.toString()) || 0;
+            const walletBalance = wallet.balance || 0;
+
+            if (ledgerBalance !== walletBalance) {
+                driftCount++;
+                if (drifts.length < MAX_REPORTED_DRIFTS) {
+                    drifts.push({
+                        userId: wallet.userId,
+                        walletId: wallet._id,
+                        walletBalance,
+                        ledgerBalance,
+                        drift: walletBalance - ledgerBalance
+                    });
+                }
+            }
+        }
+    };
+
+    const cursor = TokenWallet.find({}).select('userId balance').lean().cursor();
+    let batch = [];
+    for await (const wallet of cursor) {
+        batch.push(wallet);
+        if (batch.length >= batchSize) {
+            await checkBatch(batch);
+            batch = [];
+        }
+    }
+    if (batch.length > 0) {
+        await checkBatch(batch);
+    }
+
+    return {
+        startedAt,
+        finishedAt: new Date(),
+        walletsChecked,
+        driftCount,
+        drifts
+    };
+};
+
+module.exports = {
+    getTokenRate,
+    tokensToAmount,
+    creditWallet,
+    debitWallet,
+    redeemForOrder,
+    reverseForItems,
+    getTransferDailyLimit,
+    getTransferAllowance,
+    transferTokens,
+    adjustBalance,
+    lockWallet,
+    unlockWallet,
+    reconcileWallets
+};
@@ -0,0 +1,53 @@
+/**
+ * Blocked User Helpers
+ *
+ * Shared by the social and user controllers: a user's blocks live in both
+ * the root `blockedUsers` field and `social.blockedUsers`.
+ */
+
+const User = require('../models/authorization/User');
+const mongoose = require('mongoose');
+
+/**
+ * Get all user IDs blocked by `userId` (root and social.blockedUsers, deduplicated)
+ *
+ * @param {String|ObjectId} userId
+ * @returns {Promise<ObjectId[]>}
+ */
+const getBlockedUserIds = async (userId) => {
+    try {
+        const user = await User.findById(userId).select('blockedUsers social.blockedUsers');
+        if (!user) return [];
+
+        const rootBlocked = user.blockedUsers || [];
+        const socialBlocked = user.social?.blockedUsers || [];
+
+        const allBlocked = [...rootBlocked, ...socialBlocked];
+        const uniqueBlocked = [...new Set(allBlocked.map(id => id.toString()))];
+
+        return uniqueBlocked.map(id => new mongoose.Types.ObjectId(id));
+    } catch (error) {
+        console.error('Error getting blocked users:', error);
+        return [];
+    }
+};
+
+/**
+ * Check if `blockerId` has blocked `blockedId`
+ *
+ * @returns {Promise<boolean>}
+ */
+const isUserBlocked = async (blockerId, blockedId) => {
+    try {
+        const blockedUserIds = await getBlockedUserIds(blockerId);
+        return blockedUserIds.some(id => id.toString() === blockedId.toString());
+    } catch (error) {
+        console.error('Error checking if user is blocked:', error);
+        return false;
+    }
+};
+
+module.exports = {
+    getBlockedUserIds,
+    isUserBlocked
+};
@@ -0,0 +1,120 @@
+/**
+ * Caption Parsing
+ *
+ * Extracts #hashtags and @mentions from post/reel captions.
+ *
+ * Users have no unique handles, so mentions reference user IDs. Mention
+ * pickers insert `@[Display Name](<userId>)`; a bare `@<userId>` is accepted
+ * too. Other `@words` are left as plain text.
+ */
+
+const mongoose = require('mongoose');
+
+const MAX_HASHTAG_LENGTH = 50;
+const MAX_HASHTAGS = 30;
+const MAX_MENTIONS = 20;
+
+// Letters, digits and underscores in any script; must not start right after a word character
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_&])#([\p{L}\p{N}_]+)/gu;
+const MENTION_MARKUP_PATTERN = /@\[[^\]\n]{1,100}\]\(([a-fA-F0-9]{24})\)/g;
+const MENTION_ID_PATTERN = /(^|[^\w])@([a-fA-F0-9]{24})(?![\w])/g;
+
+/**
+ * Normalize a hashtag for storage and lookup (no '#', lowercase)
+ * Returns null when it isn't a valid tag
+ */
+const normalizeHashtag = (tag) => {
+    if (!tag || typeof tag !== 'string') {
+        return null;
+    }
+    const normalized = tag.trim().replace(/^#/, '').normalize('NFC').toLowerCase();
+    if (!normalized || normalized.length > MAX_HASHTAG_LENGTH || !/^[\p{L}\p{N}_]+$/u.test(normalized)) {
+        return null;
+    }
+    // Purely numeric tags (#1, #2024) are usually not topics
+    if (/^\p{N}+$/u.test(normalized)) {
+        return null;
+    }
+    return normalized;
+};
+
+/**
+ * Unique hashtags in a caption, in order of appearance
+ * @returns {String[]}
+ */
+const extractHashtags = (caption) => {
+    if (!caption || typeof caption !== 'string') {
+        return [];
+    }
+    const tags = new Set();
+    for (const match of caption.matchAll(HASHTAG_PATTERN)) {
+        const tag = normalizeHashtag(match[2]);
+        if (tag) {
+            tags.add(tag);
+        }
+        if (tags.size >= MAX_HASHTAGS) {
+            break;
+        }
+    }
+    return [...tags];
+};
+
+/**
+ * Unique mentioned user IDs in a caption, in order of appearance
+ * @returns {String[]}
+ */
+const extractMentionIds = (caption) => {
+    if (!caption || typeof caption !== 'string') {
+        return [];
+    }
+    const ids = new Set();
+    const matches = [
+        ...[...caption.matchAll(MENTION_MARKUP_PATTERN)].map(match => ({ index: match.index, id: match[1] })),
+        ...[...caption.matchAll(MENTION_ID_PATTERN)].map(match => ({ index: match.index, id: match[2] }))
+    ].sort((a, b) => a.index - b.index);
+
+    for (const { id } of matches) {
+        if (mongoose.Types.ObjectId.isValid(id)) {
+            ids.add(id.toLowerCase());
+        }
+        if (ids.size >= MAX_MENTIONS) {
+            break;
+        }
+    }
+    return [...ids];
+};
+
+/**
+ * Caption as readers see it: `@[Name](<id>)` becomes `@Name`, bare `@<id>` is dropped
+ * Stored alongside the caption for search, so user IDs in markup never match
+ * @returns {String}
+ */
+const stripMentionMarkup = (caption) => {
+    if (!caption || typeof caption !== 'string') {
+        return '';
+    }
+    return caption
+        .replace(MENTION_MARKUP_PATTERN, (markup) => markup.slice(0, markup.indexOf('](')).replace('@[', '@'))
+        .replace(MENTION_ID_PATTERN, '$1')
+        .replace(/[ \t]{2,}/g, ' ')
+        .trim();
+};
+
+/**
+ * Hashtags, mentioned user IDs and searchable text of a caption
+ * @returns {Object} { hashtags, mentionIds, captionText }
+ */
+const parseCaption = (caption) => ({
+    hashtags: extractHashtags(caption),
+    mentionIds: extractMentionIds(caption),
+    captionText: stripMentionMarkup(caption)
+});
+
+module.exports = {
+    MAX_HASHTAG_LENGTH,
+    normalizeHashtag,
+    extractHashtags,
+    extractMentionIds,
+    stripMentionMarkup,
+    parseCaption
+};
@@ -0,0 +1,126 @@
+/**
+ * Minimal CSV parser (RFC 4180)
+ *
+ * Handles quoted fields, embedded commas/newlines and "" escapes.
+ * Used for seller bulk imports and university roster/invite files; files are
+ * small, so everything is parsed and written in memory.
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ *
+ * @param {String} text
+ * @returns {Array<Array<String>>}
+ */
+const parseCsvRows = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    // Strip UTF-8 BOM written by spreadsheet exports
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by lower-cased header
+ *
+ * @param {String} text
+ * @returns {{headers: String[], records: Array<Object>}}
+ */
+const parseCsv = (text) => {
+    const rows = parseCsvRows(text);
+    if (rows.length === 0) {
+        return { headers: [], records: [] };
+    }
+
+    const headers = rows[0].map(header => header.trim().toLowerCase());
+    const records = rows.slice(1).map(values => {
+        const record = {};
+        headers.forEach((header, index) => {
+            record[header] = values[index] !== undefined ? values[index].trim() : '';
+        });
+        return record;
+    });
+
+    return { headers, records };
+};
+
+/**
+ * Escape one value for a CSV field
+ * Values starting with =, +, -, @, tab or carriage return are prefixed with '
+ * so spreadsheets don't run them as formulas
+ */
+const escapeCsvValue = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write rows of values as CSV text with a header row
+ *
+ * @param {String[]} headers
+ * @param {Array<Array>} rows
+ * @returns {String}
+ */
+const toCsv = (headers, rows) => {
+    return [headers, ...rows]
+        .map(row => row.map(escapeCsvValue).join(','))
+        .join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    parseCsv,
+    toCsv
+};
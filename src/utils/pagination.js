@@ -0,0 +1,168 @@
+/**
+ * Cursor Pagination Helpers
+ *
+ * Opaque cursors over (createdAt, _id) so list endpoints don't skip or repeat
+ * items when new ones are created between requests. A cursor encodes the last
+ * item of the previous page; the next page starts right after it.
+ *
+ * Endpoints accept `?cursor=<nextCursor>` and still accept `?page=` from older
+ * clients (cursor wins when both are sent).
+ */
+
+const mongoose = require('mongoose');
+
+const DEFAULT_MAX_LIMIT = 100;
+
+/**
+ * Encode the cursor of an item (needs createdAt and _id)
+ *
+ * @param {Object} item - Document or plain object
+ * @returns {String|null}
+ */
+const encodeCursor = (item) => {
+    if (!item || !item.createdAt || !item._id) {
+        return null;
+    }
+    const payload = { c: new Date(item.createdAt).toISOString(), i: item._id.toString() };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor from the query string
+ *
+ * @param {String} cursor
+ * @returns {Object|null} { createdAt: Date, _id: ObjectId }, or null if invalid
+ */
+const decodeCursor = (cursor) => {
+    if (!cursor || typeof cursor !== 'string') {
+        return null;
+    }
+    try {
+        const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        const createdAt = new Date(payload?.c);
+        if (Number.isNaN(createdAt.getTime()) || !mongoose.Types.ObjectId.isValid(payload?.i)) {
+            return null;
+        }
+        return { createdAt, _id: new mongoose.Types.ObjectId(payload.i) };
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Read limit, page and cursor from the query string
+ *
+ * `invalidCursor` is set when a cursor was sent but can't be decoded; callers
+ * respond with 400.
+ *
+ * @param {Object} query - req.query
+ * @param {Object} options - { defaultLimit, maxLimit }
+ * @returns {Object} { limit, page, skip, cursor, invalidCursor }
+ */
+const parsePagination = (query = {}, { defaultLimit = 10, maxLimit = DEFAULT_MAX_LIMIT } = {}) => {
+    const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit);
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+
+    return {
+        limit,
+        page,
+        skip: cursor ? 0 : (page - 1) * limit,
+        cursor,
+        invalidCursor: Boolean(query.cursor) && !cursor
+    };
+};
+
+/**
+ * Sort spec matching the cursor key (newest first by default)
+ */
+const cursorSort = (sortOrder = -1) => ({ createdAt: sortOrder, _id: sortOrder });
+
+/**
+ * Add the "after cursor" condition to a Mongo query
+ *
+ * @param {Object} query - Existing filter (left untouched)
+ * @param {Object|null} cursor - Decoded cursor
+ * @param {Number} sortOrder - -1 (newest first) or 1
+ * @returns {Object} Filter
+ */
+const withCursor = (query, cursor, sortOrder = -1) => {
+    if (!cursor) {
+        return query;
+    }
+    const op = sortOrder === 1 ? '$gt' : '$lt';
+    return {
+        $and: [
+            query,
+            {
+                $or: [
+                    { createdAt: { [op]: cursor.createdAt } },
+                    { createdAt: cursor.createdAt, _id: { [op]: cursor._id } }
+                ]
+            }
+        ]
+    };
+};
+
+/**
+ * Compare two items by (createdAt, _id) in the given sort order
+ */
+const compareByCursorKey = (a, b, sortOrder = -1) => {
+    const diff = new Date(a.createdAt) - new Date(b.createdAt);
+    if (diff !== 0) {
+        return sortOrder === 1 ? diff : -diff;
+    }
+    const aId = a._id.toString();
+    const bId = b._id.toString();
+    if (aId === bId) {
+        return 0;
+    }
+    return (aId < bId ? -1 : 1) * (sortOrder === 1 ? 1 : -1);
+};
+
+/**
+ * Cursor pagination over an in-memory list (e.g. embedded subdocuments)
+ *
+ * Sorts by (createdAt, _id) and returns up to `count` items after the cursor.
+ *
+ * @param {Array} items
+ * @param {Object|null} cursor - Decoded cursor
+ * @param {Number} count
+ * @param {Number} sortOrder - -1 (newest first) or 1
+ * @returns {Array}
+ */
+const paginateArray = (items, cursor, count, sortOrder = -1) => {
+    const sorted = [...items].sort((a, b) => compareByCursorKey(a, b, sortOrder));
+    const start = cursor
+        ? sorted.findIndex(item => compareByCursorKey(item, cursor, sortOrder) > 0)
+        : 0;
+    return start === -1 ? [] : sorted.slice(start, start + count);
+};
+
+/**
+ * Build a page from a query that fetched `limit + 1` items
+ *
+ * @param {Array} items
+ * @param {Number} limit
+ * @returns {Object} { items, hasNextPage, nextCursor }
+ */
+const buildPage = (items, limit) => {
+    const hasNextPage = items.length > limit;
+    const pageItems = hasNextPage ? items.slice(0, limit) : items;
+    return {
+        items: pageItems,
+        hasNextPage,
+        nextCursor: hasNextPage ? encodeCursor(pageItems[pageItems.length - 1]) : null
+    };
+};
+
+module.exports = {
+    encodeCursor,
+    decodeCursor,
+    parsePagination,
+    cursorSort,
+    withCursor,
+    compareByCursorKey,
+    paginateArray,
+    buildPage
+};
@@ -1,37 +1,37 @@
 /**
  * Token System Guards
- * 
- * Hard guards to prevent token redemption until payment integration is ready.
- * These guards ensure tokens remain EARN-ONLY until explicitly enabled.
+ *
+ * Hard guards around token redemption.
+ * Tokens remain EARN-ONLY unless TOKEN_REDEMPTION_ENABLED is switched on for
+ * the deployment (environment variable or FeatureFlag document).
  */
 
-const { TOKEN_REDEMPTION_ENABLED } = require('../config/features');
+const { isFeatureEnabled } = require('../config/features');
 
 /**
  * Assert that token redemption is enabled
- * 
+ *
  * Throws an error if redemption is disabled.
  * Use this guard before any redemption/debit operations.
- * 
+ *
  * @throws {Error} If TOKEN_REDEMPTION_ENABLED is false
  */
-const assertRedemptionEnabled = () => {
-    if (!TOKEN_REDEMPTION_ENABLED) {
+const assertRedemptionEnabled = async () => {
+    if (!(await isFeatureEnabled('TOKEN_REDEMPTION_ENABLED'))) {
         throw new Error('Token redemption is disabled. Tokens are currently EARN-ONLY.');
     }
 };
 
 /**
  * Check if token redemption is enabled (non-throwing)
- * 
- * @returns {boolean} True if redemption is enabled, false otherwise
+ *
+ * @returns {Promise<boolean>} True if redemption is enabled, false otherwise
  */
-const isRedemptionEnabled = () => {
-    return TOKEN_REDEMPTION_ENABLED === true;
+const isRedemptionEnabled = async () => {
+    return isFeatureEnabled('TOKEN_REDEMPTION_ENABLED');
 };
 
 module.exports = {
     assertRedemptionEnabled,
     isRedemptionEnabled
 };
-
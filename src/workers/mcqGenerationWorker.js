@@ -2,16 +2,13 @@
  * Background Worker for MCQ Generation Jobs
  * 
  * Processes MCQGenerationJob records asynchronously.
- * Calls external AI API and saves VideoQuestion entries.
+ * Generates questions with the job's provider and saves VideoQuestion entries.
  */
 
-const axios = require('axios');
 const MCQGenerationJob = require('../models/ai/MCQGenerationJob');
-const Video = require('../models/course/Video');
-const VideoQuestion = require('../models/course/VideoQuestion');
+const { runQuestionGeneration } = require('../services/ai/questionGenerationService');
 
 // Constants
-const AI_ENDPOINT = 'https://api.drishtifilmproductions.com/videos/mcqs';
 const MAX_ATTEMPTS = 3;
 const POLL_INTERVAL = 30000; // 30 seconds
 
@@ -51,77 +48,11 @@ async function processJob() {
         });
 
         try {
-            // 3. Fetch Video by videoId
-            const video = await Video.findById(job.videoId);
-            if (!video) {
-                throw new Error(`Video ${job.videoId} not found`);
-            }
-            if (!video.videoUrl) {
-                throw new Error(`Video ${job.videoId} missing videoUrl`);
-            }
-
-            // 4. Call AI API using axios POST
-            const aiResponse = await axios.post(
-                AI_ENDPOINT,
-                {
-                    video_url: video.videoUrl,
-                    include_answers: true,
-                    randomize: false,
-                    limit: 5,
-                    force: false
-                },
-                {
-                    timeout: 360000 // 6 minute timeout (AI can take 2-5 minutes)
-                }
-            );
-
-            // 5. Validate response.status === 'success'
-            if (aiResponse.data.status !== 'success') {
-                throw new Error(`AI API returned status: ${aiResponse.data.status || 'unknown'}`);
-            }
-
-            // 6. Save MCQs
-            // First delete existing VideoQuestion for that videoId
-            await VideoQuestion.deleteMany({
-                videoId: job.videoId,
-                source: 'AI'
-            });
-
-            // For each question, create VideoQuestion
-            if (aiResponse.data.questions && Array.isArray(aiResponse.data.questions)) {
-                const questionsToCreate = aiResponse.data.questions.map(q => ({
-                    videoId: job.videoId,
-                    courseId: job.courseId,
-                    question: q.question || '',
-                    options: {
-                        A: q.options?.A || '',
-                        B: q.options?.B || '',
-                        C: q.options?.C || '',
-                        D: q.options?.D || ''
-                    },
-                    correctAnswer: q.correct_answer || 'A',
-                    source: 'AI',
-                    status: 'DRAFT',
-                    editable: true,
-                    aiMeta: {
-                        timestamp: q.timestamp || null,
-                        timestamp_seconds: q.timestampSeconds || q.timestamp_seconds || null,
-                        chunk_num: q.chunkNum || q.chunk_num || null,
-                        anchor_type: q.anchor_type || null,
-                        batch_number: q.batch_number || null,
-                        part_number: q.part_number || null
-                    }
-                }));
-
-                if (questionsToCreate.length > 0) {
-                    await VideoQuestion.insertMany(questionsToCreate);
-                    console.log(`[MCQWorker] Created ${questionsToCreate.length} MCQs for video ${job.videoId}`);
-                }
-            } else {
-                throw new Error('AI API response missing questions array');
-            }
+            // 3. Generate with the job's provider (from subtitles when available) and save as DRAFT questions
+            const result = await runQuestionGeneration(job);
+            console.log(`[MCQWorker] Created ${result.created} MCQs for video ${job.videoId} (${result.provider}, ${result.inputSource})`);
 
-            // 7. Mark job COMPLETED
+            // 4. Mark job COMPLETED
             await MCQGenerationJob.findByIdAndUpdate(jobId, {
                 status: 'COMPLETED',
                 completedAt: new Date()
@@ -130,7 +61,7 @@ async function processJob() {
             console.log(`[MCQWorker] Job ${jobId} completed successfully`);
 
         } catch (error) {
-            // 8. Error handling
+            // 5. Error handling
             const errorMessage = error.message || 'Unknown error';
             console.error(`[MCQWorker] Job ${jobId} failed:`, errorMessage);
 
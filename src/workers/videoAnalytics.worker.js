@@ -0,0 +1,121 @@
+const { Worker } = require('bullmq');
+const { createRedisConnection } = require('../config/redis');
+const { processAnalyticsEvents } = require('../services/progress/analyticsService');
+
+/**
+ * Video Analytics Worker
+ * 
+ * Processes batches of video player events from the video-analytics queue:
+ * - Stores each event in AnalyticsEvent (duplicates are skipped)
+ * - Updates UserActivity.lastActiveAt
+ * - Counts replay_segment events in CourseAnalytics.mostRepeatedSegments
+ * 
+ * Runs with concurrency 1 so batches are processed in the order they were queued.
+ */
+
+let videoAnalyticsWorker = null;
+
+/**
+ * Process one batch job
+ * 
+ * @param {Object} job - BullMQ job
+ * @param {Object} job.data - { userId, events }
+ */
+const processVideoEventsJob = async (job) => {
+    const { userId, events } = job.data;
+
+    try {
+        const result = await processAnalyticsEvents(userId, events);
+
+        console.log('📊 Video events processed', {
+            jobId: job.id,
+            userId,
+            processed: result.processed,
+            duplicates: result.duplicates
+        });
+
+        return result;
+    } catch (error) {
+        console.error('❌ Video events job failed', {
+            jobId: job.id,
+            userId,
+            error: error.message,
+            attempt: job.attemptsMade + 1,
+            maxAttempts: job.opts.attempts
+        });
+
+        // Throw error to trigger retry
+        throw error;
+    }
+};
+
+/**
+ * Start video analytics worker
+ */
+const startVideoAnalyticsWorker = () => {
+    if (videoAnalyticsWorker) {
+        console.log('ℹ️  Video analytics worker already running');
+        return videoAnalyticsWorker;
+    }
+
+    const redisConnection = createRedisConnection();
+
+    if (!redisConnection) {
+        console.warn('⚠️  Redis not configured. Video analytics worker will not start.');
+        return null;
+    }
+
+    try {
+        videoAnalyticsWorker = new Worker(
+            'video-analytics',
+            async (job) => {
+                return await processVideoEventsJob(job);
+            },
+            {
+                connection: redisConnection,
+                concurrency: 1
+            }
+        );
+
+        videoAnalyticsWorker.on('failed', (job, err) => {
+            console.error('❌ Video events job failed (max retries reached)', {
+                jobId: job?.id,
+                userId: job?.data?.userId,
+                error: err.message,
+                attempts: job?.attemptsMade
+            });
+        });
+
+        videoAnalyticsWorker.on('error', (err) => {
+            console.error('❌ Video analytics worker error:', err.message);
+        });
+
+        console.log('✅ Video analytics worker started');
+
+        return videoAnalyticsWorker;
+    } catch (error) {
+        console.error('❌ Failed to start video analytics worker:', error.message);
+        return null;
+    }
+};
+
+/**
+ * Stop video analytics worker
+ */
+const stopVideoAnalyticsWorker = async () => {
+    if (videoAnalyticsWorker) {
+        try {
+            await videoAnalyticsWorker.close();
+            console.log('🔌 Video analytics worker stopped');
+        } catch (error) {
+            console.error('Error stopping video analytics worker:', error.message);
+        }
+        videoAnalyticsWorker = null;
+    }
+};
+
+module.exports = {
+    startVideoAnalyticsWorker,
+    stopVideoAnalyticsWorker,
+    getVideoAnalyticsWorker: () => videoAnalyticsWorker
+};
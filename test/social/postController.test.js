@@ -0,0 +1,220 @@
+/**
+ * GET /api/posts/me and GET /api/posts/user/:id pagination
+ *
+ * Model methods are replaced with in-memory fakes, no database is needed.
+ * Run with: npm test
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+// storage.service reads these at require time
+process.env.AWS_BUCKET_NAME = process.env.AWS_BUCKET_NAME || 'test-bucket';
+process.env.AWS_REGION = process.env.AWS_REGION || 'us-east-1';
+
+const Post = require('../../src/models/social/Post');
+const Comment = require('../../src/models/social/Comment');
+const Like = require('../../src/models/social/Like');
+const User = require('../../src/models/authorization/User');
+const Follow = require('../../src/models/social/Follow');
+const { Report } = require('../../src/models/social/Report');
+const { decodeCursor, encodeCursor } = require('../../src/utils/pagination');
+const { getMyPosts, getUserPosts } = require('../../src/controllers/social/postController');
+
+// Chainable, awaitable stand-in for a mongoose Query
+const fakeQuery = (result, calls = {}) => {
+    const query = {};
+    ['populate', 'select', 'sort', 'skip', 'limit', 'lean'].forEach(method => {
+        query[method] = (...args) => {
+            calls[method] = args;
+            return query;
+        };
+    });
+    query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+    return query;
+};
+
+const fakeRes = () => ({
+    statusCode: null,
+    body: null,
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    json(body) {
+        this.body = body;
+        return this;
+    }
+});
+
+const owner = {
+    _id: new mongoose.Types.ObjectId(),
+    profile: { name: { first: 'Ada', last: 'Lovelace', full: 'Ada Lovelace' }, visibility: 'public' },
+    social: { friends: [], blockedUsers: [] }
+};
+const viewer = {
+    _id: new mongoose.Types.ObjectId(),
+    profile: { name: { full: 'Viewer' } },
+    social: { friends: [], blockedUsers: [] }
+};
+
+// The "after cursor" part of a filter built by withCursor (newest first), if any
+const cursorCondition = (filter) => (filter.$and || [])
+    .find(part => Array.isArray(part.$or) && part.$or.some(clause => clause.createdAt?.$lt));
+
+const isAfterCursor = (post, condition) => condition.$or.some(({ createdAt, _id }) => (
+    createdAt.$lt
+        ? post.createdAt < createdAt.$lt
+        : post.createdAt.getTime() === createdAt.getTime() && post._id.toString() < _id.$lt.toString()
+));
+
+// Newest first, as the query would return them
+const makePosts = (count) => Array.from({ length: count }, (_, index) => ({
+    _id: new mongoose.Types.ObjectId(),
+    userId: owner,
+    caption: `Post ${index}`,
+    media: [],
+    createdAt: new Date(Date.UTC(2026, 0, 10 - index)),
+    updatedAt: new Date(Date.UTC(2026, 0, 10 - index)),
+    getCommentCount: async () => 0
+}));
+
+describe('post list pagination', () => {
+    const originals = {};
+    let posts;
+    let findCalls;
+    let countCalls;
+
+    before(() => {
+        originals.postFind = Post.find;
+        originals.postCount = Post.countDocuments;
+        originals.userFindById = User.findById;
+        originals.reportFind = Report.find;
+        originals.likeFind = Like.find;
+        originals.followExists = Follow.exists;
+        originals.comments = Comment.getCommentsByContent;
+
+        Post.find = (filter) => {
+            const calls = { filter };
+            findCalls.push(calls);
+            // Apply the cursor condition, skip and limit (+1) like the real query
+            const query = fakeQuery(null, calls);
+            query.then = (resolve, reject) => {
+                const condition = cursorCondition(filter);
+                const matching = condition ? posts.filter(post => isAfterCursor(post, condition)) : posts;
+                const skip = calls.skip ? calls.skip[0] : 0;
+                return Promise.resolve(matching.slice(skip, skip + calls.limit[0])).then(resolve, reject);
+            };
+            return query;
+        };
+        Post.countDocuments = async (filter) => {
+            countCalls.push(filter);
+            return posts.length;
+        };
+        User.findById = (id) => fakeQuery(id.toString() === owner._id.toString() ? owner : viewer);
+        Report.find = () => ({ distinct: async () => [] });
+        Like.find = () => fakeQuery([]);
+        Follow.exists = async () => null;
+        Comment.getCommentsByContent = async () => [];
+    });
+
+    after(() => {
+        Post.find = originals.postFind;
+        Post.countDocuments = originals.postCount;
+        User.findById = originals.userFindById;
+        Report.find = originals.reportFind;
+        Like.find = originals.likeFind;
+        Follow.exists = originals.followExists;
+        Comment.getCommentsByContent = originals.comments;
+    });
+
+    beforeEach(() => {
+        posts = makePosts(3);
+        findCalls = [];
+        countCalls = [];
+    });
+
+    describe('GET /api/posts/me', () => {
+        it('returns page pagination with a next cursor', async () => {
+            const res = fakeRes();
+            await getMyPosts({ user: owner, query: { limit: '2' } }, res);
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.body.data.posts.length, 2);
+            const { pagination } = res.body.data;
+            assert.equal(pagination.totalPosts, 3);
+            assert.equal(pagination.totalPages, 2);
+            assert.equal(pagination.hasNextPage, true);
+            assert.equal(pagination.nextCursor, encodeCursor(posts[1]));
+        });
+
+        it('continues after a cursor without counting', async () => {
+            posts = makePosts(5);
+            const res = fakeRes();
+            await getMyPosts({ user: owner, query: { limit: '2', cursor: encodeCursor(posts[0]) } }, res);
+
+            assert.equal(res.statusCode, 200);
+            assert.deepEqual(res.body.data.posts.map(post => post.id), [posts[1], posts[2]].map(post => post._id.toString()));
+            assert.deepEqual(res.body.data.pagination, {
+                limit: 2,
+                nextCursor: encodeCursor(posts[2]),
+                hasNextPage: true
+            });
+            assert.equal(countCalls.length, 0);
+        });
+
+        it('reports the last page after a cursor', async () => {
+            const res = fakeRes();
+            await getMyPosts({ user: owner, query: { limit: '2', cursor: encodeCursor(posts[0]) } }, res);
+
+            assert.equal(res.statusCode, 200);
+            assert.deepEqual(res.body.data.posts.map(post => post.id), [posts[1], posts[2]].map(post => post._id.toString()));
+            assert.deepEqual(res.body.data.pagination, { limit: 2, nextCursor: null, hasNextPage: false });
+        });
+
+        it('rejects an invalid cursor', async () => {
+            const res = fakeRes();
+            await getMyPosts({ user: owner, query: { cursor: 'not-a-cursor' } }, res);
+
+            assert.equal(res.statusCode, 400);
+        });
+    });
+
+    describe('GET /api/posts/user/:id', () => {
+        it('returns page pagination with a next cursor', async () => {
+            const res = fakeRes();
+            await getUserPosts({ params: { id: owner._id.toString() }, user: viewer, query: { limit: '2' } }, res);
+
+            assert.equal(res.statusCode, 200);
+            const { pagination } = res.body.data;
+            assert.equal(pagination.currentPage, 1);
+            assert.equal(pagination.totalPosts, 3);
+            assert.equal(pagination.hasNextPage, true);
+            assert.equal(pagination.nextCursor, encodeCursor(posts[1]));
+        });
+
+        it('returns the page after the cursor and its next cursor', async () => {
+            posts = makePosts(5);
+            const res = fakeRes();
+            const cursor = encodeCursor(posts[0]);
+            await getUserPosts({ params: { id: owner._id.toString() }, user: viewer, query: { limit: '2', cursor } }, res);
+
+            assert.equal(res.statusCode, 200);
+            const { posts: items, pagination } = res.body.data;
+            assert.deepEqual(items.map(post => post.id), [posts[1], posts[2]].map(post => post._id.toString()));
+            assert.equal(pagination.hasNextPage, true);
+            assert.deepEqual(decodeCursor(pagination.nextCursor), decodeCursor(encodeCursor(posts[2])));
+            assert.equal(countCalls.length, 0);
+        });
+
+        it('reports the last page', async () => {
+            const res = fakeRes();
+            await getUserPosts({ params: { id: owner._id.toString() }, query: { limit: '2', cursor: encodeCursor(posts[1]) } }, res);
+
+            assert.equal(res.statusCode, 200);
+            assert.deepEqual(res.body.data.posts.map(post => post.id), [posts[2]._id.toString()]);
+            assert.deepEqual(res.body.data.pagination, { limit: 2, nextCursor: null, hasNextPage: false });
+        });
+    });
+});